@@ -0,0 +1,128 @@
+// Background Tab
+// Runs tasks against LinkedIn pages in an inactive tab, so scheduled jobs can
+// read and act on pages without taking over the tab the user is looking at
+
+import {
+  sendToContentScript,
+  createMessage,
+  isLinkedInTabUrl,
+  MESSAGE_TYPES
+} from '../utils/messaging.js';
+import { resolveLinkedInUrl, isSandboxMode, isSandboxUrl } from '../utils/sandbox.js';
+
+const PAGE_LOAD_TIMEOUT = 30 * 1000;
+
+/**
+ * Run a task in an inactive LinkedIn tab, which is closed afterwards
+ * @param {Function} task - Receives the tab helper
+ *   `send(url, message, options)`, which opens a page in the tab and resolves
+ *   with the content script's response data
+ * @param {Object} options - Tab options
+ * @param {Object} options.tab - Open LinkedIn tab to use instead of opening
+ *   one, see findIdleLinkedInTab; it is taken back to its page afterwards
+ * @returns {Promise} Result of the task
+ */
+export async function withBackgroundTab(task, { tab = null } = {}) {
+  let tabId = tab ? tab.id : null;
+  let navigated = false;
+
+  const send = async (url, message, options) => {
+    tabId = await loadInTab(tabId, url);
+    navigated = true;
+    const response = await sendToContentScript(tabId, message, options);
+    return response ? response.data : null;
+  };
+
+  try {
+    return await task({ send });
+  } finally {
+    if (tab) {
+      if (navigated) {
+        await chrome.tabs.update(tab.id, { url: tab.url }).catch(error => {
+          console.warn('Could not restore LinkedIn tab:', error);
+        });
+      }
+    } else if (tabId !== null) {
+      await chrome.tabs.remove(tabId).catch(error => {
+        console.warn('Could not close background tab:', error);
+      });
+    }
+  }
+}
+
+/**
+ * Find a LinkedIn tab a job can use instead of opening one: a tab of the site
+ * sandbox mode points to, that the user is not looking at and that runs no
+ * automation
+ * @returns {Promise<Object|null>} The tab, or null if there is none
+ */
+export async function findIdleLinkedInTab() {
+  const sandboxMode = await isSandboxMode();
+  const tabs = await chrome.tabs.query({ active: false });
+
+  for (const tab of tabs) {
+    if (isLinkedInTabUrl(tab.url) && isSandboxUrl(tab.url) === sandboxMode && (await isIdle(tab))) {
+      return tab;
+    }
+  }
+  return null;
+}
+
+// Helper Functions
+
+// Navigates the tab, or opens one when tabId is null, and resolves with its ID once loaded
+function loadInTab(tabId, url) {
+  let targetId = tabId;
+
+  return new Promise((resolve, reject) => {
+    const listener = (updatedTabId, changeInfo) => {
+      if (updatedTabId === targetId && changeInfo.status === 'complete') {
+        finish();
+        resolve(targetId);
+      }
+    };
+    const timer = setTimeout(() => {
+      finish();
+      reject(new Error(`${url} did not load within ${PAGE_LOAD_TIMEOUT}ms`));
+    }, PAGE_LOAD_TIMEOUT);
+
+    function finish() {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(listener);
+    }
+
+    // Listen before navigating so a fast load is not missed
+    chrome.tabs.onUpdated.addListener(listener);
+
+    navigate(targetId, url)
+      .then(tab => {
+        targetId = tab.id;
+      })
+      .catch(error => {
+        finish();
+        reject(error);
+      });
+  });
+}
+
+// In sandbox mode LinkedIn URLs open their page of the mock site
+async function navigate(tabId, url) {
+  const pageUrl = await resolveLinkedInUrl(url);
+
+  return tabId === null
+    ? chrome.tabs.create({ url: pageUrl, active: false })
+    : chrome.tabs.update(tabId, { url: pageUrl });
+}
+
+// Tabs without a content script, or that do not answer, are left alone
+async function isIdle(tab) {
+  try {
+    const response = await sendToContentScript(tab.id, createMessage(MESSAGE_TYPES.GET_PAGE_INFO), {
+      inject: false,
+      retries: 0
+    });
+    return !response.data.isAutomationActive;
+  } catch (error) {
+    return false;
+  }
+}
@@ -0,0 +1,131 @@
+// Event Hub for the Background Service Worker
+// Relays live automation events between stream ports
+
+import { STREAM_EVENTS, STREAM_FRAMES, STREAM_PORT_NAME } from '../utils/messaging.js';
+import { getSenderContext } from './message-router.js';
+
+const EVENT_TYPES = Object.values(STREAM_EVENTS);
+
+/**
+ * Fan-out hub for stream ports
+ */
+export class EventHub {
+  constructor() {
+    this.ports = new Map();
+    this.listeners = new Map();
+  }
+
+  /**
+   * Start accepting stream ports
+   * @returns {Function} Cleanup function
+   */
+  listen() {
+    const listener = port => this.handleConnect(port);
+
+    chrome.runtime.onConnect.addListener(listener);
+    return () => chrome.runtime.onConnect.removeListener(listener);
+  }
+
+  /**
+   * Listen for events inside the service worker
+   * @param {string|string[]} eventTypes - STREAM_EVENTS types, or '*' for all
+   * @param {Function} listener - Receives each event
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(eventTypes, listener) {
+    const types = Array.isArray(eventTypes) ? eventTypes : [eventTypes];
+
+    types.forEach(type => {
+      if (!this.listeners.has(type)) {
+        this.listeners.set(type, new Set());
+      }
+      this.listeners.get(type).add(listener);
+    });
+
+    return () => types.forEach(type => this.listeners.get(type)?.delete(listener));
+  }
+
+  /**
+   * Deliver an event to subscribed ports and local listeners
+   * @param {string} type - Event type from STREAM_EVENTS
+   * @param {Object} data - Event data
+   * @param {Object} meta - Event metadata
+   * @param {number} meta.tabId - Tab the event came from
+   * @param {number} meta.timestamp - When the event happened
+   * @returns {Object|null} Delivered event, or null for unknown types
+   */
+  publish(type, data = null, meta = {}) {
+    if (!EVENT_TYPES.includes(type)) {
+      console.warn('Dropped unknown stream event:', type);
+      return null;
+    }
+
+    const event = {
+      type,
+      data,
+      tabId: meta.tabId ?? null,
+      timestamp: meta.timestamp || Date.now()
+    };
+
+    this.ports.forEach((eventTypes, port) => {
+      if (eventTypes.has(type) || eventTypes.has('*')) {
+        try {
+          port.postMessage({ type: STREAM_FRAMES.EVENT, event });
+        } catch (error) {
+          this.ports.delete(port);
+        }
+      }
+    });
+
+    [...(this.listeners.get(type) || []), ...(this.listeners.get('*') || [])].forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Event hub listener error:', error);
+      }
+    });
+
+    return event;
+  }
+
+  handleConnect(port) {
+    if (port.name !== STREAM_PORT_NAME) {
+      return;
+    }
+
+    if (!getSenderContext(port.sender)) {
+      console.warn('Rejected stream port from unknown sender:', port.sender && port.sender.url);
+      port.disconnect();
+      return;
+    }
+
+    this.ports.set(port, new Set());
+    port.onMessage.addListener(frame => this.handleFrame(port, frame));
+    port.onDisconnect.addListener(() => this.ports.delete(port));
+  }
+
+  handleFrame(port, frame) {
+    const type = frame && frame.type;
+
+    if (type === STREAM_FRAMES.PING) {
+      port.postMessage({ type: STREAM_FRAMES.PONG });
+    } else if (type === STREAM_FRAMES.SUBSCRIBE) {
+      this.ports.set(port, new Set(Array.isArray(frame.eventTypes) ? frame.eventTypes : []));
+    } else if (type === STREAM_FRAMES.EVENT && frame.event) {
+      this.publish(frame.event.type, frame.event.data, {
+        tabId: port.sender.tab ? port.sender.tab.id : null,
+        timestamp: frame.event.timestamp
+      });
+    } else {
+      console.warn('Unknown stream frame:', type);
+    }
+  }
+}
+
+/**
+ * Create event hub instance
+ * @returns {EventHub} Event hub instance
+ */
+export function createEventHub() {
+  return new EventHub();
+}
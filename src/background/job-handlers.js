@@ -0,0 +1,183 @@
+// Job Handlers for the Background Service Worker
+// One handler per JOB_TYPES entry, registered on the job runner
+
+import { JOB_TYPES, updateJob } from '../utils/job-scheduler.js';
+import { getCampaigns, setCampaignStatus, CAMPAIGN_STATUS } from '../utils/campaign-management.js';
+import { FOLLOWUP_STATUS } from '../utils/response-tracking.js';
+import { NETWORK_PAGES, reconcileInvitations } from '../utils/invitation-sync.js';
+import { getReportingSystem, getResponseTrackingSystem } from './system-instances.js';
+import { getCleanupPolicy } from '../utils/invitation-cleanup.js';
+import { readNetworkList, readSentInvitations, withdrawStaleInvitations } from './network-pages.js';
+import { withBackgroundTab, findIdleLinkedInTab } from './background-tab.js';
+import { createMessage, MESSAGE_TYPES } from '../utils/messaging.js';
+import { INBOX_URL } from '../utils/inbox-scanner.js';
+import { areRecordFieldsSealed } from '../utils/field-encryption.js';
+import { VaultLockedError } from '../utils/encryption.js';
+import { getSettings } from '../utils/storage.js';
+
+// Sending a message types it character by character, then waits for it to
+// show up in the thread
+const SEND_MESSAGE_TIMEOUT = 30 * 1000;
+const KEYSTROKE_TIMEOUT = 500;
+
+// Follow-ups due while the vault is locked are checked again this often
+const VAULT_LOCKED_DELAY = 15 * 60 * 1000;
+
+/**
+ * Register handlers for every job type
+ * @param {JobRunner} runner - Runner to register on
+ * @returns {JobRunner} The runner
+ */
+export function registerJobHandlers(runner) {
+  return runner
+    .register(JOB_TYPES.SCHEDULED_REPORT, runScheduledReport)
+    .register(JOB_TYPES.FOLLOWUP, runFollowup)
+    .register(JOB_TYPES.CAMPAIGN_START, startScheduledCampaign)
+    .register(JOB_TYPES.RESPONSE_SCAN, scanInbox)
+    .register(JOB_TYPES.INVITATION_SYNC, syncInvitations)
+    .register(JOB_TYPES.INVITATION_CLEANUP, cleanUpInvitations);
+}
+
+// Helper Functions
+
+async function runScheduledReport({ scheduleId }) {
+  const reporting = await getReportingSystem();
+  const schedule = reporting.scheduledReports.get(scheduleId);
+
+  // Deleted or paused schedules end the job
+  if (!schedule || !schedule.isActive) {
+    return null;
+  }
+
+  // The schedule may have been run by hand since the job was queued
+  if (schedule.nextRun <= Date.now()) {
+    await reporting.executeScheduledReport(schedule);
+  }
+
+  return { nextRunAt: schedule.nextRun };
+}
+
+async function runFollowup({ followupId }) {
+  const tracking = await getResponseTrackingSystem();
+  const conversation = tracking.findConversationByFollowupId(followupId);
+  const followup = conversation && conversation.followups.find(f => f.id === followupId);
+
+  // Cancelled or already handled follow-ups end the job
+  if (!followup || followup.status !== FOLLOWUP_STATUS.SCHEDULED) {
+    return null;
+  }
+
+  // Waiting for the vault does not use up the job's attempts
+  if (await areRecordFieldsSealed()) {
+    return { nextRunAt: Date.now() + VAULT_LOCKED_DELAY };
+  }
+
+  const result = await tracking.executeFollowup(followupId, {
+    sendMessage: ({ url, content }) =>
+      withBackgroundTab(tab =>
+        tab.send(url, createMessage(MESSAGE_TYPES.SEND_DIRECT_MESSAGE, { content }), {
+          timeout: SEND_MESSAGE_TIMEOUT + content.length * KEYSTROKE_TIMEOUT
+        })
+      )
+  });
+
+  // Nothing was sent, so the job runner may try again
+  if (result.status === 'retry') {
+    throw new Error(result.error || 'Follow-up could not be sent');
+  }
+
+  if (result.status === 'failed') {
+    // The follow-up is marked failed, so running the job again would not resend it
+    const error = new Error(result.error || 'Follow-up could not be sent');
+    error.retryable = false;
+    throw error;
+  }
+
+  return null;
+}
+
+// Scans run in a LinkedIn tab the user has open in the background; without
+// one, a tab is opened only once per `inboxScanIntervalMinutes`
+async function scanInbox(payload, job) {
+  const tracking = await getResponseTrackingSystem();
+
+  // Nothing to match replies against
+  if (tracking.conversations.size === 0) {
+    return null;
+  }
+
+  // Checked before a tab is opened; the job runs again at its next interval
+  if (await areRecordFieldsSealed()) {
+    throw new VaultLockedError('Vault is locked; the inbox is scanned once it is unlocked');
+  }
+
+  const tab = await findIdleLinkedInTab();
+  if (!tab) {
+    const { inboxScanIntervalMinutes } = await getSettings();
+    if (Date.now() - (payload.tabOpenedAt || 0) < inboxScanIntervalMinutes * 60 * 1000) {
+      return null;
+    }
+
+    // Recorded up front, so a failing scan does not open a tab on every run
+    await updateJob(job.id, { payload: { ...payload, tabOpenedAt: Date.now() } });
+  }
+
+  const result = await withBackgroundTab(
+    scanTab =>
+      tracking.scanForNewResponses({
+        listThreads: () => scanTab.send(INBOX_URL, createMessage(MESSAGE_TYPES.SCAN_INBOX)),
+        readThread: thread =>
+          scanTab.send(thread.threadUrl, createMessage(MESSAGE_TYPES.READ_THREAD))
+      }),
+    { tab }
+  );
+
+  console.log(
+    `Inbox scan: ${result.responses.length} new responses in ${result.opened} of ` +
+      `${result.listed} threads opened`
+  );
+  return null;
+}
+
+async function syncInvitations() {
+  const summary = await withBackgroundTab(async tab =>
+    reconcileInvitations({
+      sentInvitations: await readSentInvitations(tab),
+      connections: await readNetworkList(tab, NETWORK_PAGES.CONNECTIONS.url)
+    })
+  );
+
+  console.log(
+    `Invitation sync: ${summary.accepted} accepted, ${summary.withdrawn} withdrawn, ` +
+      `${summary.expired} expired of ${summary.checked} pending (${summary.sealed} sealed)`
+  );
+  return null;
+}
+
+async function cleanUpInvitations() {
+  const policy = await getCleanupPolicy();
+
+  // The job stays scheduled so turning the policy on needs no restart
+  if (!policy.enabled) {
+    return null;
+  }
+
+  const report = await withdrawStaleInvitations(policy);
+
+  console.log(
+    `Invitation cleanup: withdrew ${report.withdrawn} of ${report.stale} stale invitations, ` +
+      `freeing ${report.slotsFreed} slots (${report.kept} kept, ${report.deferred} deferred)`
+  );
+  return null;
+}
+
+async function startScheduledCampaign({ campaignId }) {
+  const campaigns = await getCampaigns();
+  const campaign = campaigns.find(c => c.id === campaignId);
+
+  if (campaign && campaign.status === CAMPAIGN_STATUS.SCHEDULED) {
+    await setCampaignStatus(campaignId, CAMPAIGN_STATUS.ACTIVE);
+  }
+
+  return null;
+}
@@ -0,0 +1,212 @@
+// Job Runner for the Background Service Worker
+// Fires persisted jobs with chrome.alarms, which survive service worker suspension
+
+import { getJobs, getJob, updateJob, JOB_STATUS } from '../utils/job-scheduler.js';
+import { STORAGE_KEYS } from '../utils/storage.js';
+
+const ALARM_PREFIX = 'job:';
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY = 5 * 60 * 1000; // 5 minutes
+const EARLY_TOLERANCE = 60 * 1000; // Alarms left over from a previous schedule fire early
+
+/**
+ * Runs scheduled jobs when their alarms fire
+ */
+export class JobRunner {
+  constructor() {
+    this.handlers = new Map();
+    this.running = new Set();
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type from JOB_TYPES
+   * @param {Function} handler - Receives (payload, job); may return { nextRunAt } to reschedule
+   * @returns {JobRunner} The runner, for chaining
+   */
+  register(type, handler) {
+    if (this.handlers.has(type)) {
+      throw new Error(`Handler already registered for job type ${type}`);
+    }
+
+    this.handlers.set(type, handler);
+    return this;
+  }
+
+  /**
+   * Listen for alarms and job changes, then catch up on runs missed while
+   * the browser was closed
+   * @returns {Promise<Array>} Results of the caught-up jobs
+   */
+  async start() {
+    chrome.alarms.onAlarm.addListener(alarm => {
+      if (alarm.name.startsWith(ALARM_PREFIX)) {
+        this.runJob(alarm.name.slice(ALARM_PREFIX.length));
+      }
+    });
+
+    // Jobs are scheduled from extension pages too; keep alarms in step with storage
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[STORAGE_KEYS.SCHEDULED_JOBS]) {
+        this.syncAlarms();
+      }
+    });
+
+    return this.catchUp();
+  }
+
+  /**
+   * Run every scheduled job whose time has passed, then re-create alarms
+   * @returns {Promise<Array>} Results of the jobs that ran
+   */
+  async catchUp() {
+    const now = Date.now();
+    const dueJobs = (await getJobs()).filter(
+      job => job.status === JOB_STATUS.SCHEDULED && job.runAt <= now
+    );
+    const results = [];
+
+    for (const job of dueJobs) {
+      results.push(await this.runJob(job.id, { caughtUp: true }));
+    }
+
+    await this.syncAlarms();
+    return results;
+  }
+
+  /**
+   * Make chrome.alarms match the scheduled jobs in storage
+   * @returns {Promise<void>}
+   */
+  async syncAlarms() {
+    try {
+      const jobs = await getJobs();
+      const alarms = await chrome.alarms.getAll();
+      const alarmTimes = new Map(alarms.map(alarm => [alarm.name, alarm.scheduledTime]));
+      const activeNames = new Set();
+
+      for (const job of jobs) {
+        if (job.status !== JOB_STATUS.SCHEDULED) {
+          continue;
+        }
+
+        const name = ALARM_PREFIX + job.id;
+        activeNames.add(name);
+
+        if (alarmTimes.get(name) !== job.runAt) {
+          await chrome.alarms.create(name, { when: job.runAt });
+        }
+      }
+
+      for (const name of alarmTimes.keys()) {
+        if (name.startsWith(ALARM_PREFIX) && !activeNames.has(name)) {
+          await chrome.alarms.clear(name);
+        }
+      }
+    } catch (error) {
+      console.error('Error syncing job alarms:', error);
+    }
+  }
+
+  /**
+   * Run a job now
+   * @param {string} jobId - Job ID
+   * @param {Object} options - Run options
+   * @param {boolean} options.force - Run even if the job is not scheduled or not yet due
+   * @param {boolean} options.caughtUp - The run was missed and is being caught up
+   * @returns {Promise<Object>} Run result
+   */
+  async runJob(jobId, options = {}) {
+    if (this.running.has(jobId)) {
+      return { jobId, status: 'skipped', reason: 'already_running' };
+    }
+
+    // Claim the job before any await so an alarm and a catch-up cannot both run it
+    this.running.add(jobId);
+
+    try {
+      const job = await getJob(jobId);
+      if (!job) {
+        return { jobId, status: 'skipped', reason: 'not_found' };
+      }
+      if (job.status !== JOB_STATUS.SCHEDULED && !options.force) {
+        return { jobId, status: 'skipped', reason: job.status };
+      }
+      if (job.runAt > Date.now() + EARLY_TOLERANCE && !options.force) {
+        return { jobId, status: 'skipped', reason: 'not_due' };
+      }
+
+      return await this.executeJob(job, options);
+    } finally {
+      this.running.delete(jobId);
+      await this.syncAlarms();
+    }
+  }
+
+  async executeJob(job, options) {
+    const jobId = job.id;
+
+    try {
+      const handler = this.handlers.get(job.type);
+      if (!handler) {
+        throw new Error(`No handler registered for job type ${job.type}`);
+      }
+
+      const result = (await handler(job.payload, job)) || {};
+      const nextRunAt =
+        result.nextRunAt ||
+        (job.intervalMinutes ? Date.now() + job.intervalMinutes * 60 * 1000 : null);
+
+      await updateJob(jobId, current => ({
+        status: nextRunAt ? JOB_STATUS.SCHEDULED : JOB_STATUS.COMPLETED,
+        runAt: nextRunAt || current.runAt,
+        attempts: 0,
+        runCount: current.runCount + 1,
+        lastRunAt: Date.now(),
+        lastError: null,
+        lastRunCaughtUp: Boolean(options.caughtUp)
+      }));
+
+      return { jobId, status: 'completed', nextRunAt };
+    } catch (error) {
+      console.error(`Error running job ${jobId}:`, error);
+
+      const updated = await updateJob(jobId, current => {
+        const attempts = current.attempts + 1;
+        // Recurring jobs keep their interval; one-off jobs back off and give up
+        if (current.intervalMinutes) {
+          return {
+            runAt: Date.now() + current.intervalMinutes * 60 * 1000,
+            attempts,
+            lastRunAt: Date.now(),
+            lastError: error.message
+          };
+        }
+
+        const retry = attempts < MAX_ATTEMPTS && error.retryable !== false;
+        return {
+          status: retry ? JOB_STATUS.SCHEDULED : JOB_STATUS.FAILED,
+          runAt: retry ? Date.now() + RETRY_DELAY * attempts : current.runAt,
+          attempts,
+          lastRunAt: Date.now(),
+          lastError: error.message
+        };
+      });
+
+      return {
+        jobId,
+        status: 'failed',
+        error: error.message,
+        willRetry: updated?.status === JOB_STATUS.SCHEDULED
+      };
+    }
+  }
+}
+
+/**
+ * Create job runner instance
+ * @returns {JobRunner} Job runner instance
+ */
+export function createJobRunner() {
+  return new JobRunner();
+}
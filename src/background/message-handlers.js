@@ -0,0 +1,409 @@
+// Message Handlers for the Background Service Worker
+// One handler per MESSAGE_TYPES entry, registered on the message router
+
+import {
+  getStorageData,
+  setStorageData,
+  removeStorageData,
+  appendStorageRecords,
+  applyStorageRecordChanges,
+  getSettings,
+  updateSettings,
+  STORAGE_KEYS
+} from '../utils/storage.js';
+import {
+  MESSAGE_TYPES,
+  ERROR_CODES,
+  createMessage,
+  getActiveLinkedInTab,
+  sendToContentScript
+} from '../utils/messaging.js';
+import { getAnalyticsSummary } from '../utils/analytics.js';
+import {
+  getMessageTemplates,
+  saveMessageTemplate,
+  updateMessageTemplate,
+  deleteMessageTemplate
+} from '../utils/message-templates.js';
+import {
+  getSearchProfiles,
+  createSearchProfile,
+  updateSearchProfile,
+  deleteSearchProfile
+} from '../utils/saved-search-profiles.js';
+import {
+  getConnectionQueue,
+  addToQueue,
+  removeFromQueue,
+  claimQueueBatch
+} from '../utils/connection-queue.js';
+import {
+  getCampaigns,
+  saveCampaign,
+  deleteCampaign,
+  setCampaignStatus,
+  CAMPAIGN_STATUS
+} from '../utils/campaign-management.js';
+import {
+  getConnectionRecords,
+  updateConnectionStatus,
+  addConnectionNote,
+  updateConnectionTags,
+  scheduleFollowUp
+} from '../utils/connection-management.js';
+import { getProfileCrm } from '../utils/profile-crm.js';
+import { isIndexedKey } from '../utils/indexed-db-store.js';
+import { getJobs, cancelJob } from '../utils/job-scheduler.js';
+import {
+  getSearchCrawls,
+  startSearchCrawl,
+  pauseSearchCrawl,
+  resumeSearchCrawl
+} from '../utils/search-crawler.js';
+import { getCleanupPolicy } from '../utils/invitation-cleanup.js';
+import {
+  getVaultStatus,
+  setupVault,
+  unlockVault,
+  lockVault,
+  rotateVaultKey,
+  changeVaultPassphrase
+} from '../utils/encryption.js';
+import { SENDER_CONTEXTS } from './message-router.js';
+import { getReportingSystem } from './system-instances.js';
+import { withdrawStaleInvitations } from './network-pages.js';
+import { resolveLinkedInUrl } from '../utils/sandbox.js';
+
+const EXTENSION_ONLY = { senders: [SENDER_CONTEXTS.EXTENSION] };
+
+/**
+ * Register handlers for every message type
+ * @param {MessageRouter} router - Router to register on
+ * @param {Object} services - Background services used by handlers
+ * @param {JobRunner} services.jobRunner - Runner for RUN_JOB
+ * @returns {MessageRouter} The router
+ */
+export function registerMessageHandlers(router, services = {}) {
+  // Settings and analytics
+  router
+    .register(MESSAGE_TYPES.GET_SETTINGS, () => getSettings())
+    .register(
+      MESSAGE_TYPES.UPDATE_SETTINGS,
+      async settings => {
+        await updateSettings(settings);
+        return getSettings();
+      },
+      EXTENSION_ONLY
+    )
+    .register(MESSAGE_TYPES.LOG_ANALYTICS, async analyticsData => {
+      await appendStorageRecords(STORAGE_KEYS.ANALYTICS, [
+        { ...analyticsData, timestamp: Date.now() }
+      ]);
+    })
+    .register(MESSAGE_TYPES.GET_ANALYTICS, async () => {
+      const result = await getStorageData(STORAGE_KEYS.ANALYTICS);
+      return result.analytics || [];
+    })
+    .register(MESSAGE_TYPES.GET_ANALYTICS_SUMMARY, ({ days }) => getAnalyticsSummary(days));
+
+  // Storage proxy for content scripts, which cannot reach the extension's IndexedDB.
+  // Only the IndexedDB record stores are served; settings, the vault and the
+  // rest of chrome.storage stay out of reach of page-facing senders.
+  router
+    .register(MESSAGE_TYPES.STORAGE_GET, ({ keys }) => getStorageData(checkRecordStores(keys)))
+    .register(MESSAGE_TYPES.STORAGE_SET, ({ data }) => {
+      checkRecordStores(Object.keys(data));
+      return setStorageData(data);
+    })
+    .register(MESSAGE_TYPES.STORAGE_REMOVE, ({ keys }) =>
+      removeStorageData(checkRecordStores(keys))
+    )
+    .register(MESSAGE_TYPES.STORAGE_APPEND, ({ key, records, options }) => {
+      checkRecordStores([key]);
+      return appendStorageRecords(key, records, options);
+    })
+    .register(MESSAGE_TYPES.STORAGE_UPDATE_RECORDS, ({ key, put, remove }) => {
+      checkRecordStores([key]);
+      return applyStorageRecordChanges(key, { put, remove });
+    });
+
+  // Automation commands from extension pages, forwarded to the LinkedIn tab
+  [
+    MESSAGE_TYPES.START_AUTOMATION,
+    MESSAGE_TYPES.STOP_AUTOMATION,
+    MESSAGE_TYPES.GET_PAGE_INFO,
+    MESSAGE_TYPES.SEND_CONNECTION_REQUEST,
+    MESSAGE_TYPES.GET_SEARCH_RESULTS,
+    MESSAGE_TYPES.GET_PROFILE_DETAILS,
+    MESSAGE_TYPES.RUN_SELECTOR_SELF_TEST,
+    MESSAGE_TYPES.SCAN_NETWORK_PAGE,
+    MESSAGE_TYPES.WITHDRAW_INVITATIONS,
+    MESSAGE_TYPES.SCAN_INBOX,
+    MESSAGE_TYPES.READ_THREAD,
+    MESSAGE_TYPES.SEND_DIRECT_MESSAGE,
+    MESSAGE_TYPES.SAVE_SALES_LEAD,
+    MESSAGE_TYPES.COLLECT_PROSPECTS
+  ].forEach(type => {
+    router.register(type, forwardToContentScript, EXTENSION_ONLY);
+  });
+
+  // Templates
+  router
+    .register(MESSAGE_TYPES.GET_TEMPLATES, () => getMessageTemplates())
+    .register(
+      MESSAGE_TYPES.SAVE_TEMPLATE,
+      async ({ template }) => {
+        const templates = await getMessageTemplates();
+        return template.id && templates.some(t => t.id === template.id)
+          ? updateMessageTemplate(template.id, template)
+          : saveMessageTemplate(template);
+      },
+      EXTENSION_ONLY
+    )
+    .register(
+      MESSAGE_TYPES.DELETE_TEMPLATE,
+      ({ templateId }) => deleteMessageTemplate(templateId),
+      EXTENSION_ONLY
+    );
+
+  // Saved searches
+  router
+    .register(MESSAGE_TYPES.GET_SAVED_SEARCHES, ({ options }) => getSearchProfiles(options))
+    .register(
+      MESSAGE_TYPES.SAVE_SEARCH,
+      ({ profile }) =>
+        profile.id ? updateSearchProfile(profile.id, profile) : createSearchProfile(profile),
+      EXTENSION_ONLY
+    )
+    .register(
+      MESSAGE_TYPES.DELETE_SEARCH,
+      async ({ profileId }) => {
+        if (!(await deleteSearchProfile(profileId))) {
+          throw new Error(`Search profile with ID ${profileId} not found`);
+        }
+        return true;
+      },
+      EXTENSION_ONLY
+    );
+
+  // Search crawls; the content script picks a running crawl up when its page loads
+  router
+    .register(MESSAGE_TYPES.GET_SEARCH_CRAWLS, () => getSearchCrawls(), EXTENSION_ONLY)
+    .register(
+      MESSAGE_TYPES.START_SEARCH_CRAWL,
+      async ({ searchProfileId, maxPages, maxProfiles }) => {
+        const crawl = await startSearchCrawl(searchProfileId, { maxPages, maxProfiles });
+        await openInLinkedInTab(crawl.pageUrl);
+        return crawl;
+      },
+      EXTENSION_ONLY
+    )
+    .register(
+      MESSAGE_TYPES.PAUSE_SEARCH_CRAWL,
+      async ({ searchProfileId }) => {
+        const crawl = await pauseSearchCrawl(searchProfileId);
+        if (!crawl) {
+          throw new Error(`No running crawl for search profile ${searchProfileId}`);
+        }
+        return crawl;
+      },
+      EXTENSION_ONLY
+    )
+    .register(
+      MESSAGE_TYPES.RESUME_SEARCH_CRAWL,
+      async ({ searchProfileId }) => {
+        const crawl = await resumeSearchCrawl(searchProfileId);
+        if (!crawl) {
+          throw new Error(`No paused crawl for search profile ${searchProfileId}`);
+        }
+        await openInLinkedInTab(crawl.pageUrl);
+        return crawl;
+      },
+      EXTENSION_ONLY
+    );
+
+  // Connection queue
+  router
+    .register(MESSAGE_TYPES.GET_CONNECTION_QUEUE, () => getConnectionQueue())
+    .register(MESSAGE_TYPES.ADD_TO_QUEUE, ({ profiles }) => addToQueue(profiles))
+    .register(MESSAGE_TYPES.REMOVE_FROM_QUEUE, async ({ ids }) => ({
+      removed: await removeFromQueue(ids)
+    }))
+    .register(MESSAGE_TYPES.PROCESS_QUEUE, async ({ limit }) => {
+      const settings = await getSettings();
+      return claimQueueBatch(Math.min(limit || Infinity, settings.connectionRequestsPerDay));
+    })
+    .register(
+      MESSAGE_TYPES.QUEUE_PROSPECTS,
+      async ({ tabId, source, campaignId }) => {
+        const collected = await forwardToContentScript(
+          { tabId },
+          createMessage(MESSAGE_TYPES.COLLECT_PROSPECTS, { tabId, source })
+        );
+        const profiles = collected.profiles
+          .filter(profile => profile.canConnect)
+          .map(profile => ({ ...profile, campaignId: campaignId || null }));
+
+        return { ...(await addToQueue(profiles)), found: collected.profiles.length };
+      },
+      EXTENSION_ONLY
+    );
+
+  // Campaigns
+  router
+    .register(MESSAGE_TYPES.GET_CAMPAIGNS, () => getCampaigns())
+    .register(MESSAGE_TYPES.SAVE_CAMPAIGN, ({ campaign }) => saveCampaign(campaign), EXTENSION_ONLY)
+    .register(
+      MESSAGE_TYPES.DELETE_CAMPAIGN,
+      ({ campaignId }) => deleteCampaign(campaignId),
+      EXTENSION_ONLY
+    )
+    .register(
+      MESSAGE_TYPES.START_CAMPAIGN,
+      ({ campaignId }) => setCampaignStatus(campaignId, CAMPAIGN_STATUS.ACTIVE),
+      EXTENSION_ONLY
+    )
+    .register(
+      MESSAGE_TYPES.PAUSE_CAMPAIGN,
+      ({ campaignId }) => setCampaignStatus(campaignId, CAMPAIGN_STATUS.PAUSED),
+      EXTENSION_ONLY
+    );
+
+  // Connections
+  router
+    .register(MESSAGE_TYPES.GET_CONNECTIONS, ({ options }) => getConnectionRecords(options))
+    .register(MESSAGE_TYPES.UPDATE_CONNECTION_STATUS, ({ connectionId, status, updateData }) =>
+      updateConnectionStatus(connectionId, status, updateData)
+    )
+    .register(MESSAGE_TYPES.ADD_CONNECTION_NOTE, async ({ connectionId, note }) => {
+      if (!(await addConnectionNote(connectionId, note))) {
+        throw new Error(`Could not add note to connection ${connectionId}`);
+      }
+      return true;
+    })
+    .register(MESSAGE_TYPES.UPDATE_CONNECTION_TAGS, async ({ connectionId, tags }) => {
+      if (!(await updateConnectionTags(connectionId, tags))) {
+        throw new Error(`Could not update tags of connection ${connectionId}`);
+      }
+      return true;
+    })
+    .register(MESSAGE_TYPES.SCHEDULE_FOLLOW_UP, ({ connectionId, followUp }) =>
+      scheduleFollowUp(connectionId, followUp)
+    )
+    .register(MESSAGE_TYPES.GET_PROFILE_CRM, ({ profileUrl }) => getProfileCrm(profileUrl))
+    .register(
+      MESSAGE_TYPES.WITHDRAW_STALE_INVITATIONS,
+      async ({ withdrawAfterDays }) => {
+        const policy = await getCleanupPolicy();
+        return withdrawStaleInvitations({
+          ...policy,
+          withdrawAfterDays: withdrawAfterDays || policy.withdrawAfterDays
+        });
+      },
+      EXTENSION_ONLY
+    );
+
+  // Reports
+  router
+    .register(MESSAGE_TYPES.GET_REPORTS, async ({ options }) => {
+      const reporting = await getReportingSystem();
+      return reporting.getReportHistory(options);
+    })
+    .register(
+      MESSAGE_TYPES.GENERATE_REPORT,
+      async ({ templateId, options }) => {
+        const reporting = await getReportingSystem();
+        return reporting.generateReport(templateId, options);
+      },
+      EXTENSION_ONLY
+    );
+
+  // Scheduled jobs
+  router
+    .register(MESSAGE_TYPES.GET_JOBS, () => getJobs(), EXTENSION_ONLY)
+    .register(
+      MESSAGE_TYPES.RUN_JOB,
+      ({ jobId }) => {
+        if (!services.jobRunner) {
+          throw new Error('Job runner is not available');
+        }
+        return services.jobRunner.runJob(jobId, { force: true });
+      },
+      EXTENSION_ONLY
+    )
+    .register(
+      MESSAGE_TYPES.CANCEL_JOB,
+      async ({ jobId }) => {
+        if (!(await cancelJob(jobId))) {
+          throw new Error(`Scheduled job with ID ${jobId} not found`);
+        }
+        return true;
+      },
+      EXTENSION_ONLY
+    );
+
+  // Encryption vault; passphrases are only accepted from extension pages
+  router
+    .register(MESSAGE_TYPES.GET_VAULT_STATUS, () => getVaultStatus(), EXTENSION_ONLY)
+    .register(MESSAGE_TYPES.SETUP_VAULT, ({ passphrase }) => setupVault(passphrase), EXTENSION_ONLY)
+    .register(
+      MESSAGE_TYPES.UNLOCK_VAULT,
+      ({ passphrase }) => unlockVault(passphrase),
+      EXTENSION_ONLY
+    )
+    .register(
+      MESSAGE_TYPES.LOCK_VAULT,
+      async () => {
+        await lockVault();
+        return getVaultStatus();
+      },
+      EXTENSION_ONLY
+    )
+    .register(
+      MESSAGE_TYPES.ROTATE_VAULT_KEY,
+      ({ passphrase }) => rotateVaultKey(passphrase),
+      EXTENSION_ONLY
+    )
+    .register(
+      MESSAGE_TYPES.CHANGE_VAULT_PASSPHRASE,
+      ({ currentPassphrase, newPassphrase }) =>
+        changeVaultPassphrase(currentPassphrase, newPassphrase),
+      EXTENSION_ONLY
+    );
+
+  return router;
+}
+
+// Helper Functions
+
+function checkRecordStores(keys) {
+  const rejected = keys.filter(key => !isIndexedKey(key));
+  if (rejected.length > 0) {
+    throw new Error(`Not a record store: ${rejected.join(', ')}`);
+  }
+  return keys;
+}
+
+async function forwardToContentScript(data, message) {
+  const tabId = data.tabId || (await getActiveLinkedInTab())?.id;
+
+  if (!tabId) {
+    const error = new Error('No LinkedIn tab is open');
+    error.code = ERROR_CODES.NO_LINKEDIN_TAB;
+    throw error;
+  }
+
+  const response = await sendToContentScript(tabId, message);
+  return response ? response.data : null;
+}
+
+async function openInLinkedInTab(url) {
+  const tab = await getActiveLinkedInTab();
+  const pageUrl = await resolveLinkedInUrl(url);
+
+  if (tab) {
+    await chrome.tabs.update(tab.id, { url: pageUrl, active: true });
+  } else {
+    await chrome.tabs.create({ url: pageUrl });
+  }
+}
@@ -0,0 +1,202 @@
+// Message Router for the Background Service Worker
+// Dispatches typed messages to registered handlers with validation and sender checks
+
+import {
+  createResponse,
+  validateMessage,
+  formatMessageTag,
+  ERROR_CODES
+} from '../utils/messaging.js';
+import { isSandboxUrl } from '../utils/sandbox.js';
+
+/**
+ * Contexts a message can come from
+ */
+export const SENDER_CONTEXTS = {
+  EXTENSION: 'extension', // popup, dashboards and other extension pages
+  CONTENT: 'content' // content scripts running on LinkedIn or its sandbox mock
+};
+
+const ALL_CONTEXTS = Object.values(SENDER_CONTEXTS);
+
+/**
+ * Typed message router
+ */
+export class MessageRouter {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  /**
+   * Register a handler for a message type
+   * @param {string} type - Message type from MESSAGE_TYPES
+   * @param {Function} handler - Receives (data, message, sender) and returns the response data
+   * @param {Object} options - Handler options
+   * @param {string[]} options.senders - Allowed SENDER_CONTEXTS (defaults to all)
+   * @returns {MessageRouter} The router, for chaining
+   */
+  register(type, handler, options = {}) {
+    if (this.handlers.has(type)) {
+      throw new Error(`Handler already registered for ${type}`);
+    }
+
+    this.handlers.set(type, {
+      handler,
+      senders: options.senders || ALL_CONTEXTS
+    });
+    return this;
+  }
+
+  /**
+   * Check whether a message type has a handler
+   * @param {string} type - Message type
+   * @returns {boolean} True if registered
+   */
+  has(type) {
+    return this.handlers.has(type);
+  }
+
+  /**
+   * Route a message to its handler
+   * @param {Object} message - Incoming message
+   * @param {Object} sender - chrome.runtime.MessageSender
+   * @returns {Promise<Object>} Response created with createResponse
+   */
+  async route(message, sender) {
+    const messageId = message && message.id ? message.id : null;
+    const context = getSenderContext(sender);
+
+    if (!context) {
+      console.warn(
+        `${formatMessageTag(message)} Rejected message from unknown sender:`,
+        sender && (sender.url || sender.id)
+      );
+      return createResponse(
+        false,
+        null,
+        { code: ERROR_CODES.UNAUTHORIZED_SENDER, message: 'Unknown sender' },
+        messageId
+      );
+    }
+
+    const entry = message ? this.handlers.get(message.type) : null;
+    if (!entry) {
+      console.warn(`${formatMessageTag(message)} Unknown message type`);
+      return createResponse(
+        false,
+        null,
+        {
+          code: ERROR_CODES.UNKNOWN_MESSAGE_TYPE,
+          message: `Unknown message type: ${message && message.type}`
+        },
+        messageId
+      );
+    }
+
+    if (!entry.senders.includes(context)) {
+      return createResponse(
+        false,
+        null,
+        {
+          code: ERROR_CODES.UNAUTHORIZED_SENDER,
+          message: `${message.type} is not allowed from ${context} scripts`
+        },
+        messageId
+      );
+    }
+
+    const validation = validateMessage(message);
+    if (!validation.valid) {
+      return createResponse(
+        false,
+        null,
+        {
+          code: ERROR_CODES.INVALID_PAYLOAD,
+          message: `Invalid ${message.type} payload: ${validation.errors.join(', ')}`,
+          details: validation.errors
+        },
+        messageId
+      );
+    }
+
+    try {
+      const data = await entry.handler(message.data || {}, message, sender);
+      return createResponse(true, data === undefined ? null : data, null, messageId);
+    } catch (error) {
+      console.error(`${formatMessageTag(message)} Handler failed:`, error);
+      return createResponse(
+        false,
+        null,
+        { code: error.code || ERROR_CODES.HANDLER_ERROR, message: error.message },
+        messageId
+      );
+    }
+  }
+
+  /**
+   * Start routing chrome.runtime messages
+   * @returns {Function} Cleanup function
+   */
+  listen() {
+    const listener = (message, sender, sendResponse) => {
+      this.route(message, sender).then(sendResponse);
+      return true; // Indicates we will send a response asynchronously
+    };
+
+    chrome.runtime.onMessage.addListener(listener);
+    return () => chrome.runtime.onMessage.removeListener(listener);
+  }
+}
+
+/**
+ * Classify a message sender.
+ * Only this extension's own pages and its content scripts on LinkedIn are
+ * accepted; other extensions and web pages get null. Sandbox pages count as
+ * content scripts.
+ * @param {Object} sender - chrome.runtime.MessageSender
+ * @returns {string|null} One of SENDER_CONTEXTS or null
+ */
+export function getSenderContext(sender) {
+  if (!sender || sender.id !== chrome.runtime.id) {
+    return null;
+  }
+
+  const url = sender.url || (sender.tab && sender.tab.url) || '';
+
+  // Sandbox pages are extension pages, but the content script they run must
+  // get no more than it gets on linkedin.com
+  if (isSandboxUrl(url)) {
+    return sender.tab ? SENDER_CONTEXTS.CONTENT : null;
+  }
+
+  if (url.startsWith(chrome.runtime.getURL(''))) {
+    return SENDER_CONTEXTS.EXTENSION;
+  }
+
+  if (sender.tab && isLinkedInUrl(url)) {
+    return SENDER_CONTEXTS.CONTENT;
+  }
+
+  return null;
+}
+
+/**
+ * Create message router instance
+ * @returns {MessageRouter} Router instance
+ */
+export function createMessageRouter() {
+  return new MessageRouter();
+}
+
+// Helper Functions
+
+function isLinkedInUrl(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return (
+      protocol === 'https:' && (hostname === 'linkedin.com' || hostname.endsWith('.linkedin.com'))
+    );
+  } catch (error) {
+    return false;
+  }
+}
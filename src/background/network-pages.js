@@ -0,0 +1,112 @@
+// My Network Pages Driven from the Background
+// Has the content script read the Sent invitations and Connections pages, or
+// act on them, in a background tab
+
+import { createMessage, MESSAGE_TYPES } from '../utils/messaging.js';
+import { NETWORK_PAGES } from '../utils/invitation-sync.js';
+import {
+  getCleanupPolicy,
+  selectStaleInvitations,
+  recordWithdrawals
+} from '../utils/invitation-cleanup.js';
+import { buildPageUrl } from '../utils/search-crawler.js';
+import { createRateLimitTracker } from '../utils/safety-compliance.js';
+import { withBackgroundTab } from './background-tab.js';
+
+// Sent invitations are paginated, newest first
+const MAX_SENT_INVITATION_PAGES = 10;
+
+// Withdrawals wait a human-like delay between each other
+const WITHDRAWAL_TIMEOUT = 30 * 1000;
+
+/**
+ * Read a My Network list page in a background tab
+ * @param {Object} tab - Tab helpers from withBackgroundTab
+ * @param {string} url - Page URL
+ * @returns {Promise<Object>} Scan, see readNetworkPage
+ */
+export function readNetworkList(tab, url) {
+  return tab.send(url, createMessage(MESSAGE_TYPES.SCAN_NETWORK_PAGE));
+}
+
+/**
+ * Read the Sent invitations pages into one scan, each card noting its page
+ * @param {Object} tab - Tab helpers from withBackgroundTab
+ * @returns {Promise<Object>} Scan, complete when the last page was reached
+ */
+export async function readSentInvitations(tab) {
+  const cards = [];
+  let scan = null;
+
+  for (let page = 1; page <= MAX_SENT_INVITATION_PAGES; page++) {
+    scan = await readNetworkList(tab, buildPageUrl(NETWORK_PAGES.SENT_INVITATIONS.url, page));
+
+    // A page that did not render ends the scan; the pages before it still count
+    if (!scan.cards) {
+      return page === 1 ? scan : { ...scan, cards, complete: false };
+    }
+
+    cards.push(...scan.cards.map(card => ({ ...card, page })));
+
+    if (scan.complete) {
+      break;
+    }
+  }
+
+  return { ...scan, cards };
+}
+
+/**
+ * Withdraw the sent invitations the cleanup policy finds stale, within the
+ * withdrawal rate limits
+ * @param {Object} policy - Cleanup policy, defaults to the saved one
+ * @returns {Promise<Object>} Report of the run, including the invitation slots freed
+ */
+export async function withdrawStaleInvitations(policy = null) {
+  const cleanupPolicy = policy || (await getCleanupPolicy());
+  const limit = await createRateLimitTracker().checkWithdrawalLimit();
+  const allowed = limit.allowed ? Math.min(limit.remainingDaily, limit.remainingHourly) : 0;
+
+  return withBackgroundTab(async tab => {
+    const scan = await readSentInvitations(tab);
+
+    if (!scan.cards) {
+      throw new Error('The Sent invitations page did not load');
+    }
+
+    const { stale, kept } = await selectStaleInvitations(scan, cleanupPolicy);
+    const batch = stale.slice(0, allowed);
+    const withdrawn = [];
+    const failed = [];
+
+    // Last page first, so withdrawing does not shift cards on pages still to visit
+    const pages = [...new Set(batch.map(invitation => invitation.page))].sort((a, b) => b - a);
+
+    for (const page of pages) {
+      const profileSlugs = batch.filter(i => i.page === page).map(i => i.profileSlug);
+      const result = await tab.send(
+        buildPageUrl(NETWORK_PAGES.SENT_INVITATIONS.url, page),
+        createMessage(MESSAGE_TYPES.WITHDRAW_INVITATIONS, { profileSlugs }),
+        { timeout: WITHDRAWAL_TIMEOUT * profileSlugs.length }
+      );
+
+      await recordWithdrawals(result.withdrawn, batch);
+      withdrawn.push(...result.withdrawn);
+      failed.push(...result.failed);
+    }
+
+    return {
+      checked: scan.cards.length,
+      complete: scan.complete,
+      stale: stale.length,
+      kept: kept.length,
+      withdrawn: withdrawn.length,
+      failed,
+      deferred: stale.length - batch.length,
+      deferredReason:
+        stale.length > batch.length ? limit.message || 'Withdrawal limit reached' : null,
+      slotsFreed: withdrawn.length,
+      finishedAt: Date.now()
+    };
+  });
+}
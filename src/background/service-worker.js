@@ -1,11 +1,23 @@
 // Background service worker for LinkedIn Chrome Extension
 // import browser from 'webextension-polyfill';
+import { runMigrations, markSchemaCurrent } from '../utils/storage-migrations.js';
+import { moveLegacyDataToIndexedStore } from '../utils/storage.js';
+import { createMessageRouter } from './message-router.js';
+import { registerMessageHandlers } from './message-handlers.js';
+import { createJobRunner } from './job-runner.js';
+import { ensureJob, JOB_TYPES } from '../utils/job-scheduler.js';
+import { registerJobHandlers } from './job-handlers.js';
+import { createEventHub } from './event-hub.js';
+import { STREAM_EVENTS } from '../utils/messaging.js';
 
 // Initialize extension
 chrome.runtime.onInstalled.addListener(details => {
   if (details.reason === 'install') {
     console.log('LinkedIn Extension installed');
     initializeExtension();
+  } else if (details.reason === 'update') {
+    console.log('LinkedIn Extension updated from', details.previousVersion);
+    migrateStoredData();
   }
 });
 
@@ -21,75 +33,84 @@ async function initializeExtension() {
     };
 
     await chrome.storage.local.set({ settings: defaultSettings });
+    await markSchemaCurrent();
     console.log('Default settings initialized');
   } catch (error) {
     console.error('Error initializing extension:', error);
   }
 }
 
-// Handle messages from content scripts and popup
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  switch (message.type) {
-    case 'GET_SETTINGS':
-      handleGetSettings(sendResponse);
-      break;
-    case 'UPDATE_SETTINGS':
-      handleUpdateSettings(message.data, sendResponse);
-      break;
-    case 'LOG_ANALYTICS':
-      handleLogAnalytics(message.data, sendResponse);
-      break;
-    case 'GET_ANALYTICS':
-      handleGetAnalytics(sendResponse);
-      break;
-    default:
-      console.warn('Unknown message type:', message.type);
-  }
-  return true; // Indicates we will send a response asynchronously
-});
-
-// Settings management
-async function handleGetSettings(sendResponse) {
+// Upgrade data written by older versions to the current schema
+async function migrateStoredData() {
   try {
-    const result = await chrome.storage.local.get('settings');
-    sendResponse({ success: true, data: result.settings });
+    const moved = await moveLegacyDataToIndexedStore();
+    if (moved.length > 0) {
+      console.log('Moved large datasets to IndexedDB:', moved.join(', '));
+    }
   } catch (error) {
-    sendResponse({ success: false, error: error.message });
+    console.error('Error moving data to IndexedDB:', error);
   }
-}
 
-async function handleUpdateSettings(newSettings, sendResponse) {
-  try {
-    await chrome.storage.local.set({ settings: newSettings });
-    sendResponse({ success: true });
-  } catch (error) {
-    sendResponse({ success: false, error: error.message });
+  const result = await runMigrations();
+
+  if (result.success) {
+    console.log(`Storage schema migrated from v${result.fromVersion} to v${result.toVersion}`);
+  } else {
+    console.error(
+      `Storage migration v${result.failedVersion} failed and was rolled back:`,
+      result.error
+    );
   }
 }
 
-// Analytics logging
-async function handleLogAnalytics(analyticsData, sendResponse) {
-  try {
-    const result = await chrome.storage.local.get('analytics');
-    const analytics = result.analytics || [];
+// Run scheduled reports, follow-ups and campaign starts, catching up on missed runs
+const jobRunner = registerJobHandlers(createJobRunner());
+jobRunner.start().catch(error => {
+  console.error('Error starting job runner:', error);
+});
+
+// Move pending invitations on once they are accepted, withdrawn or expired
+ensureJob({
+  id: 'invitation_sync',
+  type: JOB_TYPES.INVITATION_SYNC,
+  runAt: Date.now() + 10 * 60 * 1000,
+  intervalMinutes: 6 * 60,
+  label: 'Sync sent invitations and new connections'
+}).catch(error => {
+  console.error('Error scheduling invitation sync:', error);
+});
 
-    analytics.push({
-      ...analyticsData,
-      timestamp: Date.now()
-    });
+// Withdraw stale invitations once a day when the cleanup policy is enabled
+ensureJob({
+  id: 'invitation_cleanup',
+  type: JOB_TYPES.INVITATION_CLEANUP,
+  runAt: Date.now() + 30 * 60 * 1000,
+  intervalMinutes: 24 * 60,
+  label: 'Withdraw stale invitations'
+}).catch(error => {
+  console.error('Error scheduling invitation cleanup:', error);
+});
 
-    await chrome.storage.local.set({ analytics });
-    sendResponse({ success: true });
-  } catch (error) {
-    sendResponse({ success: false, error: error.message });
-  }
-}
+// Relay live automation events between content scripts, popup and dashboards
+const eventHub = createEventHub();
+eventHub.listen();
 
-async function handleGetAnalytics(sendResponse) {
-  try {
-    const result = await chrome.storage.local.get('analytics');
-    sendResponse({ success: true, data: result.analytics || [] });
-  } catch (error) {
-    sendResponse({ success: false, error: error.message });
+// Show requests sent in the current automation run on the toolbar badge
+let sentThisRun = 0;
+eventHub.subscribe(
+  [STREAM_EVENTS.AUTOMATION_STARTED, STREAM_EVENTS.REQUEST_SENT, STREAM_EVENTS.AUTOMATION_STOPPED],
+  event => {
+    if (event.type === STREAM_EVENTS.AUTOMATION_STARTED) {
+      sentThisRun = 0;
+    } else if (event.type === STREAM_EVENTS.REQUEST_SENT) {
+      sentThisRun++;
+    }
+
+    const running = event.type !== STREAM_EVENTS.AUTOMATION_STOPPED;
+    chrome.action.setBadgeText({ text: running ? String(sentThisRun) : '' });
   }
-}
+);
+
+// Handle messages from content scripts and extension pages
+const router = registerMessageHandlers(createMessageRouter(), { jobRunner });
+router.listen();
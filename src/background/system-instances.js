@@ -0,0 +1,39 @@
+// Shared System Instances for the Background Service Worker
+// The service worker can be restarted at any time; persisted state is reloaded before each use
+
+import { createAdvancedReportingSystem } from '../utils/advanced-reporting.js';
+import { createResponseTrackingSystem } from '../utils/response-tracking.js';
+
+let reportingSystem = null;
+let responseTrackingSystem = null;
+
+/**
+ * Get the reporting system with fresh templates, schedules and history
+ * @returns {Promise<AdvancedReportingSystem>} Reporting system
+ */
+export async function getReportingSystem() {
+  if (!reportingSystem) {
+    reportingSystem = createAdvancedReportingSystem();
+  }
+
+  reportingSystem.scheduledReports.clear();
+  await reportingSystem.loadReportTemplates();
+  await reportingSystem.loadScheduledReports();
+  await reportingSystem.loadReportHistory();
+  return reportingSystem;
+}
+
+/**
+ * Get the response tracking system with fresh conversations and sequences
+ * @returns {Promise<ResponseTrackingSystem>} Response tracking system
+ */
+export async function getResponseTrackingSystem() {
+  if (!responseTrackingSystem) {
+    responseTrackingSystem = createResponseTrackingSystem();
+  }
+
+  responseTrackingSystem.conversations.clear();
+  await responseTrackingSystem.loadConversations();
+  await responseTrackingSystem.loadFollowupSequences();
+  return responseTrackingSystem;
+}
@@ -0,0 +1,297 @@
+// Approval Panel
+// In-page side panel that holds each candidate and its rendered note until
+// the user approves, edits, skips or blacklists it. Decisions can be made in
+// any order; the automation waits for them one candidate at a time.
+
+export const APPROVAL_DECISIONS = {
+  APPROVE: 'approve',
+  SKIP: 'skip',
+  BLACKLIST: 'blacklist'
+};
+
+const PANEL_ID = 'linkedin-automation-approval';
+
+// Single-key shortcuts acting on the selected candidate
+const SHORTCUTS = {
+  a: 'approve',
+  e: 'edit',
+  s: 'skip',
+  b: 'blacklist',
+  j: 'next',
+  arrowdown: 'next',
+  k: 'previous',
+  arrowup: 'previous'
+};
+
+const NOTE_EDITOR = `
+  <textarea class="w-full mt-2 p-2 border border-gray-300 rounded text-sm" rows="4" maxlength="300"></textarea>
+  <div class="flex gap-2 mt-2">
+    <button data-approval-action="save" class="text-sm text-blue-600">Save</button>
+    <button data-approval-action="cancel" class="text-sm text-gray-600">Cancel</button>
+  </div>
+`;
+
+const ACTION_BUTTONS = `
+  <button data-approval-action="approve" class="px-2 py-1 rounded text-xs bg-blue-600 text-white">Approve</button>
+  <button data-approval-action="edit" class="px-2 py-1 rounded text-xs border border-gray-300">Edit</button>
+  <button data-approval-action="skip" class="px-2 py-1 rounded text-xs border border-gray-300">Skip</button>
+  <button data-approval-action="blacklist" class="px-2 py-1 rounded text-xs text-red-600 border border-red-300">Blacklist</button>
+`;
+
+const DECISION_LABELS = {
+  [APPROVAL_DECISIONS.APPROVE]: 'Approved',
+  [APPROVAL_DECISIONS.SKIP]: 'Skipped',
+  [APPROVAL_DECISIONS.BLACKLIST]: 'Blacklisted'
+};
+
+/**
+ * Open the approval panel
+ * @returns {Object} Panel with `enqueue(candidates)`, `waitForDecision(profile)`,
+ *   `markResult(profile, result)` and `close()`
+ */
+export function createApprovalPanel() {
+  const items = [];
+  let selected = 0;
+
+  const panel = document.createElement('div');
+  panel.id = PANEL_ID;
+  panel.className =
+    'fixed top-0 right-0 z-50 h-full w-96 bg-white border-l border-gray-300 shadow-lg flex flex-col';
+  panel.innerHTML = `
+    <div class="p-4 border-b border-gray-200">
+      <h3 class="font-semibold text-gray-800">Review before sending</h3>
+      <p class="text-xs text-gray-500 mt-1">
+        A approve · E edit note · S skip · B blacklist · J/K move · Ctrl+Enter save note
+      </p>
+    </div>
+    <ul class="approval-list flex-1 overflow-y-auto divide-y divide-gray-200"></ul>
+  `;
+  document.body.appendChild(panel);
+
+  const list = panel.querySelector('.approval-list');
+
+  const findItem = profile => items.find(item => item.profile.profileUrl === profile.profileUrl);
+
+  const render = () => {
+    list.innerHTML = '';
+    items.forEach((item, index) => list.appendChild(renderItem(item, index, index === selected)));
+  };
+
+  const decide = (item, decision) => {
+    if (!item || item.decision) {
+      return;
+    }
+
+    item.decision = decision;
+    item.editing = false;
+    item.resolve({ decision, note: item.note });
+
+    // Move on to the next candidate still waiting for a decision
+    const next = items.findIndex(other => !other.decision);
+    selected = next === -1 ? selected : next;
+    render();
+  };
+
+  const actions = {
+    approve: item => {
+      if (item.editing) {
+        saveNote(item);
+      }
+      decide(item, APPROVAL_DECISIONS.APPROVE);
+    },
+    skip: item => decide(item, APPROVAL_DECISIONS.SKIP),
+    blacklist: item => decide(item, APPROVAL_DECISIONS.BLACKLIST),
+    edit: item => {
+      if (!item.decision) {
+        item.editing = true;
+        render();
+        list.querySelector('textarea')?.focus();
+      }
+    },
+    save: item => {
+      saveNote(item);
+      render();
+    },
+    cancel: item => {
+      item.editing = false;
+      render();
+    },
+    next: () => {
+      selected = Math.min(selected + 1, items.length - 1);
+      render();
+    },
+    previous: () => {
+      selected = Math.max(selected - 1, 0);
+      render();
+    }
+  };
+
+  const runAction = (action, item) => {
+    if (item) {
+      actions[action](item);
+    }
+  };
+
+  const saveNote = item => {
+    const field = list.querySelector(`[data-index="${items.indexOf(item)}"] textarea`);
+    if (field) {
+      item.note = field.value.trim() || null;
+    }
+    item.editing = false;
+  };
+
+  const onClick = event => {
+    const button = event.target.closest('[data-approval-action]');
+    if (button) {
+      selected = Number(button.closest('[data-index]').dataset.index);
+      runAction(button.dataset.approvalAction, items[selected]);
+    }
+  };
+
+  const onKeyDown = event => {
+    const item = items[selected];
+
+    // While a note is edited, keys type into it
+    if (event.target.tagName === 'TEXTAREA' && panel.contains(event.target)) {
+      if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault();
+        runAction('save', item);
+      } else if (event.key === 'Escape') {
+        runAction('cancel', item);
+      }
+      return;
+    }
+
+    const action = SHORTCUTS[event.key.toLowerCase()];
+    if (
+      !action ||
+      !item ||
+      event.ctrlKey ||
+      event.metaKey ||
+      event.altKey ||
+      isTyping(event.target)
+    ) {
+      return;
+    }
+
+    event.preventDefault();
+    runAction(action, item);
+  };
+
+  list.addEventListener('click', onClick);
+  document.addEventListener('keydown', onKeyDown);
+
+  return {
+    element: panel,
+
+    /**
+     * Add candidates to review
+     * @param {Array} candidates - `{ profile, note }` pairs
+     */
+    enqueue(candidates) {
+      candidates.forEach(({ profile, note }) => {
+        if (findItem(profile)) {
+          return;
+        }
+
+        const item = { profile, note: note || null, decision: null, result: null, editing: false };
+        item.decided = new Promise(resolve => {
+          item.resolve = resolve;
+        });
+        items.push(item);
+      });
+      render();
+    },
+
+    /**
+     * Wait until the user has decided on a candidate
+     * @param {Object} profile - Queued profile
+     * @returns {Promise<Object>} `{ decision, note }`, with the note as edited
+     */
+    waitForDecision(profile) {
+      const item = findItem(profile);
+      return item
+        ? item.decided
+        : Promise.resolve({ decision: APPROVAL_DECISIONS.SKIP, note: null });
+    },
+
+    /**
+     * Show how sending an approved candidate went
+     * @param {Object} profile - Queued profile
+     * @param {Object} result - Result of sendConnectionRequest
+     */
+    markResult(profile, result) {
+      const item = findItem(profile);
+      if (item) {
+        item.result = result;
+        render();
+      }
+    },
+
+    /**
+     * Close the panel; candidates still waiting count as skipped
+     */
+    close() {
+      items.forEach(item => {
+        if (!item.decision) {
+          item.decision = APPROVAL_DECISIONS.SKIP;
+          item.resolve({ decision: APPROVAL_DECISIONS.SKIP, note: item.note });
+        }
+      });
+      document.removeEventListener('keydown', onKeyDown);
+      panel.remove();
+    }
+  };
+}
+
+// Helper Functions
+
+function renderItem(item, index, isSelected) {
+  const element = document.createElement('li');
+  element.dataset.index = String(index);
+  element.className = `p-4 ${isSelected ? 'bg-blue-50' : ''} ${item.decision ? 'opacity-60' : ''}`;
+  element.innerHTML = `
+    <div class="font-medium text-gray-900 approval-name"></div>
+    <div class="text-xs text-gray-500 approval-title"></div>
+    ${item.editing ? NOTE_EDITOR : '<p class="mt-2 text-sm text-gray-700 whitespace-pre-wrap approval-note"></p>'}
+    <div class="flex gap-2 mt-2 approval-actions">
+      ${item.decision ? '<span class="text-xs font-semibold text-gray-600 approval-status"></span>' : ACTION_BUTTONS}
+    </div>
+  `;
+
+  // Names, titles and notes come from LinkedIn pages and templates, so they
+  // are set as text
+  element.querySelector('.approval-name').textContent =
+    item.profile.name || item.profile.profileUrl;
+  element.querySelector('.approval-title').textContent = item.profile.title || '';
+
+  const note = element.querySelector('.approval-note');
+  if (note) {
+    note.textContent = item.note || 'No note';
+  }
+
+  const field = element.querySelector('textarea');
+  if (field) {
+    field.value = item.note || '';
+  }
+
+  const status = element.querySelector('.approval-status');
+  if (status) {
+    status.textContent = getStatusText(item);
+  }
+
+  return element;
+}
+
+function getStatusText(item) {
+  const label = DECISION_LABELS[item.decision];
+
+  if (item.decision !== APPROVAL_DECISIONS.APPROVE || !item.result) {
+    return label;
+  }
+  return item.result.success ? `${label} · Sent` : `${label} · Failed: ${item.result.error}`;
+}
+
+function isTyping(target) {
+  return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
@@ -0,0 +1,323 @@
+// CRM Sidebar
+// Side panel on profile pages showing what is already known about the person:
+// status, tags, notes, invitations, campaigns, follow-ups and their
+// conversation, with inline forms to add notes, edit tags and schedule
+// follow-ups
+
+import { sendToBackground, createMessage, MESSAGE_TYPES } from '../utils/messaging.js';
+import { FOLLOWUP_TYPES } from '../utils/connection-management.js';
+import { fieldText } from '../utils/field-encryption.js';
+
+const SIDEBAR_ID = 'linkedin-automation-crm';
+
+const SECTION_TITLE = 'text-xs font-semibold uppercase tracking-wide text-gray-500 mb-1';
+const BUTTON = 'mt-1 px-2 py-1 rounded text-xs bg-blue-600 text-white';
+const FIELD = 'w-full mt-1 p-1 border border-gray-300 rounded text-sm';
+
+const NOTE_FORM = `
+  <textarea name="note" class="${FIELD}" rows="2" placeholder="Add a note"></textarea>
+  <button type="submit" class="${BUTTON}">Add note</button>
+`;
+
+const TAGS_FORM = `
+  <input name="tags" class="${FIELD}" placeholder="Comma separated tags">
+  <button type="submit" class="${BUTTON}">Save tags</button>
+`;
+
+const FOLLOW_UP_FORM = `
+  <select name="type" class="${FIELD}"></select>
+  <input name="scheduledFor" type="datetime-local" class="${FIELD}">
+  <textarea name="message" class="${FIELD}" rows="2" placeholder="Message (optional)"></textarea>
+  <button type="submit" class="${BUTTON}">Schedule follow-up</button>
+`;
+
+/**
+ * Open the CRM sidebar for a profile
+ * @param {string} profileUrl - LinkedIn profile URL
+ * @returns {Object} Sidebar with `profileUrl`, `ready` (resolves once the
+ *   first lookup is shown), `refresh()` and `close()`
+ */
+export function createCrmSidebar(profileUrl) {
+  let crm = null;
+
+  const sidebar = document.createElement('aside');
+  sidebar.id = SIDEBAR_ID;
+  sidebar.className =
+    'fixed top-16 right-4 z-50 w-80 max-h-screen overflow-y-auto bg-white border border-gray-300 rounded-lg shadow-lg';
+  sidebar.innerHTML = `
+    <div class="flex items-center justify-between p-3 border-b border-gray-200">
+      <h3 class="font-semibold text-gray-800">In your CRM</h3>
+      <button data-crm-action="close" class="text-gray-500 hover:text-gray-700">×</button>
+    </div>
+    <p class="crm-error hidden px-3 pt-2 text-xs text-red-600"></p>
+    <div class="crm-body p-3 space-y-4 text-sm">
+      <p class="text-gray-500">Loading…</p>
+    </div>
+  `;
+  document.body.appendChild(sidebar);
+
+  const body = sidebar.querySelector('.crm-body');
+  const errorLine = sidebar.querySelector('.crm-error');
+
+  const showError = text => {
+    errorLine.textContent = text || '';
+    errorLine.classList.toggle('hidden', !text);
+  };
+
+  const refresh = async () => {
+    try {
+      const response = await sendToBackground(
+        createMessage(MESSAGE_TYPES.GET_PROFILE_CRM, { profileUrl })
+      );
+      crm = response.data;
+      renderBody(body, crm);
+    } catch (error) {
+      console.error('Error loading CRM data:', error);
+      showError(`Could not load CRM data: ${error.message}`);
+    }
+  };
+
+  const submit = async (type, data) => {
+    try {
+      await sendToBackground(createMessage(type, { connectionId: crm.connection.id, ...data }));
+      showError(null);
+      await refresh();
+    } catch (error) {
+      console.error('Error updating connection:', error);
+      showError(error.message);
+    }
+  };
+
+  const actions = {
+    'add-note': form => {
+      const note = form.elements.note.value.trim();
+      return note ? submit(MESSAGE_TYPES.ADD_CONNECTION_NOTE, { note }) : null;
+    },
+    'save-tags': form =>
+      submit(MESSAGE_TYPES.UPDATE_CONNECTION_TAGS, { tags: parseTags(form.elements.tags.value) }),
+    'schedule-follow-up': form => {
+      const scheduledFor = new Date(form.elements.scheduledFor.value).getTime();
+      if (Number.isNaN(scheduledFor)) {
+        showError('Pick a date for the follow-up');
+        return null;
+      }
+
+      return submit(MESSAGE_TYPES.SCHEDULE_FOLLOW_UP, {
+        followUp: {
+          type: form.elements.type.value,
+          scheduledFor,
+          message: form.elements.message.value.trim()
+        }
+      });
+    }
+  };
+
+  const close = () => sidebar.remove();
+
+  sidebar.addEventListener('submit', event => {
+    event.preventDefault();
+    const action = actions[event.target.dataset.crmAction];
+    if (action && crm?.connection) {
+      action(event.target);
+    }
+  });
+
+  sidebar.addEventListener('click', event => {
+    if (event.target.closest('[data-crm-action="close"]')) {
+      close();
+    }
+  });
+
+  return {
+    element: sidebar,
+    profileUrl,
+    ready: refresh(),
+    refresh,
+    close
+  };
+}
+
+// Helper Functions
+
+// Names, notes and messages come from LinkedIn pages and user input, so every
+// value is set as text
+function renderBody(body, crm) {
+  body.innerHTML = '';
+
+  if (!crm.connection) {
+    body.appendChild(createText('p', 'text-gray-500', 'Not in your connection database yet.'));
+    if (crm.conversation) {
+      body.appendChild(renderConversation(crm.conversation));
+    }
+    return;
+  }
+
+  const { connection } = crm;
+  const tagsForm = createForm('save-tags', TAGS_FORM);
+  tagsForm.elements.tags.value = (connection.tags || []).join(', ');
+
+  const followUpForm = createForm('schedule-follow-up', FOLLOW_UP_FORM);
+  Object.values(FOLLOWUP_TYPES).forEach(type => {
+    followUpForm.elements.type.appendChild(new Option(formatLabel(type), type));
+  });
+
+  body.append(
+    renderSummary(connection),
+    createSection('Tags', renderTags(connection.tags || []), tagsForm),
+    createSection('Notes', renderNotes(connection.notes), createForm('add-note', NOTE_FORM)),
+    createSection('Invitations', renderInvitations(crm.invitations, crm.campaigns)),
+    createSection('Campaigns', renderCampaigns(crm.campaigns)),
+    createSection('Follow-ups', renderFollowUps(crm.followUps), followUpForm)
+  );
+
+  if (crm.conversation) {
+    body.appendChild(renderConversation(crm.conversation));
+  }
+}
+
+function renderSummary(connection) {
+  const summary = document.createElement('div');
+  summary.className = 'crm-summary';
+  summary.append(
+    createText('div', 'font-medium text-gray-900', fieldText(connection.name)),
+    createText(
+      'span',
+      'crm-status text-xs font-semibold text-gray-600',
+      formatLabel(connection.status)
+    )
+  );
+  return summary;
+}
+
+function renderTags(tags) {
+  const list = document.createElement('div');
+  list.className = 'crm-tags flex flex-wrap gap-1';
+  tags.forEach(tag =>
+    list.appendChild(createText('span', 'px-2 rounded bg-gray-100 text-xs', tag))
+  );
+  return tags.length > 0 ? list : createText('p', 'text-gray-500', 'No tags');
+}
+
+function renderNotes(notes) {
+  return createText(
+    'p',
+    'crm-notes whitespace-pre-wrap text-gray-700',
+    fieldText(notes) || 'No notes'
+  );
+}
+
+function renderInvitations(invitations, campaigns) {
+  return createList('crm-invitations', invitations, 'No invitations sent', invitation => {
+    const campaign = campaigns.find(c => c.id === invitation.campaignId);
+    const details = [
+      formatDate(invitation.sentAt),
+      formatLabel(invitation.status),
+      campaign ? campaign.name || 'Deleted campaign' : invitation.source
+    ];
+
+    const item = createText('li', '', details.filter(Boolean).join(' · '));
+    const message = fieldText(invitation.messageUsed);
+    if (message) {
+      item.appendChild(createText('p', 'text-xs text-gray-500 whitespace-pre-wrap', message));
+    }
+    return item;
+  });
+}
+
+function renderCampaigns(campaigns) {
+  return createList('crm-campaigns', campaigns, 'Not part of a campaign', campaign =>
+    createText(
+      'li',
+      '',
+      campaign.name ? `${campaign.name} · ${formatLabel(campaign.status)}` : 'Deleted campaign'
+    )
+  );
+}
+
+function renderFollowUps(followUps) {
+  return createList('crm-follow-ups', followUps, 'No follow-ups scheduled', followUp => {
+    const item = createText(
+      'li',
+      '',
+      `${formatDate(followUp.scheduledFor)} · ${formatLabel(followUp.type)}`
+    );
+    if (followUp.message) {
+      item.appendChild(createText('p', 'text-xs text-gray-500', followUp.message));
+    }
+    return item;
+  });
+}
+
+function renderConversation(conversation) {
+  const content = document.createElement('div');
+  content.className = 'crm-conversation';
+  content.appendChild(
+    createText(
+      'p',
+      'text-gray-700',
+      `${formatLabel(conversation.status)} · ${conversation.messageCount} messages · last ${formatDate(conversation.lastActivity)}`
+    )
+  );
+
+  const last = conversation.lastMessage;
+  const text = last && fieldText(last.content);
+  if (text) {
+    const author = last.type === 'sent' ? 'You' : 'Them';
+    content.appendChild(
+      createText('p', 'text-xs text-gray-500 whitespace-pre-wrap', `${author}: ${text}`)
+    );
+  }
+
+  return createSection('Conversation', content);
+}
+
+function createSection(title, content, form = null) {
+  const section = document.createElement('section');
+  section.append(createText('h4', SECTION_TITLE, title), content);
+  if (form) {
+    section.appendChild(form);
+  }
+  return section;
+}
+
+function createList(className, entries, emptyText, renderEntry) {
+  if (entries.length === 0) {
+    return createText('p', `${className} text-gray-500`, emptyText);
+  }
+
+  const list = document.createElement('ul');
+  list.className = `${className} space-y-1`;
+  entries.forEach(entry => list.appendChild(renderEntry(entry)));
+  return list;
+}
+
+function createForm(action, html) {
+  const form = document.createElement('form');
+  form.dataset.crmAction = action;
+  form.className = 'mt-2';
+  form.innerHTML = html;
+  return form;
+}
+
+function createText(tagName, className, text) {
+  const element = document.createElement(tagName);
+  element.className = className;
+  element.textContent = text;
+  return element;
+}
+
+function parseTags(value) {
+  return value
+    .split(',')
+    .map(tag => tag.trim())
+    .filter(Boolean);
+}
+
+function formatLabel(value) {
+  const text = (value || '').replace(/_/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function formatDate(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleDateString() : '';
+}
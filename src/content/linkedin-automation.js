@@ -1,10 +1,19 @@
 // Content script for LinkedIn automation
+import { observeNavigation } from '../utils/navigation-observer.js';
+
 const automationState = {
   isActive: false,
   currentTask: null,
   settings: null
 };
 
+// Automation for each supported page type
+const PAGE_AUTOMATIONS = {
+  search: handleSearchPage,
+  profile: handleProfilePage,
+  'people-search': handlePeopleSearchPage
+};
+
 // Initialize content script
 initializeContentScript();
 
@@ -20,6 +29,27 @@ async function initializeContentScript() {
 
   // Listen for messages from popup and background
   chrome.runtime.onMessage.addListener(handleMessage);
+
+  // LinkedIn moves between pages without loading this script again
+  observeNavigation(handleRouteChange);
+}
+
+// Tear down the running automation of the page that was left and set it up
+// again for the new one; it waits on pages it does not support
+function handleRouteChange() {
+  if (!automationState.isActive) {
+    return;
+  }
+
+  clearCurrentTask();
+  removeAutomationIndicator();
+
+  if (runPageAutomation()) {
+    addAutomationIndicator();
+  } else {
+    addAutomationIndicator('⏸ Automation Paused');
+    showNotification('Automation paused - navigate to a search or profile page to resume');
+  }
 }
 
 function handleMessage(message, sender, sendResponse) {
@@ -54,24 +84,24 @@ function startAutomation() {
   // Add visual indicator
   addAutomationIndicator();
 
-  // Start automation based on current page
+  if (!runPageAutomation()) {
+    showNotification('Navigate to LinkedIn search or profile page to start automation');
+  }
+}
+
+// Start automation based on current page; false if the page has none
+function runPageAutomation() {
   const pageType = detectLinkedInPageType();
   console.log('Detected page type:', pageType);
 
-  switch (pageType) {
-    case 'search':
-      handleSearchPage();
-      break;
-    case 'profile':
-      handleProfilePage();
-      break;
-    case 'people-search':
-      handlePeopleSearchPage();
-      break;
-    default:
-      console.log('Page type not supported for automation');
-      showNotification('Navigate to LinkedIn search or profile page to start automation');
+  const runAutomation = PAGE_AUTOMATIONS[pageType];
+  if (!runAutomation) {
+    console.log('Page type not supported for automation');
+    return false;
   }
+
+  runAutomation();
+  return true;
 }
 
 function stopAutomation() {
@@ -81,13 +111,17 @@ function stopAutomation() {
   // Remove visual indicator
   removeAutomationIndicator();
 
-  // Clear any ongoing tasks
+  clearCurrentTask();
+
+  showNotification('Automation stopped');
+}
+
+// Clear any ongoing tasks
+function clearCurrentTask() {
   if (automationState.currentTask) {
     clearTimeout(automationState.currentTask);
     automationState.currentTask = null;
   }
-
-  showNotification('Automation stopped');
 }
 
 function detectLinkedInPageType() {
@@ -151,7 +185,7 @@ function getCurrentUserInfo() {
   }
 }
 
-function addAutomationIndicator() {
+function addAutomationIndicator(text = '🤖 Automation Active') {
   // Remove existing indicator if present
   removeAutomationIndicator();
 
@@ -170,7 +204,7 @@ function addAutomationIndicator() {
     font-family: -apple-system, BlinkMacSystemFont, Segoe UI, Roboto, sans-serif;
     box-shadow: 0 2px 8px rgba(0,0,0,0.2);
   `;
-  indicator.textContent = '🤖 Automation Active';
+  indicator.textContent = text;
 
   document.body.appendChild(indicator);
 }
@@ -1,12 +1,85 @@
 // LinkedIn Content Script for Automation
 import { sendConnectionRequest } from '../utils/linkedin-automation.js';
-import { processSearchResults, extractSearchCriteria, navigateToNextPage } from '../utils/search-integration.js';
+import {
+  processSearchResults,
+  extractSearchCriteria,
+  navigateToNextPage,
+  findNextPageButton
+} from '../utils/search-integration.js';
 import { getSafetySettings, performSafetyCheck, createRateLimitTracker } from '../utils/safety-compliance.js';
 import { trackEvent, ANALYTICS_EVENTS } from '../utils/analytics.js';
+import { detectLinkedInPageType, getLinkedInUrl, getProfileSlug } from '../utils/linkedin.js';
+import { getNavigationUrl, isSandboxUrl } from '../utils/sandbox.js';
+import { observeNavigation } from '../utils/navigation-observer.js';
+import { runSelectorSelfTest } from '../utils/selector-registry.js';
+import { scrapeProfilePage } from '../utils/profile-scraper.js';
+import { readNetworkPage } from '../utils/invitation-sync.js';
+import { withdrawInvitations } from '../utils/invitation-cleanup.js';
+import { readInboxList, readThread } from '../utils/inbox-scanner.js';
+import { sendDirectMessage } from '../utils/message-sender.js';
+import {
+  isSalesNavigatorPage,
+  sendSalesConnectionRequest,
+  saveSalesLead,
+  SALES_NAVIGATOR_SOURCE
+} from '../utils/sales-navigator.js';
+import { collectProspects } from '../utils/prospect-sources.js';
+import { extractProfileMetadata } from '../utils/advanced-template-engine.js';
+import {
+  findCrawlForPage,
+  getPendingProfiles,
+  recordProcessedProfile,
+  advanceSearchCrawl,
+  pauseSearchCrawl,
+  CRAWL_STATUS
+} from '../utils/search-crawler.js';
+import { connectToStream, formatMessageTag, STREAM_EVENTS } from '../utils/messaging.js';
+import { getSettings, updateSettings } from '../utils/storage.js';
+import { getMessageTemplates, processMessageTemplate } from '../utils/message-templates.js';
+import {
+  startDryRun,
+  recordDryRunEntry,
+  finishDryRun,
+  getBlockingRules
+} from '../utils/dry-run.js';
+import { addToBlacklist, filterBlacklisted } from '../utils/blacklist.js';
+import { createApprovalPanel, APPROVAL_DECISIONS } from './approval-panel.js';
+import { createCrmSidebar } from './crm-sidebar.js';
 
 let isAutomationActive = false;
 let automationInterval = null;
+let automationIteration = null;
+let pausedAutomation = null;
 let rateLimitTracker = null;
+let eventStream = null;
+let activeCrawl = null;
+let dryRunReport = null;
+let approvalPanel = null;
+let crmSidebar = null;
+let remountTimer = null;
+
+// LinkedIn renders the new page a moment after its URL changes
+const PAGE_RENDER_DELAY = 1000;
+
+// Messages answered by handleMessage. On sandbox pages, which are extension
+// pages, every other runtime message is left to the service worker's router.
+const PAGE_MESSAGE_TYPES = new Set([
+  'START_AUTOMATION',
+  'STOP_AUTOMATION',
+  'PROCESS_SEARCH_RESULTS',
+  'GET_SEARCH_RESULTS',
+  'SEND_CONNECTION_REQUEST',
+  'GET_PAGE_INFO',
+  'GET_PROFILE_DETAILS',
+  'RUN_SELECTOR_SELF_TEST',
+  'SCAN_NETWORK_PAGE',
+  'WITHDRAW_INVITATIONS',
+  'SCAN_INBOX',
+  'READ_THREAD',
+  'SEND_DIRECT_MESSAGE',
+  'SAVE_SALES_LEAD',
+  'COLLECT_PROSPECTS'
+]);
 
 // Initialize content script
 initialize();
@@ -15,14 +88,72 @@ function initialize() {
   console.log('LinkedIn Automation Content Script Loaded');
 
   // Setup message listener for popup communication
-  chrome.runtime.onMessage.addListener(handleMessage);
+  chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (isSandboxUrl(window.location.href) && !PAGE_MESSAGE_TYPES.has(request?.type)) {
+      return false;
+    }
+
+    handleMessage(request, sender, sendResponse);
+    return true; // Keep message channel open for async response
+  });
 
   // Initialize rate limit tracker
   rateLimitTracker = createRateLimitTracker();
 
-  // Check if we're on a search results page
-  if (window.location.href.includes('/search/people/')) {
+  mountPageUi();
+
+  // LinkedIn moves between pages without loading this script again
+  observeNavigation(handleRouteChange);
+}
+
+// Set up the UI of the current page, and pick automation back up on the
+// search page where it was paused
+function mountPageUi() {
+  if (isSearchPage()) {
     initializeSearchPage();
+
+    if (pausedAutomation && pausedAutomation.url === getLinkedInUrl()) {
+      resumeAutomation();
+    } else {
+      resumeSearchCrawl();
+    }
+  }
+
+  // Show what is already known about the person on profile pages
+  if (detectLinkedInPageType() === 'profile' && !crmSidebar) {
+    crmSidebar = createCrmSidebar(getLinkedInUrl());
+  }
+}
+
+// Remove the UI of the page that was left; the sidebar stays while the same
+// profile is shown
+function unmountPageUi(url) {
+  document.getElementById('linkedin-automation-controls')?.remove();
+
+  if (crmSidebar && getProfileSlug(crmSidebar.profileUrl) !== getProfileSlug(url)) {
+    crmSidebar.close();
+    crmSidebar = null;
+  }
+}
+
+// Automation follows the search results from page to page, but pauses when
+// they are left and resumes when the user comes back to the same page
+function handleRouteChange({ url, previousUrl }) {
+  console.log('Page navigated to:', url);
+
+  if (isAutomationActive && !isSearchPage()) {
+    pauseAutomation(previousUrl);
+  }
+
+  unmountPageUi(url);
+  clearTimeout(remountTimer);
+  remountTimer = setTimeout(mountPageUi, PAGE_RENDER_DELAY);
+}
+
+// Pick a running search crawl back up after a reload or a page change
+async function resumeSearchCrawl() {
+  if (await findCrawlForPage(getLinkedInUrl())) {
+    await startAutomation();
   }
 }
 
@@ -30,7 +161,7 @@ async function handleMessage(request, sender, sendResponse) {
   try {
     switch (request.type) {
       case 'START_AUTOMATION':
-        await startAutomation();
+        await startAutomation({ dryRun: !!request.data?.dryRun });
         sendResponse({ success: true });
         break;
 
@@ -40,77 +171,255 @@ async function handleMessage(request, sender, sendResponse) {
         break;
 
       case 'PROCESS_SEARCH_RESULTS':
+      case 'GET_SEARCH_RESULTS': {
         const results = await processSearchResults();
         sendResponse({ success: true, data: results });
         break;
+      }
 
-      case 'SEND_CONNECTION_REQUEST':
-        const result = await sendConnectionRequest(request.message);
+      case 'SEND_CONNECTION_REQUEST': {
+        const result = await sendConnectionRequest(request.message || request.data?.message);
         sendResponse({ success: true, data: result });
         break;
+      }
+
+      case 'GET_PAGE_INFO':
+        sendResponse({
+          success: true,
+          data: {
+            url: getLinkedInUrl(),
+            pageType: detectLinkedInPageType(),
+            isAutomationActive,
+            isPaused: !!pausedAutomation,
+            isDryRun: !!dryRunReport
+          }
+        });
+        break;
+
+      case 'GET_PROFILE_DETAILS':
+        sendResponse({ success: true, data: await getProfileDetails() });
+        break;
+
+      case 'RUN_SELECTOR_SELF_TEST':
+        sendResponse({ success: true, data: runSelectorSelfTest(detectLinkedInPageType()) });
+        break;
+
+      case 'SCAN_NETWORK_PAGE':
+        sendResponse({ success: true, data: await readNetworkPage(detectLinkedInPageType()) });
+        break;
+
+      case 'WITHDRAW_INVITATIONS':
+        sendResponse({
+          success: true,
+          data: await withdrawInvitations(request.data.profileSlugs, {
+            delay: () => rateLimitTracker.generateHumanDelay()
+          })
+        });
+        break;
+
+      case 'SCAN_INBOX':
+        sendResponse({ success: true, data: await readInboxList() });
+        break;
+
+      case 'READ_THREAD':
+        sendResponse({ success: true, data: await readThread() });
+        break;
+
+      case 'SEND_DIRECT_MESSAGE':
+        sendResponse({ success: true, data: await sendDirectMessage(request.data.content) });
+        break;
+
+      case 'SAVE_SALES_LEAD':
+        sendResponse({
+          success: true,
+          data: await saveSalesLead({ profileUrl: request.data.profileUrl }, request.data.listName)
+        });
+        break;
+
+      case 'COLLECT_PROSPECTS':
+        sendResponse({ success: true, data: await collectProspects(request.data.source) });
+        break;
 
       default:
         sendResponse({ success: false, error: 'Unknown message type' });
     }
   } catch (error) {
-    console.error('Error handling message:', error);
+    console.error(`${formatMessageTag(request)} Error handling message:`, error);
     sendResponse({ success: false, error: error.message });
   }
+}
 
-  return true; // Keep message channel open for async response
+async function getProfileDetails() {
+  const profile = scrapeProfilePage();
+  return { profile, metadata: await extractProfileMetadata(profile) };
 }
 
-async function startAutomation() {
+// A dry run walks the same path but closes each invitation instead of sending
+// it, and leaves search crawls where they are
+async function startAutomation({ dryRun = false } = {}) {
   if (isAutomationActive) {
     console.log('Automation already active');
     return;
   }
 
-  console.log('Starting LinkedIn automation...');
+  // A run paused on another search page is over once a new one starts
+  if (pausedAutomation) {
+    stopAutomation('left_search_page');
+  }
+
+  console.log(`Starting LinkedIn automation${dryRun ? ' (dry run)' : ''}...`);
   isAutomationActive = true;
 
+  if (dryRun) {
+    dryRunReport = await startDryRun({
+      url: getLinkedInUrl(),
+      searchCriteria: extractSearchCriteria()
+    });
+    showNotification('Dry run started - no invitations will be sent', 'info');
+  } else {
+    activeCrawl = await findCrawlForPage(getLinkedInUrl());
+    await openApprovalPanel();
+  }
+
+  // Stream progress live while automation runs
+  eventStream = connectToStream();
+  eventStream.publish(STREAM_EVENTS.AUTOMATION_STARTED, { url: getLinkedInUrl(), dryRun });
+
   await trackEvent(ANALYTICS_EVENTS.AUTOMATION_STARTED, {
-    url: window.location.href,
-    searchCriteria: extractSearchCriteria()
+    url: getLinkedInUrl(),
+    searchCriteria: extractSearchCriteria(),
+    dryRun
   });
 
   // Start automation loop
   automationLoop();
 }
 
-function stopAutomation() {
+function stopAutomation(reason = 'stopped') {
   console.log('Stopping LinkedIn automation...');
   isAutomationActive = false;
+  pausedAutomation = null;
 
   if (automationInterval) {
     clearInterval(automationInterval);
     automationInterval = null;
   }
 
+  // Keep the crawl cursor so the crawl can be resumed later
+  if (activeCrawl) {
+    if (reason !== 'completed') {
+      pauseSearchCrawl(activeCrawl.id);
+    }
+    activeCrawl = null;
+  }
+
+  // Candidates still waiting in the panel count as skipped
+  if (approvalPanel) {
+    approvalPanel.close();
+    approvalPanel = null;
+  }
+
+  if (dryRunReport) {
+    finishDryRun(dryRunReport.id, reason).then(report => {
+      if (report) {
+        const { wouldSend, blocked, failed } = report.summary;
+        showNotification(
+          `Dry run finished: ${wouldSend} would be sent, ${blocked} blocked, ${failed} failed`,
+          'info'
+        );
+      }
+    });
+    dryRunReport = null;
+  }
+
+  if (eventStream) {
+    eventStream.publish(STREAM_EVENTS.AUTOMATION_STOPPED, { reason });
+    eventStream.disconnect();
+    eventStream = null;
+  }
+
   trackEvent(ANALYTICS_EVENTS.AUTOMATION_STOPPED, {
-    url: window.location.href
+    url: getLinkedInUrl()
   });
 }
 
-async function automationLoop() {
+// Stop the loop but keep the run itself (crawl, dry run report and event
+// stream) so it can carry on where it was
+function pauseAutomation(url) {
+  isAutomationActive = false;
+  pausedAutomation = { url };
+
+  if (automationInterval) {
+    clearTimeout(automationInterval);
+    automationInterval = null;
+  }
+
+  // The candidates under review belong to the page that was left
+  if (approvalPanel) {
+    approvalPanel.close();
+    approvalPanel = null;
+  }
+
+  publishProgress(STREAM_EVENTS.AUTOMATION_PAUSED, { url });
+  showNotification('Automation paused - return to the search results to resume', 'info');
+}
+
+async function resumeAutomation() {
+  const paused = pausedAutomation;
+
+  // Let the iteration that was running when automation paused wind down
+  await automationIteration;
+  if (pausedAutomation !== paused) {
+    return; // Stopped or started again in the meantime
+  }
+
+  pausedAutomation = null;
+  isAutomationActive = true;
+
+  if (!dryRunReport) {
+    await openApprovalPanel();
+  }
+
+  publishProgress(STREAM_EVENTS.AUTOMATION_RESUMED, { url: getLinkedInUrl() });
+  showNotification('Automation resumed', 'info');
+  updateControlsDisplay();
+  automationLoop();
+}
+
+// Reviews happen in the approval panel when approval mode is on
+async function openApprovalPanel() {
+  const { approvalMode } = await getSettings();
+  if (approvalMode) {
+    approvalPanel = createApprovalPanel();
+  }
+}
+
+// Keeps the iteration in flight so a resumed run does not overlap it
+function automationLoop() {
+  automationIteration = runAutomationIteration();
+  return automationIteration;
+}
+
+async function runAutomationIteration() {
   if (!isAutomationActive) return;
 
   try {
     // Perform safety check before proceeding
+    // A dry run records the failed check against each profile instead
     const safetyCheck = await performSafetyCheck();
-    if (!safetyCheck.safe) {
+    if (!safetyCheck.safe && !dryRunReport) {
       console.log('Automation paused for safety:', safetyCheck.message);
-      stopAutomation();
+      stopAutomation('safety');
       showNotification(`Automation paused: ${safetyCheck.message}`, 'warning');
       return;
     }
 
     // Check if we're on a search results page
-    if (window.location.href.includes('/search/people/')) {
+    if (isSearchPage()) {
       await processSearchPage();
     } else {
       console.log('Not on a search results page, stopping automation');
-      stopAutomation();
+      stopAutomation('left_search_page');
       return;
     }
 
@@ -120,42 +429,75 @@ async function automationLoop() {
 
   } catch (error) {
     console.error('Error in automation loop:', error);
-    stopAutomation();
+    stopAutomation('error');
     showNotification('Automation stopped due to error', 'error');
   }
 }
 
 async function processSearchPage() {
   try {
-    const profiles = await processSearchResults();
+    const connectable = await processSearchResults();
+    const profiles = await filterBlacklisted(
+      activeCrawl ? getPendingProfiles(activeCrawl, connectable) : connectable
+    );
     console.log(`Found ${profiles.length} connectable profiles`);
 
+    if (approvalPanel) {
+      await queueForApproval(profiles);
+    }
+
+    profiles.forEach(profile => {
+      publishProgress(STREAM_EVENTS.PROFILE_QUEUED, {
+        name: profile.name,
+        profileUrl: profile.profileUrl
+      });
+    });
+
     for (const profile of profiles) {
       if (!isAutomationActive) break;
 
-      // Check rate limits before each connection
-      const rateCheck = await rateLimitTracker.checkRateLimit();
-      if (!rateCheck.allowed) {
-        console.log('Rate limit reached:', rateCheck.message);
-        showNotification(`Rate limit: ${rateCheck.message}`, 'info');
-        stopAutomation();
+      if (dryRunReport) {
+        await rehearseConnection(profile);
+        const delay = await rateLimitTracker.generateHumanDelay();
+        await new Promise(resolve => setTimeout(resolve, delay));
+        continue;
+      }
+
+      // In approval mode only candidates approved in the panel are sent,
+      // with their note as edited there
+      const review = approvalPanel ? await approvalPanel.waitForDecision(profile) : null;
+      if (!isAutomationActive) {
         break;
       }
 
-      // Send connection request
-      const result = await sendConnectionRequest();
-      rateLimitTracker.recordAttempt(result.success);
+      const approved = !review || review.decision === APPROVAL_DECISIONS.APPROVE;
+      if (approved) {
+        const note = review ? review.note : await renderConnectionNote(profile);
+        if (!(await sendToProfile(profile, note))) {
+          break;
+        }
+      } else if (review.decision === APPROVAL_DECISIONS.BLACKLIST) {
+        await addToBlacklist(profile, 'Blacklisted in the approval panel');
+      }
 
-      if (result.success) {
-        console.log('Connection request sent successfully');
-        showNotification('Connection request sent!', 'success');
-      } else {
-        console.log('Connection request failed:', result.error);
+      if (activeCrawl) {
+        activeCrawl = await recordProcessedProfile(activeCrawl.id, profile);
+        if (!activeCrawl || activeCrawl.status !== CRAWL_STATUS.RUNNING) {
+          finishSearchCrawl(activeCrawl);
+          break;
+        }
       }
 
       // Wait between requests
-      const delay = await rateLimitTracker.generateHumanDelay();
-      await new Promise(resolve => setTimeout(resolve, delay));
+      if (approved) {
+        const delay = await rateLimitTracker.generateHumanDelay();
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    if (isAutomationActive && activeCrawl) {
+      await continueSearchCrawl();
+      return;
     }
 
     // Try to navigate to next page if automation is still active
@@ -163,14 +505,149 @@ async function processSearchPage() {
       const navigated = await navigateToNextPage();
       if (!navigated) {
         console.log('No more pages available, stopping automation');
-        stopAutomation();
+        stopAutomation('completed');
         showNotification('Automation completed - no more results', 'info');
       }
     }
 
   } catch (error) {
     console.error('Error processing search page:', error);
-    stopAutomation();
+    stopAutomation('error');
+  }
+}
+
+// Check rate limits, then send; false once a rate limit has stopped automation
+async function sendToProfile(profile, note) {
+  const rateCheck = await rateLimitTracker.checkRateLimit();
+  if (!rateCheck.allowed) {
+    console.log('Rate limit reached:', rateCheck.message);
+    showNotification(`Rate limit: ${rateCheck.message}`, 'info');
+    publishProgress(STREAM_EVENTS.RATE_LIMIT_HIT, { message: rateCheck.message });
+    stopAutomation('rate_limit');
+    return false;
+  }
+
+  // Send connection request
+  const result = await connectWithProfile(profile, note);
+  rateLimitTracker.recordAttempt(result.success);
+
+  if (approvalPanel) {
+    approvalPanel.markResult(profile, result);
+  }
+
+  if (result.success) {
+    console.log('Connection request sent successfully');
+    showNotification('Connection request sent!', 'success');
+    publishProgress(STREAM_EVENTS.REQUEST_SENT, {
+      name: profile.name,
+      profileUrl: profile.profileUrl
+    });
+  } else {
+    console.log('Connection request failed:', result.error);
+    publishProgress(STREAM_EVENTS.REQUEST_FAILED, {
+      name: profile.name,
+      profileUrl: profile.profileUrl,
+      error: result.error
+    });
+  }
+
+  return true;
+}
+
+// Notes are rendered as previews here; what is sent is the note as approved
+async function queueForApproval(profiles) {
+  const candidates = [];
+
+  for (const profile of profiles) {
+    candidates.push({ profile, note: await renderConnectionNote(profile, { preview: true }) });
+  }
+
+  approvalPanel.enqueue(candidates);
+}
+
+function isSearchPage() {
+  return detectLinkedInPageType() === 'people-search' || isSalesNavigatorPage();
+}
+
+// Sales Navigator leads connect through their own overflow menu
+function connectWithProfile(profile, note = null, options = {}) {
+  return profile.source === SALES_NAVIGATOR_SOURCE
+    ? sendSalesConnectionRequest(profile, note, options)
+    : sendConnectionRequest(note, { ...options, root: profile.element });
+}
+
+// Notes come from the template picked in settings. Previews look stored
+// templates up directly, so they do not count as a use.
+async function renderConnectionNote(profile, { preview = false } = {}) {
+  const { connectionNoteTemplate } = await getSettings();
+
+  if (!connectionNoteTemplate) {
+    return null;
+  }
+
+  const template =
+    preview && !connectionNoteTemplate.includes('{{')
+      ? (await getMessageTemplates()).find(t => t.id === connectionNoteTemplate)
+      : null;
+
+  return processMessageTemplate(template || connectionNoteTemplate, profile);
+}
+
+// Everything up to the Send button, recorded in the dry run report
+async function rehearseConnection(profile) {
+  const blockedBy = await getBlockingRules(dryRunReport.summary.wouldSend);
+  let note = null;
+  let result;
+
+  try {
+    note = await renderConnectionNote(profile, { preview: true });
+    result = await connectWithProfile(profile, note, { dryRun: true });
+  } catch (error) {
+    result = { success: false, error: error.message, reason: 'TEMPLATE_FAILED' };
+  }
+
+  const report = await recordDryRunEntry(dryRunReport.id, {
+    name: profile.name,
+    profileUrl: profile.profileUrl,
+    source: profile.source || 'search',
+    note,
+    blockedBy,
+    result
+  });
+
+  if (report) {
+    dryRunReport = report;
+    publishProgress(STREAM_EVENTS.DRY_RUN_RECORDED, report.entries[report.entries.length - 1]);
+  }
+}
+
+async function continueSearchCrawl() {
+  const crawl = await advanceSearchCrawl(activeCrawl.id, { hasNextPage: !!findNextPageButton() });
+
+  if (!crawl || crawl.status !== CRAWL_STATUS.RUNNING) {
+    finishSearchCrawl(crawl);
+    return;
+  }
+
+  // The content script is loaded again on the next page and resumes from the cursor
+  activeCrawl = crawl;
+  window.location.assign(getNavigationUrl(crawl.pageUrl));
+}
+
+function finishSearchCrawl(crawl) {
+  if (crawl && crawl.status === CRAWL_STATUS.COMPLETED) {
+    stopAutomation('completed');
+    showNotification(`Search crawl completed (${crawl.endReason.replace(/_/g, ' ')})`, 'info');
+  } else {
+    // Paused from the extension while this page was being processed
+    activeCrawl = null;
+    stopAutomation('stopped');
+  }
+}
+
+function publishProgress(type, data) {
+  if (eventStream) {
+    eventStream.publish(type, data);
   }
 }
 
@@ -217,6 +694,15 @@ function addAutomationControls() {
       }">
         ${isAutomationActive ? 'Stop' : 'Start'} Automation
       </button>
+
+      <button id="dry-run-automation" class="w-full py-2 px-4 rounded text-sm font-medium border border-blue-500 text-blue-600 hover:bg-blue-50">
+        Dry Run
+      </button>
+
+      <label class="flex items-center space-x-2 text-sm text-gray-600">
+        <input type="checkbox" id="approval-mode">
+        <span>Review each invitation before sending</span>
+      </label>
     </div>
   `;
 
@@ -236,6 +722,20 @@ function addAutomationControls() {
     updateControlsDisplay();
   });
 
+  document.getElementById('dry-run-automation').addEventListener('click', () => {
+    startAutomation({ dryRun: true });
+    updateControlsDisplay();
+  });
+
+  // Takes effect the next time automation starts
+  const approvalMode = document.getElementById('approval-mode');
+  getSettings().then(settings => {
+    approvalMode.checked = settings.approvalMode;
+  });
+  approvalMode.addEventListener('change', () => {
+    updateSettings({ approvalMode: approvalMode.checked });
+  });
+
   // Update initial display
   updateControlsDisplay();
 }
@@ -249,6 +749,11 @@ function updateControlsDisplay() {
     statusElement.className = `text-sm font-medium ${isAutomationActive ? 'text-green-600' : 'text-red-600'}`;
   }
 
+  const dryRunButton = document.getElementById('dry-run-automation');
+  if (dryRunButton) {
+    dryRunButton.disabled = isAutomationActive;
+  }
+
   if (buttonElement) {
     buttonElement.textContent = `${isAutomationActive ? 'Stop' : 'Start'} Automation`;
     buttonElement.className = `w-full py-2 px-4 rounded text-sm font-medium ${
@@ -279,24 +784,3 @@ function getNotificationColor(type) {
     default: return 'bg-blue-500';
   }
 }
-
-// Handle page navigation
-let lastUrl = window.location.href;
-new MutationObserver(() => {
-  const currentUrl = window.location.href;
-  if (currentUrl !== lastUrl) {
-    lastUrl = currentUrl;
-    console.log('Page navigated to:', currentUrl);
-
-    // Stop automation if we navigate away from search results
-    if (!currentUrl.includes('/search/people/') && isAutomationActive) {
-      stopAutomation();
-      showNotification('Automation stopped - left search page', 'info');
-    }
-
-    // Initialize search page if we navigate to search results
-    if (currentUrl.includes('/search/people/')) {
-      setTimeout(initializeSearchPage, 1000); // Wait for page to load
-    }
-  }
-}).observe(document, { subtree: true, childList: true });
\ No newline at end of file
@@ -2,6 +2,17 @@
 
 import { createAnalyticsEngine, ANALYTICS_TYPES } from '../utils/analytics-engine.js';
 import { getStorageData, STORAGE_KEYS } from '../utils/storage.js';
+import {
+  createBackup,
+  serializeBackup,
+  previewRestore,
+  restoreBackup
+} from '../utils/backup-restore.js';
+import { sendToBackground, createMessage, MESSAGE_TYPES } from '../utils/messaging.js';
+import { JOB_STATUS } from '../utils/job-scheduler.js';
+import { SELECTOR_HEALTH } from '../utils/selector-registry.js';
+import { getDryRunReports, DRY_RUN_VERDICTS } from '../utils/dry-run.js';
+import { VAULT_STATES } from '../utils/encryption.js';
 
 class AnalyticsDashboard {
   constructor() {
@@ -10,6 +21,8 @@ class AnalyticsDashboard {
     this.currentData = null;
     this.dateRange = { days: 30 };
     this.chartPeriod = 'day';
+    this.pendingRestore = null;
+    this.dryRunReports = [];
 
     this.init();
   }
@@ -19,6 +32,9 @@ class AnalyticsDashboard {
     this.setLastUpdated();
     await this.loadData();
     this.renderDashboard();
+    await this.loadJobs();
+    await this.loadDryRuns();
+    await this.loadVaultStatus();
 
     // Auto-refresh every 5 minutes
     setInterval(() => {
@@ -41,6 +57,7 @@ class AnalyticsDashboard {
     // Refresh button
     document.getElementById('refresh-btn').addEventListener('click', () => {
       this.loadData(true);
+      this.loadJobs();
     });
 
     // Chart period buttons
@@ -57,6 +74,69 @@ class AnalyticsDashboard {
     document.getElementById('export-json').addEventListener('click', () => this.exportData('json'));
     document.getElementById('export-pdf').addEventListener('click', () => this.exportData('pdf'));
 
+    // Scheduled jobs
+    document.getElementById('refresh-jobs').addEventListener('click', () => this.loadJobs());
+    document.getElementById('scheduled-jobs-table').addEventListener('click', e => {
+      const button = e.target.closest('button[data-job-action]');
+      if (button) {
+        this.handleJobAction(button.dataset.jobAction, button.dataset.jobId);
+      }
+    });
+
+    // Dry runs
+    document.getElementById('refresh-dry-runs').addEventListener('click', () => this.loadDryRuns());
+    document.getElementById('dry-run-select').addEventListener('change', e => {
+      this.renderDryRun(this.dryRunReports.find(report => report.id === e.target.value));
+    });
+
+    // Selector health
+    document
+      .getElementById('run-selector-self-test')
+      .addEventListener('click', () => this.runSelectorSelfTest());
+
+    // Backup and restore
+    document.getElementById('create-backup').addEventListener('click', () => this.downloadBackup());
+    document.getElementById('restore-backup').addEventListener('click', () => {
+      document.getElementById('restore-file').click();
+    });
+    document.getElementById('restore-file').addEventListener('change', e => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) {
+        this.previewBackupFile(file);
+      }
+    });
+    document.getElementById('cancel-restore').addEventListener('click', () => {
+      this.hideRestoreModal();
+    });
+    document.getElementById('confirm-restore').addEventListener('click', () => this.applyRestore());
+
+    // Encryption vault
+    document.getElementById('setup-vault').addEventListener('click', () => {
+      this.handleVaultAction(MESSAGE_TYPES.SETUP_VAULT, 'set up encryption', {
+        passphrase: this.takePassphrase('vault-new-passphrase')
+      });
+    });
+    document.getElementById('unlock-vault').addEventListener('click', () => {
+      this.handleVaultAction(MESSAGE_TYPES.UNLOCK_VAULT, 'unlock', {
+        passphrase: this.takePassphrase('vault-passphrase')
+      });
+    });
+    document.getElementById('lock-vault').addEventListener('click', () => {
+      this.handleVaultAction(MESSAGE_TYPES.LOCK_VAULT, 'lock');
+    });
+    document.getElementById('rotate-vault-key').addEventListener('click', () => {
+      this.handleVaultAction(MESSAGE_TYPES.ROTATE_VAULT_KEY, 'rotate the key', {
+        passphrase: this.takePassphrase('vault-passphrase')
+      });
+    });
+    document.getElementById('change-vault-passphrase').addEventListener('click', () => {
+      this.handleVaultAction(MESSAGE_TYPES.CHANGE_VAULT_PASSPHRASE, 'change the passphrase', {
+        currentPassphrase: this.takePassphrase('vault-passphrase'),
+        newPassphrase: this.takePassphrase('vault-new-passphrase')
+      });
+    });
+
     // Custom date range modal
     document.getElementById('cancel-date-range').addEventListener('click', () => {
       this.hideDateRangeModal();
@@ -640,6 +720,345 @@ ${data.insights.recommendations.map(rec => `- ${rec.title}: ${rec.description}`)
     URL.revokeObjectURL(url);
   }
 
+  async loadJobs() {
+    try {
+      const response = await sendToBackground(createMessage(MESSAGE_TYPES.GET_JOBS));
+      this.renderJobsTable(response.data || []);
+    } catch (error) {
+      console.error('Error loading scheduled jobs:', error);
+      this.showError(`Failed to load scheduled jobs: ${error.message}`);
+    }
+  }
+
+  renderJobsTable(jobs) {
+    const tbody = document.getElementById('scheduled-jobs-table');
+    const statusColors = {
+      [JOB_STATUS.SCHEDULED]: 'bg-blue-100 text-blue-800',
+      [JOB_STATUS.COMPLETED]: 'bg-green-100 text-green-800',
+      [JOB_STATUS.FAILED]: 'bg-red-100 text-red-800',
+      [JOB_STATUS.CANCELLED]: 'bg-gray-100 text-gray-800'
+    };
+    const formatTime = timestamp => (timestamp ? new Date(timestamp).toLocaleString() : '—');
+
+    tbody.innerHTML = '';
+
+    if (jobs.length === 0) {
+      tbody.innerHTML =
+        '<tr><td colspan="5" class="px-6 py-4 text-center text-gray-500">No scheduled jobs</td></tr>';
+      return;
+    }
+
+    jobs.forEach(job => {
+      const isScheduled = job.status === JOB_STATUS.SCHEDULED;
+      const actions = isScheduled
+        ? `<button data-job-action="run" data-job-id="${job.id}" class="text-blue-600 hover:text-blue-800 mr-3">Run now</button>
+           <button data-job-action="cancel" data-job-id="${job.id}" class="text-red-600 hover:text-red-800">Cancel</button>`
+        : '';
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td class="px-6 py-4 text-sm font-medium text-gray-900"></td>
+        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${isScheduled ? formatTime(job.runAt) : '—'}</td>
+        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${formatTime(job.lastRunAt)}</td>
+        <td class="px-6 py-4 whitespace-nowrap">
+          <span class="px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${statusColors[job.status]}">
+            ${job.status}
+          </span>
+        </td>
+        <td class="px-6 py-4 whitespace-nowrap text-right text-sm">${actions}</td>
+      `;
+
+      // Labels contain campaign and report names, so they are set as text
+      row.firstElementChild.textContent = job.label;
+      if (job.lastError) {
+        const error = document.createElement('p');
+        error.className = 'text-xs text-red-600 mt-1';
+        error.textContent = job.lastError;
+        row.firstElementChild.appendChild(error);
+      }
+
+      tbody.appendChild(row);
+    });
+  }
+
+  async handleJobAction(action, jobId) {
+    const type = action === 'run' ? MESSAGE_TYPES.RUN_JOB : MESSAGE_TYPES.CANCEL_JOB;
+
+    try {
+      await sendToBackground(createMessage(type, { jobId }));
+    } catch (error) {
+      this.showError(`Failed to ${action} job: ${error.message}`);
+    }
+
+    await this.loadJobs();
+  }
+
+  async loadDryRuns() {
+    const select = document.getElementById('dry-run-select');
+    const selectedId = select.value;
+
+    this.dryRunReports = await getDryRunReports();
+    select.innerHTML = '';
+
+    this.dryRunReports.forEach(report => {
+      const option = document.createElement('option');
+      option.value = report.id;
+      option.textContent = new Date(report.startedAt).toLocaleString();
+      select.appendChild(option);
+    });
+
+    const selected =
+      this.dryRunReports.find(report => report.id === selectedId) || this.dryRunReports[0];
+    if (selected) {
+      select.value = selected.id;
+      this.renderDryRun(selected);
+    }
+  }
+
+  renderDryRun(report) {
+    const tbody = document.getElementById('dry-run-table');
+    const summary = document.getElementById('dry-run-summary');
+    const verdicts = {
+      [DRY_RUN_VERDICTS.WOULD_SEND]: { label: 'Would send', color: 'bg-green-100 text-green-800' },
+      [DRY_RUN_VERDICTS.BLOCKED]: { label: 'Blocked', color: 'bg-yellow-100 text-yellow-800' },
+      [DRY_RUN_VERDICTS.FAILED]: { label: 'Failed', color: 'bg-red-100 text-red-800' }
+    };
+    const { wouldSend, blocked, failed } = report.summary;
+
+    const state = report.finishedAt
+      ? `stopped: ${report.endReason.replace(/_/g, ' ')}`
+      : 'still running';
+
+    summary.textContent = `${wouldSend} would be sent, ${blocked} blocked by safety rules, ${failed} failed (${state})`;
+
+    tbody.innerHTML = '';
+
+    if (report.entries.length === 0) {
+      tbody.innerHTML =
+        '<tr><td colspan="4" class="px-6 py-4 text-center text-gray-500">No profiles checked yet</td></tr>';
+      return;
+    }
+
+    report.entries.forEach(entry => {
+      const verdict = verdicts[entry.verdict];
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td class="px-6 py-4 text-sm font-medium text-gray-900"><a target="_blank" rel="noopener" class="hover:text-blue-600"></a></td>
+        <td class="px-6 py-4 text-sm text-gray-500"></td>
+        <td class="px-6 py-4 whitespace-nowrap">
+          <span class="px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${verdict.color}">
+            ${verdict.label}
+          </span>
+        </td>
+        <td class="px-6 py-4 text-sm text-gray-500"></td>
+      `;
+
+      // Names, notes and errors come from LinkedIn pages and templates, so
+      // they are set as text
+      const link = row.querySelector('a');
+      link.textContent = entry.name || entry.profileUrl;
+      link.href = entry.profileUrl;
+      row.children[1].textContent = entry.note || '—';
+      row.children[3].textContent =
+        entry.blockedBy.map(rule => rule.message).join('; ') || entry.error || '—';
+      tbody.appendChild(row);
+    });
+  }
+
+  async runSelectorSelfTest() {
+    const summary = document.getElementById('selector-health-summary');
+
+    try {
+      const response = await sendToBackground(createMessage(MESSAGE_TYPES.RUN_SELECTOR_SELF_TEST));
+      this.renderSelectorHealth(response.data);
+    } catch (error) {
+      console.error('Error running selector self-test:', error);
+      summary.textContent = `Self-test failed: ${error.message}`;
+    }
+  }
+
+  renderSelectorHealth(report) {
+    const tbody = document.getElementById('selector-health-table');
+    const summary = document.getElementById('selector-health-summary');
+    const statusColors = {
+      [SELECTOR_HEALTH.OK]: 'bg-green-100 text-green-800',
+      [SELECTOR_HEALTH.FALLBACK]: 'bg-yellow-100 text-yellow-800',
+      [SELECTOR_HEALTH.BROKEN]: 'bg-red-100 text-red-800',
+      [SELECTOR_HEALTH.ABSENT]: 'bg-gray-100 text-gray-800'
+    };
+
+    summary.textContent =
+      report.broken.length > 0
+        ? `${report.broken.length} broken selector(s) on ${report.pageType} page (registry v${report.version})`
+        : `All required selectors matched on ${report.pageType} page (registry v${report.version})`;
+
+    tbody.innerHTML = '';
+
+    if (report.results.length === 0) {
+      tbody.innerHTML =
+        '<tr><td colspan="4" class="px-6 py-4 text-center text-gray-500">No selectors apply to this page</td></tr>';
+      return;
+    }
+
+    report.results.forEach(result => {
+      const strategy = result.strategy;
+      const matchedBy = strategy
+        ? `${strategy.type}: ${strategy.selector || strategy.role}${strategy.label || strategy.text ? ` "${strategy.label || strategy.text}"` : ''}`
+        : result.error || '—';
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td class="px-6 py-4 text-sm font-medium text-gray-900">${result.description}</td>
+        <td class="px-6 py-4 whitespace-nowrap">
+          <span class="px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${statusColors[result.status]}">
+            ${result.status}
+          </span>
+        </td>
+        <td class="px-6 py-4 text-sm text-gray-500 font-mono"></td>
+        <td class="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-500">${result.count}</td>
+      `;
+
+      // Selectors contain quotes and brackets, so they are set as text
+      row.children[2].textContent = matchedBy;
+      tbody.appendChild(row);
+    });
+  }
+
+  async downloadBackup() {
+    const passphrase = document.getElementById('backup-passphrase').value || null;
+    const result = await createBackup({ passphrase });
+
+    if (!result.success) {
+      this.showError(`Failed to create backup: ${result.error}`);
+      return;
+    }
+
+    const timestamp = new Date().toISOString().split('T')[0];
+    this.downloadFile(
+      serializeBackup(result.archive),
+      `linkedin-extension-backup-${timestamp}.json`,
+      'application/json'
+    );
+  }
+
+  async previewBackupFile(file) {
+    const text = await file.text();
+    const options = {
+      passphrase: document.getElementById('backup-passphrase').value || null,
+      mode: document.getElementById('restore-mode').value
+    };
+
+    const result = await previewRestore(text, options);
+    if (!result.success) {
+      this.showError(`Cannot restore backup: ${result.error}`);
+      return;
+    }
+
+    this.pendingRestore = { text, options };
+    this.showRestoreModal(result.preview);
+  }
+
+  showRestoreModal(preview) {
+    const actionLabels = {
+      create: 'Add',
+      overwrite: 'Overwrite',
+      merge: 'Merge',
+      unchanged: 'No change'
+    };
+
+    document.getElementById('restore-summary').textContent =
+      `Backup from ${new Date(preview.createdAt).toLocaleString()} (${preview.mode} mode)`;
+    document.getElementById('restore-preview-body').innerHTML = preview.keys
+      .map(
+        change => `
+      <tr>
+        <td class="py-2 text-gray-900">${change.key}</td>
+        <td class="py-2 ${change.action === 'overwrite' ? 'text-red-600' : 'text-gray-600'}">
+          ${actionLabels[change.action]}${change.action === 'merge' ? ` (+${change.added}, ~${change.updated})` : ''}
+        </td>
+        <td class="py-2 text-right text-gray-600">${change.existingCount}</td>
+        <td class="py-2 text-right text-gray-600">${change.incomingCount}</td>
+      </tr>
+    `
+      )
+      .join('');
+
+    document.getElementById('restore-modal').classList.remove('hidden');
+  }
+
+  hideRestoreModal() {
+    this.pendingRestore = null;
+    document.getElementById('restore-modal').classList.add('hidden');
+  }
+
+  async applyRestore() {
+    if (!this.pendingRestore) {
+      return;
+    }
+
+    const { text, options } = this.pendingRestore;
+    const result = await restoreBackup(text, options);
+    this.hideRestoreModal();
+
+    if (!result.success) {
+      this.showError(`Restore failed: ${result.error}`);
+      return;
+    }
+
+    this.analyticsEngine.clearCache();
+    await this.loadData(true);
+  }
+
+  async loadVaultStatus() {
+    try {
+      const response = await sendToBackground(createMessage(MESSAGE_TYPES.GET_VAULT_STATUS));
+      this.renderVaultStatus(response.data);
+    } catch (error) {
+      console.error('Error loading encryption status:', error);
+      this.showError(`Failed to load encryption status: ${error.message}`);
+    }
+  }
+
+  renderVaultStatus(status) {
+    const descriptions = {
+      [VAULT_STATES.UNINITIALIZED]: 'Not set up. Names, notes and messages are stored unencrypted.',
+      [VAULT_STATES.LOCKED]:
+        'Locked. Encrypted names, notes and messages stay hidden, and inbox scans and follow-ups wait, until you unlock.',
+      [VAULT_STATES.UNLOCKED]: 'Unlocked until the browser closes.'
+    };
+    const rotated = status.rotatedAt
+      ? ` Key last rotated ${new Date(status.rotatedAt).toLocaleString()}.`
+      : '';
+
+    document.getElementById('vault-status').textContent = descriptions[status.state] + rotated;
+    document.querySelectorAll('[data-vault-states]').forEach(element => {
+      const states = element.dataset.vaultStates.split(' ');
+      element.classList.toggle('hidden', !states.includes(status.state));
+    });
+  }
+
+  async handleVaultAction(type, action, data = {}) {
+    if (Object.values(data).some(passphrase => !passphrase)) {
+      this.showError(`Enter a passphrase to ${action}`);
+      return;
+    }
+
+    try {
+      // Rotation re-encrypts every stored record
+      await sendToBackground(createMessage(type, data), { timeout: 5 * 60 * 1000 });
+    } catch (error) {
+      this.showError(`Failed to ${action}: ${error.message}`);
+    }
+
+    await this.loadVaultStatus();
+  }
+
+  // Passphrase fields are cleared as soon as they are read
+  takePassphrase(id) {
+    const input = document.getElementById(id);
+    const passphrase = input.value;
+    input.value = '';
+    return passphrase;
+  }
+
   setLastUpdated() {
     document.getElementById('last-updated').textContent = new Date().toLocaleString();
   }
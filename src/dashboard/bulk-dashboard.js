@@ -4,6 +4,13 @@
 import { getStorageData, setStorageData, STORAGE_KEYS } from '../utils/storage.js';
 import { getMessageTemplates } from '../utils/message-templates.js';
 import { getAnalyticsSummary } from '../utils/analytics.js';
+import {
+  createMessage,
+  connectToStream,
+  MESSAGE_TYPES,
+  STREAM_EVENTS
+} from '../utils/messaging.js';
+import { scheduleCampaignStart } from '../utils/campaign-management.js';
 
 // Dashboard state
 let currentCampaigns = [];
@@ -370,6 +377,7 @@ async function handleCreateCampaign(e) {
     // Save campaign
     currentCampaigns.push(campaignData);
     await saveCampaigns();
+    await scheduleCampaignStart(campaignData);
 
     // Start campaign if immediate
     if (campaignData.status === 'active') {
@@ -411,10 +419,9 @@ async function toggleCampaignStatus(campaignId) {
 async function startCampaign(campaignId) {
   try {
     // Send message to background script to start campaign
-    const response = await chrome.runtime.sendMessage({
-      type: 'START_CAMPAIGN',
-      campaignId: campaignId
-    });
+    const response = await chrome.runtime.sendMessage(
+      createMessage(MESSAGE_TYPES.START_CAMPAIGN, { campaignId })
+    );
 
     if (!response.success) {
       throw new Error(response.error || 'Failed to start campaign');
@@ -429,10 +436,9 @@ async function startCampaign(campaignId) {
 async function pauseCampaign(campaignId) {
   try {
     // Send message to background script to pause campaign
-    const response = await chrome.runtime.sendMessage({
-      type: 'PAUSE_CAMPAIGN',
-      campaignId: campaignId
-    });
+    const response = await chrome.runtime.sendMessage(
+      createMessage(MESSAGE_TYPES.PAUSE_CAMPAIGN, { campaignId })
+    );
 
     if (!response.success) {
       throw new Error(response.error || 'Failed to pause campaign');
@@ -786,15 +792,23 @@ async function saveCampaigns() {
 }
 
 function startRealTimeUpdates() {
-  // Update dashboard every 30 seconds
-  setInterval(async () => {
+  const refresh = async () => {
     try {
       await loadDashboardData();
       renderDashboard();
     } catch (error) {
       console.error('Error updating dashboard:', error);
     }
-  }, 30000);
+  };
+
+  // Refresh as soon as the automation reports progress
+  connectToStream().subscribe(
+    [STREAM_EVENTS.REQUEST_SENT, STREAM_EVENTS.REQUEST_FAILED, STREAM_EVENTS.AUTOMATION_STOPPED],
+    refresh
+  );
+
+  // Update dashboard every 30 seconds
+  setInterval(refresh, 30000);
 }
 
 // Utility functions
@@ -1,4 +1,13 @@
 // Popup script for LinkedIn Chrome Extension
+import {
+  connectToStream,
+  createMessage,
+  isLinkedInTabUrl,
+  MESSAGE_TYPES,
+  STREAM_EVENTS
+} from '../utils/messaging.js';
+import { toSandboxUrl } from '../utils/sandbox.js';
+
 document.addEventListener('DOMContentLoaded', initializePopup);
 
 let currentSettings = null;
@@ -19,9 +28,11 @@ async function initializePopup() {
     // Update UI with current status
     updateStatusDisplay();
     updateStatsDisplay();
+    updateSandboxButton();
 
     // Setup event listeners
     setupEventListeners();
+    subscribeToProgress();
 
     // Check if we're on LinkedIn
     checkLinkedInTab();
@@ -35,6 +46,7 @@ function setupEventListeners() {
   document.getElementById('start-automation').addEventListener('click', toggleAutomation);
   document.getElementById('open-dashboard').addEventListener('click', openDashboard);
   document.getElementById('open-settings').addEventListener('click', openSettings);
+  document.getElementById('open-sandbox').addEventListener('click', toggleSandbox);
 
   // Help system event listeners
   const helpButton = document.getElementById('help-button');
@@ -49,6 +61,31 @@ function setupEventListeners() {
   }
 }
 
+// Live progress from the automation running in the LinkedIn tab
+function subscribeToProgress() {
+  const stream = connectToStream();
+
+  stream.subscribe(STREAM_EVENTS.REQUEST_SENT, () => updateStatsDisplay());
+  const running = [STREAM_EVENTS.AUTOMATION_STARTED, STREAM_EVENTS.AUTOMATION_RESUMED];
+  const idle = [STREAM_EVENTS.AUTOMATION_STOPPED, STREAM_EVENTS.AUTOMATION_PAUSED];
+  stream.subscribe([...running, ...idle], event => {
+    isAutomationActive = running.includes(event.type);
+    updateStatusDisplay();
+
+    const button = document.getElementById('start-automation');
+    button.textContent = isAutomationActive ? 'Stop Automation' : 'Start Automation';
+    button.classList.toggle('bg-red-600', isAutomationActive);
+    button.classList.toggle('hover:bg-red-700', isAutomationActive);
+    button.classList.toggle('bg-blue-600', !isAutomationActive);
+    button.classList.toggle('hover:bg-blue-700', !isAutomationActive);
+  });
+  stream.subscribe(STREAM_EVENTS.RATE_LIMIT_HIT, event => {
+    showError(`Automation stopped: ${event.data.message}`);
+  });
+
+  window.addEventListener('unload', () => stream.disconnect());
+}
+
 async function toggleAutomation() {
   const button = document.getElementById('start-automation');
 
@@ -57,7 +94,7 @@ async function toggleAutomation() {
       // Start automation
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
-      if (!tab.url.includes('linkedin.com')) {
+      if (!isLinkedInTabUrl(tab.url)) {
         showError('Please navigate to LinkedIn first');
         return;
       }
@@ -111,6 +148,32 @@ async function openSettings() {
   }
 }
 
+// Switch to the mock LinkedIn site, where automation can be tried without
+// touching a real account, or back to LinkedIn
+async function toggleSandbox() {
+  const sandboxMode = !currentSettings.sandboxMode;
+
+  try {
+    const response = await chrome.runtime.sendMessage(
+      createMessage(MESSAGE_TYPES.UPDATE_SETTINGS, { sandboxMode })
+    );
+    currentSettings = response?.data || { ...currentSettings, sandboxMode };
+    updateSandboxButton();
+
+    if (sandboxMode) {
+      await chrome.tabs.create({ url: toSandboxUrl('/search/results/people/') });
+    }
+  } catch (error) {
+    console.error('Error switching sandbox mode:', error);
+  }
+}
+
+function updateSandboxButton() {
+  document.getElementById('open-sandbox').textContent = currentSettings.sandboxMode
+    ? '🧪 Leave the Sandbox'
+    : '🧪 Practice in the Sandbox';
+}
+
 function updateStatusDisplay() {
   const statusElement = document.getElementById('status');
   const statusDot = statusElement.querySelector('.w-2');
@@ -147,7 +210,7 @@ async function checkLinkedInTab() {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     const startButton = document.getElementById('start-automation');
 
-    if (!tab.url.includes('linkedin.com')) {
+    if (!isLinkedInTabUrl(tab.url)) {
       startButton.disabled = true;
       startButton.textContent = 'Navigate to LinkedIn';
     } else {
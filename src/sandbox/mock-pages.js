@@ -0,0 +1,540 @@
+// Mock LinkedIn Pages
+// Renders the page a sandbox URL stands for in LinkedIn's own markup, so the
+// content script reads and clicks it exactly as it would on linkedin.com, and
+// plays LinkedIn's part when the automation clicks: invitation dialogs,
+// withdrawals and the message composer
+
+import { detectLinkedInPageType, getProfileSlug, getLinkedInUrl } from '../utils/linkedin.js';
+import { toSandboxUrl } from '../utils/sandbox.js';
+import {
+  getSandboxState,
+  getSandboxNetwork,
+  recordInvitation,
+  withdrawInvitation,
+  recordMessage,
+  markThreadRead,
+  resetSandbox,
+  SANDBOX_STATUS
+} from './sandbox-state.js';
+import { SANDBOX_USER } from './sandbox-data.js';
+
+const LINKEDIN_ORIGIN = 'https://www.linkedin.com';
+const SEARCH_PAGE_SIZE = 4;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const PAGES = {
+  'people-search': renderSearchPage,
+  profile: renderProfilePage,
+  connections: renderConnectionsPage,
+  'sent-invitations': renderSentInvitationsPage,
+  messaging: renderMessagingPage
+};
+
+let actionsBound = false;
+
+/**
+ * Render the mock of a LinkedIn page into the document
+ * @param {string} linkedInUrl - LinkedIn URL the page stands for
+ * @param {number} now - Point in time to show the simulated network at
+ * @returns {Promise<string>} Page type that was rendered
+ */
+export async function renderSandboxPage(linkedInUrl, now = Date.now()) {
+  document.documentElement.dataset.linkedinUrl = linkedInUrl;
+
+  const network = getSandboxNetwork(await getSandboxState(), now);
+  const pageType = detectLinkedInPageType();
+  const url = new URL(linkedInUrl);
+  const render = PAGES[pageType] || renderHomePage;
+
+  document.body.innerHTML = `${renderBanner()}${render(network, url, now)}`;
+
+  const threadSlug = document.querySelector('.msg-thread')?.dataset.slug;
+  if (threadSlug) {
+    await markThreadRead(threadSlug, now);
+  }
+
+  if (!actionsBound) {
+    bindActions();
+    actionsBound = true;
+  }
+
+  return PAGES[pageType] ? pageType : 'home';
+}
+
+// Helper Functions
+
+function renderBanner() {
+  return `
+    <div class="sandbox-banner" role="status">
+      Sandbox: a mock LinkedIn with simulated people. Nothing here reaches linkedin.com.
+      <button type="button" class="sandbox-banner__reset" data-sandbox-action="reset">Reset sandbox</button>
+    </div>
+  `;
+}
+
+function renderHomePage() {
+  return `
+    <main class="sandbox-home">
+      <h1>LinkedIn sandbox</h1>
+      <ul>
+        <li><a href="${LINKEDIN_ORIGIN}/search/results/people/">Search people</a></li>
+        <li><a href="${LINKEDIN_ORIGIN}/mynetwork/invitation-manager/sent/">Sent invitations</a></li>
+        <li><a href="${LINKEDIN_ORIGIN}/mynetwork/invite-connect/connections/">Connections</a></li>
+        <li><a href="${LINKEDIN_ORIGIN}/messaging/">Messaging</a></li>
+      </ul>
+    </main>
+  `;
+}
+
+function renderSearchPage(network, url) {
+  const keywords = (url.searchParams.get('keywords') || '').toLowerCase().split(/\s+/);
+  const page = Math.max(parseInt(url.searchParams.get('page'), 10) || 1, 1);
+  const matches = network.filter(person => {
+    const text =
+      `${person.name} ${person.headline} ${person.location} ${person.about}`.toLowerCase();
+    return keywords.every(keyword => text.includes(keyword));
+  });
+  const results = matches.slice((page - 1) * SEARCH_PAGE_SIZE, page * SEARCH_PAGE_SIZE);
+  const hasNextPage = page * SEARCH_PAGE_SIZE < matches.length;
+
+  const nextUrl = new URL(url);
+  nextUrl.searchParams.set('page', String(page + 1));
+
+  return `
+    <main class="search-results-container">
+      <h2>About ${matches.length} results</h2>
+      <ul class="reusable-search__entity-result-list">
+        ${results.map(renderSearchResult).join('')}
+      </ul>
+      <div class="artdeco-pagination">
+        <button type="button" class="artdeco-pagination__button--next" aria-label="Next"
+          data-sandbox-action="navigate" data-href="${nextUrl.href}" ${hasNextPage ? '' : 'disabled'}>Next</button>
+      </div>
+    </main>
+  `;
+}
+
+function renderSearchResult(person) {
+  return `
+    <li class="reusable-search__result-container" data-control-name="search_srp_result">
+      <div class="entity-result">
+        <span class="entity-result__title-text">
+          <a class="app-aware-link" href="${profileUrl(person)}">${person.name}</a>
+        </span>
+        <span class="entity-result__badge-text">• ${formatDegree(person.degree)}</span>
+        <div class="entity-result__primary-subtitle">${person.headline}</div>
+        <div class="entity-result__secondary-subtitle">${person.location}</div>
+      </div>
+      ${renderPersonAction(person, 'artdeco-button--secondary')}
+    </li>
+  `;
+}
+
+function renderProfilePage(network, url) {
+  const person = findPerson(network, getProfileSlug(url.pathname));
+
+  if (!person) {
+    return '<main class="scaffold-layout__main"><h1>This page doesn’t exist</h1></main>';
+  }
+
+  return `
+    <main class="scaffold-layout__main">
+      <section class="artdeco-card pv-top-card" data-slug="${person.slug}">
+        <div class="pv-text-details__left-panel">
+          <h1 class="text-heading-xlarge inline t-24 v-align-middle break-words">${person.name}</h1>
+          <div class="text-body-medium break-words">${person.headline}</div>
+        </div>
+        <div class="pv-text-details__left-panel mt2">
+          <span class="text-body-small inline t-black--light break-words">${person.location}</span>
+          <span class="dist-value">${formatDegree(person.degree)}</span>
+        </div>
+        <div class="pv-s-profile-actions pvs-profile-actions">
+          ${renderPersonAction(person, 'artdeco-button--primary')}
+        </div>
+      </section>
+      <section class="artdeco-card pv-profile-card">
+        <div id="about" class="pv-profile-card__anchor"></div>
+        <h2 class="pvs-header__title"><span aria-hidden="true">About</span></h2>
+        <div class="inline-show-more-text"><span aria-hidden="true">${person.about}</span></div>
+      </section>
+    </main>
+  `;
+}
+
+// Connect, Pending or Message, depending on where the person stands
+function renderPersonAction(person, style) {
+  if (person.status === SANDBOX_STATUS.CONNECTED) {
+    return `<button type="button" class="artdeco-button ${style}" aria-label="Message ${person.name}"
+      data-sandbox-action="message" data-slug="${person.slug}">Message</button>`;
+  }
+  if (person.status === SANDBOX_STATUS.PENDING) {
+    return renderPendingButton(person.name);
+  }
+  return `<button type="button" class="artdeco-button ${style}" aria-label="Invite ${person.name} to connect"
+    data-sandbox-action="connect" data-slug="${person.slug}" data-name="${person.name}">Connect</button>`;
+}
+
+function renderPendingButton(name) {
+  return `<button type="button" class="artdeco-button artdeco-button--muted"
+    aria-label="Pending, click to withdraw invitation sent to ${name}">Pending</button>`;
+}
+
+function renderConnectionsPage(network, url, now) {
+  const connections = network
+    .filter(person => person.status === SANDBOX_STATUS.CONNECTED)
+    .sort((a, b) => b.connectedAt - a.connectedAt);
+
+  return `
+    <main>
+      <section class="mn-connections">
+        <h1>${connections.length} Connections</h1>
+        <ul class="scaffold-finite-scroll__content">
+          ${connections.map(person => renderConnectionCard(person, now)).join('')}
+        </ul>
+      </section>
+    </main>
+  `;
+}
+
+function renderConnectionCard(person, now) {
+  return `
+    <li class="mn-connection-card artdeco-list__item">
+      <a class="mn-connection-card__link" href="${profileUrl(person)}">
+        <span class="mn-connection-card__name">${person.name}</span>
+        <span class="mn-connection-card__occupation">${person.headline}</span>
+      </a>
+      <time class="time-badge">Connected ${formatAgo(now - person.connectedAt)}</time>
+      <button type="button" aria-label="Send a message to ${person.name}"
+        data-sandbox-action="message" data-slug="${person.slug}">Message</button>
+    </li>
+  `;
+}
+
+function renderSentInvitationsPage(network, url, now) {
+  const pending = network
+    .filter(person => person.status === SANDBOX_STATUS.PENDING)
+    .sort((a, b) => b.sentAt - a.sentAt);
+
+  return `
+    <main>
+      <section class="mn-invitation-manager">
+        <h2>Sent (${pending.length})</h2>
+        <ul class="mn-invitation-list">
+          ${pending.map(person => renderInvitationCard(person, now)).join('')}
+        </ul>
+      </section>
+    </main>
+  `;
+}
+
+function renderInvitationCard(person, now) {
+  return `
+    <li class="invitation-card artdeco-list__item" data-slug="${person.slug}">
+      <a class="invitation-card__link" href="${profileUrl(person)}">
+        <span class="invitation-card__title">${person.name}</span>
+      </a>
+      <p class="invitation-card__subtitle">${person.headline}</p>
+      <time class="time-badge">Sent ${formatAgo(now - person.sentAt)}</time>
+      <button type="button" aria-label="Withdraw invitation sent to ${person.name}"
+        data-sandbox-action="withdraw" data-slug="${person.slug}">Withdraw</button>
+    </li>
+  `;
+}
+
+function renderMessagingPage(network, url, now) {
+  const threadId = (url.pathname.match(/\/messaging\/thread\/([^/]+)/) || [])[1];
+  const person = threadId && network.find(p => p.thread && p.thread.id === threadId);
+
+  return person ? `<main>${renderThread(person, now)}</main>` : renderInbox(network, now);
+}
+
+function renderInbox(network, now) {
+  const threads = network
+    .filter(person => person.thread)
+    .sort((a, b) => lastMessage(b).sentAt - lastMessage(a).sentAt);
+
+  return `
+    <main>
+      <section class="msg-conversations-container">
+        <ul class="msg-conversations-container__conversations-list">
+          ${threads.map(person => renderInboxThread(person, now)).join('')}
+        </ul>
+      </section>
+    </main>
+  `;
+}
+
+function renderInboxThread(person, now) {
+  const last = lastMessage(person);
+  const unread = person.thread.unread ? ' msg-conversation-card__convo-item-container--unread' : '';
+  const sender = last.inbound ? person.name.split(' ')[0] : 'You';
+
+  return `
+    <li class="msg-conversation-listitem">
+      <div class="msg-conversation-card__convo-item-container${unread}">
+        <a class="msg-conversation-listitem__link" href="${LINKEDIN_ORIGIN}/messaging/thread/${person.thread.id}/">
+          <h3 class="msg-conversation-listitem__participant-names">${person.name}</h3>
+          <time class="msg-conversation-listitem__time-stamp">${formatListTime(last.sentAt, now)}</time>
+          <p class="msg-conversation-card__message-snippet">${sender}: ${escapeHtml(last.content)}</p>
+        </a>
+      </div>
+    </li>
+  `;
+}
+
+// A day heading opens each day and a sender header each run of messages
+// from the same person, as in LinkedIn's threads
+function renderThread(person, now) {
+  const messages = person.thread ? person.thread.messages : [];
+  let day = null;
+  let sender = null;
+
+  const events = messages.map(message => {
+    const messageDay = formatDay(message.sentAt, now);
+    const dayHeading =
+      messageDay !== day
+        ? `<time class="msg-s-message-list__time-heading">${messageDay}</time>`
+        : '';
+    const groupHeader =
+      message.inbound !== sender || dayHeading ? renderMessageGroup(person, message) : '';
+
+    day = messageDay;
+    sender = message.inbound;
+
+    return renderThreadEvent(dayHeading + groupHeader, message);
+  });
+
+  return `
+    <section class="msg-thread" data-slug="${person.slug}">
+      <div class="msg-entity-lockup">
+        <a class="msg-thread__link-to-profile" href="${profileUrl(person)}">${person.name}</a>
+      </div>
+      <ul class="msg-s-message-list-content">${events.join('')}</ul>
+      <form class="msg-form" data-slug="${person.slug}">
+        <div class="msg-form__contenteditable" contenteditable="true" role="textbox" aria-label="Write a message…"></div>
+        <button class="msg-form__send-button artdeco-button" type="submit" disabled>Send</button>
+      </form>
+    </section>
+  `;
+}
+
+function renderMessageGroup(person, message) {
+  const author = message.inbound ? person : SANDBOX_USER;
+
+  return `
+    <div class="msg-s-message-group">
+      <a class="msg-s-message-group__profile-link" href="${profileUrl(author)}">
+        <span class="msg-s-message-group__name">${author.name}</span>
+      </a>
+      <time class="msg-s-message-group__timestamp">${formatTime(message.sentAt)}</time>
+    </div>
+  `;
+}
+
+function renderThreadEvent(headers, message) {
+  const other = message.inbound ? ' msg-s-event-listitem--other' : '';
+
+  return `
+    <li class="msg-s-message-list__event">
+      ${headers}
+      <div class="msg-s-event-listitem${other}" data-event-urn="urn:li:sandbox:${message.sentAt}">
+        <p class="msg-s-event-listitem__body">${escapeHtml(message.content)}</p>
+      </div>
+    </li>
+  `;
+}
+
+function renderInvitationDialog(slug, withNote) {
+  const buttons = withNote
+    ? `<textarea name="message" id="custom-message" maxlength="300" aria-label="Add a message"></textarea>
+       <button type="button" class="artdeco-button artdeco-button--primary" aria-label="Send invitation"
+         data-sandbox-action="send-invitation" data-slug="${slug}">Send</button>`
+    : `<button type="button" class="artdeco-button artdeco-button--secondary" aria-label="Add a note"
+         data-sandbox-action="add-note" data-slug="${slug}">Add a note</button>
+       <button type="button" class="artdeco-button artdeco-button--primary" aria-label="Send without a note"
+         data-sandbox-action="send-invitation" data-slug="${slug}">Send without a note</button>`;
+
+  return `
+    <button type="button" class="artdeco-modal__dismiss" aria-label="Dismiss"
+      data-sandbox-action="dismiss">×</button>
+    <h2>Add a note to your invitation?</h2>${buttons}
+  `;
+}
+
+// Clicks on the mock site are handled by delegation, so they keep working on
+// re-rendered markup
+function bindActions() {
+  document.addEventListener('click', event => {
+    const actionElement = event.target.closest('[data-sandbox-action]');
+    if (actionElement) {
+      event.preventDefault();
+      handleAction(actionElement.dataset.sandboxAction, actionElement);
+      return;
+    }
+
+    // Links point at linkedin.com and open their sandbox page instead
+    const link = event.target.closest('a[href]');
+    if (link) {
+      event.preventDefault();
+      window.location.assign(toSandboxUrl(link.getAttribute('href')));
+    }
+  });
+
+  document.addEventListener('input', event => {
+    const composer = event.target.closest('.msg-form__contenteditable');
+    if (composer) {
+      composer.closest('.msg-form').querySelector('.msg-form__send-button').disabled =
+        !composer.textContent.trim();
+    }
+  });
+
+  document.addEventListener('submit', event => {
+    const form = event.target.closest('.msg-form');
+    if (form) {
+      event.preventDefault();
+      sendComposedMessage(form);
+    }
+  });
+}
+
+const ACTIONS = {
+  connect: element => openDialog(renderInvitationDialog(element.dataset.slug, false)),
+  'add-note': element => openDialog(renderInvitationDialog(element.dataset.slug, true)),
+  'send-invitation': async element => {
+    const dialog = element.closest('[role="dialog"]');
+    const note = dialog.querySelector('textarea')?.value || null;
+    const { slug } = element.dataset;
+
+    await recordInvitation(slug, note);
+    dialog.remove();
+    document
+      .querySelectorAll(`[data-sandbox-action="connect"][data-slug="${slug}"]`)
+      .forEach(button => {
+        button.outerHTML = renderPendingButton(button.dataset.name);
+      });
+  },
+  withdraw: element => {
+    const dialog = openDialog(`
+      <h2>Withdraw invitation</h2>
+      <button type="button" class="artdeco-modal__confirm-dialog-btn artdeco-button--primary"
+        data-sandbox-action="confirm-withdraw" data-slug="${element.dataset.slug}">Withdraw</button>
+    `);
+    dialog.classList.add('artdeco-modal');
+  },
+  'confirm-withdraw': async element => {
+    const { slug } = element.dataset;
+    await withdrawInvitation(slug);
+    element.closest('[role="dialog"]').remove();
+    document.querySelector(`.invitation-card[data-slug="${slug}"]`)?.remove();
+  },
+  message: async element => {
+    const network = getSandboxNetwork(await getSandboxState());
+    const person = findPerson(network, element.dataset.slug);
+    openDialog(renderThread(person, Date.now())).classList.add('msg-overlay-conversation-bubble');
+  },
+  dismiss: element => element.closest('[role="dialog"]').remove(),
+  navigate: element => window.location.assign(toSandboxUrl(element.dataset.href)),
+  reset: async () => {
+    await resetSandbox();
+    await renderSandboxPage(getLinkedInUrl());
+  }
+};
+
+function handleAction(action, element) {
+  Promise.resolve(ACTIONS[action](element)).catch(error => {
+    console.error(`Sandbox action ${action} failed:`, error);
+  });
+}
+
+function openDialog(html) {
+  document.querySelectorAll('.sandbox-dialog').forEach(dialog => dialog.remove());
+
+  const dialog = document.createElement('div');
+  dialog.className = 'sandbox-dialog';
+  dialog.setAttribute('role', 'dialog');
+  dialog.innerHTML = html;
+  document.body.appendChild(dialog);
+  return dialog;
+}
+
+async function sendComposedMessage(form) {
+  const composer = form.querySelector('.msg-form__contenteditable');
+  const content = composer.textContent.trim();
+  const sentAt = Date.now();
+
+  if (!content) {
+    return;
+  }
+
+  await recordMessage(form.dataset.slug, content, sentAt);
+
+  const list = form.closest('.msg-thread').querySelector('.msg-s-message-list-content');
+  list.insertAdjacentHTML('beforeend', renderThreadEvent('', { inbound: false, content, sentAt }));
+  composer.innerHTML = '';
+  form.querySelector('.msg-form__send-button').disabled = true;
+}
+
+function findPerson(network, slug) {
+  return network.find(person => person.slug === slug) || null;
+}
+
+function lastMessage(person) {
+  return person.thread.messages[person.thread.messages.length - 1];
+}
+
+function profileUrl(person) {
+  return `${LINKEDIN_ORIGIN}/in/${person.slug}/`;
+}
+
+function formatDegree(degree) {
+  return ['1st', '2nd', '3rd'][degree - 1] || `${degree}th`;
+}
+
+// "5 minutes ago", as on the network pages
+function formatAgo(ms) {
+  const units = [
+    ['day', 24 * 60 * 60 * 1000],
+    ['hour', 60 * 60 * 1000],
+    ['minute', 60 * 1000],
+    ['second', 1000]
+  ];
+  const [unit, size] = units.find(([, length]) => ms >= length) || units[units.length - 1];
+  const count = Math.max(Math.floor(ms / size), 1);
+
+  return `${count} ${unit}${count === 1 ? '' : 's'} ago`;
+}
+
+function formatTime(timestamp) {
+  const date = new Date(timestamp);
+  const hours = date.getHours();
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+
+  return `${hours % 12 || 12}:${minutes} ${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+function formatDay(timestamp, now) {
+  const date = new Date(timestamp);
+  const today = new Date(now);
+  const yesterday = new Date(now);
+  yesterday.setDate(yesterday.getDate() - 1);
+
+  if (date.toDateString() === today.toDateString()) {
+    return 'Today';
+  }
+  if (date.toDateString() === yesterday.toDateString()) {
+    return 'Yesterday';
+  }
+  return `${MONTHS[date.getMonth()]} ${date.getDate()}`;
+}
+
+// The messaging list shows the time for today's messages and the date otherwise
+function formatListTime(timestamp, now) {
+  const day = formatDay(timestamp, now);
+  return day === 'Today' ? formatTime(timestamp) : day;
+}
+
+function escapeHtml(text) {
+  const element = document.createElement('span');
+  element.textContent = text;
+  return element.innerHTML;
+}
@@ -0,0 +1,99 @@
+// Sandbox Data
+// The simulated people of the mock LinkedIn site and how each one responds
+// to an invitation. Delays are counted from when the invitation was sent.
+
+export const SANDBOX_USER = {
+  slug: 'sandbox-user',
+  name: 'You'
+};
+
+/**
+ * People of the mock site
+ * - degree: 1 for existing connections, 2 or 3 otherwise
+ * - accepts: `{ afterMinutes }`, or null for people who never accept
+ * - replies: `{ afterMinutes, text }` sent once the invitation is accepted,
+ *   or null for people who never reply
+ */
+export const SANDBOX_PEOPLE = [
+  {
+    slug: 'maria-lopez',
+    name: 'Maria Lopez',
+    headline: 'Head of Growth at Northwind Traders',
+    location: 'Madrid, Spain',
+    about: 'Growth marketer running experiments across paid, lifecycle and product.',
+    degree: 2,
+    accepts: { afterMinutes: 1 },
+    replies: { afterMinutes: 3, text: 'Thanks for connecting! Happy to compare notes on growth.' }
+  },
+  {
+    slug: 'jonas-weber',
+    name: 'Jonas Weber',
+    headline: 'Senior Data Engineer at Contoso',
+    location: 'Berlin, Germany',
+    about: 'Building streaming pipelines and the occasional dashboard.',
+    degree: 2,
+    accepts: { afterMinutes: 2 },
+    replies: null
+  },
+  {
+    slug: 'aisha-khan',
+    name: 'Aisha Khan',
+    headline: 'Product Manager at Fabrikam',
+    location: 'London, United Kingdom',
+    about: 'PM for developer tools. Ex-engineer.',
+    degree: 2,
+    accepts: { afterMinutes: 5 },
+    replies: { afterMinutes: 10, text: 'Hi! Sure, let’s set up a call next week.' }
+  },
+  {
+    slug: 'li-wei',
+    name: 'Li Wei',
+    headline: 'Engineering Manager at Tailspin Toys',
+    location: 'Singapore',
+    about: 'Leading the platform team.',
+    degree: 3,
+    accepts: null,
+    replies: null
+  },
+  {
+    slug: 'sofia-rossi',
+    name: 'Sofia Rossi',
+    headline: 'UX Research Lead at Adventure Works',
+    location: 'Milan, Italy',
+    about: 'Research ops, interviews and usability testing at scale.',
+    degree: 2,
+    accepts: { afterMinutes: 3 },
+    replies: { afterMinutes: 30, text: 'Thanks for reaching out, what did you have in mind?' }
+  },
+  {
+    slug: 'daniel-okoro',
+    name: 'Daniel Okoro',
+    headline: 'CTO at Litware',
+    location: 'Lagos, Nigeria',
+    about: 'Scaling engineering teams and payment infrastructure.',
+    degree: 3,
+    accepts: { afterMinutes: 10 },
+    replies: null
+  },
+  {
+    slug: 'emma-johansson',
+    name: 'Emma Johansson',
+    headline: 'Talent Partner at Wingtip Toys',
+    location: 'Stockholm, Sweden',
+    about: 'Hiring engineers and designers across the Nordics.',
+    degree: 1,
+    connectedDaysAgo: 90,
+    accepts: null,
+    replies: null
+  },
+  {
+    slug: 'lucas-martin',
+    name: 'Lucas Martin',
+    headline: 'Sales Director at Proseware',
+    location: 'Paris, France',
+    about: 'Enterprise sales across EMEA.',
+    degree: 2,
+    accepts: null,
+    replies: null
+  }
+];
@@ -0,0 +1,10 @@
+// Sandbox Page
+// Entry point of the mock LinkedIn site: renders the page the URL stands for,
+// then starts the content script on it as it would start on linkedin.com
+
+import { renderSandboxPage } from './mock-pages.js';
+import { fromSandboxUrl } from '../utils/sandbox.js';
+
+renderSandboxPage(fromSandboxUrl(window.location.href)).then(
+  () => import('../content/linkedin-content.js')
+);
@@ -0,0 +1,184 @@
+// Sandbox State
+// What the user did on the mock site (invitations sent, messages written,
+// threads read) and how the simulated people have responded by a given time
+
+import {
+  getStorageData,
+  updateStorage,
+  removeStorageData,
+  STORAGE_KEYS
+} from '../utils/storage.js';
+import { SANDBOX_PEOPLE } from './sandbox-data.js';
+
+export const SANDBOX_STATUS = {
+  NONE: 'none',
+  PENDING: 'pending',
+  CONNECTED: 'connected'
+};
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Get the sandbox state
+ * @returns {Promise<Object>} Invitations and messages by profile slug, and
+ *   when each thread was last read
+ */
+export async function getSandboxState() {
+  const result = await getStorageData(STORAGE_KEYS.SANDBOX_STATE);
+  return { ...emptyState(), ...result[STORAGE_KEYS.SANDBOX_STATE] };
+}
+
+/**
+ * Record an invitation sent on the mock site
+ * @param {string} slug - Profile slug of the invited person
+ * @param {string} note - Invitation note, if any
+ * @param {number} now - When it was sent
+ * @returns {Promise<Object>} Updated state
+ */
+export function recordInvitation(slug, note = null, now = Date.now()) {
+  return updateSandboxState(state => {
+    state.invitations[slug] = { sentAt: now, note: note || null };
+  });
+}
+
+/**
+ * Withdraw an invitation sent on the mock site
+ * @param {string} slug - Profile slug of the invited person
+ * @returns {Promise<Object>} Updated state
+ */
+export function withdrawInvitation(slug) {
+  return updateSandboxState(state => {
+    delete state.invitations[slug];
+  });
+}
+
+/**
+ * Record a message the user sent in a thread of the mock site
+ * @param {string} slug - Profile slug of the other participant
+ * @param {string} content - Message text
+ * @param {number} now - When it was sent
+ * @returns {Promise<Object>} Updated state
+ */
+export function recordMessage(slug, content, now = Date.now()) {
+  return updateSandboxState(state => {
+    state.messages[slug] = [...(state.messages[slug] || []), { content, sentAt: now }];
+  });
+}
+
+/**
+ * Mark a thread of the mock site as read
+ * @param {string} slug - Profile slug of the other participant
+ * @param {number} now - When it was read
+ * @returns {Promise<Object>} Updated state
+ */
+export function markThreadRead(slug, now = Date.now()) {
+  return updateSandboxState(state => {
+    state.readAt[slug] = now;
+  });
+}
+
+/**
+ * Forget everything done on the mock site
+ * @returns {Promise<void>}
+ */
+export function resetSandbox() {
+  return removeStorageData(STORAGE_KEYS.SANDBOX_STATE);
+}
+
+/**
+ * Work out where each person of the mock site stands with the user
+ * @param {Object} state - Sandbox state
+ * @param {number} now - Point in time
+ * @returns {Array} People, each with a SANDBOX_STATUS `status`, `sentAt` and
+ *   `connectedAt` where they apply, and their `thread` with the user, if any
+ */
+export function getSandboxNetwork(state, now = Date.now()) {
+  return SANDBOX_PEOPLE.map(person => {
+    const invitation = state.invitations[person.slug] || null;
+    const connectedAt = getConnectedAt(person, invitation, now);
+    const status =
+      connectedAt !== null
+        ? SANDBOX_STATUS.CONNECTED
+        : invitation
+          ? SANDBOX_STATUS.PENDING
+          : SANDBOX_STATUS.NONE;
+
+    return {
+      ...person,
+      status,
+      sentAt: invitation && status === SANDBOX_STATUS.PENDING ? invitation.sentAt : null,
+      connectedAt,
+      thread: connectedAt !== null ? getThread(person, invitation, state, now) : null
+    };
+  });
+}
+
+/**
+ * Get the thread ID of a person of the mock site
+ * @param {string} slug - Profile slug
+ * @returns {string} Thread ID, as in /messaging/thread/<id>/
+ */
+export function getSandboxThreadId(slug) {
+  return `sandbox-${slug}`;
+}
+
+// Helper Functions
+
+function emptyState() {
+  return { invitations: {}, messages: {}, readAt: {} };
+}
+
+function updateSandboxState(mutate) {
+  return updateStorage(STORAGE_KEYS.SANDBOX_STATE, current => {
+    const state = { ...emptyState(), ...current };
+    mutate(state);
+    return state;
+  });
+}
+
+function getConnectedAt(person, invitation, now) {
+  if (person.degree === 1) {
+    return now - (person.connectedDaysAgo || 0) * DAY;
+  }
+  if (!invitation || !person.accepts) {
+    return null;
+  }
+
+  const acceptedAt = invitation.sentAt + person.accepts.afterMinutes * MINUTE;
+  return acceptedAt <= now ? acceptedAt : null;
+}
+
+// The invitation note opens the thread, followed by the person's reply once
+// it is due and anything the user wrote
+function getThread(person, invitation, state, now) {
+  const messages = (state.messages[person.slug] || []).map(message => ({
+    inbound: false,
+    content: message.content,
+    sentAt: message.sentAt
+  }));
+
+  if (invitation && invitation.note) {
+    messages.push({ inbound: false, content: invitation.note, sentAt: invitation.sentAt });
+  }
+
+  if (invitation && person.replies) {
+    const repliedAt = invitation.sentAt + person.replies.afterMinutes * MINUTE;
+    if (repliedAt <= now) {
+      messages.push({ inbound: true, content: person.replies.text, sentAt: repliedAt });
+    }
+  }
+
+  if (messages.length === 0) {
+    return null;
+  }
+
+  messages.sort((a, b) => a.sentAt - b.sentAt);
+  const last = messages[messages.length - 1];
+
+  return {
+    id: getSandboxThreadId(person.slug),
+    messages,
+    unread: last.inbound && last.sentAt > (state.readAt[person.slug] || 0)
+  };
+}
@@ -1,5 +1,7 @@
 // Enhanced Chrome API mocking utilities for testing
 
+import { jest } from '@jest/globals';
+
 export class ChromeStorageMock {
   constructor() {
     this.data = new Map();
@@ -81,6 +83,41 @@ export class ChromeTabsMock {
   }
 }
 
+export class ChromeAlarmsMock {
+  constructor() {
+    this.alarms = new Map();
+    this.listeners = [];
+    this.onAlarm = {
+      addListener: jest.fn(listener => this.listeners.push(listener)),
+      removeListener: jest.fn(listener => {
+        this.listeners = this.listeners.filter(l => l !== listener);
+      })
+    };
+  }
+
+  async create(name, alarmInfo) {
+    this.alarms.set(name, { name, scheduledTime: alarmInfo.when });
+  }
+
+  async get(name) {
+    return this.alarms.get(name);
+  }
+
+  async getAll() {
+    return Array.from(this.alarms.values());
+  }
+
+  async clear(name) {
+    return this.alarms.delete(name);
+  }
+
+  fire(name) {
+    const alarm = this.alarms.get(name);
+    this.alarms.delete(name);
+    this.listeners.forEach(listener => listener(alarm));
+  }
+}
+
 export const createChromeExtensionMock = () => {
   const storageMock = new ChromeStorageMock();
   const tabsMock = new ChromeTabsMock();
@@ -91,6 +128,7 @@ export const createChromeExtensionMock = () => {
       sync: storageMock
     },
     tabs: tabsMock,
+    alarms: new ChromeAlarmsMock(),
     scripting: {
       executeScript: jest.fn().mockResolvedValue([{ result: null }]),
       insertCSS: jest.fn().mockResolvedValue()
@@ -2,6 +2,7 @@
 
 import { createAnalyticsEngine } from './analytics-engine.js';
 import { getStorageData, setStorageData, STORAGE_KEYS } from './storage.js';
+import { scheduleJob, ensureJob, JOB_TYPES } from './job-scheduler.js';
 
 /**
  * Report types
@@ -55,7 +56,7 @@ export class AdvancedReportingSystem {
       await this.loadReportTemplates();
       await this.loadScheduledReports();
       await this.loadReportHistory();
-      this.startScheduleChecker();
+      await this.scheduleReportJobs();
     } catch (error) {
       console.error('Error initializing reporting system:', error);
     }
@@ -195,6 +196,10 @@ export class AdvancedReportingSystem {
       this.scheduledReports.set(schedule.id, schedule);
       await this.saveScheduledReports();
 
+      if (schedule.isActive) {
+        await scheduleJob(this.getReportJobConfig(schedule));
+      }
+
       return schedule;
 
     } catch (error) {
@@ -817,11 +822,23 @@ export class AdvancedReportingSystem {
     return nextRun.getTime();
   }
 
-  startScheduleChecker() {
-    // Check every hour for scheduled reports
-    setInterval(() => {
-      this.checkScheduledReports();
-    }, 60 * 60 * 1000);
+  async scheduleReportJobs() {
+    // The service worker's job runner fires these with chrome.alarms
+    for (const schedule of this.scheduledReports.values()) {
+      if (schedule.isActive) {
+        await ensureJob(this.getReportJobConfig(schedule));
+      }
+    }
+  }
+
+  getReportJobConfig(schedule) {
+    return {
+      id: `report_${schedule.id}`,
+      type: JOB_TYPES.SCHEDULED_REPORT,
+      runAt: schedule.nextRun,
+      payload: { scheduleId: schedule.id },
+      label: `Report: ${schedule.name}`
+    };
   }
 
   async checkScheduledReports() {
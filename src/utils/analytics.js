@@ -1,6 +1,6 @@
 // Analytics Collection for LinkedIn Automation
 
-import { getStorageData, setStorageData, STORAGE_KEYS } from './storage.js';
+import { getStorageData, appendStorageRecords, STORAGE_KEYS } from './storage.js';
 
 /**
  * Analytics event types
@@ -15,36 +15,31 @@ export const ANALYTICS_EVENTS = {
   SEARCH_PERFORMED: 'search_performed',
   AUTOMATION_STARTED: 'automation_started',
   AUTOMATION_STOPPED: 'automation_stopped',
-  TEMPLATE_USED: 'template_used'
+  TEMPLATE_USED: 'template_used',
+  INVITATION_WITHDRAWN: 'invitation_withdrawn',
+  PROSPECTS_COLLECTED: 'prospects_collected'
 };
 
 /**
  * Track analytics event
  * @param {string} eventType - Type of event
  * @param {Object} eventData - Event data
+ * @param {number} eventData.timestamp - When the event happened, if not now
  * @returns {Promise<void>}
  */
 export async function trackEvent(eventType, eventData = {}) {
   try {
-    const analytics = await getStorageData(STORAGE_KEYS.ANALYTICS);
-    const analyticsData = analytics.analytics || [];
-
+    const timestamp = eventData.timestamp || Date.now();
     const event = {
       id: generateEventId(),
       type: eventType,
-      timestamp: Date.now(),
-      date: new Date().toISOString().split('T')[0],
-      ...eventData
+      ...eventData,
+      timestamp,
+      date: new Date(timestamp).toISOString().split('T')[0]
     };
 
-    analyticsData.push(event);
-
     // Keep only last 1000 events
-    if (analyticsData.length > 1000) {
-      analyticsData.splice(0, analyticsData.length - 1000);
-    }
-
-    await setStorageData({ [STORAGE_KEYS.ANALYTICS]: analyticsData });
+    await appendStorageRecords(STORAGE_KEYS.ANALYTICS, [event], { maxRecords: 1000 });
   } catch (error) {
     console.error('Error tracking analytics event:', error);
   }
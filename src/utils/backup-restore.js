@@ -0,0 +1,368 @@
+// Backup and Restore
+// Versioned, optionally encrypted archives of all persisted extension data
+
+import {
+  getStorageData,
+  setStorageData,
+  removeStorageData,
+  updateStorage,
+  STORAGE_KEYS
+} from './storage.js';
+import { MIGRATIONS, CURRENT_SCHEMA_VERSION, getSchemaVersion } from './storage-migrations.js';
+import { encryptWithPassphrase, decryptWithPassphrase } from './encryption.js';
+
+/**
+ * Archive format identifier and version
+ */
+export const BACKUP_FORMAT = 'linkedin-extension-backup';
+export const BACKUP_VERSION = 1;
+
+/**
+ * Restore modes
+ */
+export const RESTORE_MODES = {
+  OVERWRITE: 'overwrite',
+  MERGE: 'merge'
+};
+
+/**
+ * Bookkeeping keys that describe the installation rather than user data
+ */
+const EXCLUDED_KEYS = [STORAGE_KEYS.SCHEMA_VERSION, STORAGE_KEYS.MIGRATION_LOG];
+
+/**
+ * Storage keys included in a backup
+ */
+export const BACKUP_KEYS = Object.values(STORAGE_KEYS).filter(key => !EXCLUDED_KEYS.includes(key));
+
+/**
+ * Create a backup archive of all extension data
+ * @param {Object} options - Backup options
+ * @param {string} options.passphrase - Encrypt the archive with this passphrase
+ * @param {string[]} options.keys - Subset of BACKUP_KEYS to include
+ * @returns {Promise<Object>} Backup result with the archive
+ */
+export async function createBackup(options = {}) {
+  const { passphrase = null, keys = BACKUP_KEYS } = options;
+
+  try {
+    const unknownKey = keys.find(key => !BACKUP_KEYS.includes(key));
+    if (unknownKey) {
+      throw new Error(`Cannot back up unknown storage key: ${unknownKey}`);
+    }
+
+    const stored = await getStorageData(keys);
+    const data = {};
+    keys.forEach(key => {
+      if (stored[key] !== undefined) {
+        data[key] = stored[key];
+      }
+    });
+
+    const archive = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      schemaVersion: await getSchemaVersion(),
+      createdAt: Date.now(),
+      encrypted: Boolean(passphrase),
+      summary: summarizeData(data)
+    };
+
+    if (passphrase) {
+      archive.payload = await encryptWithPassphrase(JSON.stringify(data), passphrase);
+    } else {
+      archive.data = data;
+    }
+
+    return { success: true, archive };
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Serialize a backup archive for download
+ * @param {Object} archive - Backup archive
+ * @returns {string} JSON text
+ */
+export function serializeBackup(archive) {
+  return JSON.stringify(archive, null, 2);
+}
+
+/**
+ * Parse and validate a backup archive
+ * @param {string|Object} input - Archive JSON text or object
+ * @returns {Object} Validated archive
+ */
+export function parseBackup(input) {
+  let archive = input;
+
+  if (typeof input === 'string') {
+    try {
+      archive = JSON.parse(input);
+    } catch (error) {
+      throw new Error('Backup file is not valid JSON');
+    }
+  }
+
+  if (!archive || archive.format !== BACKUP_FORMAT) {
+    throw new Error('File is not an extension backup');
+  }
+  if (typeof archive.version !== 'number' || archive.version > BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version: ${archive.version}`);
+  }
+  if ((archive.schemaVersion || 0) > CURRENT_SCHEMA_VERSION) {
+    throw new Error(
+      `Backup was created by a newer version of the extension (schema ${archive.schemaVersion})`
+    );
+  }
+  if (archive.encrypted ? !archive.payload : !archive.data) {
+    throw new Error('Backup archive is missing its data');
+  }
+
+  return archive;
+}
+
+/**
+ * Preview what restoring an archive would change, without writing anything
+ * @param {string|Object} input - Archive JSON text or object
+ * @param {Object} options - Restore options
+ * @param {string} options.passphrase - Passphrase for encrypted archives
+ * @param {string} options.mode - 'overwrite' or 'merge'
+ * @param {string[]} options.keys - Subset of keys to restore
+ * @returns {Promise<Object>} Preview result
+ */
+export async function previewRestore(input, options = {}) {
+  try {
+    const { archive, data, mode, keys } = await prepareRestore(input, options);
+    const existing = await getStorageData(keys);
+
+    return {
+      success: true,
+      preview: {
+        mode,
+        createdAt: archive.createdAt,
+        schemaVersion: archive.schemaVersion || 0,
+        keys: keys.map(key => describeChange(key, existing[key], data[key], mode))
+      }
+    };
+  } catch (error) {
+    console.error('Error previewing restore:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Restore an archive into storage.
+ * Older archives are upgraded through the schema migrations before writing;
+ * if any key fails to restore, keys already written are rolled back.
+ * @param {string|Object} input - Archive JSON text or object
+ * @param {Object} options - Restore options
+ * @param {string} options.passphrase - Passphrase for encrypted archives
+ * @param {string} options.mode - 'overwrite' or 'merge'
+ * @param {string[]} options.keys - Subset of keys to restore
+ * @returns {Promise<Object>} Restore result
+ */
+export async function restoreBackup(input, options = {}) {
+  let prepared;
+
+  try {
+    prepared = await prepareRestore(input, options);
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    return { success: false, error: error.message };
+  }
+
+  const { data, mode, keys } = prepared;
+  const snapshot = await getStorageData(keys);
+  const changes = keys.map(key => describeChange(key, snapshot[key], data[key], mode));
+  const restored = [];
+
+  try {
+    for (const key of keys) {
+      if (data[key] === undefined) {
+        continue;
+      }
+
+      await updateStorage(key, current =>
+        mode === RESTORE_MODES.MERGE ? mergeValues(current, data[key]) : data[key]
+      );
+      restored.push(key);
+    }
+
+    return { success: true, mode, restored, changes };
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    await rollbackRestore(snapshot, restored);
+    return { success: false, error: error.message, restored: [] };
+  }
+}
+
+// Helper Functions
+
+async function prepareRestore(input, options) {
+  const { passphrase = null, mode = RESTORE_MODES.OVERWRITE } = options;
+
+  if (!Object.values(RESTORE_MODES).includes(mode)) {
+    throw new Error(`Unknown restore mode: ${mode}`);
+  }
+
+  const archive = parseBackup(input);
+  let data = archive.data;
+
+  if (archive.encrypted) {
+    if (!passphrase) {
+      throw new Error('Backup is encrypted; a passphrase is required');
+    }
+    data = JSON.parse(await decryptWithPassphrase(archive.payload, passphrase));
+  }
+
+  data = await upgradeData(data, archive.schemaVersion || 0);
+
+  const available = Object.keys(data).filter(key => BACKUP_KEYS.includes(key));
+  const keys = options.keys ? options.keys.filter(key => available.includes(key)) : available;
+
+  return { archive, data, mode, keys };
+}
+
+async function upgradeData(data, fromVersion) {
+  const pending = MIGRATIONS.filter(m => m.version > fromVersion).sort(
+    (a, b) => a.version - b.version
+  );
+  const upgraded = { ...data };
+
+  for (const migration of pending) {
+    for (const [key, transform] of Object.entries(migration.up || {})) {
+      // Only upgrade keys the archive carries; absent keys stay untouched on restore
+      if (upgraded[key] !== undefined) {
+        upgraded[key] = await transform(upgraded[key], upgraded);
+      }
+    }
+  }
+
+  return upgraded;
+}
+
+function describeChange(key, existing, incoming, mode) {
+  const change = {
+    key,
+    existingCount: countEntries(existing),
+    incomingCount: countEntries(incoming),
+    added: 0,
+    updated: 0
+  };
+
+  if (isEmpty(existing)) {
+    return { ...change, action: 'create', added: change.incomingCount };
+  }
+  if (JSON.stringify(existing) === JSON.stringify(incoming)) {
+    return { ...change, action: 'unchanged' };
+  }
+  if (mode === RESTORE_MODES.OVERWRITE) {
+    return { ...change, action: 'overwrite' };
+  }
+
+  const existingIds = entryIds(existing);
+  const incomingIds = entryIds(incoming);
+
+  if (!existingIds || !incomingIds) {
+    return { ...change, action: 'overwrite' };
+  }
+
+  incomingIds.forEach(id => {
+    if (existingIds.has(id)) {
+      change.updated++;
+    } else {
+      change.added++;
+    }
+  });
+
+  return { ...change, action: 'merge' };
+}
+
+/**
+ * Merge an incoming value into an existing one.
+ * Record arrays are unioned by id (incoming wins), id-less arrays are unioned
+ * by content, objects are merged one level deep; anything else is replaced.
+ */
+function mergeValues(existing, incoming) {
+  if (isEmpty(existing)) {
+    return incoming;
+  }
+
+  if (Array.isArray(existing) && Array.isArray(incoming)) {
+    const merged = new Map();
+    [...existing, ...incoming].forEach(item => {
+      merged.set(recordKey(item), item);
+    });
+    return [...merged.values()];
+  }
+
+  if (isPlainObject(existing) && isPlainObject(incoming)) {
+    return { ...existing, ...incoming };
+  }
+
+  return incoming;
+}
+
+async function rollbackRestore(snapshot, keys) {
+  try {
+    const restore = {};
+    const missing = [];
+
+    keys.forEach(key => {
+      if (snapshot[key] === undefined) {
+        missing.push(key);
+      } else {
+        restore[key] = snapshot[key];
+      }
+    });
+
+    await setStorageData(restore);
+    if (missing.length > 0) {
+      await removeStorageData(missing);
+    }
+  } catch (error) {
+    console.error('Error rolling back restore:', error);
+  }
+}
+
+function summarizeData(data) {
+  return Object.fromEntries(Object.entries(data).map(([key, value]) => [key, countEntries(value)]));
+}
+
+function countEntries(value) {
+  if (value === undefined || value === null) {
+    return 0;
+  }
+  if (Array.isArray(value)) {
+    return value.length;
+  }
+  if (isPlainObject(value)) {
+    return Object.keys(value).length;
+  }
+  return 1;
+}
+
+function entryIds(value) {
+  if (Array.isArray(value)) {
+    return new Set(value.map(recordKey));
+  }
+  if (isPlainObject(value)) {
+    return new Set(Object.keys(value));
+  }
+  return null;
+}
+
+function recordKey(item) {
+  return item && item.id !== undefined ? `id:${item.id}` : `json:${JSON.stringify(item)}`;
+}
+
+function isEmpty(value) {
+  return countEntries(value) === 0;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
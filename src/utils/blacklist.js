@@ -0,0 +1,80 @@
+// Blacklist
+// People the automation must never invite, keyed by profile slug (or by URL
+// for Sales Navigator leads, whose URLs carry no slug)
+
+import { getStorageData, updateStorage, STORAGE_KEYS } from './storage.js';
+import { getProfileSlug } from './linkedin.js';
+
+/**
+ * Get the blacklist
+ * @returns {Promise<Object>} Entries by key, each with name, profileUrl,
+ *   reason and addedAt
+ */
+export async function getBlacklist() {
+  try {
+    const result = await getStorageData(STORAGE_KEYS.BLACKLIST);
+    return result[STORAGE_KEYS.BLACKLIST] || {};
+  } catch (error) {
+    console.error('Error getting blacklist:', error);
+    return {};
+  }
+}
+
+/**
+ * Blacklist a profile
+ * @param {Object} profile - Profile with profileUrl and name
+ * @param {string} reason - Why it was blacklisted
+ * @returns {Promise<Object>} Entry
+ */
+export async function addToBlacklist(profile, reason = null) {
+  const key = getBlacklistKey(profile.profileUrl);
+
+  if (!key) {
+    throw new Error('Profile URL is required');
+  }
+
+  const entry = {
+    name: profile.name || null,
+    profileUrl: profile.profileUrl,
+    reason,
+    addedAt: Date.now()
+  };
+
+  await updateStorage(STORAGE_KEYS.BLACKLIST, blacklist => ({ ...blacklist, [key]: entry }));
+  return entry;
+}
+
+/**
+ * Take a profile off the blacklist
+ * @param {string} profileUrl - Profile URL
+ * @returns {Promise<void>}
+ */
+export async function removeFromBlacklist(profileUrl) {
+  const key = getBlacklistKey(profileUrl);
+
+  await updateStorage(STORAGE_KEYS.BLACKLIST, blacklist => {
+    if (!blacklist || !blacklist[key]) {
+      return undefined;
+    }
+
+    const updated = { ...blacklist };
+    delete updated[key];
+    return updated;
+  });
+}
+
+/**
+ * Drop blacklisted profiles from a list
+ * @param {Array} profiles - Profiles with profileUrl
+ * @returns {Promise<Array>} Profiles that may be invited
+ */
+export async function filterBlacklisted(profiles) {
+  const blacklist = await getBlacklist();
+  return profiles.filter(profile => !blacklist[getBlacklistKey(profile.profileUrl)]);
+}
+
+// Helper Functions
+
+function getBlacklistKey(profileUrl) {
+  return getProfileSlug(profileUrl) || (profileUrl ? profileUrl.split('?')[0] : null);
+}
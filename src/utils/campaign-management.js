@@ -0,0 +1,153 @@
+// Campaign Management
+// Storage-backed CRUD and status changes for connection campaigns
+
+import { getStorageData, updateStorage, STORAGE_KEYS } from './storage.js';
+import { scheduleJob, cancelJob, JOB_TYPES } from './job-scheduler.js';
+
+/**
+ * Campaign status types
+ */
+export const CAMPAIGN_STATUS = {
+  SCHEDULED: 'scheduled',
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  COMPLETED: 'completed'
+};
+
+/**
+ * Get all campaigns
+ * @returns {Promise<Array>} Campaigns
+ */
+export async function getCampaigns() {
+  try {
+    const result = await getStorageData(STORAGE_KEYS.CAMPAIGNS);
+    return result.campaigns || [];
+  } catch (error) {
+    console.error('Error getting campaigns:', error);
+    return [];
+  }
+}
+
+/**
+ * Create a campaign or update the one with the same id
+ * @param {Object} campaign - Campaign data
+ * @returns {Promise<Object>} Saved campaign
+ */
+export async function saveCampaign(campaign) {
+  if (!campaign.name) {
+    throw new Error('Campaign name is required');
+  }
+
+  let saved = null;
+
+  await updateStorage(STORAGE_KEYS.CAMPAIGNS, campaigns => {
+    const list = campaigns || [];
+    const index = campaign.id ? list.findIndex(c => c.id === campaign.id) : -1;
+
+    if (index === -1) {
+      saved = {
+        id: `campaign_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        status: CAMPAIGN_STATUS.SCHEDULED,
+        createdAt: Date.now(),
+        stats: { sent: 0, accepted: 0, declined: 0, pending: 0 },
+        ...campaign
+      };
+      list.push(saved);
+    } else {
+      saved = { ...list[index], ...campaign, updatedAt: Date.now() };
+      list[index] = saved;
+    }
+
+    return list;
+  });
+
+  await scheduleCampaignStart(saved);
+  return saved;
+}
+
+/**
+ * Delete a campaign
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteCampaign(campaignId) {
+  let found = false;
+
+  await updateStorage(STORAGE_KEYS.CAMPAIGNS, campaigns => {
+    const list = campaigns || [];
+    found = list.some(c => c.id === campaignId);
+    return found ? list.filter(c => c.id !== campaignId) : undefined;
+  });
+
+  if (!found) {
+    throw new Error(`Campaign with ID ${campaignId} not found`);
+  }
+
+  await cancelJob(getStartJobId(campaignId));
+  return true;
+}
+
+/**
+ * Change a campaign's status
+ * @param {string} campaignId - Campaign ID
+ * @param {string} status - New status from CAMPAIGN_STATUS
+ * @returns {Promise<Object>} Updated campaign
+ */
+export async function setCampaignStatus(campaignId, status) {
+  if (!Object.values(CAMPAIGN_STATUS).includes(status)) {
+    throw new Error(`Unknown campaign status: ${status}`);
+  }
+
+  let updated = null;
+
+  await updateStorage(STORAGE_KEYS.CAMPAIGNS, campaigns => {
+    const list = campaigns || [];
+    const campaign = list.find(c => c.id === campaignId);
+
+    if (!campaign) {
+      throw new Error(`Campaign with ID ${campaignId} not found`);
+    }
+
+    campaign.status = status;
+    campaign.updatedAt = Date.now();
+    if (status === CAMPAIGN_STATUS.ACTIVE) {
+      campaign.startedAt = campaign.startedAt || Date.now();
+    } else if (status === CAMPAIGN_STATUS.PAUSED) {
+      campaign.pausedAt = Date.now();
+    }
+
+    updated = campaign;
+    return list;
+  });
+
+  await scheduleCampaignStart(updated);
+  return updated;
+}
+
+/**
+ * Schedule the start of a campaign set to start later, or cancel the
+ * scheduled start if the campaign no longer waits for one
+ * @param {Object} campaign - Campaign
+ * @returns {Promise<void>}
+ */
+export async function scheduleCampaignStart(campaign) {
+  const startAt = campaign.schedule && Date.parse(campaign.schedule.startDateTime);
+
+  if (campaign.status === CAMPAIGN_STATUS.SCHEDULED && Number.isFinite(startAt)) {
+    await scheduleJob({
+      id: getStartJobId(campaign.id),
+      type: JOB_TYPES.CAMPAIGN_START,
+      runAt: startAt,
+      payload: { campaignId: campaign.id },
+      label: `Start campaign: ${campaign.name}`
+    });
+  } else {
+    await cancelJob(getStartJobId(campaign.id));
+  }
+}
+
+// Helper Functions
+
+function getStartJobId(campaignId) {
+  return `campaign_start_${campaignId}`;
+}
@@ -1,8 +1,10 @@
 // Connection Management System - Task 3.5
 // Comprehensive connection database with metadata and follow-up tracking
 
-import { getStorageData, setStorageData, STORAGE_KEYS } from './storage.js';
+import { getStorageData, updateStorage, STORAGE_KEYS } from './storage.js';
 import { trackEvent, ANALYTICS_EVENTS } from './analytics.js';
+import { encryptRecordFields, decryptRecordFields, fieldText } from './field-encryption.js';
+import { decryptValue, isEncryptedValue } from './encryption.js';
 
 /**
  * Connection status types
@@ -71,7 +73,8 @@ export async function createConnectionRecord(connectionData) {
         messageUsed: connectionData.messageUsed || '',
         templateId: connectionData.templateId || null,
         campaignId: connectionData.campaignId || null,
-        source: connectionData.source || 'manual' // manual, campaign, import
+        source: connectionData.source || 'manual', // manual, campaign, import
+        prospectSource: connectionData.prospectSource || null // PROSPECT_SOURCES value
       },
 
       // Response tracking
@@ -122,16 +125,17 @@ export async function createConnectionRecord(connectionData) {
     };
 
     // Save connection
-    const connections = await getConnectionRecords();
-    connections.push(connection);
-    await saveConnectionRecords(connections);
+    await mutateConnectionRecords(connections => {
+      connections.push(connection);
+    });
 
     // Track analytics event
     await trackEvent(ANALYTICS_EVENTS.CONNECTION_SENT, {
       connectionId: connection.id,
       profileId: connection.profileId,
       templateId: connection.connectionRequest.templateId,
-      campaignId: connection.connectionRequest.campaignId
+      campaignId: connection.connectionRequest.campaignId,
+      prospectSource: connection.connectionRequest.prospectSource
     });
 
     return connection;
@@ -151,32 +155,45 @@ export async function createConnectionRecord(connectionData) {
  */
 export async function updateConnectionStatus(connectionId, newStatus, updateData = {}) {
   try {
-    const connections = await getConnectionRecords();
-    const connectionIndex = connections.findIndex(c => c.id === connectionId);
+    let connection = null;
 
-    if (connectionIndex === -1) {
-      throw new Error(`Connection with ID ${connectionId} not found`);
-    }
+    await mutateConnectionRecords(connections => {
+      connection = connections.find(c => c.id === connectionId);
+
+      if (!connection) {
+        throw new Error(`Connection with ID ${connectionId} not found`);
+      }
 
-    const connection = connections[connectionIndex];
-    const oldStatus = connection.status;
+      // Update status
+      connection.status = newStatus;
+      connection.metadata.updatedAt = Date.now();
+
+      // Handle status-specific updates
+      if (newStatus === CONNECTION_STATUS.ACCEPTED) {
+        connection.response.respondedAt = updateData.respondedAt || Date.now();
+        connection.response.responseType = 'accepted';
+        connection.response.responseTime = connection.response.respondedAt - connection.connectionRequest.sentAt;
+        connection.relationship.lastInteraction = Date.now();
+      } else if (newStatus === CONNECTION_STATUS.DECLINED) {
+        connection.response.respondedAt = updateData.respondedAt || Date.now();
+        connection.response.responseType = 'declined';
+        connection.response.responseTime = connection.response.respondedAt - connection.connectionRequest.sentAt;
+      }
 
-    // Update status
-    connection.status = newStatus;
-    connection.metadata.updatedAt = Date.now();
+      // Update response message if provided
+      if (updateData.responseMessage) {
+        connection.response.responseMessage = updateData.responseMessage;
+      }
+    });
 
-    // Handle status-specific updates
+    // Side effects run after the update so they don't hold the storage lock
     if (newStatus === CONNECTION_STATUS.ACCEPTED) {
-      connection.response.respondedAt = updateData.respondedAt || Date.now();
-      connection.response.responseType = 'accepted';
-      connection.response.responseTime = connection.response.respondedAt - connection.connectionRequest.sentAt;
-      connection.relationship.lastInteraction = Date.now();
-
       // Track acceptance event
       await trackEvent(ANALYTICS_EVENTS.CONNECTION_ACCEPTED, {
         connectionId: connection.id,
         profileId: connection.profileId,
-        responseTime: connection.response.responseTime
+        responseTime: connection.response.responseTime,
+        timestamp: connection.response.respondedAt
       });
 
       // Schedule follow-up if needed
@@ -189,24 +206,12 @@ export async function updateConnectionStatus(connectionId, newStatus, updateData
       }
 
     } else if (newStatus === CONNECTION_STATUS.DECLINED) {
-      connection.response.respondedAt = updateData.respondedAt || Date.now();
-      connection.response.responseType = 'declined';
-      connection.response.responseTime = connection.response.respondedAt - connection.connectionRequest.sentAt;
-
       await trackEvent(ANALYTICS_EVENTS.CONNECTION_DECLINED, {
         connectionId: connection.id,
         profileId: connection.profileId
       });
     }
 
-    // Update response message if provided
-    if (updateData.responseMessage) {
-      connection.response.responseMessage = updateData.responseMessage;
-    }
-
-    connections[connectionIndex] = connection;
-    await saveConnectionRecords(connections);
-
     return connection;
 
   } catch (error) {
@@ -216,14 +221,15 @@ export async function updateConnectionStatus(connectionId, newStatus, updateData
 }
 
 /**
- * Get connection records with filtering and pagination
+ * Get connection records with filtering and pagination.
+ * Encrypted PII fields are decrypted when the vault is unlocked.
  * @param {Object} options - Query options
  * @returns {Promise<Object>} Query results
  */
 export async function getConnectionRecords(options = {}) {
   try {
     const data = await getStorageData(STORAGE_KEYS.CONNECTION_DATABASE);
-    let connections = data.connection_database || [];
+    let connections = await decryptRecordFields(data.connection_database || []);
 
     // Apply filters
     connections = applyConnectionFilters(connections, options.filters || {});
@@ -284,24 +290,29 @@ export async function getConnectionById(connectionId) {
  */
 export async function addConnectionNote(connectionId, note) {
   try {
-    const connections = await getConnectionRecords();
-    const connection = connections.connections.find(c => c.id === connectionId);
+    await mutateConnectionRecords(async connections => {
+      const connection = connections.find(c => c.id === connectionId);
 
-    if (!connection) {
-      throw new Error(`Connection with ID ${connectionId} not found`);
-    }
+      if (!connection) {
+        throw new Error(`Connection with ID ${connectionId} not found`);
+      }
 
-    // Add timestamp to note
-    const timestampedNote = `[${new Date().toLocaleString()}] ${note}`;
+      // Existing notes may be sealed; this throws while the vault is locked
+      if (isEncryptedValue(connection.notes)) {
+        connection.notes = await decryptValue(connection.notes);
+      }
 
-    if (connection.notes) {
-      connection.notes += `\n${timestampedNote}`;
-    } else {
-      connection.notes = timestampedNote;
-    }
+      // Add timestamp to note
+      const timestampedNote = `[${new Date().toLocaleString()}] ${note}`;
+
+      if (connection.notes) {
+        connection.notes += `\n${timestampedNote}`;
+      } else {
+        connection.notes = timestampedNote;
+      }
 
-    connection.metadata.updatedAt = Date.now();
-    await saveConnectionRecords(connections.connections);
+      connection.metadata.updatedAt = Date.now();
+    });
 
     return true;
 
@@ -319,16 +330,16 @@ export async function addConnectionNote(connectionId, note) {
  */
 export async function updateConnectionTags(connectionId, tags) {
   try {
-    const connections = await getConnectionRecords();
-    const connection = connections.connections.find(c => c.id === connectionId);
+    await mutateConnectionRecords(connections => {
+      const connection = connections.find(c => c.id === connectionId);
 
-    if (!connection) {
-      throw new Error(`Connection with ID ${connectionId} not found`);
-    }
+      if (!connection) {
+        throw new Error(`Connection with ID ${connectionId} not found`);
+      }
 
-    connection.tags = [...new Set(tags)]; // Remove duplicates
-    connection.metadata.updatedAt = Date.now();
-    await saveConnectionRecords(connections.connections);
+      connection.tags = [...new Set(tags)]; // Remove duplicates
+      connection.metadata.updatedAt = Date.now();
+    });
 
     return true;
 
@@ -346,13 +357,6 @@ export async function updateConnectionTags(connectionId, tags) {
  */
 export async function scheduleFollowUp(connectionId, followUpData) {
   try {
-    const connections = await getConnectionRecords();
-    const connection = connections.connections.find(c => c.id === connectionId);
-
-    if (!connection) {
-      throw new Error(`Connection with ID ${connectionId} not found`);
-    }
-
     const followUp = {
       id: `followup_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       type: followUpData.type || FOLLOWUP_TYPES.CHECK_IN,
@@ -363,12 +367,19 @@ export async function scheduleFollowUp(connectionId, followUpData) {
       createdAt: Date.now()
     };
 
-    connection.followUp.followUpHistory.push(followUp);
-    connection.followUp.nextFollowUp = followUpData.scheduledFor;
-    connection.followUp.isRequired = true;
-    connection.metadata.updatedAt = Date.now();
+    await mutateConnectionRecords(connections => {
+      const connection = connections.find(c => c.id === connectionId);
+
+      if (!connection) {
+        throw new Error(`Connection with ID ${connectionId} not found`);
+      }
+
+      connection.followUp.followUpHistory.push(followUp);
+      connection.followUp.nextFollowUp = followUpData.scheduledFor;
+      connection.followUp.isRequired = true;
+      connection.metadata.updatedAt = Date.now();
+    });
 
-    await saveConnectionRecords(connections.connections);
     return followUp;
 
   } catch (error) {
@@ -525,20 +536,20 @@ export async function exportConnections(options = {}) {
     // Format for export
     const exportData = connections.map(connection => {
       const data = {
-        name: connection.name,
+        name: fieldText(connection.name),
         title: connection.title,
         company: connection.company,
-        location: connection.location,
+        location: fieldText(connection.location),
         status: connection.status,
         category: connection.category,
         tags: connection.tags.join(', '),
         connectionDate: new Date(connection.connectionRequest.sentAt).toISOString(),
         responseTime: connection.response.responseTime ? Math.round(connection.response.responseTime / (60 * 60 * 1000)) + ' hours' : '',
-        notes: connection.notes
+        notes: fieldText(connection.notes)
       };
 
       if (options.includeProfile) {
-        data.profileUrl = connection.profileUrl;
+        data.profileUrl = fieldText(connection.profileUrl);
         data.industry = connection.industry;
         data.mutualConnections = connection.relationship.mutualConnections;
       }
@@ -570,9 +581,11 @@ export async function exportConnections(options = {}) {
 
 // Helper Functions
 
-async function saveConnectionRecords(connections) {
-  await setStorageData({
-    [STORAGE_KEYS.CONNECTION_DATABASE]: connections
+async function mutateConnectionRecords(mutator) {
+  return updateStorage(STORAGE_KEYS.CONNECTION_DATABASE, async connections => {
+    const records = connections || [];
+    await mutator(records);
+    return encryptRecordFields(STORAGE_KEYS.CONNECTION_DATABASE, records);
   });
 }
 
@@ -614,11 +627,11 @@ function applyConnectionFilters(connections, filters) {
 function searchConnections(connections, searchQuery) {
   const query = searchQuery.toLowerCase();
   return connections.filter(connection =>
-    connection.name.toLowerCase().includes(query) ||
+    fieldText(connection.name).toLowerCase().includes(query) ||
     connection.title.toLowerCase().includes(query) ||
     connection.company.toLowerCase().includes(query) ||
-    connection.location.toLowerCase().includes(query) ||
-    connection.notes.toLowerCase().includes(query) ||
+    fieldText(connection.location).toLowerCase().includes(query) ||
+    fieldText(connection.notes).toLowerCase().includes(query) ||
     connection.tags.some(tag => tag.toLowerCase().includes(query))
   );
 }
@@ -629,8 +642,8 @@ function sortConnections(connections, sortBy, sortOrder = 'desc') {
 
     switch (sortBy) {
       case 'name':
-        aValue = a.name.toLowerCase();
-        bValue = b.name.toLowerCase();
+        aValue = fieldText(a.name).toLowerCase();
+        bValue = fieldText(b.name).toLowerCase();
         return sortOrder === 'asc' ? aValue.localeCompare(bValue) : bValue.localeCompare(aValue);
 
       case 'connectionDate':
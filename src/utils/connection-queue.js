@@ -0,0 +1,125 @@
+// Connection Queue
+// Profiles waiting for a connection request, persisted across sessions
+
+import { getStorageData, updateStorage, STORAGE_KEYS } from './storage.js';
+
+/**
+ * Queue entry status types
+ */
+export const QUEUE_STATUS = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing'
+};
+
+/**
+ * Get queued profiles in queue order
+ * @returns {Promise<Array>} Queue entries
+ */
+export async function getConnectionQueue() {
+  try {
+    const result = await getStorageData(STORAGE_KEYS.CONNECTION_QUEUE);
+    return result.connection_queue || [];
+  } catch (error) {
+    console.error('Error getting connection queue:', error);
+    return [];
+  }
+}
+
+/**
+ * Add profiles to the queue, skipping ones already queued
+ * @param {Array} profiles - Profiles with profileId or profileUrl
+ * @returns {Promise<Object>} Added entries and skipped count
+ */
+export async function addToQueue(profiles) {
+  const added = [];
+  let skipped = 0;
+
+  await updateStorage(STORAGE_KEYS.CONNECTION_QUEUE, queue => {
+    const list = queue || [];
+    const queuedKeys = new Set(list.map(getProfileKey));
+
+    profiles.forEach(profile => {
+      const key = getProfileKey(profile);
+
+      if (!key || queuedKeys.has(key)) {
+        skipped++;
+        return;
+      }
+
+      const entry = {
+        id: `queue_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        profileId: profile.profileId || null,
+        profileUrl: profile.profileUrl || null,
+        name: profile.name || '',
+        campaignId: profile.campaignId || null,
+        templateId: profile.templateId || null,
+        message: profile.message || null,
+        source: profile.source || null,
+        sourceUrl: profile.sourceUrl || null,
+        status: QUEUE_STATUS.QUEUED,
+        addedAt: Date.now()
+      };
+
+      queuedKeys.add(key);
+      list.push(entry);
+      added.push(entry);
+    });
+
+    return added.length > 0 ? list : undefined;
+  });
+
+  return { added, skipped };
+}
+
+/**
+ * Remove entries from the queue
+ * @param {string[]} ids - Queue entry IDs
+ * @returns {Promise<number>} Number of removed entries
+ */
+export async function removeFromQueue(ids) {
+  let removed = 0;
+
+  await updateStorage(STORAGE_KEYS.CONNECTION_QUEUE, queue => {
+    const list = queue || [];
+    const remaining = list.filter(entry => !ids.includes(entry.id));
+    removed = list.length - remaining.length;
+    return removed > 0 ? remaining : undefined;
+  });
+
+  return removed;
+}
+
+/**
+ * Claim the next queued entries for processing.
+ * Claimed entries stay in the queue marked as processing until removed.
+ * @param {number} limit - Maximum number of entries to claim
+ * @returns {Promise<Array>} Claimed entries
+ */
+export async function claimQueueBatch(limit) {
+  const claimed = [];
+
+  await updateStorage(STORAGE_KEYS.CONNECTION_QUEUE, queue => {
+    const list = queue || [];
+
+    for (const entry of list) {
+      if (claimed.length >= limit) {
+        break;
+      }
+      if (entry.status === QUEUE_STATUS.QUEUED) {
+        entry.status = QUEUE_STATUS.PROCESSING;
+        entry.claimedAt = Date.now();
+        claimed.push(entry);
+      }
+    }
+
+    return claimed.length > 0 ? list : undefined;
+  });
+
+  return claimed;
+}
+
+// Helper Functions
+
+function getProfileKey(profile) {
+  return profile.profileId || profile.profileUrl || null;
+}
@@ -0,0 +1,202 @@
+// Dry Run Reports
+// A dry run walks the automation up to the Send button of each invitation and
+// records what would have been sent, to whom, and which safety rules would
+// have stopped it
+
+import { getStorageData, updateStorage, STORAGE_KEYS } from './storage.js';
+import {
+  getSafetySettings,
+  performSafetyCheck,
+  createRateLimitTracker
+} from './safety-compliance.js';
+
+/**
+ * What would have happened to a profile
+ */
+export const DRY_RUN_VERDICTS = {
+  WOULD_SEND: 'would_send',
+  BLOCKED: 'blocked',
+  FAILED: 'failed'
+};
+
+const MAX_DRY_RUN_REPORTS = 20;
+
+/**
+ * Get dry run reports, most recent first
+ * @returns {Promise<Array>} Reports
+ */
+export async function getDryRunReports() {
+  try {
+    const result = await getStorageData(STORAGE_KEYS.DRY_RUN_REPORTS);
+    return result[STORAGE_KEYS.DRY_RUN_REPORTS] || [];
+  } catch (error) {
+    console.error('Error getting dry run reports:', error);
+    return [];
+  }
+}
+
+/**
+ * Start a dry run report, dropping the oldest beyond the last 20
+ * @param {Object} context - Where the dry run started
+ * @param {string} context.url - Page URL
+ * @param {Object} context.searchCriteria - Criteria of the search page
+ * @returns {Promise<Object>} Report
+ */
+export async function startDryRun({ url, searchCriteria = null }) {
+  const report = {
+    id: `dryrun_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    url,
+    searchCriteria,
+    startedAt: Date.now(),
+    finishedAt: null,
+    endReason: null,
+    entries: [],
+    summary: summarizeDryRun([])
+  };
+
+  await updateStorage(STORAGE_KEYS.DRY_RUN_REPORTS, reports =>
+    [report, ...(reports || [])].slice(0, MAX_DRY_RUN_REPORTS)
+  );
+
+  return report;
+}
+
+/**
+ * Record what would have happened to a profile
+ * @param {string} reportId - Report ID
+ * @param {Object} entry - Profile and outcome
+ * @param {string} entry.name - Profile name
+ * @param {string} entry.profileUrl - Profile URL
+ * @param {string} entry.source - Prospect source of the profile
+ * @param {string} entry.note - Invitation note that would have been sent
+ * @param {Array} entry.blockedBy - Rules from getBlockingRules
+ * @param {Object} entry.result - Result of the rehearsed connection request
+ * @returns {Promise<Object|null>} Updated report, or null if it is gone
+ */
+export async function recordDryRunEntry(
+  reportId,
+  { name, profileUrl, source, note, blockedBy = [], result }
+) {
+  const recorded = {
+    name: name || null,
+    profileUrl: profileUrl || null,
+    source: source || null,
+    note: note || null,
+    verdict: getVerdict(blockedBy, result),
+    blockedBy,
+    error: result.success ? null : result.error,
+    reason: result.success ? null : result.reason,
+    checkedAt: Date.now()
+  };
+
+  return updateReport(reportId, report => {
+    report.entries.push(recorded);
+  });
+}
+
+/**
+ * Close a dry run report
+ * @param {string} reportId - Report ID
+ * @param {string} endReason - Why the automation stopped
+ * @returns {Promise<Object|null>} Finished report, or null if it is gone
+ */
+export function finishDryRun(reportId, endReason) {
+  return updateReport(reportId, report => {
+    report.finishedAt = Date.now();
+    report.endReason = endReason;
+  });
+}
+
+/**
+ * Count the entries of a dry run by verdict and blocking rule
+ * @param {Array} entries - Report entries
+ * @returns {Object} Totals, and `blockedBy` counts by rule
+ */
+export function summarizeDryRun(entries) {
+  const count = verdict => entries.filter(entry => entry.verdict === verdict).length;
+  const blockedBy = {};
+
+  entries.forEach(entry => {
+    entry.blockedBy.forEach(({ rule }) => {
+      blockedBy[rule] = (blockedBy[rule] || 0) + 1;
+    });
+  });
+
+  return {
+    total: entries.length,
+    wouldSend: count(DRY_RUN_VERDICTS.WOULD_SEND),
+    blocked: count(DRY_RUN_VERDICTS.BLOCKED),
+    failed: count(DRY_RUN_VERDICTS.FAILED),
+    blockedBy
+  };
+}
+
+/**
+ * Find the safety rules that would stop the next request of a dry run.
+ * Nothing is sent during a dry run, so the requests it would have sent so far
+ * are counted against the daily and hourly limits here.
+ * @param {number} plannedCount - Requests the dry run would have sent so far
+ * @returns {Promise<Array>} Rules as `{ rule, message }`, empty if none apply
+ */
+export async function getBlockingRules(plannedCount = 0) {
+  const rules = [];
+  const addRule = (rule, message) => {
+    if (!rules.some(existing => existing.rule === rule)) {
+      rules.push({ rule, message });
+    }
+  };
+
+  const safetyCheck = await performSafetyCheck();
+  if (!safetyCheck.safe) {
+    addRule(safetyCheck.reason, safetyCheck.message);
+  }
+
+  const rateCheck = await createRateLimitTracker().checkRateLimit();
+  if (!rateCheck.allowed) {
+    addRule(rateCheck.reason, rateCheck.message);
+  } else {
+    const settings = await getSafetySettings();
+
+    if (plannedCount >= rateCheck.remainingDaily) {
+      addRule(
+        'DAILY_LIMIT_EXCEEDED',
+        `Daily limit of ${settings.dailyConnectionLimit} connections reached`
+      );
+    }
+    if (plannedCount >= rateCheck.remainingHourly) {
+      addRule(
+        'HOURLY_LIMIT_EXCEEDED',
+        `Hourly limit of ${settings.hourlyConnectionLimit} connections reached`
+      );
+    }
+  }
+
+  return rules;
+}
+
+// Helper Functions
+
+function getVerdict(blockedBy, result) {
+  if (blockedBy.length > 0) {
+    return DRY_RUN_VERDICTS.BLOCKED;
+  }
+  return result.success ? DRY_RUN_VERDICTS.WOULD_SEND : DRY_RUN_VERDICTS.FAILED;
+}
+
+async function updateReport(reportId, mutate) {
+  let updated = null;
+
+  await updateStorage(STORAGE_KEYS.DRY_RUN_REPORTS, reports => {
+    const report = (reports || []).find(r => r.id === reportId);
+    if (!report) {
+      return undefined;
+    }
+
+    mutate(report);
+    report.summary = summarizeDryRun(report.entries);
+    updated = report;
+    return reports;
+  });
+
+  return updated;
+}
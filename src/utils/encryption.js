@@ -1,3 +1,5 @@
+import { getStorageData, setStorageData, updateStorage, STORAGE_KEYS } from './storage.js';
+
 const ENCRYPTION_KEY_LENGTH = 32;
 const IV_LENGTH = 16;
 
@@ -75,4 +77,576 @@ export async function decryptData(encryptedData) {
   } catch (error) {
     throw new Error('Decryption failed: ' + error.message);
   }
-}
\ No newline at end of file
+}
+
+const PBKDF2_ITERATIONS = 250000;
+const SALT_LENGTH = 16;
+const GCM_IV_LENGTH = 12;
+
+function toBase64(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+function fromBase64(encoded) {
+  return new Uint8Array(
+    atob(encoded)
+      .split('')
+      .map(char => char.charCodeAt(0))
+  );
+}
+
+export async function deriveKeyFromPassphrase(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+  if (!passphrase || typeof passphrase !== 'string') {
+    throw new Error('Invalid passphrase');
+  }
+
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    { name: 'PBKDF2' },
+    false,
+    ['deriveKey']
+  );
+
+  return await crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+export async function encryptWithPassphrase(plaintext, passphrase) {
+  if (typeof plaintext !== 'string') {
+    throw new Error('Invalid data for encryption');
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+  const iv = crypto.getRandomValues(new Uint8Array(GCM_IV_LENGTH));
+  const key = await deriveKeyFromPassphrase(passphrase, salt);
+
+  const encrypted = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(plaintext)
+  );
+
+  return {
+    algorithm: 'AES-GCM',
+    kdf: 'PBKDF2-SHA256',
+    iterations: PBKDF2_ITERATIONS,
+    salt: toBase64(salt),
+    iv: toBase64(iv),
+    ciphertext: toBase64(new Uint8Array(encrypted))
+  };
+}
+
+export async function decryptWithPassphrase(payload, passphrase) {
+  if (!payload || !payload.ciphertext || !payload.salt || !payload.iv) {
+    throw new Error('Invalid encrypted data');
+  }
+
+  const key = await deriveKeyFromPassphrase(
+    passphrase,
+    fromBase64(payload.salt),
+    payload.iterations || PBKDF2_ITERATIONS
+  );
+
+  try {
+    const decrypted = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(payload.iv) },
+      key,
+      fromBase64(payload.ciphertext)
+    );
+
+    return new TextDecoder().decode(decrypted);
+  } catch (error) {
+    // AES-GCM authentication fails for a wrong passphrase or tampered data
+    throw new Error('Decryption failed: wrong passphrase or corrupted data');
+  }
+}
+
+// Key Manager
+// Data is encrypted with random AES-GCM data keys. The data keys are stored in
+// the vault wrapped by a key derived from the user's passphrase, so changing
+// the passphrase only rewraps keys while rotation re-encrypts stored data.
+
+const VAULT_VERSION = 1;
+const VAULT_CHECK = 'linkedin-extension-vault';
+const SESSION_KEY = 'vault_session';
+const DATA_KEY_LENGTH = 32;
+
+export const VAULT_STATES = {
+  UNINITIALIZED: 'uninitialized',
+  LOCKED: 'locked',
+  UNLOCKED: 'unlocked'
+};
+
+export class VaultLockedError extends Error {
+  constructor(message = 'Vault is locked') {
+    super(message);
+    this.name = 'VaultLockedError';
+  }
+}
+
+let unlockedKeys = null;
+const stateListeners = new Set();
+
+/**
+ * Create the vault with a first data key and leave it unlocked
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<Object>} Vault status
+ */
+export async function setupVault(passphrase) {
+  if (await readVault()) {
+    throw new Error('Vault is already set up');
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+  const wrappingKey = await deriveKeyFromPassphrase(passphrase, salt);
+  const keyId = generateKeyId();
+  const rawKey = crypto.getRandomValues(new Uint8Array(DATA_KEY_LENGTH));
+  const now = Date.now();
+
+  await writeVault({
+    version: VAULT_VERSION,
+    salt: toBase64(salt),
+    iterations: PBKDF2_ITERATIONS,
+    check: await encryptBytes(wrappingKey, new TextEncoder().encode(VAULT_CHECK)),
+    activeKeyId: keyId,
+    keys: { [keyId]: await wrapKey(wrappingKey, rawKey, now) },
+    createdAt: now,
+    rotatedAt: null
+  });
+
+  await setUnlockedKeys({ [keyId]: rawKey });
+  return await getVaultStatus();
+}
+
+/**
+ * Unlock the vault for this browser session
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<Object>} Vault status
+ */
+export async function unlockVault(passphrase) {
+  const vault = await readVault();
+  if (!vault) {
+    throw new Error('Vault is not set up');
+  }
+
+  const wrappingKey = await deriveWrappingKey(vault, passphrase);
+  await setUnlockedKeys(await unwrapKeys(vault, wrappingKey));
+  return await getVaultStatus();
+}
+
+/**
+ * Forget the unlocked data keys in every extension context
+ * @returns {Promise<void>}
+ */
+export async function lockVault() {
+  unlockedKeys = null;
+
+  if (chrome.storage.session) {
+    await chrome.storage.session.remove(SESSION_KEY);
+  }
+
+  notifyStateChange(VAULT_STATES.LOCKED);
+}
+
+/**
+ * Get the current vault state
+ * @returns {Promise<string>} One of VAULT_STATES
+ */
+export async function getVaultState() {
+  if (!(await readVault())) {
+    return VAULT_STATES.UNINITIALIZED;
+  }
+
+  return (await loadUnlockedKeys()) ? VAULT_STATES.UNLOCKED : VAULT_STATES.LOCKED;
+}
+
+export async function isVaultUnlocked() {
+  return (await getVaultState()) === VAULT_STATES.UNLOCKED;
+}
+
+/**
+ * Get vault status without exposing key material
+ * @returns {Promise<Object>} Vault status
+ */
+export async function getVaultStatus() {
+  const vault = await readVault();
+  const state = await getVaultState();
+
+  return {
+    state,
+    unlocked: state === VAULT_STATES.UNLOCKED,
+    activeKeyId: vault ? vault.activeKeyId : null,
+    keyCount: vault ? Object.keys(vault.keys).length : 0,
+    createdAt: vault ? vault.createdAt : null,
+    rotatedAt: vault ? vault.rotatedAt : null
+  };
+}
+
+/**
+ * Subscribe to lock/unlock changes
+ * @param {Function} listener - Called with the new state
+ * @returns {Function} Unsubscribe function
+ */
+export function onVaultStateChange(listener) {
+  stateListeners.add(listener);
+  return () => stateListeners.delete(listener);
+}
+
+export function isEncryptedValue(value) {
+  return Boolean(value && typeof value === 'object' && value.__encrypted === VAULT_VERSION);
+}
+
+/**
+ * Encrypt any JSON-serializable value with the active data key
+ * @param {*} value - Value to encrypt
+ * @returns {Promise<Object>} Encrypted envelope
+ */
+export async function encryptValue(value) {
+  const keys = await requireUnlockedKeys();
+  const vault = await readVault();
+
+  return await encryptEnvelope(keys, vault.activeKeyId, value);
+}
+
+/**
+ * Decrypt an envelope produced by encryptValue
+ * @param {Object} envelope - Encrypted envelope
+ * @returns {Promise<*>} Original value
+ */
+export async function decryptValue(envelope) {
+  if (!isEncryptedValue(envelope)) {
+    throw new Error('Invalid encrypted data');
+  }
+
+  const keys = await requireUnlockedKeys();
+  return await decryptEnvelope(keys, envelope);
+}
+
+/**
+ * Decrypt every envelope nested anywhere inside a value
+ * @param {*} value - Object, array or envelope
+ * @returns {Promise<*>} Copy of the value with envelopes decrypted
+ */
+export async function decryptNestedValues(value) {
+  const keys = await requireUnlockedKeys();
+  return await mapEnvelopes(value, envelope => decryptEnvelope(keys, envelope));
+}
+
+/**
+ * Change the passphrase protecting the vault.
+ * Data keys are rewrapped; stored data is untouched.
+ * @param {string} currentPassphrase - Current passphrase
+ * @param {string} newPassphrase - New passphrase
+ * @returns {Promise<Object>} Vault status
+ */
+export async function changeVaultPassphrase(currentPassphrase, newPassphrase) {
+  const vault = await readVault();
+  if (!vault) {
+    throw new Error('Vault is not set up');
+  }
+
+  const rawKeys = await unwrapKeys(vault, await deriveWrappingKey(vault, currentPassphrase));
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+  const wrappingKey = await deriveKeyFromPassphrase(newPassphrase, salt);
+  const keys = {};
+
+  for (const [keyId, rawKey] of Object.entries(rawKeys)) {
+    keys[keyId] = await wrapKey(wrappingKey, rawKey, vault.keys[keyId].createdAt);
+  }
+
+  await writeVault({
+    ...vault,
+    salt: toBase64(salt),
+    iterations: PBKDF2_ITERATIONS,
+    check: await encryptBytes(wrappingKey, new TextEncoder().encode(VAULT_CHECK)),
+    keys
+  });
+
+  await setUnlockedKeys(rawKeys);
+  return await getVaultStatus();
+}
+
+/**
+ * Rotate to a new data key and re-encrypt every stored envelope with it.
+ * The previous keys stay in the vault until re-encryption finishes, so an
+ * interrupted rotation leaves all data readable and can simply be re-run.
+ * @param {string} passphrase - Current passphrase
+ * @param {Object} options - Rotation options
+ * @param {string[]} options.storageKeys - Keys to scan (defaults to all STORAGE_KEYS)
+ * @returns {Promise<Object>} Rotation result
+ */
+export async function rotateVaultKey(passphrase, options = {}) {
+  const { storageKeys = Object.values(STORAGE_KEYS) } = options;
+  const vault = await readVault();
+  if (!vault) {
+    throw new Error('Vault is not set up');
+  }
+
+  const wrappingKey = await deriveWrappingKey(vault, passphrase);
+  const rawKeys = await unwrapKeys(vault, wrappingKey);
+  const keyId = generateKeyId();
+  const rawKey = crypto.getRandomValues(new Uint8Array(DATA_KEY_LENGTH));
+  const now = Date.now();
+
+  rawKeys[keyId] = rawKey;
+  await writeVault({
+    ...vault,
+    activeKeyId: keyId,
+    keys: { ...vault.keys, [keyId]: await wrapKey(wrappingKey, rawKey, now) }
+  });
+  await setUnlockedKeys(rawKeys);
+
+  const cryptoKeys = await importKeys(rawKeys);
+  const result = { success: true, keyId, reencrypted: 0, storageKeys: [] };
+
+  for (const key of storageKeys.filter(k => k !== STORAGE_KEYS.ENCRYPTION_VAULT)) {
+    let count = 0;
+
+    await updateStorage(key, async value => {
+      count = 0;
+      const updated = await mapEnvelopes(value, async envelope => {
+        if (envelope.keyId === keyId) {
+          return envelope;
+        }
+        count++;
+        return encryptEnvelope(cryptoKeys, keyId, await decryptEnvelope(cryptoKeys, envelope));
+      });
+
+      return count > 0 ? updated : undefined;
+    });
+
+    if (count > 0) {
+      result.reencrypted += count;
+      result.storageKeys.push(key);
+    }
+  }
+
+  // Every envelope now uses the new key; retire the old ones
+  const current = await readVault();
+  await writeVault({
+    ...current,
+    keys: { [keyId]: current.keys[keyId] },
+    rotatedAt: now
+  });
+  await setUnlockedKeys({ [keyId]: rawKey });
+
+  return result;
+}
+
+// Key Manager Helpers
+
+async function readVault() {
+  const result = await getStorageData(STORAGE_KEYS.ENCRYPTION_VAULT);
+  return result[STORAGE_KEYS.ENCRYPTION_VAULT] || null;
+}
+
+async function writeVault(vault) {
+  await setStorageData({ [STORAGE_KEYS.ENCRYPTION_VAULT]: vault });
+}
+
+async function deriveWrappingKey(vault, passphrase) {
+  const wrappingKey = await deriveKeyFromPassphrase(
+    passphrase,
+    fromBase64(vault.salt),
+    vault.iterations
+  );
+
+  try {
+    await decryptBytes(wrappingKey, vault.check);
+  } catch (error) {
+    throw new Error('Incorrect passphrase');
+  }
+
+  return wrappingKey;
+}
+
+async function wrapKey(wrappingKey, rawKey, createdAt) {
+  return { ...(await encryptBytes(wrappingKey, rawKey)), createdAt };
+}
+
+async function unwrapKeys(vault, wrappingKey) {
+  const rawKeys = {};
+
+  for (const [keyId, wrapped] of Object.entries(vault.keys)) {
+    rawKeys[keyId] = await decryptBytes(wrappingKey, wrapped);
+  }
+
+  return rawKeys;
+}
+
+async function encryptBytes(key, bytes) {
+  const iv = crypto.getRandomValues(new Uint8Array(GCM_IV_LENGTH));
+  const encrypted = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+
+  return { iv: toBase64(iv), ciphertext: toBase64(new Uint8Array(encrypted)) };
+}
+
+async function decryptBytes(key, { iv, ciphertext }) {
+  const decrypted = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(iv) },
+    key,
+    fromBase64(ciphertext)
+  );
+
+  return new Uint8Array(decrypted);
+}
+
+async function encryptEnvelope(cryptoKeys, keyId, value) {
+  const bytes = new TextEncoder().encode(JSON.stringify(value));
+
+  return {
+    __encrypted: VAULT_VERSION,
+    keyId,
+    ...(await encryptBytes(cryptoKeys[keyId], bytes))
+  };
+}
+
+async function decryptEnvelope(cryptoKeys, envelope) {
+  const key = cryptoKeys[envelope.keyId];
+  if (!key) {
+    throw new Error(`Unknown encryption key: ${envelope.keyId}`);
+  }
+
+  try {
+    return JSON.parse(new TextDecoder().decode(await decryptBytes(key, envelope)));
+  } catch (error) {
+    throw new Error('Decryption failed: corrupted data');
+  }
+}
+
+async function mapEnvelopes(value, transform) {
+  if (isEncryptedValue(value)) {
+    return transform(value);
+  }
+
+  if (Array.isArray(value)) {
+    const mapped = [];
+    for (const item of value) {
+      mapped.push(await mapEnvelopes(item, transform));
+    }
+    return mapped;
+  }
+
+  if (value && typeof value === 'object') {
+    const mapped = {};
+    for (const [key, item] of Object.entries(value)) {
+      mapped[key] = await mapEnvelopes(item, transform);
+    }
+    return mapped;
+  }
+
+  return value;
+}
+
+function importKeys(rawKeys) {
+  return Promise.all(
+    Object.entries(rawKeys).map(async ([keyId, rawKey]) => [
+      keyId,
+      await crypto.subtle.importKey('raw', rawKey, { name: 'AES-GCM' }, false, [
+        'encrypt',
+        'decrypt'
+      ])
+    ])
+  ).then(Object.fromEntries);
+}
+
+// Unlocked keys are shared through chrome.storage.session so other extension
+// contexts (and a restarted service worker) stay unlocked until the browser closes
+async function setUnlockedKeys(rawKeys) {
+  unlockedKeys = await importKeys(rawKeys);
+
+  if (chrome.storage.session) {
+    const encoded = Object.fromEntries(
+      Object.entries(rawKeys).map(([keyId, rawKey]) => [keyId, toBase64(rawKey)])
+    );
+    await chrome.storage.session.set({ [SESSION_KEY]: encoded });
+  }
+
+  notifyStateChange(VAULT_STATES.UNLOCKED);
+}
+
+async function loadUnlockedKeys() {
+  if (unlockedKeys) {
+    return unlockedKeys;
+  }
+
+  if (!chrome.storage.session) {
+    return null;
+  }
+
+  const result = await chrome.storage.session.get(SESSION_KEY);
+  const encoded = result[SESSION_KEY];
+  if (!encoded) {
+    return null;
+  }
+
+  unlockedKeys = await importKeys(
+    Object.fromEntries(Object.entries(encoded).map(([keyId, raw]) => [keyId, fromBase64(raw)]))
+  );
+  return unlockedKeys;
+}
+
+async function requireUnlockedKeys() {
+  const keys = await loadUnlockedKeys();
+  if (!keys) {
+    throw new VaultLockedError();
+  }
+  return keys;
+}
+
+function notifyStateChange(state) {
+  stateListeners.forEach(listener => {
+    try {
+      listener(state);
+    } catch (error) {
+      console.error('Error in vault state listener:', error);
+    }
+  });
+}
+
+function generateKeyId() {
+  return `key_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+}
+
+function handleSessionChange(changes, areaName) {
+  if (areaName !== 'session' || !changes[SESSION_KEY]) {
+    return;
+  }
+
+  const { newValue } = changes[SESSION_KEY];
+
+  if (!newValue) {
+    // Locked from another context
+    if (unlockedKeys) {
+      unlockedKeys = null;
+      notifyStateChange(VAULT_STATES.LOCKED);
+    }
+    return;
+  }
+
+  const sameKeys =
+    unlockedKeys && Object.keys(newValue).sort().join() === Object.keys(unlockedKeys).sort().join();
+
+  if (!sameKeys) {
+    // Unlocked or rotated elsewhere; reload keys lazily from the session
+    const wasLocked = !unlockedKeys;
+    unlockedKeys = null;
+    if (wasLocked) {
+      notifyStateChange(VAULT_STATES.UNLOCKED);
+    }
+  }
+}
+
+if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+  chrome.storage.onChanged.addListener(handleSessionChange);
+}
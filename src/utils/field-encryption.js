@@ -0,0 +1,189 @@
+// Field-level Encryption for Personal Data
+// Encrypts configured PII fields of stored records with the vault key
+
+import { getSettings, STORAGE_KEYS } from './storage.js';
+import {
+  encryptValue,
+  decryptNestedValues,
+  isEncryptedValue,
+  isVaultUnlocked,
+  getVaultState,
+  VAULT_STATES
+} from './encryption.js';
+import { getProfileSlug } from './linkedin.js';
+
+/**
+ * PII fields encrypted per storage key.
+ * Paths use dots for nested objects and `[]` for every item of an array.
+ * Identifiers, statuses and timestamps stay in plaintext so filters,
+ * IndexedDB indexes and analytics keep working while the vault is locked.
+ * Records whose `profileUrl` is sealed keep its slug in `profileSlug`, so
+ * profiles can still be matched; see getRecordProfileSlug.
+ */
+export const DEFAULT_ENCRYPTED_FIELDS = {
+  [STORAGE_KEYS.CONNECTION_DATABASE]: [
+    'name',
+    'firstName',
+    'lastName',
+    'profileUrl',
+    'location',
+    'notes',
+    'connectionRequest.messageUsed',
+    'response.responseMessage'
+  ],
+  [STORAGE_KEYS.CONVERSATIONS]: [
+    'profileName',
+    'profileUrl',
+    'notes',
+    'messages[].content',
+    'messages[].keywords'
+  ]
+};
+
+/**
+ * Get field encryption settings merged with defaults.
+ * Configured through `settings.fieldEncryption`: `{ enabled, fields: { [key]: paths } }`.
+ * @returns {Promise<Object>} Field encryption config
+ */
+export async function getFieldEncryptionConfig() {
+  const settings = await getSettings();
+  const config = settings.fieldEncryption || {};
+
+  return {
+    enabled: config.enabled !== false,
+    fields: { ...DEFAULT_ENCRYPTED_FIELDS, ...(config.fields || {}) }
+  };
+}
+
+/**
+ * Encrypt the configured PII fields of stored records.
+ * Already-encrypted fields are left as is. While the vault is locked or not
+ * set up, records are returned unchanged and their plaintext fields are
+ * encrypted by the next write made with the vault unlocked.
+ * @param {string} key - Storage key the records belong to
+ * @param {Array|Object} records - Record array or id-keyed object
+ * @returns {Promise<Array|Object>} Records with PII fields encrypted
+ */
+export async function encryptRecordFields(key, records) {
+  const config = await getFieldEncryptionConfig();
+  const paths = config.fields[key] || [];
+
+  if (!records || !config.enabled || paths.length === 0 || !(await isVaultUnlocked())) {
+    return records;
+  }
+
+  return mapRecords(records, async record => {
+    let encrypted = withProfileSlug(record);
+    for (const path of paths) {
+      encrypted = await mapPath(encrypted, path.split('.'), encryptField);
+    }
+    return encrypted;
+  });
+}
+
+/**
+ * Decrypt every encrypted field of stored records when the vault is unlocked.
+ * Locked records are returned unchanged, with encrypted fields still sealed:
+ * read them through fieldText and getRecordProfileSlug, or check
+ * areRecordFieldsSealed first.
+ * @param {Array|Object} records - Record array or id-keyed object
+ * @returns {Promise<Array|Object>} Records with PII fields decrypted
+ */
+export async function decryptRecordFields(records) {
+  if (!records || !(await isVaultUnlocked())) {
+    return records;
+  }
+
+  return decryptNestedValues(records);
+}
+
+/**
+ * Get a field as display text, hiding fields sealed by a locked vault
+ * @param {*} value - Field value
+ * @returns {string} Text value
+ */
+export function fieldText(value) {
+  if (isEncryptedValue(value)) {
+    return '';
+  }
+  return typeof value === 'string' ? value : '';
+}
+
+/**
+ * Get the profile slug of a stored record, which stays readable while the
+ * vault is locked
+ * @param {Object} record - Connection record or conversation
+ * @returns {string|null} Lowercase slug, or null if it is sealed or unknown
+ */
+export function getRecordProfileSlug(record) {
+  if (!record) {
+    return null;
+  }
+  return getProfileSlug(fieldText(record.profileUrl)) || record.profileSlug || null;
+}
+
+/**
+ * Check whether stored records are read with their encrypted fields sealed,
+ * which is the case while a vault is set up but locked
+ * @returns {Promise<boolean>} True while the vault is locked
+ */
+export async function areRecordFieldsSealed() {
+  return (await getVaultState()) === VAULT_STATES.LOCKED;
+}
+
+// Helper Functions
+
+// The slug is taken while the URL is still readable
+function withProfileSlug(record) {
+  const profileSlug = getRecordProfileSlug(record);
+  return profileSlug && record.profileSlug !== profileSlug ? { ...record, profileSlug } : record;
+}
+
+async function mapRecords(records, transform) {
+  if (Array.isArray(records)) {
+    return Promise.all(records.map(transform));
+  }
+
+  const entries = await Promise.all(
+    Object.entries(records).map(async ([id, record]) => [id, await transform(record)])
+  );
+  return Object.fromEntries(entries);
+}
+
+async function mapPath(value, segments, transform) {
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const [segment, ...rest] = segments;
+  const isArray = segment.endsWith('[]');
+  const field = isArray ? segment.slice(0, -2) : segment;
+
+  if (value[field] === undefined) {
+    return value;
+  }
+
+  const applyRest = item => (rest.length > 0 ? mapPath(item, rest, transform) : transform(item));
+  let next;
+
+  if (isArray) {
+    if (!Array.isArray(value[field])) {
+      return value;
+    }
+    next = await Promise.all(value[field].map(applyRest));
+  } else {
+    next = await applyRest(value[field]);
+  }
+
+  return next === value[field] ? value : { ...value, [field]: next };
+}
+
+async function encryptField(value) {
+  if (value === null || value === '' || isEncryptedValue(value)) {
+    return value;
+  }
+  if (Array.isArray(value) && value.length === 0) {
+    return value;
+  }
+  return encryptValue(value);
+}
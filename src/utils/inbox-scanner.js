@@ -0,0 +1,230 @@
+// Inbox Scanner
+// Reads the LinkedIn messaging list and open threads, and keeps the read and
+// last-seen state of each thread so inbound messages are processed once
+
+import { getStorageData, updateStorage, STORAGE_KEYS } from './storage.js';
+import { querySelector, querySelectorAll, waitForSelector } from './selector-registry.js';
+import { getProfileSlug, getLinkedInUrl } from './linkedin.js';
+
+export const INBOX_URL = 'https://www.linkedin.com/messaging/';
+
+// Message IDs remembered per thread; messages older than the thread's
+// lastMessageAt are skipped anyway
+const PROCESSED_MESSAGE_LIMIT = 100;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Read the messaging list of the current page once it has rendered
+ * @param {Object} options - Read options
+ * @param {number} options.timeout - Milliseconds to wait for the list
+ * @returns {Promise<Array>} Threads, see parseInboxList
+ */
+export async function readInboxList(options = {}) {
+  await waitForSelector('inboxThread', { timeout: options.timeout || 10000 });
+  return parseInboxList();
+}
+
+/**
+ * Parse the conversations of the messaging list
+ * @param {Document|Element} root - Page to read, defaults to the document
+ * @returns {Array} Threads with ID, URL, participant name, unread flag and a
+ *   signature that changes whenever a new message arrives
+ */
+export function parseInboxList(root = document) {
+  return querySelectorAll('inboxThread', { root })
+    .map(item => {
+      const link = querySelector('inboxThreadLink', { root: item });
+      const threadId = link ? getThreadId(link.getAttribute('href')) : null;
+      const timeLabel = getText(querySelector('inboxThreadTime', { root: item }));
+      const snippet = getText(querySelector('inboxThreadSnippet', { root: item }));
+
+      return {
+        threadId,
+        threadUrl: link ? link.href : null,
+        name: getText(querySelector('inboxThreadName', { root: item })) || null,
+        snippet: snippet || null,
+        timeLabel: timeLabel || null,
+        unread: !!querySelector('inboxThreadUnread', { root: item }),
+        signature: `${timeLabel}|${snippet}`
+      };
+    })
+    .filter(thread => thread.threadId);
+}
+
+/**
+ * Read the thread open on the current page once its messages have rendered
+ * @param {Object} options - Read options
+ * @param {number} options.timeout - Milliseconds to wait for the messages
+ * @returns {Promise<Object>} Thread, see parseThread
+ */
+export async function readThread(options = {}) {
+  await waitForSelector('threadEvent', { timeout: options.timeout || 10000 });
+  return parseThread();
+}
+
+/**
+ * Parse the open thread: the other participant and its messages, oldest first
+ * @param {Document|Element} root - Page to read, defaults to the document
+ * @param {number} now - Reference time for relative day headings
+ * @returns {Object} Thread ID, participant and messages
+ */
+export function parseThread(root = document, now = Date.now()) {
+  const profileLink = querySelector('threadProfileLink', { root });
+  const profileUrl = profileLink ? profileLink.href.split('?')[0] : null;
+  const participant = {
+    name: getText(profileLink) || null,
+    profileUrl,
+    profileSlug: getProfileSlug(profileUrl)
+  };
+  const messages = [];
+  let dayLabel = null;
+  let sender = { name: null, slug: null, timeLabel: null };
+
+  // Day headings and sender headers only appear when they change, so each
+  // message inherits the last ones above it
+  querySelectorAll('threadEvent', { root }).forEach(event => {
+    dayLabel = getText(event.querySelector('.msg-s-message-list__time-heading')) || dayLabel;
+
+    const groupName = getText(event.querySelector('.msg-s-message-group__name'));
+    if (groupName) {
+      const groupLink = event.querySelector('a.msg-s-message-group__profile-link');
+      sender = {
+        name: groupName,
+        slug: groupLink ? getProfileSlug(groupLink.getAttribute('href')) : null,
+        timeLabel: getText(event.querySelector('.msg-s-message-group__timestamp')) || null
+      };
+    }
+
+    querySelectorAll('threadMessage', { root: event }).forEach(item => {
+      const content = getText(item.querySelector('.msg-s-event-listitem__body'));
+      const timestamp = parseMessageTime(dayLabel, sender.timeLabel, now);
+      const inbound =
+        item.classList.contains('msg-s-event-listitem--other') ||
+        (!!sender.slug && sender.slug === participant.profileSlug);
+
+      messages.push({
+        id: item.getAttribute('data-event-urn') || `${sender.name}|${timestamp}|${content}`,
+        inbound,
+        senderName: sender.name,
+        content,
+        timestamp
+      });
+    });
+  });
+
+  return {
+    threadId: getThreadId(new URL(getLinkedInUrl()).pathname),
+    participant,
+    messages: messages.filter(message => message.content)
+  };
+}
+
+/**
+ * Turn a thread's day heading and message time into a timestamp
+ * @param {string} dayLabel - e.g. "Today", "Monday", "Mar 3", "Mar 3, 2023"
+ * @param {string} timeLabel - e.g. "10:42 AM"
+ * @param {number} now - Reference time
+ * @returns {number} Timestamp, now when the labels are not understood
+ */
+export function parseMessageTime(dayLabel, timeLabel, now = Date.now()) {
+  const date = new Date(now);
+  const label = (dayLabel || 'Today').trim();
+  const weekday = WEEKDAYS.indexOf(label.toLowerCase());
+
+  if (/^yesterday$/i.test(label)) {
+    date.setDate(date.getDate() - 1);
+  } else if (weekday >= 0) {
+    // "Today" is used for today, so a weekday is always in the past week
+    date.setDate(date.getDate() - ((date.getDay() - weekday + 7) % 7 || 7));
+  } else if (!/^today$/i.test(label)) {
+    // Date parsing is lenient, so only "Mar 3" and "Mar 3, 2023" are handed to it
+    const dateLabel = label.match(/^[a-z]{3,9}\.? \d{1,2}(, \d{4})?$/i);
+    const hasYear = !!(dateLabel && dateLabel[1]);
+    const parsed = dateLabel
+      ? new Date(hasYear ? label : `${label}, ${date.getFullYear()}`)
+      : new Date(NaN);
+
+    if (Number.isNaN(parsed.getTime())) {
+      return now;
+    }
+    if (!hasYear && parsed.getTime() > now) {
+      parsed.setFullYear(parsed.getFullYear() - 1);
+    }
+    date.setTime(parsed.getTime());
+  }
+
+  const time = (timeLabel || '').match(/(\d{1,2}):(\d{2})\s*([AP]M)?/i);
+  if (!time) {
+    return Math.min(date.getTime(), now);
+  }
+
+  let hours = parseInt(time[1], 10) % (time[3] ? 12 : 24);
+  if (/pm/i.test(time[3] || '')) {
+    hours += 12;
+  }
+
+  date.setHours(hours, parseInt(time[2], 10), 0, 0);
+  return date.getTime();
+}
+
+/**
+ * Get the saved state of every scanned thread
+ * @returns {Promise<Object>} Thread states keyed by thread ID
+ */
+export async function getInboxState() {
+  try {
+    const result = await getStorageData(STORAGE_KEYS.INBOX_STATE);
+    return result.inbox_state || {};
+  } catch (error) {
+    console.error('Error getting inbox state:', error);
+    return {};
+  }
+}
+
+/**
+ * Save what a scan saw of a thread
+ * @param {string} threadId - Thread ID
+ * @param {Object} changes - Fields to set
+ * @param {string[]} changes.processedMessageIds - IDs to add to the processed ones
+ * @returns {Promise<Object>} Updated thread state
+ */
+export async function updateThreadState(threadId, changes) {
+  let updated = null;
+
+  await updateStorage(STORAGE_KEYS.INBOX_STATE, threads => {
+    const current = (threads || {})[threadId] || { threadId, processedMessageIds: [] };
+    const processedMessageIds = [
+      ...new Set([...current.processedMessageIds, ...(changes.processedMessageIds || [])])
+    ].slice(-PROCESSED_MESSAGE_LIMIT);
+
+    updated = { ...current, ...changes, processedMessageIds, updatedAt: Date.now() };
+    return { ...threads, [threadId]: updated };
+  });
+
+  return updated;
+}
+
+/**
+ * Find the thread an inbox scan matched to a tracked conversation
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object|null>} Thread state with its `threadUrl`, or null
+ *   when no scan has matched the conversation yet
+ */
+export async function findConversationThread(conversationId) {
+  const threads = await getInboxState();
+  const thread = Object.values(threads).find(t => t.conversationId === conversationId);
+
+  return thread ? { ...thread, threadUrl: `${INBOX_URL}thread/${thread.threadId}/` } : null;
+}
+
+// Helper Functions
+
+function getThreadId(url) {
+  const match = (url || '').match(/\/messaging\/thread\/([^/?#]+)/);
+  return match ? match[1] : null;
+}
+
+function getText(element) {
+  return element ? (element.textContent || '').replace(/\s+/g, ' ').trim() : '';
+}
@@ -0,0 +1,333 @@
+// IndexedDB Store for Large Datasets
+// Per-record storage with indexes for keys that outgrow chrome.storage.local
+
+const DB_NAME = 'linkedin_extension';
+const DB_VERSION = 1;
+
+/**
+ * Storage keys kept in IndexedDB instead of chrome.storage.local.
+ * Names mirror STORAGE_KEYS. `array` stores keep insertion order through an
+ * auto-increment key; `map` stores are keyed by the record's `id` and are
+ * returned as an object keyed by id, matching how those keys are stored today.
+ */
+export const INDEXED_STORES = {
+  analytics: {
+    shape: 'array',
+    indexes: {
+      timestamp: 'timestamp',
+      profileId: 'profileId',
+      campaignId: 'campaignId',
+      type: 'type'
+    }
+  },
+  connection_database: {
+    shape: 'array',
+    indexes: {
+      id: 'id',
+      timestamp: 'connectionRequest.sentAt',
+      profileId: 'profileId',
+      campaignId: 'connectionRequest.campaignId',
+      status: 'status'
+    }
+  },
+  conversations: {
+    shape: 'map',
+    keyPath: 'id',
+    indexes: {
+      timestamp: 'lastActivity',
+      profileId: 'profileId',
+      status: 'status'
+    }
+  }
+};
+
+let dbPromise = null;
+
+/**
+ * Check whether IndexedDB can be used from the current context.
+ * Only extension pages and the service worker qualify: a content script's
+ * IndexedDB belongs to the LinkedIn origin, not to the extension.
+ * @returns {boolean} True if the IndexedDB backend is usable
+ */
+export function isIndexedStoreAvailable() {
+  try {
+    return (
+      typeof indexedDB !== 'undefined' &&
+      typeof globalThis.location !== 'undefined' &&
+      globalThis.location.protocol === 'chrome-extension:'
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether a storage key is routed to IndexedDB
+ * @param {string} key - Storage key
+ * @returns {boolean} True if the key has an IndexedDB store
+ */
+export function isIndexedKey(key) {
+  return Object.prototype.hasOwnProperty.call(INDEXED_STORES, key);
+}
+
+/**
+ * Open (and upgrade if needed) the extension database
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+export function openDatabase() {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+
+      Object.entries(INDEXED_STORES).forEach(([name, config]) => {
+        if (db.objectStoreNames.contains(name)) {
+          return;
+        }
+
+        const store =
+          config.shape === 'map'
+            ? db.createObjectStore(name, { keyPath: config.keyPath })
+            : db.createObjectStore(name, { autoIncrement: true });
+
+        Object.entries(config.indexes).forEach(([indexName, keyPath]) => {
+          store.createIndex(indexName, keyPath, { unique: false });
+        });
+      });
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Close the database connection
+ * @returns {Promise<void>}
+ */
+export async function closeDatabase() {
+  if (!dbPromise) {
+    return;
+  }
+
+  const db = await dbPromise;
+  db.close();
+  dbPromise = null;
+}
+
+/**
+ * Read a whole store in the shape callers expect from chrome.storage
+ * @param {string} key - Storage key
+ * @returns {Promise<Array|Object>} Records as an array or an id-keyed object
+ */
+export async function readStore(key) {
+  const config = getStoreConfig(key);
+  const db = await openDatabase();
+  const transaction = db.transaction(key, 'readonly');
+  const records = await promisifyRequest(transaction.objectStore(key).getAll());
+
+  if (config.shape === 'map') {
+    return Object.fromEntries(records.map(record => [record[config.keyPath], record]));
+  }
+
+  return records;
+}
+
+/**
+ * Replace the contents of a store in a single transaction
+ * @param {string} key - Storage key
+ * @param {Array|Object} value - Array of records or id-keyed object
+ * @returns {Promise<void>}
+ */
+export async function replaceStore(key, value) {
+  getStoreConfig(key);
+  const db = await openDatabase();
+  const transaction = db.transaction(key, 'readwrite');
+  const store = transaction.objectStore(key);
+
+  store.clear();
+  toRecords(value).forEach(record => store.put(record));
+
+  await completeTransaction(transaction);
+}
+
+/**
+ * Append records without rewriting the existing ones
+ * @param {string} key - Storage key
+ * @param {Array} records - Records to add
+ * @returns {Promise<void>}
+ */
+export async function appendRecords(key, records) {
+  getStoreConfig(key);
+  const db = await openDatabase();
+  const transaction = db.transaction(key, 'readwrite');
+  const store = transaction.objectStore(key);
+
+  records.forEach(record => store.put(record));
+
+  await completeTransaction(transaction);
+}
+
+/**
+ * Drop the oldest records of an array store beyond a maximum count
+ * @param {string} key - Storage key
+ * @param {number} maxRecords - Number of most recent records to keep
+ * @returns {Promise<number>} Number of records removed
+ */
+export async function trimStore(key, maxRecords) {
+  getStoreConfig(key);
+  const db = await openDatabase();
+  const transaction = db.transaction(key, 'readwrite');
+  const store = transaction.objectStore(key);
+  const countRequest = store.count();
+  let removed = 0;
+
+  // Chain requests through callbacks so the transaction stays active
+  countRequest.onsuccess = () => {
+    const excess = countRequest.result - maxRecords;
+    if (excess <= 0) {
+      return;
+    }
+
+    const cursorRequest = store.openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (cursor && removed < excess) {
+        cursor.delete();
+        removed++;
+        cursor.continue();
+      }
+    };
+  };
+
+  await completeTransaction(transaction);
+  return removed;
+}
+
+/**
+ * Remove every record from a store
+ * @param {string} key - Storage key
+ * @returns {Promise<void>}
+ */
+export async function clearStore(key) {
+  getStoreConfig(key);
+  const db = await openDatabase();
+  const transaction = db.transaction(key, 'readwrite');
+  transaction.objectStore(key).clear();
+  await completeTransaction(transaction);
+}
+
+/**
+ * Count records in a store
+ * @param {string} key - Storage key
+ * @returns {Promise<number>} Record count
+ */
+export async function countRecords(key) {
+  getStoreConfig(key);
+  const db = await openDatabase();
+  const transaction = db.transaction(key, 'readonly');
+  return promisifyRequest(transaction.objectStore(key).count());
+}
+
+/**
+ * Query records through one of the store's indexes
+ * @param {string} key - Storage key
+ * @param {Object} query - Query options
+ * @param {string} query.index - Index name (timestamp, profileId, campaignId, status...)
+ * @param {*} query.only - Exact index value
+ * @param {*} query.lower - Lower bound (inclusive)
+ * @param {*} query.upper - Upper bound (inclusive)
+ * @param {number} query.limit - Maximum number of records
+ * @param {string} query.direction - 'next' (ascending) or 'prev' (descending)
+ * @returns {Promise<Array>} Matching records
+ */
+export async function queryRecords(key, query = {}) {
+  const config = getStoreConfig(key);
+  const { index, limit = Infinity, direction = 'next' } = query;
+
+  if (index && !config.indexes[index]) {
+    throw new Error(`Unknown index "${index}" for store ${key}`);
+  }
+
+  const db = await openDatabase();
+  const transaction = db.transaction(key, 'readonly');
+  const store = transaction.objectStore(key);
+  const source = index ? store.index(index) : store;
+  const range = index ? buildKeyRange(query) : null;
+
+  return new Promise((resolve, reject) => {
+    const results = [];
+    const request = source.openCursor(range, direction);
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || results.length >= limit) {
+        resolve(results);
+        return;
+      }
+
+      results.push(cursor.value);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Helper Functions
+
+function getStoreConfig(key) {
+  const config = INDEXED_STORES[key];
+  if (!config) {
+    throw new Error(`No IndexedDB store configured for key ${key}`);
+  }
+  return config;
+}
+
+function toRecords(value) {
+  if (!value) {
+    return [];
+  }
+
+  return Array.isArray(value) ? value : Object.values(value);
+}
+
+function buildKeyRange({ only, lower, upper }) {
+  if (only !== undefined) {
+    return IDBKeyRange.only(only);
+  }
+  if (lower !== undefined && upper !== undefined) {
+    return IDBKeyRange.bound(lower, upper);
+  }
+  if (lower !== undefined) {
+    return IDBKeyRange.lowerBound(lower);
+  }
+  if (upper !== undefined) {
+    return IDBKeyRange.upperBound(upper);
+  }
+  return null;
+}
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function completeTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
@@ -0,0 +1,191 @@
+// Invitation Cleanup
+// Withdraws invitations nobody answered, so the pending list stays under
+// LinkedIn's cap on outstanding invitations
+
+import { getStorageData, STORAGE_KEYS } from './storage.js';
+import { querySelector, querySelectorAll, waitForSelector } from './selector-registry.js';
+import { getProfileSlug } from './linkedin.js';
+import { getRecordProfileSlug } from './field-encryption.js';
+import {
+  getConnectionRecords,
+  updateConnectionStatus,
+  CONNECTION_STATUS
+} from './connection-management.js';
+import { trackEvent, ANALYTICS_EVENTS } from './analytics.js';
+
+/**
+ * Default cleanup policy, overridden by `settings.invitationCleanup`
+ */
+export const DEFAULT_CLEANUP_POLICY = {
+  enabled: false,
+  withdrawAfterDays: 21,
+  keepTags: ['vip']
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+const CARD_REMOVAL_TIMEOUT = 5000;
+
+/**
+ * Get the cleanup policy with defaults
+ * @returns {Promise<Object>} Cleanup policy
+ */
+export async function getCleanupPolicy() {
+  try {
+    const result = await getStorageData(STORAGE_KEYS.SETTINGS);
+    const settings = result.settings || {};
+
+    return { ...DEFAULT_CLEANUP_POLICY, ...settings.invitationCleanup };
+  } catch (error) {
+    console.error('Error getting invitation cleanup policy:', error);
+    return DEFAULT_CLEANUP_POLICY;
+  }
+}
+
+/**
+ * Pick the sent invitations the policy withdraws: older than
+ * `withdrawAfterDays`, unless their connection record carries a keep tag.
+ * Invitations whose age LinkedIn does not show are left alone.
+ * @param {Object} scan - Scan of the Sent invitations pages
+ * @param {Object} policy - Cleanup policy
+ * @param {number} now - Reference time
+ * @returns {Promise<Object>} `stale` invitations to withdraw, oldest first, and
+ *   stale invitations `kept` for their tags
+ */
+export async function selectStaleInvitations(scan, policy, now = Date.now()) {
+  const { connections } = await getConnectionRecords({
+    filters: { status: CONNECTION_STATUS.PENDING }
+  });
+  const records = new Map(connections.map(record => [getRecordProfileSlug(record), record]));
+  const keepTags = policy.keepTags.map(tag => tag.toLowerCase());
+  const cutoff = now - policy.withdrawAfterDays * DAY;
+  const stale = [];
+  const kept = [];
+
+  (scan.cards || [])
+    .filter(card => Number.isFinite(card.time) && card.time <= cutoff)
+    .sort((a, b) => a.time - b.time)
+    .forEach(card => {
+      const record = records.get(card.profileSlug);
+      const invitation = { ...card, connectionId: record ? record.id : null };
+
+      if (record && (record.tags || []).some(tag => keepTags.includes(tag.toLowerCase()))) {
+        kept.push(invitation);
+      } else {
+        stale.push(invitation);
+      }
+    });
+
+  return { stale, kept };
+}
+
+/**
+ * Withdraw sent invitations shown on the current Sent invitations page
+ * @param {string[]} profileSlugs - Invitations to withdraw, by profile slug
+ * @param {Object} options - Withdrawal options
+ * @param {Function} options.delay - Resolves with the milliseconds to wait between withdrawals
+ * @returns {Promise<Object>} Withdrawn slugs, and failures with their error
+ */
+export async function withdrawInvitations(profileSlugs, options = {}) {
+  const withdrawn = [];
+  const failed = [];
+
+  for (const [index, profileSlug] of profileSlugs.entries()) {
+    if (index > 0 && options.delay) {
+      const delay = await options.delay();
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    try {
+      await withdrawInvitation(profileSlug);
+      withdrawn.push(profileSlug);
+    } catch (error) {
+      failed.push({ profileSlug, error: error.message });
+    }
+  }
+
+  return { withdrawn, failed };
+}
+
+/**
+ * Withdraw one sent invitation through its card and the confirmation dialog
+ * @param {string} profileSlug - Profile slug of the invitee
+ * @returns {Promise<void>} Resolves once the card is gone from the list
+ */
+export async function withdrawInvitation(profileSlug) {
+  const card = querySelectorAll('invitationCard').find(element => {
+    const link = querySelector('invitationCardLink', { root: element });
+    return link && getProfileSlug(link.href) === profileSlug;
+  });
+
+  if (!card) {
+    throw new Error(`No sent invitation to ${profileSlug} on this page`);
+  }
+
+  const button = querySelector('invitationWithdrawButton', { root: card });
+  if (!button) {
+    throw new Error(`No Withdraw button for ${profileSlug}`);
+  }
+
+  button.click();
+
+  const confirmButton = await waitForSelector('withdrawConfirmButton', { timeout: 3000 });
+  if (!confirmButton) {
+    throw new Error('Withdraw confirmation did not open');
+  }
+
+  confirmButton.click();
+
+  if (!(await waitForRemoval(card, CARD_REMOVAL_TIMEOUT))) {
+    throw new Error(`Invitation to ${profileSlug} is still listed after withdrawing`);
+  }
+}
+
+/**
+ * Mark withdrawn invitations on their connection records and count them
+ * against the withdrawal rate limits
+ * @param {string[]} profileSlugs - Withdrawn profile slugs
+ * @param {Array} invitations - Invitations from selectStaleInvitations
+ * @returns {Promise<void>}
+ */
+export async function recordWithdrawals(profileSlugs, invitations) {
+  for (const profileSlug of profileSlugs) {
+    const invitation = invitations.find(i => i.profileSlug === profileSlug);
+    const connectionId = invitation ? invitation.connectionId : null;
+
+    if (connectionId) {
+      await updateConnectionStatus(connectionId, CONNECTION_STATUS.WITHDRAWN);
+    }
+
+    await trackEvent(ANALYTICS_EVENTS.INVITATION_WITHDRAWN, {
+      profileSlug,
+      connectionId,
+      sentAt: invitation ? invitation.time : null
+    });
+  }
+}
+
+// Helper Functions
+
+function waitForRemoval(element, timeout) {
+  return new Promise(resolve => {
+    if (!element.isConnected) {
+      resolve(true);
+      return;
+    }
+
+    const observer = new MutationObserver(() => {
+      if (!element.isConnected) {
+        finish(true);
+      }
+    });
+    const timer = setTimeout(() => finish(false), timeout);
+
+    function finish(removed) {
+      observer.disconnect();
+      clearTimeout(timer);
+      resolve(removed);
+    }
+
+    observer.observe(document.body, { childList: true, subtree: true });
+  });
+}
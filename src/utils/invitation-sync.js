@@ -0,0 +1,222 @@
+// Invitation Sync
+// Reads the Sent invitations and Connections pages of My Network and
+// reconciles them with the connection database, so pending records move on
+// to accepted, withdrawn or expired without anyone updating them by hand
+
+import { querySelector, querySelectorAll, waitForSelector } from './selector-registry.js';
+import { getProfileSlug } from './linkedin.js';
+import { getRecordProfileSlug } from './field-encryption.js';
+import { isEncryptedValue } from './encryption.js';
+import {
+  getConnectionRecords,
+  updateConnectionStatus,
+  CONNECTION_STATUS
+} from './connection-management.js';
+
+/**
+ * My Network pages read by the sync
+ */
+export const NETWORK_PAGES = {
+  SENT_INVITATIONS: {
+    pageType: 'sent-invitations',
+    url: 'https://www.linkedin.com/mynetwork/invitation-manager/sent/',
+    card: 'invitationCard',
+    link: 'invitationCardLink',
+    time: 'invitationCardTime'
+  },
+  CONNECTIONS: {
+    pageType: 'connections',
+    url: 'https://www.linkedin.com/mynetwork/invite-connect/connections/',
+    card: 'connectionCard',
+    link: 'connectionCardLink',
+    time: 'connectionCardTime'
+  }
+};
+
+// LinkedIn withdraws invitations nobody answered after six months
+export const INVITATION_EXPIRY_DAYS = 180;
+
+const TIME_UNITS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Read the Sent invitations or Connections page currently shown
+ * @param {string} pageType - Page type from detectLinkedInPageType
+ * @param {Object} options - Read options
+ * @param {number} options.timeout - Milliseconds to wait for the list to render
+ * @param {number} options.now - Reference time for relative dates
+ * @returns {Promise<Object>} Scan with the page type, its cards and whether the
+ *   list was read to its end; `cards` is null when no list rendered
+ */
+export async function readNetworkPage(pageType, options = {}) {
+  const page = Object.values(NETWORK_PAGES).find(p => p.pageType === pageType);
+
+  if (!page) {
+    throw new Error(`Not a My Network list page: ${pageType}`);
+  }
+
+  // An empty list cannot be told apart from one that failed to render, so
+  // nothing is reported rather than "nobody is pending"
+  const firstCard = await waitForSelector(page.card, { timeout: options.timeout || 10000 });
+
+  return {
+    pageType,
+    cards: firstCard ? parseNetworkCards(page, document, options.now) : null,
+    // Connections scroll endlessly, so only the sent list can be read to its end
+    complete: page === NETWORK_PAGES.SENT_INVITATIONS && !querySelector('nextPageButton'),
+    scannedAt: Date.now()
+  };
+}
+
+/**
+ * Parse the cards of a My Network list
+ * @param {Object} page - Entry of NETWORK_PAGES
+ * @param {Document|Element} root - Page to read, defaults to the document
+ * @param {number} now - Reference time for relative dates
+ * @returns {Array} Cards with name, profileUrl, profileSlug and time
+ */
+export function parseNetworkCards(page, root = document, now = Date.now()) {
+  return querySelectorAll(page.card, { root })
+    .map(card => {
+      const link = querySelector(page.link, { root: card });
+      const time = querySelector(page.time, { root: card });
+      const profileUrl = link ? link.href.split('?')[0] : null;
+
+      return {
+        name: getCardName(card, link),
+        profileUrl,
+        profileSlug: getProfileSlug(profileUrl),
+        timeLabel: time ? getText(time) : null,
+        time: time ? parseNetworkTime(getText(time), now) : null
+      };
+    })
+    .filter(card => card.profileSlug);
+}
+
+/**
+ * Turn the time labels of My Network cards into timestamps. Relative labels
+ * are rounded down by LinkedIn, so the latest moment a label allows is
+ * returned, which keeps coverage checks on the safe side.
+ * @param {string} label - e.g. "Sent 3 weeks ago", "Connected on March 3, 2024"
+ * @param {number} now - Reference time
+ * @returns {number|null} Timestamp, or null if the label is not understood
+ */
+export function parseNetworkTime(label, now = Date.now()) {
+  if (!label) {
+    return null;
+  }
+
+  const relative = label.match(/(\d+|an?)\s+(second|minute|hour|day|week|month|year)s?\s+ago/i);
+  if (relative) {
+    const count = /^an?$/i.test(relative[1]) ? 1 : parseInt(relative[1], 10);
+    return now - count * TIME_UNITS[relative[2].toLowerCase()];
+  }
+
+  if (/\b(today|just now)\b/i.test(label)) {
+    return now;
+  }
+  if (/\byesterday\b/i.test(label)) {
+    return now - TIME_UNITS.day;
+  }
+
+  const absolute = label.match(/\bon\s+(.+)$/i);
+  const date = absolute ? Date.parse(absolute[1]) : NaN;
+  return Number.isNaN(date) ? null : Math.min(date + TIME_UNITS.day - 1, now);
+}
+
+/**
+ * Reconcile pending connection records with scans of the Sent invitations and
+ * Connections pages:
+ * - listed on the Connections page: accepted, at the time LinkedIn shows
+ * - still listed as sent: pending
+ * - on neither, although both lists reach back to when it was sent: withdrawn,
+ *   or expired once older than INVITATION_EXPIRY_DAYS
+ * Records the scans do not reach back to are left pending, as are records
+ * whose profile cannot be told while the vault is locked.
+ * @param {Object} scans - Scans from readNetworkPage
+ * @param {Object} scans.sentInvitations - Scan of the Sent invitations page
+ * @param {Object} scans.connections - Scan of the Connections page
+ * @param {number} now - Reference time
+ * @returns {Promise<Object>} Counts of checked, accepted, withdrawn and expired
+ *   records, and of `sealed` records skipped for the locked vault
+ */
+export async function reconcileInvitations(scans, now = Date.now()) {
+  const { connections: pending } = await getConnectionRecords({
+    filters: { status: CONNECTION_STATUS.PENDING }
+  });
+  const sentCards = indexCards(scans.sentInvitations);
+  const connectionCards = indexCards(scans.connections);
+  const summary = { checked: pending.length, accepted: 0, withdrawn: 0, expired: 0, sealed: 0 };
+
+  for (const record of pending) {
+    const slug = getRecordProfileSlug(record);
+    const sentAt = record.connectionRequest.sentAt;
+
+    // Encrypted before profile slugs were kept; matched once the vault is unlocked
+    if (!slug && isEncryptedValue(record.profileUrl)) {
+      summary.sealed++;
+      continue;
+    }
+
+    if (!slug || sentCards.has(slug)) {
+      continue;
+    }
+
+    if (connectionCards.has(slug)) {
+      const connectedAt = connectionCards.get(slug).time || now;
+      await updateConnectionStatus(record.id, CONNECTION_STATUS.ACCEPTED, {
+        // A relative label can land before the invitation on same-day acceptances
+        respondedAt: Math.max(connectedAt, sentAt)
+      });
+      summary.accepted++;
+    } else if (
+      reachesBack(scans.sentInvitations, sentAt) &&
+      reachesBack(scans.connections, sentAt)
+    ) {
+      const expired = now - sentAt > INVITATION_EXPIRY_DAYS * TIME_UNITS.day;
+      await updateConnectionStatus(
+        record.id,
+        expired ? CONNECTION_STATUS.EXPIRED : CONNECTION_STATUS.WITHDRAWN
+      );
+      summary[expired ? 'expired' : 'withdrawn']++;
+    }
+  }
+
+  return summary;
+}
+
+// Helper Functions
+
+function indexCards(scan) {
+  return new Map(((scan && scan.cards) || []).map(card => [card.profileSlug, card]));
+}
+
+// Both lists are newest first, so a list that was not read to its end still
+// shows everything after its oldest card
+function reachesBack(scan, timestamp) {
+  if (!scan || !scan.cards) {
+    return false;
+  }
+  if (scan.complete) {
+    return true;
+  }
+
+  const times = scan.cards.map(card => card.time).filter(Number.isFinite);
+  return times.length > 0 && timestamp >= Math.min(...times);
+}
+
+function getCardName(card, link) {
+  const name = card.querySelector('.invitation-card__title, .mn-connection-card__name');
+  return getText(name || link) || null;
+}
+
+function getText(element) {
+  return element ? (element.textContent || '').replace(/\s+/g, ' ').trim() : '';
+}
@@ -0,0 +1,183 @@
+// Job Scheduler
+// Persisted background jobs; the service worker's job runner fires them with chrome.alarms
+
+import { getStorageData, updateStorage, STORAGE_KEYS } from './storage.js';
+
+/**
+ * Job types, each handled by the service worker
+ */
+export const JOB_TYPES = {
+  SCHEDULED_REPORT: 'scheduled_report',
+  FOLLOWUP: 'followup',
+  CAMPAIGN_START: 'campaign_start',
+  RESPONSE_SCAN: 'response_scan',
+  INVITATION_SYNC: 'invitation_sync',
+  INVITATION_CLEANUP: 'invitation_cleanup'
+};
+
+/**
+ * Job status types
+ */
+export const JOB_STATUS = {
+  SCHEDULED: 'scheduled',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Finished jobs are kept this long for the dashboard jobs view
+const FINISHED_JOB_RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Get all jobs ordered by next run time
+ * @returns {Promise<Array>} Jobs
+ */
+export async function getJobs() {
+  try {
+    const result = await getStorageData(STORAGE_KEYS.SCHEDULED_JOBS);
+    return Object.values(result.scheduled_jobs || {}).sort((a, b) => a.runAt - b.runAt);
+  } catch (error) {
+    console.error('Error getting scheduled jobs:', error);
+    return [];
+  }
+}
+
+/**
+ * Get a job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Job or null
+ */
+export async function getJob(jobId) {
+  const result = await getStorageData(STORAGE_KEYS.SCHEDULED_JOBS);
+  return (result.scheduled_jobs || {})[jobId] || null;
+}
+
+/**
+ * Schedule a job, replacing any job with the same ID
+ * @param {Object} config - Job configuration
+ * @param {string} config.id - Stable job ID, e.g. `followup_${followupId}`
+ * @param {string} config.type - Job type from JOB_TYPES
+ * @param {number} config.runAt - Timestamp of the next run
+ * @param {number} config.intervalMinutes - Repeat interval for recurring jobs
+ * @param {Object} config.payload - Data passed to the job handler
+ * @param {string} config.label - Human readable description
+ * @returns {Promise<Object>} Scheduled job
+ */
+export async function scheduleJob(config) {
+  if (!Object.values(JOB_TYPES).includes(config.type)) {
+    throw new Error(`Unknown job type: ${config.type}`);
+  }
+  if (!config.id || !Number.isFinite(config.runAt)) {
+    throw new Error('Job id and runAt are required');
+  }
+
+  let scheduled = null;
+
+  await updateStorage(STORAGE_KEYS.SCHEDULED_JOBS, jobs => {
+    const map = pruneFinishedJobs(jobs || {});
+    const existing = map[config.id];
+
+    scheduled = {
+      id: config.id,
+      type: config.type,
+      label: config.label || (existing && existing.label) || config.type,
+      payload: config.payload || {},
+      runAt: config.runAt,
+      intervalMinutes: config.intervalMinutes || null,
+      status: JOB_STATUS.SCHEDULED,
+      attempts: 0,
+      runCount: existing ? existing.runCount : 0,
+      lastRunAt: existing ? existing.lastRunAt : null,
+      lastError: null,
+      createdAt: existing ? existing.createdAt : Date.now(),
+      updatedAt: Date.now()
+    };
+
+    map[config.id] = scheduled;
+    return map;
+  });
+
+  return scheduled;
+}
+
+/**
+ * Schedule a job unless one with the same ID is already scheduled.
+ * Used for recurring jobs so restarts do not push their next run back.
+ * @param {Object} config - Job configuration, see scheduleJob
+ * @returns {Promise<Object>} The scheduled job
+ */
+export async function ensureJob(config) {
+  const existing = await getJob(config.id);
+
+  if (
+    existing &&
+    existing.status === JOB_STATUS.SCHEDULED &&
+    existing.intervalMinutes === (config.intervalMinutes || null)
+  ) {
+    return existing;
+  }
+
+  return scheduleJob(config);
+}
+
+/**
+ * Apply changes to a job
+ * @param {string} jobId - Job ID
+ * @param {Object|Function} changes - Fields to set, or a function returning them
+ * @returns {Promise<Object|null>} Updated job, or null if not found
+ */
+export async function updateJob(jobId, changes) {
+  let updated = null;
+
+  await updateStorage(STORAGE_KEYS.SCHEDULED_JOBS, jobs => {
+    const map = jobs || {};
+    const job = map[jobId];
+
+    if (!job) {
+      return undefined;
+    }
+
+    const fields = typeof changes === 'function' ? changes(job) : changes;
+    updated = { ...job, ...fields, updatedAt: Date.now() };
+    map[jobId] = updated;
+    return map;
+  });
+
+  return updated;
+}
+
+/**
+ * Cancel a scheduled job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<boolean>} True if a scheduled job was cancelled
+ */
+export async function cancelJob(jobId) {
+  let cancelled = false;
+
+  await updateStorage(STORAGE_KEYS.SCHEDULED_JOBS, jobs => {
+    const map = jobs || {};
+    const job = map[jobId];
+
+    if (!job || job.status !== JOB_STATUS.SCHEDULED) {
+      return undefined;
+    }
+
+    cancelled = true;
+    map[jobId] = { ...job, status: JOB_STATUS.CANCELLED, updatedAt: Date.now() };
+    return map;
+  });
+
+  return cancelled;
+}
+
+// Helper Functions
+
+function pruneFinishedJobs(jobs) {
+  const cutoff = Date.now() - FINISHED_JOB_RETENTION;
+
+  return Object.fromEntries(
+    Object.entries(jobs).filter(
+      ([, job]) => job.status === JOB_STATUS.SCHEDULED || job.updatedAt > cutoff
+    )
+  );
+}
@@ -1,13 +1,26 @@
 // LinkedIn automation utilities for connection requests and messaging
 
+import { querySelector, waitForSelector } from './selector-registry.js';
+import { matchesUiLabel } from './ui-labels.js';
+import { getLinkedInUrl } from './linkedin.js';
+
 /**
  * Find and click connect button on a LinkedIn profile
  * @param {string} customMessage - Optional custom message for connection request
+ * @param {Object} options - Request options
+ * @param {boolean} options.dryRun - Fill in the invitation but close it instead
+ *   of clicking Send
+ * @param {Element} options.root - Search result to connect with, defaults to
+ *   the profile open on the page
  * @returns {Promise<Object>} Result of connection attempt
  */
-export async function sendConnectionRequest(customMessage = null) {
+export async function sendConnectionRequest(customMessage = null, options = {}) {
+  // Once the dialog is open, any outcome but a sent or rehearsed invitation
+  // leaves it to be closed here, so no filled-in invitation stays on the page
+  let dialogOpen = false;
+
   try {
-    const connectButton = findConnectButton();
+    const connectButton = findConnectButton(options.root);
 
     if (!connectButton || !isConnectButtonClickable(connectButton)) {
       return {
@@ -19,6 +32,7 @@ export async function sendConnectionRequest(customMessage = null) {
 
     // Click the connect button
     connectButton.click();
+    dialogOpen = true;
 
     // Wait for potential message dialog
     await new Promise(resolve => setTimeout(resolve, 100));
@@ -36,13 +50,17 @@ export async function sendConnectionRequest(customMessage = null) {
     }
 
     // Confirm the connection request
-    const confirmed = await confirmConnectionRequest();
+    const confirmed = options.dryRun
+      ? await cancelConnectionRequest()
+      : await confirmConnectionRequest();
+    dialogOpen = !options.dryRun && !confirmed;
 
     return {
       success: confirmed,
+      dryRun: !!options.dryRun,
       timestamp: Date.now(),
       hasCustomMessage: !!customMessage,
-      profileUrl: window.location.href
+      profileUrl: getLinkedInUrl()
     };
 
   } catch (error) {
@@ -52,33 +70,23 @@ export async function sendConnectionRequest(customMessage = null) {
       error: error.message,
       reason: 'EXCEPTION'
     };
+  } finally {
+    if (dialogOpen) {
+      dismissDialog();
+    }
   }
 }
 
 /**
- * Find connect button on the page using multiple selectors
+ * Find connect button on the page using the selector registry fallbacks
+ * @param {Document|Element} root - Where to look, defaults to the document
  * @returns {Element|null} Connect button element
  */
-export function findConnectButton() {
-  const selectors = [
-    '[aria-label*="Connect"]',
-    'button[data-control-name="connect"]',
-    '.pv-s-profile-actions button:has-text("Connect")',
-    '.artdeco-button--primary:has-text("Connect")'
-  ];
-
-  for (const selector of selectors) {
-    try {
-      const button = document.querySelector(selector);
-      if (button && button.textContent.includes('Connect')) {
-        return button;
-      }
-    } catch (error) {
-      continue;
-    }
-  }
-
-  return null;
+export function findConnectButton(root = document) {
+  return querySelector('connectButton', {
+    root,
+    filter: button => !!button.textContent && matchesUiLabel(button.textContent, 'connect')
+  });
 }
 
 /**
@@ -98,18 +106,11 @@ export function isConnectButtonClickable(connectButton) {
       ariaLabel = connectButton.getAttribute('aria-label')?.toLowerCase() || '';
     }
 
-    // Check for states that prevent connecting
-    const blockedStates = [
-      'pending',
-      'invitation sent',
-      'invitation pending',
-      'message',
-      'following',
-      'unfollow'
-    ];
+    // Check for states that prevent connecting, in the page's UI language
+    const blockedStates = ['pending', 'message', 'following'];
 
-    return !blockedStates.some(state =>
-      buttonText.includes(state) || ariaLabel.includes(state)
+    return !blockedStates.some(
+      state => matchesUiLabel(buttonText, state) || matchesUiLabel(ariaLabel, state)
     );
   } catch (error) {
     return false;
@@ -124,19 +125,16 @@ export function isConnectButtonClickable(connectButton) {
 export async function handleConnectionMessage(message) {
   try {
     // Wait for message dialog to appear
-    await waitForElement('[aria-label*="Add a note"]', 3000);
-
-    const addNoteButton = document.querySelector('[aria-label*="Add a note"]');
-    if (addNoteButton) {
-      addNoteButton.click();
-      await new Promise(resolve => setTimeout(resolve, 500));
+    const addNoteButton = await waitForSelector('addNoteButton', { timeout: 3000 });
+    if (!addNoteButton) {
+      return false;
     }
 
+    addNoteButton.click();
+    await new Promise(resolve => setTimeout(resolve, 500));
+
     // Find message textarea
-    const messageTextarea = await waitForElement(
-      'textarea[name="message"], textarea[aria-label*="message"]',
-      2000
-    );
+    const messageTextarea = await waitForSelector('connectionNoteField', { timeout: 2000 });
 
     if (messageTextarea) {
       messageTextarea.value = message;
@@ -157,23 +155,14 @@ export async function handleConnectionMessage(message) {
  */
 export async function confirmConnectionRequest() {
   try {
-    const sendSelectors = [
-      '[aria-label*="Send invitation"]',
-      'button[data-control-name="invite.send"]',
-      '.artdeco-button--primary:has-text("Send")',
-      'button:has-text("Send invitation")'
-    ];
+    const sendButton = await waitForSelector('sendInvitationButton', {
+      timeout: 2000,
+      filter: button => !button.disabled
+    });
 
-    for (const selector of sendSelectors) {
-      try {
-        const sendButton = await waitForElement(selector, 2000);
-        if (sendButton && !sendButton.disabled) {
-          sendButton.click();
-          return true;
-        }
-      } catch (error) {
-        continue;
-      }
+    if (sendButton) {
+      sendButton.click();
+      return true;
     }
 
     return false;
@@ -183,6 +172,41 @@ export async function confirmConnectionRequest() {
   }
 }
 
+/**
+ * Close the connection request dialog without sending, once its send button
+ * is ready to be clicked
+ * @returns {Promise<boolean>} True if the request could have been sent
+ */
+export async function cancelConnectionRequest() {
+  try {
+    const sendButton = await waitForSelector('sendInvitationButton', {
+      timeout: 2000,
+      filter: button => !button.disabled
+    });
+
+    dismissDialog();
+    return !!sendButton;
+  } catch (error) {
+    console.error('Error cancelling connection request:', error);
+    return false;
+  }
+}
+
+/**
+ * Close the open dialog with its close button, or Escape where it has none
+ */
+export function dismissDialog() {
+  const dismissButton = querySelector('dialogDismissButton');
+
+  if (dismissButton) {
+    dismissButton.click();
+    return;
+  }
+
+  const dialog = document.querySelector('[role="dialog"]') || document.body;
+  dialog.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+}
+
 /**
  * Wait for element to appear in DOM
  * @param {string} selector - CSS selector
@@ -224,10 +248,10 @@ export function waitForElement(selector, timeout = 5000) {
  */
 export function extractProfileFromSearchResult(element) {
   try {
-    const nameElement = element.querySelector('.entity-result__title-text a, .actor-name a');
-    const titleElement = element.querySelector('.entity-result__primary-subtitle, .subline-level-1');
-    const locationElement = element.querySelector('.entity-result__secondary-subtitle, .subline-level-2');
-    const connectButton = element.querySelector('button[aria-label*="Connect"]');
+    const nameElement = querySelector('searchResultName', { root: element });
+    const titleElement = querySelector('searchResultTitle', { root: element });
+    const locationElement = querySelector('searchResultLocation', { root: element });
+    const connectButton = querySelector('searchResultConnectButton', { root: element });
 
     if (!nameElement) {
       return null;
@@ -1,19 +1,37 @@
 // LinkedIn-specific utility functions
 
+import { querySelector, querySelectorAll } from './selector-registry.js';
+
 /**
  * Detect current LinkedIn page type
  * @returns {string} Page type identifier
  */
 export function detectLinkedInPageType() {
-  const url = window.location.href;
-  const pathname = window.location.pathname;
+  const url = getLinkedInUrl();
+  const { pathname } = new URL(url);
 
-  if (url.includes('/search/results/people')) {
+  if (pathname.startsWith('/sales/search/people')) {
+    return 'sales-search';
+  } else if (pathname.startsWith('/sales/lists/people')) {
+    return 'sales-lead-list';
+  } else if (url.includes('/search/results/people')) {
     return 'people-search';
   } else if (url.includes('/search/results/')) {
     return 'search';
   } else if (pathname.startsWith('/in/')) {
     return 'profile';
+  } else if (/^\/company\/[^/]+\/people/.test(pathname)) {
+    return 'company-people';
+  } else if (pathname.startsWith('/events/')) {
+    return 'event';
+  } else if (/^\/groups\/[^/]+\/members/.test(pathname)) {
+    return 'group-members';
+  } else if (pathname.startsWith('/feed/update/') || pathname.startsWith('/posts/')) {
+    return 'post';
+  } else if (pathname.startsWith('/mynetwork/invitation-manager/sent')) {
+    return 'sent-invitations';
+  } else if (pathname.startsWith('/mynetwork/invite-connect/connections')) {
+    return 'connections';
   } else if (pathname.startsWith('/mynetwork/')) {
     return 'network';
   } else if (pathname.startsWith('/messaging/')) {
@@ -25,12 +43,32 @@ export function detectLinkedInPageType() {
   }
 }
 
+/**
+ * Get the /in/ slug of a profile URL, which stays stable across tracking
+ * parameters and locale prefixes
+ * @param {string} profileUrl - Profile URL
+ * @returns {string|null} Lowercase slug
+ */
+export function getProfileSlug(profileUrl) {
+  const match = (profileUrl || '').match(/\/in\/([^/?#]+)/);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Get the LinkedIn URL of the current page. Pages of the sandbox's mock site
+ * stand in for a LinkedIn URL, which they keep in `data-linkedin-url`.
+ * @returns {string} Page URL
+ */
+export function getLinkedInUrl() {
+  return document.documentElement?.dataset.linkedinUrl || window.location.href;
+}
+
 /**
  * Check if current page is LinkedIn
- * @returns {boolean} True if on LinkedIn
+ * @returns {boolean} True if on LinkedIn or a page of the sandbox's mock site
  */
 export function isLinkedInPage() {
-  return window.location.hostname.includes('linkedin.com');
+  return new URL(getLinkedInUrl()).hostname.includes('linkedin.com');
 }
 
 /**
@@ -95,16 +133,9 @@ function extractUserName() {
  */
 export function getProfilePageInfo() {
   try {
-    const nameElement =
-      document.querySelector('.text-heading-xlarge') || document.querySelector('h1.break-words');
-
-    const titleElement =
-      document.querySelector('.text-body-medium.break-words') ||
-      document.querySelector('.pv-text-details__left-panel h2');
-
-    const locationElement =
-      document.querySelector('.text-body-small.inline.t-black--light.break-words') ||
-      document.querySelector('.pv-text-details__left-panel .t-black--light');
+    const nameElement = querySelector('profileName');
+    const titleElement = querySelector('profileHeadline');
+    const locationElement = querySelector('profileLocation');
 
     const connectButton =
       document.querySelector('[aria-label*="Connect"]') ||
@@ -126,7 +157,7 @@ export function getProfilePageInfo() {
       location: locationElement?.textContent?.trim() || null,
       canConnect: canConnect,
       connectionLevel: getConnectionLevel(),
-      profileUrl: window.location.href
+      profileUrl: getLinkedInUrl()
     };
   } catch (error) {
     console.error('Error getting profile page info:', error);
@@ -158,7 +189,7 @@ function getConnectionLevel() {
 export function getSearchResults() {
   try {
     const results = [];
-    const resultElements = document.querySelectorAll('[data-control-name="search_srp_result"]');
+    const resultElements = querySelectorAll('searchResult');
 
     resultElements.forEach((element, index) => {
       const profileData = extractProfileFromSearchResult(element);
@@ -181,10 +212,10 @@ export function getSearchResults() {
  */
 function extractProfileFromSearchResult(element) {
   try {
-    const nameElement = element.querySelector('.entity-result__title-text a');
-    const titleElement = element.querySelector('.entity-result__primary-subtitle');
-    const locationElement = element.querySelector('.entity-result__secondary-subtitle');
-    const connectButton = element.querySelector('button[aria-label*="Connect"]');
+    const nameElement = querySelector('searchResultName', { root: element });
+    const titleElement = querySelector('searchResultTitle', { root: element });
+    const locationElement = querySelector('searchResultLocation', { root: element });
+    const connectButton = querySelector('searchResultConnectButton', { root: element });
 
     if (!nameElement) {
       return null;
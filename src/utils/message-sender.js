@@ -0,0 +1,138 @@
+// Message Sender
+// Sends a direct message through LinkedIn's own composer: opens the
+// conversation, types the text at a human pace, sends it and checks that it
+// shows up in the thread
+
+import { querySelector, querySelectorAll, waitForSelector } from './selector-registry.js';
+import { detectLinkedInPageType, getLinkedInUrl } from './linkedin.js';
+
+/**
+ * Reasons a send can fail. Retrying is only safe when nothing reached the
+ * thread, so SEND_UNVERIFIED is final: the message may have gone out.
+ */
+export const SEND_FAILURES = {
+  NO_MESSAGE_BUTTON: 'NO_MESSAGE_BUTTON',
+  NO_COMPOSER: 'NO_COMPOSER',
+  NO_SEND_BUTTON: 'NO_SEND_BUTTON',
+  SEND_UNVERIFIED: 'SEND_UNVERIFIED',
+  EXCEPTION: 'EXCEPTION'
+};
+
+const RETRYABLE_FAILURES = [SEND_FAILURES.NO_COMPOSER, SEND_FAILURES.NO_SEND_BUTTON];
+
+const COMPOSER_TIMEOUT = 10000;
+const VERIFY_TIMEOUT = 10000;
+
+/**
+ * Send a message in the conversation of the current page: the open thread on
+ * messaging pages, or the one the Message button opens on profiles
+ * @param {string} content - Message text, already rendered
+ * @param {Object} options - Send options
+ * @param {Function} options.keystrokeDelay - Returns the milliseconds to wait after each character
+ * @returns {Promise<Object>} `success` with `sentAt`, or the failure `reason`,
+ *   its `error` message and whether it is `retryable`
+ */
+export async function sendDirectMessage(content, options = {}) {
+  const keystrokeDelay = options.keystrokeDelay || humanKeystrokeDelay;
+
+  try {
+    if (detectLinkedInPageType() === 'profile') {
+      const messageButton = querySelector('profileMessageButton');
+      if (!messageButton) {
+        return failure(SEND_FAILURES.NO_MESSAGE_BUTTON, 'This profile cannot be messaged');
+      }
+      messageButton.click();
+    }
+
+    const composer = await waitForSelector('messageComposer', { timeout: COMPOSER_TIMEOUT });
+    if (!composer) {
+      return failure(SEND_FAILURES.NO_COMPOSER, 'The message composer did not open');
+    }
+
+    const before = countMessages(content);
+    await typeMessage(composer, content, keystrokeDelay);
+
+    const sendButton = await waitForSelector('messageSendButton', {
+      timeout: 3000,
+      filter: button => !button.disabled
+    });
+    if (!sendButton) {
+      return failure(SEND_FAILURES.NO_SEND_BUTTON, 'The Send button did not become available');
+    }
+
+    sendButton.click();
+
+    if (!(await waitForMessage(content, before))) {
+      return failure(SEND_FAILURES.SEND_UNVERIFIED, 'The message did not appear in the thread');
+    }
+
+    return { success: true, sentAt: Date.now(), profileUrl: getLinkedInUrl() };
+  } catch (error) {
+    console.error('Error sending message:', error);
+    return failure(SEND_FAILURES.EXCEPTION, error.message);
+  }
+}
+
+// Helper Functions
+
+function failure(reason, error) {
+  return { success: false, error, reason, retryable: RETRYABLE_FAILURES.includes(reason) };
+}
+
+// LinkedIn's composer is a contenteditable paragraph that listens for input events
+async function typeMessage(composer, content, keystrokeDelay) {
+  composer.focus();
+  composer.innerHTML = '<p></p>';
+  const paragraph = composer.querySelector('p');
+
+  for (const character of content) {
+    paragraph.textContent += character;
+    composer.dispatchEvent(
+      new InputEvent('input', { bubbles: true, data: character, inputType: 'insertText' })
+    );
+    await new Promise(resolve => setTimeout(resolve, keystrokeDelay(character)));
+  }
+}
+
+// Mostly quick keystrokes, slower around word and sentence breaks
+function humanKeystrokeDelay(character) {
+  const base = 40 + Math.random() * 90;
+  return /[\s.,!?]/.test(character) ? base + Math.random() * 200 : base;
+}
+
+function countMessages(content) {
+  const expected = normalize(content);
+
+  return querySelectorAll('threadEvent')
+    .flatMap(event => querySelectorAll('threadMessage', { root: event }))
+    .map(message => message.querySelector('.msg-s-event-listitem__body') || message)
+    .filter(body => normalize(body.textContent) === expected).length;
+}
+
+function waitForMessage(content, before) {
+  return new Promise(resolve => {
+    if (countMessages(content) > before) {
+      resolve(true);
+      return;
+    }
+
+    const observer = new MutationObserver(() => {
+      if (countMessages(content) > before) {
+        finish(true);
+      }
+    });
+    const timer = setTimeout(() => finish(false), VERIFY_TIMEOUT);
+
+    function finish(sent) {
+      observer.disconnect();
+      clearTimeout(timer);
+      resolve(sent);
+    }
+
+    observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+  });
+}
+
+function normalize(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
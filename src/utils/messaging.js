@@ -1,44 +1,75 @@
 // Messaging utilities for Chrome Extension communication
 
+import { isSandboxUrl } from './sandbox.js';
+
+const REQUEST_DEFAULTS = {
+  timeout: 30 * 1000,
+  retries: 2,
+  retryDelay: 500
+};
+
+const DEFAULT_CONTENT_SCRIPTS = ['content/linkedin-content.js'];
+
 /**
  * Send message to background script
- * @param {Object} message - Message to send
+ * @param {Object} message - Message created with createMessage
+ * @param {Object} options - Request options
+ * @param {number} options.timeout - Milliseconds to wait for a response
+ * @param {number} options.retries - Retries for transient failures
+ * @param {number} options.retryDelay - Base delay between retries, doubled each time
  * @returns {Promise} Promise that resolves with response
  */
-export async function sendToBackground(message) {
-  return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage(message, response => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-      } else if (response && response.success === false) {
-        reject(new Error(response.error));
-      } else {
-        resolve(response);
-      }
-    });
-  });
+export async function sendToBackground(message, options = {}) {
+  const settings = { ...REQUEST_DEFAULTS, ...options };
+
+  return sendWithRetry(message, settings, () =>
+    request(message, settings.timeout, callback => chrome.runtime.sendMessage(message, callback))
+  );
 }
 
 /**
- * Send message to content script
+ * Send message to content script.
+ * If the tab has no content script (e.g. it was open before the extension
+ * was installed), the script is injected once and the message resent.
  * @param {number} tabId - Target tab ID
- * @param {Object} message - Message to send
+ * @param {Object} message - Message created with createMessage
+ * @param {Object} options - Request options, see sendToBackground
+ * @param {boolean} options.inject - Inject the content script when missing
  * @returns {Promise} Promise that resolves with response
  */
-export async function sendToContentScript(tabId, message) {
-  return new Promise((resolve, reject) => {
-    chrome.tabs.sendMessage(tabId, message, response => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-      } else if (response && response.success === false) {
-        reject(new Error(response.error));
-      } else {
-        resolve(response);
+export async function sendToContentScript(tabId, message, options = {}) {
+  const settings = { ...REQUEST_DEFAULTS, inject: true, ...options };
+  const send = () =>
+    request(message, settings.timeout, callback =>
+      chrome.tabs.sendMessage(tabId, message, callback)
+    );
+  let injected = false;
+
+  return sendWithRetry(message, settings, async () => {
+    try {
+      return await send();
+    } catch (error) {
+      if (error.code !== ERROR_CODES.NO_RECEIVER || !settings.inject || injected) {
+        throw error;
       }
-    });
+
+      injected = true;
+      console.warn(`${formatMessageTag(message)} No content script in tab ${tabId}, injecting`);
+      await injectContentScript(tabId);
+      return send();
+    }
   });
 }
 
+/**
+ * Check whether a tab shows LinkedIn or a page of the sandbox's mock site
+ * @param {string} url - Tab URL
+ * @returns {boolean} True if the content script runs on the tab
+ */
+export function isLinkedInTabUrl(url) {
+  return !!url && (url.includes('linkedin.com') || isSandboxUrl(url));
+}
+
 /**
  * Get active LinkedIn tab
  * @returns {Promise<Object|null>} Active LinkedIn tab or null
@@ -48,13 +79,19 @@ export async function getActiveLinkedInTab() {
     const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
     const activeTab = tabs[0];
 
-    if (activeTab && activeTab.url.includes('linkedin.com')) {
+    if (activeTab && isLinkedInTabUrl(activeTab.url)) {
       return activeTab;
     }
 
     // If active tab is not LinkedIn, try to find any LinkedIn tab
     const linkedInTabs = await chrome.tabs.query({ url: '*://*.linkedin.com/*' });
-    return linkedInTabs.length > 0 ? linkedInTabs[0] : null;
+    if (linkedInTabs.length > 0) {
+      return linkedInTabs[0];
+    }
+
+    // Sandbox pages are extension pages, which the pattern above does not match
+    const allTabs = await chrome.tabs.query({});
+    return allTabs.find(tab => isSandboxUrl(tab.url)) || null;
   } catch (error) {
     console.error('Error getting LinkedIn tab:', error);
     return null;
@@ -70,6 +107,14 @@ export const MESSAGE_TYPES = {
   UPDATE_SETTINGS: 'UPDATE_SETTINGS',
   LOG_ANALYTICS: 'LOG_ANALYTICS',
   GET_ANALYTICS: 'GET_ANALYTICS',
+  GET_ANALYTICS_SUMMARY: 'GET_ANALYTICS_SUMMARY',
+
+  // Storage messages (content scripts reaching IndexedDB-backed keys)
+  STORAGE_GET: 'STORAGE_GET',
+  STORAGE_SET: 'STORAGE_SET',
+  STORAGE_REMOVE: 'STORAGE_REMOVE',
+  STORAGE_APPEND: 'STORAGE_APPEND',
+  STORAGE_UPDATE_RECORDS: 'STORAGE_UPDATE_RECORDS',
 
   // Content script messages
   START_AUTOMATION: 'START_AUTOMATION',
@@ -77,6 +122,15 @@ export const MESSAGE_TYPES = {
   GET_PAGE_INFO: 'GET_PAGE_INFO',
   SEND_CONNECTION_REQUEST: 'SEND_CONNECTION_REQUEST',
   GET_SEARCH_RESULTS: 'GET_SEARCH_RESULTS',
+  GET_PROFILE_DETAILS: 'GET_PROFILE_DETAILS',
+  RUN_SELECTOR_SELF_TEST: 'RUN_SELECTOR_SELF_TEST',
+  SCAN_NETWORK_PAGE: 'SCAN_NETWORK_PAGE',
+  WITHDRAW_INVITATIONS: 'WITHDRAW_INVITATIONS',
+  SCAN_INBOX: 'SCAN_INBOX',
+  READ_THREAD: 'READ_THREAD',
+  SEND_DIRECT_MESSAGE: 'SEND_DIRECT_MESSAGE',
+  SAVE_SALES_LEAD: 'SAVE_SALES_LEAD',
+  COLLECT_PROSPECTS: 'COLLECT_PROSPECTS',
 
   // Template messages
   GET_TEMPLATES: 'GET_TEMPLATES',
@@ -87,14 +141,259 @@ export const MESSAGE_TYPES = {
   GET_SAVED_SEARCHES: 'GET_SAVED_SEARCHES',
   SAVE_SEARCH: 'SAVE_SEARCH',
   DELETE_SEARCH: 'DELETE_SEARCH',
+  GET_SEARCH_CRAWLS: 'GET_SEARCH_CRAWLS',
+  START_SEARCH_CRAWL: 'START_SEARCH_CRAWL',
+  PAUSE_SEARCH_CRAWL: 'PAUSE_SEARCH_CRAWL',
+  RESUME_SEARCH_CRAWL: 'RESUME_SEARCH_CRAWL',
 
   // Queue messages
   GET_CONNECTION_QUEUE: 'GET_CONNECTION_QUEUE',
   ADD_TO_QUEUE: 'ADD_TO_QUEUE',
   REMOVE_FROM_QUEUE: 'REMOVE_FROM_QUEUE',
-  PROCESS_QUEUE: 'PROCESS_QUEUE'
+  PROCESS_QUEUE: 'PROCESS_QUEUE',
+  QUEUE_PROSPECTS: 'QUEUE_PROSPECTS',
+
+  // Campaign messages
+  GET_CAMPAIGNS: 'GET_CAMPAIGNS',
+  SAVE_CAMPAIGN: 'SAVE_CAMPAIGN',
+  DELETE_CAMPAIGN: 'DELETE_CAMPAIGN',
+  START_CAMPAIGN: 'START_CAMPAIGN',
+  PAUSE_CAMPAIGN: 'PAUSE_CAMPAIGN',
+
+  // Connection messages
+  GET_CONNECTIONS: 'GET_CONNECTIONS',
+  UPDATE_CONNECTION_STATUS: 'UPDATE_CONNECTION_STATUS',
+  ADD_CONNECTION_NOTE: 'ADD_CONNECTION_NOTE',
+  UPDATE_CONNECTION_TAGS: 'UPDATE_CONNECTION_TAGS',
+  SCHEDULE_FOLLOW_UP: 'SCHEDULE_FOLLOW_UP',
+  GET_PROFILE_CRM: 'GET_PROFILE_CRM',
+  WITHDRAW_STALE_INVITATIONS: 'WITHDRAW_STALE_INVITATIONS',
+
+  // Report messages
+  GET_REPORTS: 'GET_REPORTS',
+  GENERATE_REPORT: 'GENERATE_REPORT',
+
+  // Scheduled job messages
+  GET_JOBS: 'GET_JOBS',
+  RUN_JOB: 'RUN_JOB',
+  CANCEL_JOB: 'CANCEL_JOB',
+
+  // Encryption vault messages
+  GET_VAULT_STATUS: 'GET_VAULT_STATUS',
+  SETUP_VAULT: 'SETUP_VAULT',
+  UNLOCK_VAULT: 'UNLOCK_VAULT',
+  LOCK_VAULT: 'LOCK_VAULT',
+  ROTATE_VAULT_KEY: 'ROTATE_VAULT_KEY',
+  CHANGE_VAULT_PASSPHRASE: 'CHANGE_VAULT_PASSPHRASE'
+};
+
+/**
+ * Error codes carried by failed responses
+ */
+export const ERROR_CODES = {
+  UNKNOWN_MESSAGE_TYPE: 'UNKNOWN_MESSAGE_TYPE',
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  UNAUTHORIZED_SENDER: 'UNAUTHORIZED_SENDER',
+  NO_LINKEDIN_TAB: 'NO_LINKEDIN_TAB',
+  HANDLER_ERROR: 'HANDLER_ERROR',
+  TIMEOUT: 'TIMEOUT',
+  NO_RECEIVER: 'NO_RECEIVER'
+};
+
+/**
+ * Payload schemas for each message type, checked against `message.data`.
+ * Each field lists its `type` ('string', 'number', 'boolean', 'object',
+ * 'array' or 'any'), whether it is `required`, and optionally allowed `values`.
+ * Types mapped to null carry no payload.
+ */
+export const MESSAGE_SCHEMAS = {
+  [MESSAGE_TYPES.GET_SETTINGS]: null,
+  [MESSAGE_TYPES.UPDATE_SETTINGS]: { '*': { type: 'any' } },
+  [MESSAGE_TYPES.LOG_ANALYTICS]: { type: { type: 'string', required: true }, '*': { type: 'any' } },
+  [MESSAGE_TYPES.GET_ANALYTICS]: null,
+  [MESSAGE_TYPES.GET_ANALYTICS_SUMMARY]: { days: { type: 'number' } },
+
+  [MESSAGE_TYPES.STORAGE_GET]: { keys: { type: 'array', required: true } },
+  [MESSAGE_TYPES.STORAGE_SET]: { data: { type: 'object', required: true } },
+  [MESSAGE_TYPES.STORAGE_REMOVE]: { keys: { type: 'array', required: true } },
+  [MESSAGE_TYPES.STORAGE_APPEND]: {
+    key: { type: 'string', required: true },
+    records: { type: 'array', required: true },
+    options: { type: 'object' }
+  },
+  [MESSAGE_TYPES.STORAGE_UPDATE_RECORDS]: {
+    key: { type: 'string', required: true },
+    put: { type: 'array', required: true },
+    remove: { type: 'array', required: true }
+  },
+
+  [MESSAGE_TYPES.START_AUTOMATION]: { tabId: { type: 'number' } },
+  [MESSAGE_TYPES.STOP_AUTOMATION]: { tabId: { type: 'number' } },
+  [MESSAGE_TYPES.GET_PAGE_INFO]: { tabId: { type: 'number' } },
+  [MESSAGE_TYPES.SEND_CONNECTION_REQUEST]: {
+    tabId: { type: 'number' },
+    message: { type: 'string' }
+  },
+  [MESSAGE_TYPES.GET_SEARCH_RESULTS]: { tabId: { type: 'number' } },
+  [MESSAGE_TYPES.GET_PROFILE_DETAILS]: { tabId: { type: 'number' } },
+  [MESSAGE_TYPES.RUN_SELECTOR_SELF_TEST]: { tabId: { type: 'number' } },
+  [MESSAGE_TYPES.SCAN_NETWORK_PAGE]: { tabId: { type: 'number' } },
+  [MESSAGE_TYPES.WITHDRAW_INVITATIONS]: {
+    tabId: { type: 'number' },
+    profileSlugs: { type: 'array', required: true }
+  },
+  [MESSAGE_TYPES.SCAN_INBOX]: { tabId: { type: 'number' } },
+  [MESSAGE_TYPES.READ_THREAD]: { tabId: { type: 'number' } },
+  [MESSAGE_TYPES.SEND_DIRECT_MESSAGE]: {
+    tabId: { type: 'number' },
+    content: { type: 'string', required: true }
+  },
+  [MESSAGE_TYPES.SAVE_SALES_LEAD]: {
+    tabId: { type: 'number' },
+    profileUrl: { type: 'string', required: true },
+    listName: { type: 'string' }
+  },
+  [MESSAGE_TYPES.COLLECT_PROSPECTS]: {
+    tabId: { type: 'number' },
+    source: { type: 'string' }
+  },
+
+  [MESSAGE_TYPES.GET_TEMPLATES]: null,
+  [MESSAGE_TYPES.SAVE_TEMPLATE]: { template: { type: 'object', required: true } },
+  [MESSAGE_TYPES.DELETE_TEMPLATE]: { templateId: { type: 'string', required: true } },
+
+  [MESSAGE_TYPES.GET_SAVED_SEARCHES]: { options: { type: 'object' } },
+  [MESSAGE_TYPES.SAVE_SEARCH]: { profile: { type: 'object', required: true } },
+  [MESSAGE_TYPES.DELETE_SEARCH]: { profileId: { type: 'string', required: true } },
+  [MESSAGE_TYPES.GET_SEARCH_CRAWLS]: null,
+  [MESSAGE_TYPES.START_SEARCH_CRAWL]: {
+    searchProfileId: { type: 'string', required: true },
+    maxPages: { type: 'number' },
+    maxProfiles: { type: 'number' }
+  },
+  [MESSAGE_TYPES.PAUSE_SEARCH_CRAWL]: { searchProfileId: { type: 'string', required: true } },
+  [MESSAGE_TYPES.RESUME_SEARCH_CRAWL]: { searchProfileId: { type: 'string', required: true } },
+
+  [MESSAGE_TYPES.GET_CONNECTION_QUEUE]: null,
+  [MESSAGE_TYPES.ADD_TO_QUEUE]: { profiles: { type: 'array', required: true } },
+  [MESSAGE_TYPES.REMOVE_FROM_QUEUE]: { ids: { type: 'array', required: true } },
+  [MESSAGE_TYPES.PROCESS_QUEUE]: { limit: { type: 'number' } },
+  [MESSAGE_TYPES.QUEUE_PROSPECTS]: {
+    tabId: { type: 'number' },
+    source: { type: 'string' },
+    campaignId: { type: 'string' }
+  },
+
+  [MESSAGE_TYPES.GET_CAMPAIGNS]: null,
+  [MESSAGE_TYPES.SAVE_CAMPAIGN]: { campaign: { type: 'object', required: true } },
+  [MESSAGE_TYPES.DELETE_CAMPAIGN]: { campaignId: { type: 'string', required: true } },
+  [MESSAGE_TYPES.START_CAMPAIGN]: { campaignId: { type: 'string', required: true } },
+  [MESSAGE_TYPES.PAUSE_CAMPAIGN]: { campaignId: { type: 'string', required: true } },
+
+  [MESSAGE_TYPES.GET_CONNECTIONS]: { options: { type: 'object' } },
+  [MESSAGE_TYPES.UPDATE_CONNECTION_STATUS]: {
+    connectionId: { type: 'string', required: true },
+    status: {
+      type: 'string',
+      required: true,
+      values: ['pending', 'accepted', 'declined', 'withdrawn', 'expired', 'blocked']
+    },
+    updateData: { type: 'object' }
+  },
+  [MESSAGE_TYPES.ADD_CONNECTION_NOTE]: {
+    connectionId: { type: 'string', required: true },
+    note: { type: 'string', required: true }
+  },
+  [MESSAGE_TYPES.UPDATE_CONNECTION_TAGS]: {
+    connectionId: { type: 'string', required: true },
+    tags: { type: 'array', required: true }
+  },
+  [MESSAGE_TYPES.SCHEDULE_FOLLOW_UP]: {
+    connectionId: { type: 'string', required: true },
+    followUp: { type: 'object', required: true }
+  },
+  [MESSAGE_TYPES.GET_PROFILE_CRM]: { profileUrl: { type: 'string', required: true } },
+  [MESSAGE_TYPES.WITHDRAW_STALE_INVITATIONS]: { withdrawAfterDays: { type: 'number' } },
+
+  [MESSAGE_TYPES.GET_REPORTS]: { options: { type: 'object' } },
+  [MESSAGE_TYPES.GENERATE_REPORT]: {
+    templateId: { type: 'string', required: true },
+    options: { type: 'object' }
+  },
+
+  [MESSAGE_TYPES.GET_JOBS]: null,
+  [MESSAGE_TYPES.RUN_JOB]: { jobId: { type: 'string', required: true } },
+  [MESSAGE_TYPES.CANCEL_JOB]: { jobId: { type: 'string', required: true } },
+
+  [MESSAGE_TYPES.GET_VAULT_STATUS]: null,
+  [MESSAGE_TYPES.SETUP_VAULT]: { passphrase: { type: 'string', required: true } },
+  [MESSAGE_TYPES.UNLOCK_VAULT]: { passphrase: { type: 'string', required: true } },
+  [MESSAGE_TYPES.LOCK_VAULT]: null,
+  [MESSAGE_TYPES.ROTATE_VAULT_KEY]: { passphrase: { type: 'string', required: true } },
+  [MESSAGE_TYPES.CHANGE_VAULT_PASSPHRASE]: {
+    currentPassphrase: { type: 'string', required: true },
+    newPassphrase: { type: 'string', required: true }
+  }
 };
 
+/**
+ * Validate a message payload against its schema
+ * @param {Object} message - Message with type and data
+ * @returns {Object} Validation result with errors list
+ */
+export function validateMessage(message) {
+  if (!message || typeof message.type !== 'string') {
+    return { valid: false, errors: ['Message type is required'] };
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(MESSAGE_SCHEMAS, message.type)) {
+    return { valid: false, errors: [`Unknown message type: ${message.type}`] };
+  }
+
+  const schema = MESSAGE_SCHEMAS[message.type];
+  const data = message.data;
+  const errors = [];
+
+  if (!schema) {
+    return { valid: true, errors };
+  }
+
+  if (data !== undefined && data !== null && getValueType(data) !== 'object') {
+    return { valid: false, errors: ['Message data must be an object'] };
+  }
+
+  const payload = data || {};
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    if (field === '*') {
+      return;
+    }
+
+    const value = payload[field];
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        errors.push(`${field} is required`);
+      }
+      return;
+    }
+
+    if (rule.type !== 'any' && getValueType(value) !== rule.type) {
+      errors.push(`${field} must be of type ${rule.type}`);
+    } else if (rule.values && !rule.values.includes(value)) {
+      errors.push(`${field} must be one of: ${rule.values.join(', ')}`);
+    }
+  });
+
+  // Fields outside the schema are rejected unless it allows any extra field
+  if (!schema['*']) {
+    Object.keys(payload)
+      .filter(field => !schema[field])
+      .forEach(field => errors.push(`Unexpected field: ${field}`));
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
 /**
  * Create a standardized message object
  * @param {string} type - Message type
@@ -111,22 +410,43 @@ export function createMessage(type, data = null, id = null) {
   };
 }
 
+/**
+ * Tag identifying a message in logs; the message ID doubles as correlation ID
+ * @param {Object} message - Message
+ * @returns {string} Tag like "[GET_SETTINGS msg_123_abc]"
+ */
+export function formatMessageTag(message) {
+  if (!message) {
+    return '[unknown message]';
+  }
+
+  return message.id ? `[${message.type} ${message.id}]` : `[${message.type}]`;
+}
+
 /**
  * Create a standardized response object
  * @param {boolean} success - Whether the operation was successful
  * @param {*} data - Response data
- * @param {string} error - Error message if unsuccessful
+ * @param {string|Object} error - Error message, or { code, message, details } if unsuccessful
  * @param {string} messageId - Original message ID
  * @returns {Object} Formatted response
  */
 export function createResponse(success, data = null, error = null, messageId = null) {
-  return {
+  const response = {
     success,
     data,
     error,
     messageId,
     timestamp: Date.now()
   };
+
+  if (error && typeof error === 'object') {
+    response.error = error.message;
+    response.errorCode = error.code || null;
+    response.errorDetails = error.details || null;
+  }
+
+  return response;
 }
 
 /**
@@ -167,3 +487,351 @@ export function setupMessageListener(handler) {
     chrome.runtime.onMessage.removeListener(wrappedHandler);
   };
 }
+
+/**
+ * Live automation events streamed over long-lived ports
+ */
+export const STREAM_EVENTS = {
+  AUTOMATION_STARTED: 'automation_started',
+  AUTOMATION_STOPPED: 'automation_stopped',
+  AUTOMATION_PAUSED: 'automation_paused',
+  AUTOMATION_RESUMED: 'automation_resumed',
+  PROFILE_QUEUED: 'profile_queued',
+  REQUEST_SENT: 'request_sent',
+  REQUEST_FAILED: 'request_failed',
+  RATE_LIMIT_HIT: 'rate_limit_hit',
+  DRY_RUN_RECORDED: 'dry_run_recorded'
+};
+
+/**
+ * Frames exchanged on a stream port
+ */
+export const STREAM_FRAMES = {
+  SUBSCRIBE: 'SUBSCRIBE',
+  EVENT: 'EVENT',
+  PING: 'PING',
+  PONG: 'PONG'
+};
+
+export const STREAM_PORT_NAME = 'automation-stream';
+
+const STREAM_DEFAULTS = {
+  heartbeatInterval: 20 * 1000,
+  heartbeatTimeout: 45 * 1000,
+  reconnectDelay: 1000,
+  maxReconnectDelay: 30 * 1000,
+  maxBufferedEvents: 100
+};
+
+/**
+ * Client end of the event stream.
+ * Events are relayed by the service worker to every port subscribed to
+ * their type. The port is re-opened with backoff when it drops, e.g. after
+ * the service worker is suspended; events published meanwhile are buffered.
+ */
+export class StreamChannel {
+  constructor(options = {}) {
+    this.options = { ...STREAM_DEFAULTS, ...options };
+    this.port = null;
+    this.listeners = new Map();
+    this.buffer = [];
+    this.closed = false;
+    this.lastSeen = 0;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Open the port to the service worker
+   * @returns {StreamChannel} The channel, for chaining
+   */
+  connect() {
+    if (this.port || this.closed) {
+      return this;
+    }
+
+    try {
+      this.port = chrome.runtime.connect({ name: STREAM_PORT_NAME });
+    } catch (error) {
+      // Thrown when the extension was reloaded under this page
+      console.warn('Could not open event stream:', error.message);
+      this.scheduleReconnect();
+      return this;
+    }
+
+    this.lastSeen = Date.now();
+    this.port.onMessage.addListener(frame => this.handleFrame(frame));
+    this.port.onDisconnect.addListener(() => this.handleDisconnect());
+
+    this.sendSubscriptions();
+    this.buffer.splice(0).forEach(event => this.post({ type: STREAM_FRAMES.EVENT, event }));
+    this.startHeartbeat();
+    return this;
+  }
+
+  /**
+   * Listen for events
+   * @param {string|string[]} eventTypes - STREAM_EVENTS types, or '*' for all
+   * @param {Function} listener - Receives each event
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(eventTypes, listener) {
+    const types = Array.isArray(eventTypes) ? eventTypes : [eventTypes];
+
+    types.forEach(type => {
+      if (!this.listeners.has(type)) {
+        this.listeners.set(type, new Set());
+      }
+      this.listeners.get(type).add(listener);
+    });
+    this.sendSubscriptions();
+
+    return () => {
+      types.forEach(type => {
+        const listeners = this.listeners.get(type);
+        if (listeners) {
+          listeners.delete(listener);
+          if (listeners.size === 0) {
+            this.listeners.delete(type);
+          }
+        }
+      });
+      this.sendSubscriptions();
+    };
+  }
+
+  /**
+   * Publish an event to all subscribers
+   * @param {string} type - Event type from STREAM_EVENTS
+   * @param {Object} data - Event data
+   */
+  publish(type, data = null) {
+    const event = { type, data, timestamp: Date.now() };
+
+    if (!this.post({ type: STREAM_FRAMES.EVENT, event })) {
+      this.buffer.push(event);
+      if (this.buffer.length > this.options.maxBufferedEvents) {
+        this.buffer.shift();
+      }
+    }
+  }
+
+  /**
+   * Close the channel for good
+   */
+  disconnect() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.stopHeartbeat();
+
+    if (this.port) {
+      this.port.disconnect();
+      this.port = null;
+    }
+  }
+
+  isConnected() {
+    return this.port !== null;
+  }
+
+  post(frame) {
+    if (!this.port) {
+      return false;
+    }
+
+    try {
+      this.port.postMessage(frame);
+      return true;
+    } catch (error) {
+      this.handleDisconnect();
+      return false;
+    }
+  }
+
+  sendSubscriptions() {
+    this.post({ type: STREAM_FRAMES.SUBSCRIBE, eventTypes: Array.from(this.listeners.keys()) });
+  }
+
+  handleFrame(frame) {
+    this.lastSeen = Date.now();
+    this.reconnectAttempts = 0;
+
+    if (frame && frame.type === STREAM_FRAMES.EVENT) {
+      const listeners = [
+        ...(this.listeners.get(frame.event.type) || []),
+        ...(this.listeners.get('*') || [])
+      ];
+
+      listeners.forEach(listener => {
+        try {
+          listener(frame.event);
+        } catch (error) {
+          console.error('Stream listener error:', error);
+        }
+      });
+    }
+  }
+
+  handleDisconnect() {
+    this.stopHeartbeat();
+    this.port = null;
+
+    if (!this.closed) {
+      this.scheduleReconnect();
+    }
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectTimer || this.closed) {
+      return;
+    }
+
+    const delay = Math.min(
+      this.options.reconnectDelay * 2 ** this.reconnectAttempts,
+      this.options.maxReconnectDelay
+    );
+    this.reconnectAttempts++;
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  startHeartbeat() {
+    this.stopHeartbeat();
+
+    this.heartbeatTimer = setInterval(() => {
+      // No pong in time means the other end is gone without a disconnect event
+      if (Date.now() - this.lastSeen > this.options.heartbeatTimeout) {
+        const port = this.port;
+        this.handleDisconnect();
+        if (port) {
+          port.disconnect();
+        }
+        return;
+      }
+
+      this.post({ type: STREAM_FRAMES.PING });
+    }, this.options.heartbeatInterval);
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+}
+
+/**
+ * Open an event stream to the service worker
+ * @param {Object} options - Heartbeat, reconnect and buffer options
+ * @returns {StreamChannel} Connected channel
+ */
+export function connectToStream(options = {}) {
+  return new StreamChannel(options).connect();
+}
+
+// Helper Functions
+
+function request(message, timeout, dispatch) {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const settle = (callback, value) => {
+      if (!settled) {
+        settled = true;
+        clearTimeout(timer);
+        callback(value);
+      }
+    };
+
+    const timer = setTimeout(() => {
+      settle(
+        reject,
+        createMessageError(
+          message,
+          ERROR_CODES.TIMEOUT,
+          `${message.type} timed out after ${timeout}ms`
+        )
+      );
+    }, timeout);
+
+    try {
+      dispatch(response => {
+        const lastError = chrome.runtime.lastError;
+
+        if (lastError) {
+          const noReceiver = /Receiving end does not exist|Could not establish connection/.test(
+            lastError.message
+          );
+          settle(
+            reject,
+            createMessageError(
+              message,
+              noReceiver ? ERROR_CODES.NO_RECEIVER : null,
+              lastError.message
+            )
+          );
+        } else if (response && response.success === false) {
+          const error = createResponseError(response);
+          error.messageId = message.id;
+          settle(reject, error);
+        } else {
+          settle(resolve, response);
+        }
+      });
+    } catch (error) {
+      // Thrown synchronously when the extension context is gone
+      settle(reject, createMessageError(message, null, error.message));
+    }
+  });
+}
+
+async function sendWithRetry(message, settings, send) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await send();
+    } catch (error) {
+      // Only failures where the message never reached a receiver are safe to retry
+      if (error.code !== ERROR_CODES.NO_RECEIVER || attempt >= settings.retries) {
+        throw error;
+      }
+
+      const delay = settings.retryDelay * 2 ** attempt;
+      console.warn(
+        `${formatMessageTag(message)} ${error.message}; retrying in ${delay}ms (${attempt + 1}/${settings.retries})`
+      );
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+async function injectContentScript(tabId) {
+  const manifest = chrome.runtime.getManifest ? chrome.runtime.getManifest() : null;
+  const files =
+    (manifest && manifest.content_scripts && manifest.content_scripts[0].js) ||
+    DEFAULT_CONTENT_SCRIPTS;
+
+  await chrome.scripting.executeScript({ target: { tabId }, files });
+}
+
+function createMessageError(message, code, text) {
+  const error = new Error(text);
+  error.code = code;
+  error.messageId = message.id || null;
+  return error;
+}
+
+function createResponseError(response) {
+  const error = new Error(response.error);
+  if (response.errorCode) {
+    error.code = response.errorCode;
+    error.details = response.errorDetails;
+  }
+  return error;
+}
+
+function getValueType(value) {
+  return Array.isArray(value) ? 'array' : typeof value;
+}
@@ -0,0 +1,80 @@
+// Navigation Observer
+// LinkedIn is a single-page app: moving between pages changes the URL through
+// the history API without loading the content script again. The observer
+// reports each URL change once, however it was noticed.
+//
+// Content scripts run in an isolated world, so the history hooks only see
+// calls made by extension code. LinkedIn's own pushState calls are caught by
+// the DOM mutation watch, which checks the URL whenever the page re-renders.
+
+import { getLinkedInUrl } from './linkedin.js';
+
+const NAVIGATION_EVENT = 'linkedin-automation:navigate';
+const HISTORY_METHODS = ['pushState', 'replaceState'];
+
+let historyHooked = false;
+
+/**
+ * Watch for in-app navigation
+ * @param {Function} onChange - Called with `{ url, previousUrl }` after the URL changes
+ * @param {Object} options - Observer options
+ * @param {Function} options.getUrl - Current URL; by default the LinkedIn URL,
+ *   so pages of the sandbox's mock site count as well
+ * @param {Node} options.root - Node whose re-renders trigger a URL check
+ * @returns {Object} Observer with `check()` and `disconnect()`
+ */
+export function observeNavigation(onChange, { getUrl = getLinkedInUrl, root = document } = {}) {
+  let lastUrl = getUrl();
+
+  const check = () => {
+    const url = getUrl();
+    if (url === lastUrl) {
+      return;
+    }
+
+    const previousUrl = lastUrl;
+    lastUrl = url;
+    onChange({ url, previousUrl });
+  };
+
+  hookHistory();
+  window.addEventListener(NAVIGATION_EVENT, check);
+  window.addEventListener('popstate', check);
+
+  // The sandbox's mock site keeps its URL in `data-linkedin-url`
+  const observer = new MutationObserver(check);
+  observer.observe(root, {
+    subtree: true,
+    childList: true,
+    attributes: true,
+    attributeFilter: ['data-linkedin-url']
+  });
+
+  return {
+    check,
+    disconnect() {
+      observer.disconnect();
+      window.removeEventListener(NAVIGATION_EVENT, check);
+      window.removeEventListener('popstate', check);
+    }
+  };
+}
+
+// Helper Functions
+
+// Wrapped once per content script, however many observers there are
+function hookHistory() {
+  if (historyHooked) {
+    return;
+  }
+  historyHooked = true;
+
+  HISTORY_METHODS.forEach(method => {
+    const original = window.history[method];
+    window.history[method] = function (...args) {
+      const result = original.apply(this, args);
+      window.dispatchEvent(new Event(NAVIGATION_EVENT));
+      return result;
+    };
+  });
+}
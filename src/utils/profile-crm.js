@@ -0,0 +1,114 @@
+// Profile CRM
+// Everything already known about one person, gathered from the connection
+// database, their conversation and the campaigns they were invited through
+
+import { getStorageData, STORAGE_KEYS } from './storage.js';
+import { decryptRecordFields, getRecordProfileSlug } from './field-encryption.js';
+import { getConnectionRecords } from './connection-management.js';
+import { getCampaigns } from './campaign-management.js';
+import { getProfileSlug } from './linkedin.js';
+
+/**
+ * Look up a person by profile URL
+ * @param {string} profileUrl - LinkedIn profile URL
+ * @returns {Promise<Object>} `connection` (most recent record, or null),
+ *   `invitations` (newest first), `campaigns`, scheduled `followUps` (soonest
+ *   first) and a `conversation` summary, or null
+ */
+export async function getProfileCrm(profileUrl) {
+  const slug = getProfileSlug(profileUrl);
+  if (!slug) {
+    throw new Error(`Not a profile URL: ${profileUrl}`);
+  }
+
+  const { connections } = await getConnectionRecords();
+  const records = connections
+    .filter(record => matchesProfile(record, slug))
+    .sort((a, b) => b.connectionRequest.sentAt - a.connectionRequest.sentAt);
+
+  const conversation = await findConversation(slug);
+  const campaigns = await getCampaigns();
+
+  return {
+    profileUrl,
+    slug,
+    connection: records[0] || null,
+    invitations: records.map(summarizeInvitation),
+    campaigns: getCampaignMembership(records, conversation, campaigns),
+    followUps: getScheduledFollowUps(records),
+    conversation: conversation && summarizeConversation(conversation)
+  };
+}
+
+// Helper Functions
+
+// Encrypted URLs stay sealed while the vault is locked, so the stored slug
+// and the profile ID are matched instead
+function matchesProfile(record, slug) {
+  return record.profileId === slug || getRecordProfileSlug(record) === slug;
+}
+
+async function findConversation(slug) {
+  const result = await getStorageData(STORAGE_KEYS.CONVERSATIONS);
+  const conversations = await decryptRecordFields(result.conversations || {});
+
+  return (
+    Object.values(conversations)
+      .filter(conversation => matchesProfile(conversation, slug))
+      .sort((a, b) => b.lastActivity - a.lastActivity)[0] || null
+  );
+}
+
+function summarizeInvitation(record) {
+  return {
+    connectionId: record.id,
+    status: record.status,
+    sentAt: record.connectionRequest.sentAt,
+    messageUsed: record.connectionRequest.messageUsed || '',
+    templateId: record.connectionRequest.templateId,
+    campaignId: record.connectionRequest.campaignId,
+    source: record.connectionRequest.source,
+    respondedAt: record.response?.respondedAt || null,
+    responseType: record.response?.responseType || null
+  };
+}
+
+function summarizeConversation(conversation) {
+  const messages = conversation.messages || [];
+  const last = messages[messages.length - 1] || null;
+
+  return {
+    id: conversation.id,
+    status: conversation.status,
+    sentiment: conversation.sentiment,
+    lastActivity: conversation.lastActivity,
+    messageCount: messages.length,
+    lastMessage: last && { type: last.type, content: last.content, timestamp: last.timestamp }
+  };
+}
+
+// Campaigns the person was invited or messaged through; deleted campaigns
+// are kept with a null name
+function getCampaignMembership(records, conversation, campaigns) {
+  const ids = new Set([
+    ...records.map(record => record.connectionRequest.campaignId),
+    ...(conversation?.messages || []).map(message => message.campaignId)
+  ]);
+  ids.delete(null);
+  ids.delete(undefined);
+
+  return [...ids].map(id => {
+    const campaign = campaigns.find(c => c.id === id);
+    return { id, name: campaign?.name || null, status: campaign?.status || null };
+  });
+}
+
+function getScheduledFollowUps(records) {
+  return records
+    .flatMap(record =>
+      (record.followUp?.followUpHistory || [])
+        .filter(followUp => followUp.status === 'scheduled')
+        .map(followUp => ({ ...followUp, connectionId: record.id }))
+    )
+    .sort((a, b) => a.scheduledFor - b.scheduledFor);
+}
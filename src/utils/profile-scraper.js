@@ -0,0 +1,254 @@
+// LinkedIn Profile Page Scraper
+// Reads a full profile page into the normalized profile shape consumed by
+// extractProfileMetadata and the template engine
+
+import { querySelector } from './selector-registry.js';
+import { getLinkedInUrl } from './linkedin.js';
+
+// Profile sections are found by their anchor ID, then by their heading text
+const PROFILE_SECTIONS = {
+  about: { anchor: 'about', heading: 'About' },
+  activity: { anchor: 'recent_activity', heading: 'Activity' },
+  experience: { anchor: 'experience', heading: 'Experience' },
+  education: { anchor: 'education', heading: 'Education' },
+  skills: { anchor: 'skills', heading: 'Skills' },
+  languages: { anchor: 'languages', heading: 'Languages' }
+};
+
+const DATE_RANGE_PATTERN = /\b(?:\d{4}|Present)\b/;
+const ACTIVITY_PATTERN = /\b(posted|reposted|commented on|liked|shared)\b/i;
+
+/**
+ * Scrape the profile page currently shown
+ * @param {Document|Element} root - Page to read, defaults to the document
+ * @returns {Object} Normalized profile
+ */
+export function scrapeProfilePage(root = document) {
+  const connectionsText = getText(querySelector('profileConnections', { root }));
+  const connectionsMatch = connectionsText.match(/([\d,]+\+?)\s*connections?/i);
+
+  return {
+    name: getText(querySelector('profileName', { root })) || null,
+    headline: getText(querySelector('profileHeadline', { root })) || null,
+    location: getText(querySelector('profileLocation', { root })) || null,
+    about: scrapeAbout(findSection(root, PROFILE_SECTIONS.about)),
+    connections: connectionsMatch ? connectionsMatch[1].replace(/,/g, '') : null,
+    mutualConnections: parseMutualConnections(
+      getText(querySelector('profileMutualConnections', { root }))
+    ),
+    experience: scrapeExperience(findSection(root, PROFILE_SECTIONS.experience)),
+    education: scrapeEducation(findSection(root, PROFILE_SECTIONS.education)),
+    skills: scrapeSkills(findSection(root, PROFILE_SECTIONS.skills)),
+    languages: scrapeLanguages(findSection(root, PROFILE_SECTIONS.languages)),
+    recentActivity: scrapeActivity(findSection(root, PROFILE_SECTIONS.activity)),
+    profileUrl: getLinkedInUrl().split('?')[0],
+    scrapedAt: Date.now()
+  };
+}
+
+/**
+ * Count mutual connections from the top card summary
+ * @param {string} text - e.g. "Anna Schmidt, Ben Meyer and 6 other mutual connections"
+ * @returns {number} Number of mutual connections
+ */
+export function parseMutualConnections(text) {
+  if (!text || !/mutual connection/i.test(text)) {
+    return 0;
+  }
+
+  const total = text.match(/^([\d,]+)\s+mutual/i);
+  if (total) {
+    return parseInt(total[1].replace(/,/g, ''), 10);
+  }
+
+  // Named connections are listed before the count of the others
+  const others = text.match(/([\d,]+)\s+others?\s+mutual/i);
+  const names = text
+    .split(/\s+(?:is|are)\s+(?:a\s+)?mutual|\s+and\s+[\d,]+\s+others?/i)[0]
+    .split(/,\s*|\s+and\s+/)
+    .filter(Boolean);
+
+  return names.length + (others ? parseInt(others[1].replace(/,/g, ''), 10) : 0);
+}
+
+/**
+ * Convert LinkedIn's abbreviated durations to words
+ * @param {string} duration - e.g. "4 yrs 3 mos"
+ * @returns {string|null} e.g. "4 years 3 months"
+ */
+export function normalizeDuration(duration) {
+  if (!duration) {
+    return null;
+  }
+
+  return duration
+    .replace(/\b(\d+)\s*yrs?\b/gi, (match, count) => pluralize(count, 'year'))
+    .replace(/\b(\d+)\s*mos?\b/gi, (match, count) => pluralize(count, 'month'))
+    .trim();
+}
+
+// Helper Functions
+
+function findSection(root, { anchor, heading }) {
+  const anchorElement = root.querySelector(`[id="${anchor}"]`);
+  if (anchorElement && anchorElement.closest('section')) {
+    return anchorElement.closest('section');
+  }
+
+  return (
+    Array.from(root.querySelectorAll('section')).find(section => {
+      const title = section.querySelector('h2');
+      return title && getText(title).split(' ')[0] === heading;
+    }) || null
+  );
+}
+
+// Top-level list items of a section; nested items belong to their parent item
+function getSectionItems(section) {
+  if (!section) {
+    return [];
+  }
+
+  return Array.from(section.querySelectorAll('li')).filter(item => {
+    const parentItem = item.parentElement.closest('li');
+    return !parentItem || !section.contains(parentItem);
+  });
+}
+
+// LinkedIn renders each line twice, once for sighted users (aria-hidden) and once
+// for screen readers; the aria-hidden copies are the visible lines
+function getLines(item) {
+  const spans = Array.from(item.querySelectorAll('span[aria-hidden="true"]')).filter(
+    span => !span.closest('.inline-show-more-text') && span.closest('li') === item
+  );
+
+  return spans.map(getText).filter(Boolean);
+}
+
+function getDescription(item) {
+  const description = Array.from(item.querySelectorAll('.inline-show-more-text')).find(
+    element => element.closest('li') === item
+  );
+  return description ? getText(description) : null;
+}
+
+function pluralize(count, unit) {
+  return `${count} ${unit}${count === '1' ? '' : 's'}`;
+}
+
+function getText(element) {
+  return element ? (element.textContent || '').replace(/\s+/g, ' ').trim() : '';
+}
+
+function parseDateLine(line) {
+  if (!line) {
+    return { dateRange: null, duration: null };
+  }
+
+  const [dateRange, duration] = line.split(' · ').map(part => part.trim());
+  return { dateRange: dateRange || null, duration: normalizeDuration(duration) };
+}
+
+function isDateLine(line) {
+  return DATE_RANGE_PATTERN.test(line) && (line.includes(' - ') || line.includes('·'));
+}
+
+function scrapeAbout(section) {
+  if (!section) {
+    return null;
+  }
+
+  const text = section.querySelector('.inline-show-more-text span[aria-hidden="true"]');
+  return getText(text) || null;
+}
+
+function scrapeExperience(section) {
+  const experience = [];
+
+  getSectionItems(section).forEach(item => {
+    const roles = Array.from(item.querySelectorAll('li'));
+    const lines = getLines(item);
+
+    if (roles.length > 0) {
+      // Several roles grouped under one company
+      const [company, summary, location] = lines;
+      const employmentType = summary && summary.includes(' · ') ? summary.split(' · ')[0] : null;
+
+      roles.forEach(role => {
+        const roleLines = getLines(role);
+        const dateLine = roleLines.find(isDateLine);
+
+        experience.push({
+          title: roleLines[0] || null,
+          company: company || null,
+          employmentType,
+          ...parseDateLine(dateLine),
+          location: location || null,
+          description: getDescription(role)
+        });
+      });
+      return;
+    }
+
+    const [title, companyLine] = lines;
+    const dateIndex = lines.findIndex(isDateLine);
+    const [company, employmentType] = (companyLine && !isDateLine(companyLine) ? companyLine : '')
+      .split(' · ')
+      .map(part => part.trim());
+
+    experience.push({
+      title: title || null,
+      company: company || null,
+      employmentType: employmentType || null,
+      ...parseDateLine(lines[dateIndex]),
+      location: dateIndex >= 0 ? lines[dateIndex + 1] || null : null,
+      description: getDescription(item)
+    });
+  });
+
+  return experience;
+}
+
+function scrapeEducation(section) {
+  return getSectionItems(section).map(item => {
+    const [school, ...rest] = getLines(item);
+    const degreeLine = rest.find(line => !DATE_RANGE_PATTERN.test(line)) || '';
+    const [degree, field] = degreeLine.split(',').map(part => part.trim());
+
+    return {
+      school: school || null,
+      degree: degree || null,
+      field: field || null,
+      dateRange: rest.find(line => DATE_RANGE_PATTERN.test(line)) || null
+    };
+  });
+}
+
+function scrapeSkills(section) {
+  const skills = getSectionItems(section)
+    .map(item => getLines(item)[0])
+    .filter(Boolean);
+
+  return [...new Set(skills)];
+}
+
+function scrapeLanguages(section) {
+  return getSectionItems(section)
+    .map(item => {
+      const [name, proficiency] = getLines(item);
+      return { name: name || null, proficiency: proficiency || null };
+    })
+    .filter(language => language.name);
+}
+
+function scrapeActivity(section) {
+  return getSectionItems(section)
+    .map(item => {
+      const header = getLines(item).find(line => ACTIVITY_PATTERN.test(line));
+      const action = header ? header.match(ACTIVITY_PATTERN)[1].toLowerCase() : null;
+      const postedAgo = header && header.includes('•') ? header.split('•').pop().trim() : null;
+
+      return { action, postedAgo, text: getDescription(item) };
+    })
+    .filter(activity => activity.text);
+}
@@ -0,0 +1,130 @@
+// Prospect Sources
+// Adapters that read people from lists outside people search (a company's
+// People tab, event attendees, group members, a post's reactions and
+// comments) into normalized profiles for the connection queue
+
+import { querySelector, querySelectorAll } from './selector-registry.js';
+import { detectLinkedInPageType, getProfileSlug, getLinkedInUrl } from './linkedin.js';
+import { isConnectButtonClickable } from './linkedin-automation.js';
+import { SALES_NAVIGATOR_SOURCE } from './sales-navigator.js';
+import { matchesUiLabel } from './ui-labels.js';
+import { trackEvent, ANALYTICS_EVENTS } from './analytics.js';
+
+/**
+ * Where a prospect was found, kept on queue entries and connection records
+ */
+export const PROSPECT_SOURCES = {
+  PEOPLE_SEARCH: 'search',
+  SALES_NAVIGATOR: SALES_NAVIGATOR_SOURCE,
+  COMPANY_PEOPLE: 'company-people',
+  EVENT_ATTENDEES: 'event-attendees',
+  GROUP_MEMBERS: 'group-members',
+  POST_REACTIONS: 'post-reactions',
+  POST_COMMENTS: 'post-comments'
+};
+
+/**
+ * Page type and registry entry of the person cards of each list source
+ */
+const SOURCE_ADAPTERS = {
+  [PROSPECT_SOURCES.COMPANY_PEOPLE]: { pageType: 'company-people', card: 'companyPersonCard' },
+  [PROSPECT_SOURCES.EVENT_ATTENDEES]: { pageType: 'event', card: 'eventAttendeeCard' },
+  [PROSPECT_SOURCES.GROUP_MEMBERS]: { pageType: 'group-members', card: 'groupMemberCard' },
+  [PROSPECT_SOURCES.POST_REACTIONS]: { pageType: 'post', card: 'postReactorCard' },
+  [PROSPECT_SOURCES.POST_COMMENTS]: { pageType: 'post', card: 'postCommentCard' }
+};
+
+/**
+ * Get the list sources a page can collect prospects from
+ * @param {string} pageType - Page type, defaults to the current page's
+ * @returns {string[]} PROSPECT_SOURCES values
+ */
+export function getProspectSources(pageType = detectLinkedInPageType()) {
+  return Object.keys(SOURCE_ADAPTERS).filter(
+    source => SOURCE_ADAPTERS[source].pageType === pageType
+  );
+}
+
+/**
+ * Collect the people listed on the current page
+ * @param {string} source - Source to read; every source of the page when omitted
+ * @returns {Promise<Object>} Sources read, the page URL, and `profiles`, one per
+ *   person, each tagged with its source
+ */
+export async function collectProspects(source = null) {
+  const sources = source ? [source] : getProspectSources();
+  const sourceUrl = getLinkedInUrl().split('?')[0];
+  const profiles = [];
+  const seen = new Set();
+
+  sources.forEach(current => {
+    const adapter = SOURCE_ADAPTERS[current];
+    if (!adapter) {
+      throw new Error(`Unknown prospect source: ${current}`);
+    }
+
+    querySelectorAll(adapter.card).forEach(card => {
+      const profile = extractProspect(card, current, sourceUrl);
+
+      // People who react and comment, or comment twice, are listed once
+      if (profile && !seen.has(profile.profileId)) {
+        seen.add(profile.profileId);
+        profiles.push(profile);
+      }
+    });
+  });
+
+  await trackEvent(ANALYTICS_EVENTS.PROSPECTS_COLLECTED, {
+    sources,
+    sourceUrl,
+    prospectsFound: profiles.length,
+    connectableProfiles: profiles.filter(profile => profile.canConnect).length
+  });
+
+  return { sources, sourceUrl, profiles, collectedAt: Date.now() };
+}
+
+/**
+ * Read one person card into a normalized profile
+ * @param {Element} card - Person card
+ * @param {string} source - PROSPECT_SOURCES value
+ * @param {string} sourceUrl - Page the card is on
+ * @returns {Object|null} Profile, or null for cards without a member profile
+ *   (e.g. companies reacting to a post)
+ */
+export function extractProspect(card, source, sourceUrl) {
+  const link = querySelector('prospectProfileLink', { root: card });
+  const profileId = link ? getProfileSlug(link.getAttribute('href')) : null;
+
+  if (!profileId) {
+    return null;
+  }
+
+  const actionButton = querySelector('prospectActionButton', { root: card });
+
+  return {
+    profileId,
+    profileUrl: `https://www.linkedin.com/in/${profileId}/`,
+    name: getText(querySelector('prospectName', { root: card })) || getText(link),
+    title: getText(querySelector('prospectHeadline', { root: card })) || null,
+    // Lists without action buttons show the degree instead
+    canConnect: actionButton
+      ? isConnectButton(actionButton) && isConnectButtonClickable(actionButton)
+      : !/·\s*1st\b/.test(card.textContent),
+    source,
+    sourceUrl
+  };
+}
+
+// Helper Functions
+
+function isConnectButton(button) {
+  return matchesUiLabel(
+    `${button.getAttribute('aria-label') || ''} ${button.textContent}`,
+    'connect'
+  );
+}
+
+function getText(element) {
+  return element ? (element.textContent || '').replace(/\s+/g, ' ').trim() : '';
+}
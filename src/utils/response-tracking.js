@@ -1,6 +1,31 @@
 // Response Tracking and Follow-up System for LinkedIn Automation
 
 import { getStorageData, setStorageData, logAnalytics, STORAGE_KEYS } from './storage.js';
+import {
+  encryptRecordFields,
+  decryptRecordFields,
+  fieldText,
+  getRecordProfileSlug,
+  areRecordFieldsSealed
+} from './field-encryption.js';
+import { VaultLockedError } from './encryption.js';
+import { scheduleJob, ensureJob, cancelJob, JOB_TYPES } from './job-scheduler.js';
+import { getInboxState, updateThreadState, findConversationThread } from './inbox-scanner.js';
+import { processAdvancedTemplate } from './advanced-template-engine.js';
+
+// Threads opened per inbox scan; the rest wait for the next scan
+const MAX_THREADS_PER_SCAN = 10;
+
+// Minutes between inbox scans while a LinkedIn tab is open to scan in; scans
+// that have to open a tab wait for the `inboxScanIntervalMinutes` setting
+const RESPONSE_SCAN_INTERVAL = 15;
+
+// Sends that failed before anything was typed are retried by the job runner
+// up to this many times in total, matching its own attempt limit
+const MAX_FOLLOWUP_ATTEMPTS = 3;
+
+// Follow-ups wait for a locked vault without using up their attempts
+const VAULT_LOCKED = 'VAULT_LOCKED';
 
 /**
  * Response types
@@ -59,7 +84,7 @@ export class ResponseTrackingSystem {
       await this.loadConversations();
       await this.loadFollowupSequences();
       await this.loadResponseTemplates();
-      this.startResponseDetector();
+      await this.startResponseDetector();
     } catch (error) {
       console.error('Error initializing response tracking system:', error);
     }
@@ -138,9 +163,8 @@ export class ResponseTrackingSystem {
   async detectResponse(responseData) {
     try {
       const conversationId = this.generateConversationId(responseData.profileId);
-      const conversation = this.conversations.get(conversationId);
 
-      if (!conversation) {
+      if (!this.conversations.has(conversationId)) {
         // Create new conversation if response comes before we tracked sent message
         await this.trackSentMessage({
           profileId: responseData.profileId,
@@ -150,12 +174,14 @@ export class ResponseTrackingSystem {
         });
       }
 
+      const conversation = this.conversations.get(conversationId);
+
       const response = {
         id: this.generateMessageId(),
         type: 'received',
         content: responseData.content,
         timestamp: responseData.timestamp || Date.now(),
-        read: true,
+        read: responseData.read !== false,
         sentiment: await this.analyzeSentiment(responseData.content),
         responseType: await this.classifyResponse(responseData.content),
         keywords: this.extractKeywords(responseData.content)
@@ -296,9 +322,12 @@ export class ResponseTrackingSystem {
   /**
    * Execute a scheduled follow-up
    * @param {string} followupId - Follow-up ID
-   * @returns {Promise<Object>} Execution result
+   * @param {Object} messenger - Sends messages on LinkedIn
+   * @param {Function} messenger.sendMessage - Opens `url` and sends `content`,
+   *   resolving with the sender's result
+   * @returns {Promise<Object>} Execution result: sent, cancelled, retry or failed
    */
-  async executeFollowup(followupId) {
+  async executeFollowup(followupId, messenger = null) {
     try {
       const conversation = this.findConversationByFollowupId(followupId);
       if (!conversation) {
@@ -322,17 +351,18 @@ export class ResponseTrackingSystem {
       }
 
       // Send the follow-up message
-      const sendResult = await this.sendFollowupMessage(followup, conversation);
+      const sendResult = await this.sendFollowupMessage(followup, conversation, messenger);
 
       if (sendResult.success) {
         followup.status = FOLLOWUP_STATUS.SENT;
         followup.sentAt = Date.now();
+        followup.lastError = null;
 
         // Add message to conversation
         const message = {
           id: this.generateMessageId(),
           type: 'sent',
-          content: followup.content,
+          content: sendResult.content,
           timestamp: Date.now(),
           followupId: followup.id,
           templateId: followup.templateId
@@ -355,10 +385,20 @@ export class ResponseTrackingSystem {
         });
 
         return { status: 'sent', followup, message };
+      } else if (sendResult.reason === VAULT_LOCKED) {
+        return { status: 'retry', error: sendResult.error, reason: sendResult.reason };
       } else {
+        followup.attempts = (followup.attempts || 0) + 1;
+        followup.lastError = sendResult.error;
+
+        if (sendResult.retryable && followup.attempts < MAX_FOLLOWUP_ATTEMPTS) {
+          await this.saveConversations();
+          return { status: 'retry', error: sendResult.error, reason: sendResult.reason };
+        }
+
         followup.status = FOLLOWUP_STATUS.FAILED;
         await this.saveConversations();
-        return { status: 'failed', error: sendResult.error };
+        return { status: 'failed', error: sendResult.error, reason: sendResult.reason };
       }
 
     } catch (error) {
@@ -416,7 +456,8 @@ export class ResponseTrackingSystem {
   }
 
   /**
-   * Get conversations with filtering and pagination
+   * Get conversations with filtering and pagination.
+   * Encrypted PII fields are decrypted when the vault is unlocked.
    * @param {Object} options - Filter and pagination options
    * @returns {Promise<Object>} Conversations list
    */
@@ -479,7 +520,7 @@ export class ResponseTrackingSystem {
       const endIndex = startIndex + limit;
 
       return {
-        conversations: conversations.slice(startIndex, endIndex),
+        conversations: await decryptRecordFields(conversations.slice(startIndex, endIndex)),
         pagination: {
           page,
           limit,
@@ -726,15 +767,36 @@ export class ResponseTrackingSystem {
     return true;
   }
 
-  async sendFollowupMessage(followup, conversation) {
+  async sendFollowupMessage(followup, conversation, messenger) {
+    if (!messenger) {
+      return { success: false, error: 'No message sender available', retryable: false };
+    }
+
+    // Names and profile URLs are sealed while the vault is locked
+    if (!(await this.openConversations())) {
+      return { success: false, error: 'Vault is locked', reason: VAULT_LOCKED, retryable: true };
+    }
+
+    // The thread found by inbox scans opens straight into the composer;
+    // otherwise the profile's Message button opens it
+    const thread = await findConversationThread(conversation.id);
+    const url = thread ? thread.threadUrl : conversation.profileUrl;
+    if (!url) {
+      return { success: false, error: 'No thread or profile to message', retryable: false };
+    }
+
     try {
-      // This would integrate with LinkedIn messaging API
-      // For now, simulate sending
-      console.log(`Sending follow-up message to ${conversation.profileId}`);
+      const content = await processAdvancedTemplate(followup.content, {
+        name: conversation.profileName,
+        firstName: (conversation.profileName || '').split(' ')[0],
+        profileUrl: conversation.profileUrl
+      });
+      const result = await messenger.sendMessage({ url, content });
 
-      return { success: true };
+      return { ...result, content };
     } catch (error) {
-      return { success: false, error: error.message };
+      // The tab could not be loaded or its content script reached
+      return { success: false, error: error.message, retryable: true };
     }
   }
 
@@ -758,17 +820,32 @@ export class ResponseTrackingSystem {
     });
   }
 
+  async scheduleFollowupExecution(followup) {
+    await scheduleJob({
+      id: `followup_${followup.id}`,
+      type: JOB_TYPES.FOLLOWUP,
+      runAt: followup.scheduledFor,
+      payload: { followupId: followup.id },
+      label: `Follow-up: ${followup.type}`
+    });
+  }
+
   async cancelPendingFollowups(conversationId) {
     const conversation = this.conversations.get(conversationId);
     if (!conversation) return;
 
-    conversation.followups.forEach(followup => {
-      if (followup.status === FOLLOWUP_STATUS.SCHEDULED) {
-        followup.status = FOLLOWUP_STATUS.CANCELLED;
-      }
+    const cancelled = conversation.followups.filter(
+      followup => followup.status === FOLLOWUP_STATUS.SCHEDULED
+    );
+    cancelled.forEach(followup => {
+      followup.status = FOLLOWUP_STATUS.CANCELLED;
     });
 
     await this.saveConversations();
+
+    for (const followup of cancelled) {
+      await cancelJob(`followup_${followup.id}`);
+    }
   }
 
   calculateConversationResponseRate(conversation) {
@@ -787,14 +864,17 @@ export class ResponseTrackingSystem {
   }
 
   async saveConversations() {
-    const conversations = Object.fromEntries(this.conversations);
+    const conversations = await encryptRecordFields(
+      STORAGE_KEYS.CONVERSATIONS,
+      Object.fromEntries(this.conversations)
+    );
     await setStorageData({ [STORAGE_KEYS.CONVERSATIONS]: conversations });
   }
 
   async loadConversations() {
     try {
       const result = await getStorageData(STORAGE_KEYS.CONVERSATIONS);
-      const conversations = result.conversations || {};
+      const conversations = await decryptRecordFields(result.conversations || {});
 
       Object.entries(conversations).forEach(([id, conversation]) => {
         this.conversations.set(id, conversation);
@@ -840,17 +920,151 @@ export class ResponseTrackingSystem {
     }
   }
 
-  startResponseDetector() {
-    // Start periodic checking for new responses
-    setInterval(() => {
-      this.scanForNewResponses();
-    }, 5 * 60 * 1000); // Check every 5 minutes
+  async startResponseDetector() {
+    // The service worker's job runner scans even after suspension
+    await ensureJob({
+      id: 'response_scan',
+      type: JOB_TYPES.RESPONSE_SCAN,
+      runAt: Date.now() + RESPONSE_SCAN_INTERVAL * 60 * 1000,
+      intervalMinutes: RESPONSE_SCAN_INTERVAL,
+      label: 'Scan for new responses'
+    });
+  }
+
+  /**
+   * Scan the inbox for replies to tracked conversations. Only threads that
+   * changed since the last scan are opened, and each inbound message is fed
+   * to detectResponse once.
+   * @param {Object} inbox - Inbox reader
+   * @param {Function} inbox.listThreads - Resolves with the threads of the messaging list
+   * @param {Function} inbox.readThread - Resolves with a listed thread's participant and messages
+   * @returns {Promise<Object>} Threads listed and opened, and the responses detected
+   * @throws {VaultLockedError} While the vault is locked, as threads are matched
+   *   on sealed names and profile URLs
+   */
+  async scanForNewResponses(inbox) {
+    if (!(await this.openConversations())) {
+      throw new VaultLockedError('Vault is locked; the inbox is scanned once it is unlocked');
+    }
+
+    const state = await getInboxState();
+    const threads = await inbox.listThreads();
+    const responses = [];
+    let opened = 0;
+
+    for (const thread of threads) {
+      const seen = state[thread.threadId] || null;
+      const candidates = this.findThreadConversations(thread, seen);
+
+      if (candidates.length === 0 || opened >= MAX_THREADS_PER_SCAN) {
+        continue;
+      }
+      // Unchanged threads are skipped, unless they turned unread since
+      if (seen && seen.signature === thread.signature && (!thread.unread || seen.unread)) {
+        continue;
+      }
+
+      opened++;
+      const details = await inbox.readThread(thread);
+
+      // Names are not unique, so the thread's profile link has the last word
+      const conversation = candidates.find(candidate =>
+        this.matchesProfile(candidate, details.participant.profileSlug)
+      );
+      if (!conversation) {
+        await updateThreadState(thread.threadId, {
+          conversationId: null,
+          profileSlug: details.participant.profileSlug,
+          signature: thread.signature,
+          unread: thread.unread
+        });
+        continue;
+      }
+
+      const processed = new Set(seen ? seen.processedMessageIds : []);
+      const since = Math.max(conversation.startedAt, (seen && seen.lastMessageAt) || 0);
+      const fresh = details.messages.filter(
+        message => message.inbound && !processed.has(message.id) && message.timestamp >= since
+      );
+
+      for (const message of fresh) {
+        responses.push(
+          await this.detectResponse({
+            profileId: conversation.profileId,
+            profileName: conversation.profileName,
+            profileUrl: conversation.profileUrl,
+            content: message.content,
+            timestamp: message.timestamp,
+            read: !thread.unread
+          })
+        );
+      }
+
+      const last = details.messages[details.messages.length - 1];
+      await updateThreadState(thread.threadId, {
+        conversationId: conversation.id,
+        profileSlug: details.participant.profileSlug,
+        signature: thread.signature,
+        unread: thread.unread,
+        lastSeenAt: Date.now(),
+        lastMessageAt: last ? last.timestamp : (seen && seen.lastMessageAt) || null,
+        processedMessageIds: details.messages.map(message => message.id)
+      });
+    }
+
+    return { listed: threads.length, opened, responses };
+  }
+
+  /**
+   * Decrypt conversations loaded while the vault was locked. Conversations are
+   * updated in place, so references held elsewhere stay valid.
+   * @returns {Promise<boolean>} False while the vault is locked
+   */
+  async openConversations() {
+    if (await areRecordFieldsSealed()) {
+      return false;
+    }
+
+    for (const conversation of this.conversations.values()) {
+      Object.assign(conversation, await decryptRecordFields(conversation));
+    }
+    return true;
+  }
+
+  // Conversations a thread may belong to: the one it was matched to, those of
+  // the profile it was read with before, or else every one with its name
+  findThreadConversations(thread, seen) {
+    if (seen && seen.conversationId) {
+      const conversation = this.conversations.get(seen.conversationId);
+      return conversation ? [conversation] : [];
+    }
+
+    const conversations = Array.from(this.conversations.values());
+    if (seen && seen.profileSlug) {
+      return conversations.filter(conversation =>
+        this.matchesProfile(conversation, seen.profileSlug)
+      );
+    }
+
+    const normalized = (thread.name || '').trim().toLowerCase();
+    if (!normalized) {
+      return [];
+    }
+
+    return conversations.filter(
+      conversation => fieldText(conversation.profileName).trim().toLowerCase() === normalized
+    );
   }
 
-  async scanForNewResponses() {
-    // This would scan LinkedIn for new messages
-    // Implementation would depend on LinkedIn's DOM structure
-    console.log('Scanning for new responses...');
+  matchesProfile(conversation, profileSlug) {
+    if (!profileSlug) {
+      return false;
+    }
+
+    return (
+      getRecordProfileSlug(conversation) === profileSlug ||
+      String(conversation.profileId).toLowerCase() === profileSlug
+    );
   }
 }
 
@@ -1,6 +1,6 @@
 // Safety and Compliance Features for LinkedIn Automation
 
-import { getStorageData, setStorageData, STORAGE_KEYS } from './storage.js';
+import { getStorageData, setStorageData, appendStorageRecords, STORAGE_KEYS } from './storage.js';
 
 /**
  * Default safety settings
@@ -8,6 +8,8 @@ import { getStorageData, setStorageData, STORAGE_KEYS } from './storage.js';
 const DEFAULT_SAFETY_SETTINGS = {
   dailyConnectionLimit: 20,
   hourlyConnectionLimit: 5,
+  dailyWithdrawalLimit: 20,
+  hourlyWithdrawalLimit: 10,
   delayBetweenRequests: {
     min: 3000, // 3 seconds
     max: 8000  // 8 seconds
@@ -40,73 +42,41 @@ class RateLimitTracker {
   async checkRateLimit() {
     try {
       const settings = await getSafetySettings();
-      const now = Date.now();
-      const todayStart = new Date().setHours(0, 0, 0, 0);
-      const hourAgo = now - (60 * 60 * 1000);
-
-      // Get recent activity from storage
-      const analytics = await getStorageData(STORAGE_KEYS.ANALYTICS);
-      const recentActivity = analytics.analytics || [];
-
-      // Filter connection attempts
-      const todayConnections = recentActivity.filter(entry =>
-        entry.type === 'connection_sent' &&
-        entry.timestamp >= todayStart
-      );
-
-      const hourlyConnections = recentActivity.filter(entry =>
-        entry.type === 'connection_sent' &&
-        entry.timestamp >= hourAgo
-      );
-
-      // Check daily limit
-      if (todayConnections.length >= settings.dailyConnectionLimit) {
-        return {
-          allowed: false,
-          reason: 'DAILY_LIMIT_EXCEEDED',
-          message: `Daily limit of ${settings.dailyConnectionLimit} connections reached`,
-          waitUntil: todayStart + (24 * 60 * 60 * 1000)
-        };
-      }
 
-      // Check hourly limit
-      if (hourlyConnections.length >= settings.hourlyConnectionLimit) {
-        return {
-          allowed: false,
-          reason: 'HOURLY_LIMIT_EXCEEDED',
-          message: `Hourly limit of ${settings.hourlyConnectionLimit} connections reached`,
-          waitUntil: hourAgo + (60 * 60 * 1000)
-        };
-      }
-
-      // Check working hours
-      if (settings.workingHours.enabled && !isWithinWorkingHours(settings.workingHours)) {
-        return {
-          allowed: false,
-          reason: 'OUTSIDE_WORKING_HOURS',
-          message: 'Outside configured working hours',
-          waitUntil: getNextWorkingHourStart(settings.workingHours)
-        };
-      }
-
-      // Check weekend mode
-      if (!settings.weekendMode && isWeekend()) {
-        return {
-          allowed: false,
-          reason: 'WEEKEND_MODE_DISABLED',
-          message: 'Weekend automation is disabled',
-          waitUntil: getNextWeekdayStart()
-        };
-      }
+      return await checkActionLimits(settings, {
+        eventType: 'connection_sent',
+        dailyLimit: settings.dailyConnectionLimit,
+        hourlyLimit: settings.hourlyConnectionLimit,
+        label: 'connections'
+      });
 
+    } catch (error) {
+      console.error('Error checking rate limit:', error);
       return {
-        allowed: true,
-        remainingDaily: settings.dailyConnectionLimit - todayConnections.length,
-        remainingHourly: settings.hourlyConnectionLimit - hourlyConnections.length
+        allowed: false,
+        reason: 'ERROR',
+        message: 'Unable to check rate limits'
       };
+    }
+  }
+
+  /**
+   * Check if withdrawing a sent invitation is allowed. Withdrawals have their
+   * own daily and hourly limits but share working hours and weekend mode.
+   * @returns {Promise<Object>} Rate limit check result
+   */
+  async checkWithdrawalLimit() {
+    try {
+      const settings = await getSafetySettings();
 
+      return await checkActionLimits(settings, {
+        eventType: 'invitation_withdrawn',
+        dailyLimit: settings.dailyWithdrawalLimit,
+        hourlyLimit: settings.hourlyWithdrawalLimit,
+        label: 'withdrawals'
+      });
     } catch (error) {
-      console.error('Error checking rate limit:', error);
+      console.error('Error checking withdrawal limit:', error);
       return {
         allowed: false,
         reason: 'ERROR',
@@ -381,6 +351,76 @@ async function checkLinkedInCompliance() {
   }
 }
 
+/**
+ * Check an automated action against its daily and hourly limits, working
+ * hours and weekend mode
+ * @param {Object} settings - Safety settings
+ * @param {Object} limits - Limits of the action
+ * @param {string} limits.eventType - Analytics event recorded for each action
+ * @param {number} limits.dailyLimit - Actions allowed per day
+ * @param {number} limits.hourlyLimit - Actions allowed per hour
+ * @param {string} limits.label - Plural noun used in messages
+ * @returns {Promise<Object>} Rate limit check result
+ */
+async function checkActionLimits(settings, { eventType, dailyLimit, hourlyLimit, label }) {
+  const now = Date.now();
+  const todayStart = new Date().setHours(0, 0, 0, 0);
+  const hourAgo = now - 60 * 60 * 1000;
+
+  // Get recent activity from storage
+  const analytics = await getStorageData(STORAGE_KEYS.ANALYTICS);
+  const recentActivity = (analytics.analytics || []).filter(entry => entry.type === eventType);
+
+  const todayActions = recentActivity.filter(entry => entry.timestamp >= todayStart);
+  const hourlyActions = recentActivity.filter(entry => entry.timestamp >= hourAgo);
+
+  // Check daily limit
+  if (todayActions.length >= dailyLimit) {
+    return {
+      allowed: false,
+      reason: 'DAILY_LIMIT_EXCEEDED',
+      message: `Daily limit of ${dailyLimit} ${label} reached`,
+      waitUntil: todayStart + 24 * 60 * 60 * 1000
+    };
+  }
+
+  // Check hourly limit
+  if (hourlyActions.length >= hourlyLimit) {
+    return {
+      allowed: false,
+      reason: 'HOURLY_LIMIT_EXCEEDED',
+      message: `Hourly limit of ${hourlyLimit} ${label} reached`,
+      waitUntil: hourAgo + 60 * 60 * 1000
+    };
+  }
+
+  // Check working hours
+  if (settings.workingHours.enabled && !isWithinWorkingHours(settings.workingHours)) {
+    return {
+      allowed: false,
+      reason: 'OUTSIDE_WORKING_HOURS',
+      message: 'Outside configured working hours',
+      waitUntil: getNextWorkingHourStart(settings.workingHours)
+    };
+  }
+
+  // Check weekend mode
+  if (!settings.weekendMode && isWeekend()) {
+    return {
+      allowed: false,
+      reason: 'WEEKEND_MODE_DISABLED',
+      message: 'Weekend automation is disabled',
+      waitUntil: getNextWeekdayStart()
+    };
+  }
+
+  return {
+    allowed: true,
+    remainingDaily: dailyLimit - todayActions.length,
+    remainingHourly: hourlyLimit - hourlyActions.length
+  };
+}
+
 /**
  * Check if current time is within working hours
  * @param {Object} workingHours - Working hours configuration
@@ -477,16 +517,13 @@ export async function emergencyStopAutomation(reason) {
     await updateSafetySettings(updatedSettings);
 
     // Log the emergency stop
-    const analytics = await getStorageData(STORAGE_KEYS.ANALYTICS);
-    const analyticsData = analytics.analytics || [];
-
-    analyticsData.push({
-      type: 'emergency_stop',
-      reason: reason,
-      timestamp: Date.now()
-    });
-
-    await setStorageData({ [STORAGE_KEYS.ANALYTICS]: analyticsData });
+    await appendStorageRecords(STORAGE_KEYS.ANALYTICS, [
+      {
+        type: 'emergency_stop',
+        reason: reason,
+        timestamp: Date.now()
+      }
+    ]);
 
   } catch (error) {
     console.error('Error performing emergency stop:', error);
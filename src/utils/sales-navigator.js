@@ -0,0 +1,204 @@
+// Sales Navigator Support
+// Reads leads from Sales Navigator search results and lead lists into the
+// profile shape of regular people search, and connects with or saves them
+
+import { querySelector, querySelectorAll, waitForSelector } from './selector-registry.js';
+import { detectLinkedInPageType } from './linkedin.js';
+import { dismissDialog } from './linkedin-automation.js';
+
+export const SALES_NAVIGATOR_SOURCE = 'sales-navigator';
+
+export const SALES_NAVIGATOR_PAGES = ['sales-search', 'sales-lead-list'];
+
+const LEAD_URL = 'https://www.linkedin.com/sales/lead/';
+const ACTION_TIMEOUT = 3000;
+
+/**
+ * Check whether a page type is a Sales Navigator page with leads
+ * @param {string} pageType - Page type, defaults to the current page's
+ * @returns {boolean} True on Sales Navigator search results and lead lists
+ */
+export function isSalesNavigatorPage(pageType = detectLinkedInPageType()) {
+  return SALES_NAVIGATOR_PAGES.includes(pageType);
+}
+
+/**
+ * Get the ID of a Sales Navigator lead from its lead page URL
+ * @param {string} url - Lead URL, e.g. /sales/lead/ACwAAB123,NAME_SEARCH,x1Y2
+ * @returns {string|null} Lead ID
+ */
+export function getSalesLeadId(url) {
+  const match = (url || '').match(/\/sales\/lead\/([^,/?#]+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Extract a lead from a Sales Navigator search result or lead list row
+ * @param {Element} element - Lead element
+ * @returns {Object|null} Profile in the shape of extractProfileFromSearchResult,
+ *   plus the lead's company, degree, saved state and source
+ */
+export function extractSalesLead(element) {
+  try {
+    const link = querySelector('salesLeadLink', { root: element });
+    const salesLeadId = link ? getSalesLeadId(link.getAttribute('href')) : null;
+
+    if (!salesLeadId) {
+      return null;
+    }
+
+    const degree = getText(querySelector('salesLeadDegree', { root: element })).match(/\d/);
+    const saveButton = querySelector('salesLeadSaveButton', { root: element });
+
+    return {
+      name: getText(querySelector('salesLeadName', { root: element })) || getText(link) || null,
+      title: getText(querySelector('salesLeadTitle', { root: element })) || null,
+      company: getText(querySelector('salesLeadCompany', { root: element })) || null,
+      location: getText(querySelector('salesLeadLocation', { root: element })) || null,
+      profileUrl: `${LEAD_URL}${salesLeadId}`,
+      salesLeadId,
+      degree: degree ? Number(degree[0]) : null,
+      // Lead lists only hold saved leads
+      saved:
+        detectLinkedInPageType() === 'sales-lead-list' ||
+        (!!saveButton && /saved/i.test(saveButton.textContent)),
+      canConnect: !degree || degree[0] !== '1',
+      source: SALES_NAVIGATOR_SOURCE,
+      element,
+      index: Array.from(element.parentElement?.children || []).indexOf(element)
+    };
+  } catch (error) {
+    console.error('Error extracting Sales Navigator lead:', error);
+    return null;
+  }
+}
+
+/**
+ * Send a connection request to a lead through its overflow menu
+ * @param {Object} profile - Lead from extractSalesLead
+ * @param {string} customMessage - Optional note
+ * @param {Object} options - Request options
+ * @param {boolean} options.dryRun - Close the dialog instead of clicking Send
+ * @returns {Promise<Object>} Result in the shape of sendConnectionRequest
+ */
+export async function sendSalesConnectionRequest(profile, customMessage = null, options = {}) {
+  try {
+    const element = findLeadElement(profile);
+    const menuButton = element && querySelector('salesLeadActionsButton', { root: element });
+
+    if (!menuButton) {
+      return { success: false, error: 'Lead actions not found', reason: 'NO_CONNECT_BUTTON' };
+    }
+
+    menuButton.click();
+
+    const connectItem = await waitForSelector('salesConnectMenuItem', { timeout: ACTION_TIMEOUT });
+    if (!connectItem) {
+      return {
+        success: false,
+        error: 'Cannot connect - already connected or pending',
+        reason: 'ALREADY_CONNECTED'
+      };
+    }
+
+    connectItem.click();
+
+    if (customMessage) {
+      const note = await waitForSelector('salesConnectNote', { timeout: ACTION_TIMEOUT });
+      if (!note) {
+        return { success: false, error: 'Failed to add custom message', reason: 'MESSAGE_FAILED' };
+      }
+
+      note.value = customMessage;
+      note.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    const sendButton = await waitForSelector('salesConnectSendButton', {
+      timeout: ACTION_TIMEOUT,
+      filter: button => !button.disabled
+    });
+    if (options.dryRun) {
+      dismissDialog();
+    } else if (sendButton) {
+      sendButton.click();
+    }
+
+    return {
+      success: !!sendButton,
+      dryRun: !!options.dryRun,
+      timestamp: Date.now(),
+      hasCustomMessage: !!customMessage,
+      profileUrl: profile.profileUrl
+    };
+  } catch (error) {
+    console.error('Error sending Sales Navigator connection request:', error);
+    return { success: false, error: error.message, reason: 'EXCEPTION' };
+  }
+}
+
+/**
+ * Save a lead from Sales Navigator search results, optionally to a lead list
+ * @param {Object} profile - Lead from extractSalesLead, or `{ profileUrl }`
+ * @param {string} listName - Lead list to save to; the default list when omitted
+ * @returns {Promise<Object>} `success`, and whether the lead was `alreadySaved`
+ */
+export async function saveSalesLead(profile, listName = null) {
+  try {
+    const element = findLeadElement(profile);
+    const saveButton = element && querySelector('salesLeadSaveButton', { root: element });
+
+    if (!saveButton) {
+      return { success: false, error: 'Save button not found', reason: 'NO_SAVE_BUTTON' };
+    }
+    if (/saved/i.test(saveButton.textContent) && !listName) {
+      return { success: true, alreadySaved: true, profileUrl: profile.profileUrl };
+    }
+
+    saveButton.click();
+
+    if (listName) {
+      const option = await waitForSelector('salesListOption', {
+        timeout: ACTION_TIMEOUT,
+        filter: item => getText(item).toLowerCase() === listName.toLowerCase()
+      });
+      if (!option) {
+        return { success: false, error: `No lead list named ${listName}`, reason: 'NO_LEAD_LIST' };
+      }
+      option.click();
+    }
+
+    const saved = await waitForSelector('salesLeadSaveButton', {
+      root: element,
+      timeout: ACTION_TIMEOUT,
+      filter: button => /saved/i.test(button.textContent)
+    });
+
+    return saved
+      ? { success: true, alreadySaved: false, profileUrl: profile.profileUrl }
+      : { success: false, error: 'The lead was not saved', reason: 'NOT_SAVED' };
+  } catch (error) {
+    console.error('Error saving Sales Navigator lead:', error);
+    return { success: false, error: error.message, reason: 'EXCEPTION' };
+  }
+}
+
+// Helper Functions
+
+// The element of an extracted lead, or the lead on the page with the same ID
+function findLeadElement(profile) {
+  if (profile.element && profile.element.isConnected) {
+    return profile.element;
+  }
+
+  const salesLeadId = profile.salesLeadId || getSalesLeadId(profile.profileUrl);
+  return (
+    querySelectorAll('salesLead').find(element => {
+      const link = querySelector('salesLeadLink', { root: element });
+      return link && getSalesLeadId(link.getAttribute('href')) === salesLeadId;
+    }) || null
+  );
+}
+
+function getText(element) {
+  return element ? (element.textContent || '').replace(/\s+/g, ' ').trim() : '';
+}
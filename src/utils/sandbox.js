@@ -0,0 +1,68 @@
+// Sandbox Mode
+// Points the extension at the mock LinkedIn site bundled under sandbox/
+// instead of linkedin.com, so it can be demoed and learned without a
+// LinkedIn account
+
+import { getSettings } from './storage.js';
+
+export const SANDBOX_PAGE = 'sandbox/index.html';
+
+const LINKEDIN_ORIGIN = 'https://www.linkedin.com';
+
+/**
+ * Check whether sandbox mode is on
+ * @returns {Promise<boolean>} True if pages should open in the sandbox
+ */
+export async function isSandboxMode() {
+  const settings = await getSettings();
+  return settings.sandboxMode === true;
+}
+
+/**
+ * Get the sandbox page that shows the mock of a LinkedIn URL
+ * @param {string} url - LinkedIn URL or path
+ * @returns {string} Extension URL of the sandbox page
+ */
+export function toSandboxUrl(url) {
+  const { pathname, search } = new URL(url, LINKEDIN_ORIGIN);
+  return `${chrome.runtime.getURL(SANDBOX_PAGE)}?path=${encodeURIComponent(pathname + search)}`;
+}
+
+/**
+ * Get the LinkedIn URL a sandbox page stands for
+ * @param {string} url - Sandbox page URL
+ * @returns {string} LinkedIn URL, the feed when the page names none
+ */
+export function fromSandboxUrl(url) {
+  const path = new URL(url).searchParams.get('path') || '/feed/';
+  return new URL(path, LINKEDIN_ORIGIN).href;
+}
+
+/**
+ * Check whether a URL is a sandbox page
+ * @param {string} url - URL to check
+ * @returns {boolean} True for pages of the mock site
+ */
+export function isSandboxUrl(url) {
+  return !!url && url.startsWith(chrome.runtime.getURL(SANDBOX_PAGE));
+}
+
+/**
+ * Get the URL to open for a LinkedIn URL: itself, or its sandbox page while
+ * sandbox mode is on
+ * @param {string} url - LinkedIn URL
+ * @returns {Promise<string>} URL to open
+ */
+export async function resolveLinkedInUrl(url) {
+  return (await isSandboxMode()) ? toSandboxUrl(url) : url;
+}
+
+/**
+ * Get the URL to navigate the current page to for a LinkedIn URL. Sandbox
+ * pages only ever navigate to other sandbox pages.
+ * @param {string} url - LinkedIn URL
+ * @returns {string} URL to navigate to
+ */
+export function getNavigationUrl(url) {
+  return isSandboxUrl(window.location.href) ? toSandboxUrl(url) : url;
+}
@@ -9,6 +9,8 @@ import { getStorageData, setStorageData, STORAGE_KEYS } from './storage.js';
 const DEFAULT_SEARCH_PROFILE = {
   name: 'New Search Profile',
   description: '',
+  // Sales Navigator search or lead list URL, used instead of the criteria
+  salesNavigatorUrl: null,
   criteria: {
     keywords: '',
     location: '',
@@ -319,11 +321,16 @@ export async function executeSearchProfile(profileOrId) {
 }
 
 /**
- * Build LinkedIn search URL from profile criteria
+ * Build LinkedIn search URL from profile criteria, or use the profile's
+ * Sales Navigator URL
  * @param {Object} profile - Search profile
  * @returns {string} LinkedIn search URL
  */
 export function buildLinkedInSearchUrl(profile) {
+  if (profile.salesNavigatorUrl) {
+    return profile.salesNavigatorUrl;
+  }
+
   const baseUrl = 'https://www.linkedin.com/search/results/people/';
   const params = new URLSearchParams();
 
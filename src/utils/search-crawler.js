@@ -0,0 +1,275 @@
+// Search Crawler
+// Walks the result pages of a saved search profile with a persisted cursor,
+// so a crawl survives tab reloads and picks up at the profile it stopped on
+
+import { getStorageData, updateStorage, STORAGE_KEYS } from './storage.js';
+import { getSearchProfileById, buildLinkedInSearchUrl } from './saved-search-profiles.js';
+import { getProfileSlug } from './linkedin.js';
+
+/**
+ * Crawl status types
+ */
+export const CRAWL_STATUS = {
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  COMPLETED: 'completed'
+};
+
+/**
+ * Why a crawl finished
+ */
+export const CRAWL_END_REASONS = {
+  NO_MORE_PAGES: 'no_more_pages',
+  PAGE_CAP: 'page_cap',
+  PROFILE_CAP: 'profile_cap'
+};
+
+export const DEFAULT_CRAWL_LIMITS = {
+  maxPages: 10,
+  maxProfiles: 100
+};
+
+/**
+ * Get all crawls, most recently updated first
+ * @returns {Promise<Array>} Crawls
+ */
+export async function getSearchCrawls() {
+  try {
+    const result = await getStorageData(STORAGE_KEYS.SEARCH_CRAWLS);
+    return Object.values(result.search_crawls || {}).sort((a, b) => b.updatedAt - a.updatedAt);
+  } catch (error) {
+    console.error('Error getting search crawls:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the crawl of a saved search profile
+ * @param {string} searchProfileId - Saved search profile ID
+ * @returns {Promise<Object|null>} Crawl or null
+ */
+export async function getSearchCrawl(searchProfileId) {
+  const result = await getStorageData(STORAGE_KEYS.SEARCH_CRAWLS);
+  return (result.search_crawls || {})[searchProfileId] || null;
+}
+
+/**
+ * Start crawling a saved search profile from its first page, replacing any
+ * earlier crawl of the same profile
+ * @param {string} searchProfileId - Saved search profile ID
+ * @param {Object} limits - Crawl caps
+ * @param {number} limits.maxPages - Stop after this many result pages
+ * @param {number} limits.maxProfiles - Stop after processing this many profiles
+ * @returns {Promise<Object>} Started crawl; open `crawl.pageUrl` to begin
+ */
+export async function startSearchCrawl(searchProfileId, limits = {}) {
+  const searchProfile = await getSearchProfileById(searchProfileId);
+
+  if (!searchProfile) {
+    throw new Error(`Search profile with ID ${searchProfileId} not found`);
+  }
+
+  const now = Date.now();
+  const searchUrl = buildLinkedInSearchUrl(searchProfile);
+  const crawl = {
+    id: searchProfileId,
+    name: searchProfile.name,
+    searchUrl,
+    page: 1,
+    pageUrl: buildPageUrl(searchUrl, 1),
+    lastProcessedProfile: null,
+    processedProfiles: [],
+    pagesVisited: 0,
+    maxPages: limits.maxPages || DEFAULT_CRAWL_LIMITS.maxPages,
+    maxProfiles: limits.maxProfiles || DEFAULT_CRAWL_LIMITS.maxProfiles,
+    status: CRAWL_STATUS.RUNNING,
+    endReason: null,
+    startedAt: now,
+    updatedAt: now,
+    completedAt: null
+  };
+
+  await updateStorage(STORAGE_KEYS.SEARCH_CRAWLS, crawls => ({
+    ...(crawls || {}),
+    [searchProfileId]: crawl
+  }));
+
+  return crawl;
+}
+
+/**
+ * Pause a running crawl, keeping its cursor
+ * @param {string} searchProfileId - Saved search profile ID
+ * @returns {Promise<Object|null>} Paused crawl, or null if it was not running
+ */
+export function pauseSearchCrawl(searchProfileId) {
+  return updateCrawl(searchProfileId, crawl =>
+    crawl.status === CRAWL_STATUS.RUNNING ? { status: CRAWL_STATUS.PAUSED } : null
+  );
+}
+
+/**
+ * Resume a paused crawl at its cursor
+ * @param {string} searchProfileId - Saved search profile ID
+ * @returns {Promise<Object|null>} Resumed crawl; open `crawl.pageUrl` to continue
+ */
+export function resumeSearchCrawl(searchProfileId) {
+  return updateCrawl(searchProfileId, crawl =>
+    crawl.status === CRAWL_STATUS.PAUSED ? { status: CRAWL_STATUS.RUNNING } : null
+  );
+}
+
+/**
+ * Find the running crawl a search page belongs to
+ * @param {string} url - Search page URL
+ * @returns {Promise<Object|null>} Running crawl whose cursor is on this page
+ */
+export async function findCrawlForPage(url) {
+  const pageKey = getPageKey(url);
+  const crawls = await getSearchCrawls();
+
+  return (
+    crawls.find(
+      crawl => crawl.status === CRAWL_STATUS.RUNNING && getPageKey(crawl.pageUrl) === pageKey
+    ) || null
+  );
+}
+
+/**
+ * Pick the profiles of the current page that the crawl still has to process:
+ * those after the last processed profile, not seen on earlier pages, up to the
+ * profile cap
+ * @param {Object} crawl - Crawl
+ * @param {Array} profiles - Profiles extracted from the page, in page order
+ * @returns {Array} Profiles to process
+ */
+export function getPendingProfiles(crawl, profiles) {
+  const lastIndex = crawl.lastProcessedProfile
+    ? profiles.findIndex(profile => getProfileKey(profile) === crawl.lastProcessedProfile)
+    : -1;
+  const processed = new Set(crawl.processedProfiles);
+  const remaining = Math.max(crawl.maxProfiles - crawl.processedProfiles.length, 0);
+
+  return profiles
+    .slice(lastIndex + 1)
+    .filter(profile => !processed.has(getProfileKey(profile)))
+    .slice(0, remaining);
+}
+
+/**
+ * Move the cursor past a processed profile
+ * @param {string} searchProfileId - Saved search profile ID
+ * @param {Object} profile - Processed profile
+ * @returns {Promise<Object|null>} Updated crawl, completed once the profile cap is hit;
+ *   null if the crawl already completed
+ */
+export function recordProcessedProfile(searchProfileId, profile) {
+  const key = getProfileKey(profile);
+
+  return updateCrawl(searchProfileId, crawl => {
+    // A crawl paused mid-page still records the profile that was in flight
+    if (crawl.status === CRAWL_STATUS.COMPLETED) {
+      return null;
+    }
+
+    const processedProfiles = crawl.processedProfiles.includes(key)
+      ? crawl.processedProfiles
+      : [...crawl.processedProfiles, key];
+    const changes = { processedProfiles, lastProcessedProfile: key };
+
+    return processedProfiles.length >= crawl.maxProfiles
+      ? { ...changes, ...completion(CRAWL_END_REASONS.PROFILE_CAP) }
+      : changes;
+  });
+}
+
+/**
+ * Move the cursor to the next result page
+ * @param {string} searchProfileId - Saved search profile ID
+ * @param {Object} pageInfo - What the finished page showed
+ * @param {boolean} pageInfo.hasNextPage - Whether LinkedIn offers another page
+ * @returns {Promise<Object|null>} Updated crawl, open `crawl.pageUrl` unless it completed;
+ *   null if the crawl is not running
+ */
+export function advanceSearchCrawl(searchProfileId, { hasNextPage }) {
+  return updateCrawl(searchProfileId, crawl => {
+    if (crawl.status !== CRAWL_STATUS.RUNNING) {
+      return null;
+    }
+
+    const pagesVisited = crawl.pagesVisited + 1;
+
+    if (!hasNextPage) {
+      return { pagesVisited, ...completion(CRAWL_END_REASONS.NO_MORE_PAGES) };
+    }
+    if (pagesVisited >= crawl.maxPages) {
+      return { pagesVisited, ...completion(CRAWL_END_REASONS.PAGE_CAP) };
+    }
+
+    return {
+      pagesVisited,
+      page: crawl.page + 1,
+      pageUrl: buildPageUrl(crawl.searchUrl, crawl.page + 1),
+      lastProcessedProfile: null
+    };
+  });
+}
+
+/**
+ * Build the URL of a result page
+ * @param {string} searchUrl - Search URL
+ * @param {number} page - 1-based page number
+ * @returns {string} Page URL
+ */
+export function buildPageUrl(searchUrl, page) {
+  const url = new URL(searchUrl);
+  if (page > 1) {
+    url.searchParams.set('page', String(page));
+  } else {
+    url.searchParams.delete('page');
+  }
+  return url.toString();
+}
+
+// Helper Functions
+
+// changes() returns the fields to update, or null to leave the crawl as it is
+async function updateCrawl(searchProfileId, changes) {
+  let updated = null;
+
+  await updateStorage(STORAGE_KEYS.SEARCH_CRAWLS, crawls => {
+    const crawl = (crawls || {})[searchProfileId];
+    const update = crawl && changes(crawl);
+
+    if (!update) {
+      return undefined;
+    }
+
+    updated = { ...crawl, ...update, updatedAt: Date.now() };
+    return { ...crawls, [searchProfileId]: updated };
+  });
+
+  return updated;
+}
+
+function completion(endReason) {
+  return { status: CRAWL_STATUS.COMPLETED, endReason, completedAt: Date.now() };
+}
+
+// Profiles are keyed by their /in/ slug
+function getProfileKey(profile) {
+  return getProfileSlug(profile.profileUrl) || profile.profileUrl || profile.name;
+}
+
+function getPageKey(url) {
+  try {
+    const parsed = new URL(url);
+    const params = new URLSearchParams(parsed.search);
+    const page = params.get('page') || '1';
+    params.delete('page');
+    params.sort();
+    return `${parsed.pathname}?${params.toString()}#${page}`;
+  } catch (error) {
+    return url;
+  }
+}
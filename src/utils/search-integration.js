@@ -2,18 +2,29 @@
 
 import { extractProfileFromSearchResult } from './linkedin-automation.js';
 import { trackEvent, ANALYTICS_EVENTS } from './analytics.js';
+import { querySelector, querySelectorAll } from './selector-registry.js';
+import { getLinkedInUrl } from './linkedin.js';
+import {
+  isSalesNavigatorPage,
+  extractSalesLead,
+  SALES_NAVIGATOR_SOURCE
+} from './sales-navigator.js';
 
 /**
- * Process LinkedIn search results for automation
+ * Process LinkedIn search results for automation. Sales Navigator search
+ * results and lead lists are read into the same profile shape.
  * @returns {Promise<Array>} Array of processable profiles
  */
 export async function processSearchResults() {
   try {
-    const searchResults = document.querySelectorAll('[data-control-name="search_srp_result"]');
+    const salesNavigator = isSalesNavigatorPage();
+    const searchResults = querySelectorAll(salesNavigator ? 'salesLead' : 'searchResult');
     const profiles = [];
 
     for (const resultElement of searchResults) {
-      const profile = extractProfileFromSearchResult(resultElement);
+      const profile = salesNavigator
+        ? extractSalesLead(resultElement)
+        : extractProfileFromSearchResult(resultElement);
       if (profile && profile.canConnect) {
         profiles.push(profile);
       }
@@ -22,7 +33,8 @@ export async function processSearchResults() {
     await trackEvent(ANALYTICS_EVENTS.SEARCH_PERFORMED, {
       resultsFound: searchResults.length,
       connectableProfiles: profiles.length,
-      searchUrl: window.location.href
+      searchUrl: getLinkedInUrl(),
+      source: salesNavigator ? SALES_NAVIGATOR_SOURCE : 'search'
     });
 
     return profiles;
@@ -37,7 +49,7 @@ export async function processSearchResults() {
  * @returns {Object} Search criteria object
  */
 export function extractSearchCriteria() {
-  const url = new URL(window.location.href);
+  const url = new URL(getLinkedInUrl());
   const params = url.searchParams;
 
   return {
@@ -56,8 +68,8 @@ export function extractSearchCriteria() {
  */
 export async function navigateToNextPage() {
   try {
-    const nextButton = document.querySelector('[aria-label="Next"]');
-    if (nextButton && !nextButton.disabled) {
+    const nextButton = findNextPageButton();
+    if (nextButton) {
       nextButton.click();
       return true;
     }
@@ -66,4 +78,12 @@ export async function navigateToNextPage() {
     console.error('Error navigating to next page:', error);
     return false;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Find the enabled next page button of search results
+ * @returns {Element|null} Next page button, or null on the last page
+ */
+export function findNextPageButton() {
+  return querySelector('nextPageButton', { filter: button => !button.disabled });
+}
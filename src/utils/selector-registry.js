@@ -0,0 +1,877 @@
+// Selector Registry for LinkedIn DOM Lookups
+// Every element the automation reads or clicks is looked up through an ordered
+// list of strategies, so a LinkedIn markup change degrades to a fallback
+// instead of silently breaking automation
+
+import { getUiLabels } from './ui-labels.js';
+
+/**
+ * Bump whenever strategies change, so self-test reports can be matched to the
+ * registry they were produced with
+ */
+export const SELECTOR_REGISTRY_VERSION = 9;
+
+export const SELECTOR_STRATEGIES = {
+  CSS: 'css',
+  ARIA: 'aria',
+  TEXT: 'text'
+};
+
+export const SELECTOR_HEALTH = {
+  OK: 'ok',
+  FALLBACK: 'fallback',
+  BROKEN: 'broken',
+  ABSENT: 'absent'
+};
+
+/**
+ * Registry entries, keyed by selector name. Each entry lists its strategies
+ * in the order they are tried:
+ * - css: `selector` passed to querySelectorAll
+ * - aria: elements with `role` (explicit or implied by the tag) whose
+ *   accessible name contains `label`
+ * - text: elements matching `selector` whose text contains `text`
+ * aria and text strategies may name a UI_LABELS entry in `uiLabel` instead of
+ * a `label` or `text`, to match it in the page's UI language.
+ * `scope` names the entry the lookup runs inside, `pages` the page types the
+ * self-test checks it on, and `optional` entries may legitimately be missing
+ * (e.g. no Connect button on a 1st-degree profile).
+ */
+export const SELECTORS = {
+  searchResult: {
+    description: 'People search result card',
+    pages: ['people-search'],
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: '[data-control-name="search_srp_result"]' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.reusable-search__result-container' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'li.entity-result, div.entity-result' }
+    ]
+  },
+  searchResultName: {
+    description: 'Profile link with the name in a search result',
+    scope: 'searchResult',
+    pages: ['people-search'],
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.entity-result__title-text a, .actor-name a' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.entity-result__title-line a[href*="/in/"]' },
+      { type: SELECTOR_STRATEGIES.ARIA, role: 'link', label: 'View' }
+    ]
+  },
+  searchResultTitle: {
+    description: 'Headline in a search result',
+    scope: 'searchResult',
+    pages: ['people-search'],
+    optional: true,
+    strategies: [
+      {
+        type: SELECTOR_STRATEGIES.CSS,
+        selector: '.entity-result__primary-subtitle, .subline-level-1'
+      }
+    ]
+  },
+  searchResultLocation: {
+    description: 'Location in a search result',
+    scope: 'searchResult',
+    pages: ['people-search'],
+    optional: true,
+    strategies: [
+      {
+        type: SELECTOR_STRATEGIES.CSS,
+        selector: '.entity-result__secondary-subtitle, .subline-level-2'
+      }
+    ]
+  },
+  searchResultConnectButton: {
+    description: 'Connect button in a search result',
+    scope: 'searchResult',
+    pages: ['people-search'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'button[aria-label*="Connect"]' },
+      { type: SELECTOR_STRATEGIES.ARIA, role: 'button', uiLabel: 'connect' },
+      { type: SELECTOR_STRATEGIES.TEXT, selector: 'button', uiLabel: 'connect' }
+    ]
+  },
+  nextPageButton: {
+    description: 'Next page button of search results, lead lists and sent invitations',
+    pages: ['people-search', 'sales-search', 'sales-lead-list', 'sent-invitations'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: '[aria-label="Next"]' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.artdeco-pagination__button--next' },
+      { type: SELECTOR_STRATEGIES.TEXT, selector: 'button', text: 'Next' }
+    ]
+  },
+  salesLead: {
+    description: 'Lead in Sales Navigator search results or a lead list',
+    pages: ['sales-search', 'sales-lead-list'],
+    strategies: [
+      {
+        type: SELECTOR_STRATEGIES.CSS,
+        selector: 'li.artdeco-list__item:has([data-x-search-result])'
+      },
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'tr.artdeco-models-table-row' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'li:has(a[href*="/sales/lead/"])' }
+    ]
+  },
+  salesLeadLink: {
+    description: 'Lead page link of a Sales Navigator lead',
+    scope: 'salesLead',
+    pages: ['sales-search', 'sales-lead-list'],
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'a[data-control-name*="lead_name"]' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'a[href*="/sales/lead/"]' }
+    ]
+  },
+  salesLeadName: {
+    description: 'Name of a Sales Navigator lead',
+    scope: 'salesLead',
+    pages: ['sales-search', 'sales-lead-list'],
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: '[data-anonymize="person-name"]' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.artdeco-entity-lockup__title' }
+    ]
+  },
+  salesLeadTitle: {
+    description: 'Job title of a Sales Navigator lead',
+    scope: 'salesLead',
+    pages: ['sales-search', 'sales-lead-list'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: '[data-anonymize="title"]' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.artdeco-entity-lockup__subtitle' }
+    ]
+  },
+  salesLeadCompany: {
+    description: 'Company of a Sales Navigator lead',
+    scope: 'salesLead',
+    pages: ['sales-search', 'sales-lead-list'],
+    optional: true,
+    strategies: [{ type: SELECTOR_STRATEGIES.CSS, selector: '[data-anonymize="company-name"]' }]
+  },
+  salesLeadLocation: {
+    description: 'Location of a Sales Navigator lead',
+    scope: 'salesLead',
+    pages: ['sales-search', 'sales-lead-list'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: '[data-anonymize="location"]' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.artdeco-entity-lockup__caption' }
+    ]
+  },
+  salesLeadDegree: {
+    description: 'Connection degree of a Sales Navigator lead',
+    scope: 'salesLead',
+    pages: ['sales-search', 'sales-lead-list'],
+    optional: true,
+    strategies: [{ type: SELECTOR_STRATEGIES.CSS, selector: '.artdeco-entity-lockup__degree' }]
+  },
+  salesLeadSaveButton: {
+    description: 'Save button of a Sales Navigator search result',
+    scope: 'salesLead',
+    pages: ['sales-search'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'button[data-x--lead-actions-bar-save-lead]' },
+      { type: SELECTOR_STRATEGIES.ARIA, role: 'button', label: 'Save' },
+      { type: SELECTOR_STRATEGIES.TEXT, selector: 'button', text: 'Save' }
+    ]
+  },
+  salesLeadActionsButton: {
+    description: 'Overflow menu button of a Sales Navigator lead',
+    scope: 'salesLead',
+    pages: ['sales-search', 'sales-lead-list'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'button[aria-label^="See more actions"]' },
+      { type: SELECTOR_STRATEGIES.ARIA, role: 'button', label: 'More actions' }
+    ]
+  },
+  salesListOption: {
+    description: 'Lead list in the Save to list dropdown',
+    pages: ['sales-search'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.artdeco-dropdown__content--is-open li button' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '[role="menu"] [role="menuitem"]' }
+    ]
+  },
+  salesConnectMenuItem: {
+    description: 'Connect item of a Sales Navigator lead overflow menu',
+    pages: ['sales-search', 'sales-lead-list'],
+    optional: true,
+    strategies: [
+      {
+        type: SELECTOR_STRATEGIES.TEXT,
+        selector: '.artdeco-dropdown__content--is-open li button',
+        uiLabel: 'connect'
+      },
+      {
+        type: SELECTOR_STRATEGIES.TEXT,
+        selector: '[role="menu"] [role="menuitem"]',
+        uiLabel: 'connect'
+      }
+    ]
+  },
+  salesConnectNote: {
+    description: 'Note field of the Sales Navigator connect dialog',
+    pages: ['sales-search', 'sales-lead-list'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'textarea#connect-cta-form__invitation' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '[role="dialog"] textarea' }
+    ]
+  },
+  salesConnectSendButton: {
+    description: 'Send button of the Sales Navigator connect dialog',
+    pages: ['sales-search', 'sales-lead-list'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'button.connect-cta-form__send' },
+      {
+        type: SELECTOR_STRATEGIES.TEXT,
+        selector: '[role="dialog"] button',
+        uiLabel: 'sendInvitation'
+      }
+    ]
+  },
+  profileName: {
+    description: 'Name on a profile',
+    pages: ['profile'],
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.text-heading-xlarge' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'h1.break-words' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'main h1' }
+    ]
+  },
+  profileHeadline: {
+    description: 'Headline on a profile',
+    pages: ['profile'],
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.text-body-medium.break-words' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.pv-text-details__left-panel h2' }
+    ]
+  },
+  profileLocation: {
+    description: 'Location on a profile',
+    pages: ['profile'],
+    optional: true,
+    strategies: [
+      {
+        type: SELECTOR_STRATEGIES.CSS,
+        selector: '.text-body-small.inline.t-black--light.break-words'
+      },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.pv-text-details__left-panel .t-black--light' }
+    ]
+  },
+  profileConnections: {
+    description: 'Connection count on a profile',
+    pages: ['profile'],
+    optional: true,
+    strategies: [
+      {
+        type: SELECTOR_STRATEGIES.TEXT,
+        selector: '.pv-top-card--list-bullet li',
+        text: 'connection'
+      },
+      { type: SELECTOR_STRATEGIES.TEXT, selector: 'main section li', text: 'connections' }
+    ]
+  },
+  profileMutualConnections: {
+    description: 'Mutual connections summary on a profile',
+    pages: ['profile'],
+    optional: true,
+    strategies: [
+      {
+        type: SELECTOR_STRATEGIES.TEXT,
+        selector: '.pv-top-card span[aria-hidden="true"]',
+        text: 'mutual connection'
+      },
+      {
+        type: SELECTOR_STRATEGIES.TEXT,
+        selector: 'main span[aria-hidden="true"]',
+        text: 'mutual connection'
+      }
+    ]
+  },
+  connectButton: {
+    description: 'Connect button on a profile',
+    pages: ['profile'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: '[aria-label*="Connect"]' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'button[data-control-name="connect"]' },
+      { type: SELECTOR_STRATEGIES.ARIA, role: 'button', uiLabel: 'connect' },
+      {
+        type: SELECTOR_STRATEGIES.TEXT,
+        selector: '.pv-s-profile-actions button',
+        uiLabel: 'connect'
+      },
+      { type: SELECTOR_STRATEGIES.TEXT, selector: '.artdeco-button--primary', uiLabel: 'connect' }
+    ]
+  },
+  addNoteButton: {
+    description: 'Add a note button of the connection request dialog',
+    pages: ['profile'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: '[aria-label*="Add a note"]' },
+      { type: SELECTOR_STRATEGIES.ARIA, role: 'button', uiLabel: 'addNote' },
+      { type: SELECTOR_STRATEGIES.TEXT, selector: '[role="dialog"] button', uiLabel: 'addNote' }
+    ]
+  },
+  connectionNoteField: {
+    description: 'Note field of the connection request dialog',
+    pages: ['profile'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'textarea[name="message"]' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'textarea#custom-message' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '[role="dialog"] textarea' }
+    ]
+  },
+  sendInvitationButton: {
+    description: 'Send button of the connection request dialog',
+    pages: ['profile'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: '[aria-label*="Send invitation"]' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'button[data-control-name="invite.send"]' },
+      // The primary button, not "Send without a note" next to it
+      {
+        type: SELECTOR_STRATEGIES.TEXT,
+        selector: '[role="dialog"] button.artdeco-button--primary',
+        uiLabel: 'sendInvitation'
+      }
+    ]
+  },
+  dialogDismissButton: {
+    description: 'Close button of the connection request dialog',
+    pages: ['profile', 'people-search', 'sales-search', 'sales-lead-list'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: '[role="dialog"] button.artdeco-modal__dismiss' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '[role="dialog"] button[aria-label="Dismiss"]' }
+    ]
+  },
+  companyPersonCard: {
+    description: 'Employee card on the People tab of a company page',
+    pages: ['company-people'],
+    strategies: [
+      {
+        type: SELECTOR_STRATEGIES.CSS,
+        selector: 'li.org-people-profile-card__profile-card-spacing'
+      },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.org-people-profile-card' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.scaffold-finite-scroll__content li' }
+    ]
+  },
+  eventAttendeeCard: {
+    description: 'Attendee in the attendee list of an event',
+    pages: ['event'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.event-attendees-list li' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '[role="dialog"] li.artdeco-list__item' }
+    ]
+  },
+  groupMemberCard: {
+    description: 'Member on the members page of a group',
+    pages: ['group-members'],
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'li.groups-members-list__typeahead-result' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.artdeco-list li.artdeco-list__item' }
+    ]
+  },
+  postReactorCard: {
+    description: 'Person in the reactions list of a post',
+    pages: ['post'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'li.social-details-reactors-tab-body-list-item' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.social-details-reactors-modal li' }
+    ]
+  },
+  postCommentCard: {
+    description: 'Comment on a post',
+    pages: ['post'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'article.comments-comment-entity' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'article.comments-comment-item' }
+    ]
+  },
+  prospectProfileLink: {
+    description: 'Profile link of a person in a prospect list',
+    pages: ['company-people', 'event', 'group-members', 'post'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'a[data-test-app-aware-link][href*="/in/"]' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'a[href*="/in/"]' }
+    ]
+  },
+  prospectName: {
+    description: 'Name of a person in a prospect list',
+    pages: ['company-people', 'event', 'group-members', 'post'],
+    optional: true,
+    strategies: [
+      // The visible name, without the screen reader text next to it
+      {
+        type: SELECTOR_STRATEGIES.CSS,
+        selector:
+          '.artdeco-entity-lockup__title span[aria-hidden="true"], .comments-post-meta__name-text span[aria-hidden="true"]'
+      },
+      {
+        type: SELECTOR_STRATEGIES.CSS,
+        selector: '.artdeco-entity-lockup__title, .comments-post-meta__name-text'
+      }
+    ]
+  },
+  prospectHeadline: {
+    description: 'Headline of a person in a prospect list',
+    pages: ['company-people', 'event', 'group-members', 'post'],
+    optional: true,
+    strategies: [
+      {
+        type: SELECTOR_STRATEGIES.CSS,
+        selector: '.artdeco-entity-lockup__subtitle, .comments-post-meta__headline'
+      }
+    ]
+  },
+  prospectActionButton: {
+    description: 'Connect, Pending, Message or Follow button of a person in a prospect list',
+    pages: ['company-people', 'event', 'group-members', 'post'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'button.artdeco-button' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'button[aria-label]' }
+    ]
+  },
+  invitationCard: {
+    description: 'Sent invitation card',
+    pages: ['sent-invitations'],
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'li.invitation-card' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.mn-invitation-list > li' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '[data-view-name="sent-invitation-card"]' }
+    ]
+  },
+  invitationCardLink: {
+    description: 'Profile link in a sent invitation card',
+    scope: 'invitationCard',
+    pages: ['sent-invitations'],
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'a.invitation-card__link[href*="/in/"]' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'a[href*="/in/"]' }
+    ]
+  },
+  invitationCardTime: {
+    description: 'When a sent invitation was sent',
+    scope: 'invitationCard',
+    pages: ['sent-invitations'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'time.time-badge' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'time' },
+      { type: SELECTOR_STRATEGIES.TEXT, selector: 'span', text: 'Sent ' }
+    ]
+  },
+  invitationWithdrawButton: {
+    description: 'Withdraw button of a sent invitation card',
+    scope: 'invitationCard',
+    pages: ['sent-invitations'],
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'button[aria-label^="Withdraw invitation"]' },
+      { type: SELECTOR_STRATEGIES.ARIA, role: 'button', label: 'Withdraw' },
+      { type: SELECTOR_STRATEGIES.TEXT, selector: 'button', text: 'Withdraw' }
+    ]
+  },
+  withdrawConfirmButton: {
+    description: 'Withdraw button of the confirmation dialog',
+    pages: ['sent-invitations'],
+    // Only present while the dialog is open
+    optional: true,
+    strategies: [
+      {
+        type: SELECTOR_STRATEGIES.CSS,
+        selector: '.artdeco-modal .artdeco-modal__confirm-dialog-btn.artdeco-button--primary'
+      },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '[role="alertdialog"] .artdeco-button--primary' },
+      {
+        type: SELECTOR_STRATEGIES.TEXT,
+        selector: '[role="dialog"] button, [role="alertdialog"] button',
+        text: 'Withdraw'
+      }
+    ]
+  },
+  inboxThread: {
+    description: 'Conversation in the messaging list',
+    pages: ['messaging'],
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'li.msg-conversation-listitem' },
+      {
+        type: SELECTOR_STRATEGIES.CSS,
+        selector: '.msg-conversations-container__conversations-list > li'
+      },
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'li:has(a[href*="/messaging/thread/"])' }
+    ]
+  },
+  inboxThreadLink: {
+    description: 'Link to the thread of a conversation in the messaging list',
+    scope: 'inboxThread',
+    pages: ['messaging'],
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'a.msg-conversation-listitem__link' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'a[href*="/messaging/thread/"]' }
+    ]
+  },
+  inboxThreadName: {
+    description: 'Participant names of a conversation in the messaging list',
+    scope: 'inboxThread',
+    pages: ['messaging'],
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.msg-conversation-listitem__participant-names' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.msg-conversation-card__participant-names' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'h3' }
+    ]
+  },
+  inboxThreadTime: {
+    description: 'Time of the last message of a conversation in the messaging list',
+    scope: 'inboxThread',
+    pages: ['messaging'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'time.msg-conversation-listitem__time-stamp' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'time' }
+    ]
+  },
+  inboxThreadSnippet: {
+    description: 'Last message preview of a conversation in the messaging list',
+    scope: 'inboxThread',
+    pages: ['messaging'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.msg-conversation-card__message-snippet' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.msg-conversation-listitem__message-snippet' }
+    ]
+  },
+  inboxThreadUnread: {
+    description: 'Unread marker of a conversation in the messaging list',
+    scope: 'inboxThread',
+    pages: ['messaging'],
+    optional: true,
+    strategies: [
+      {
+        type: SELECTOR_STRATEGIES.CSS,
+        selector: '.msg-conversation-card__convo-item-container--unread'
+      },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.notification-badge--show' }
+    ]
+  },
+  threadProfileLink: {
+    description: 'Profile link of the other participant of an open thread',
+    pages: ['messaging'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'a.msg-thread__link-to-profile[href*="/in/"]' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.msg-entity-lockup a[href*="/in/"]' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.msg-overlay-bubble-header a[href*="/in/"]' }
+    ]
+  },
+  threadEvent: {
+    description: 'Entry of the message list of an open thread',
+    pages: ['messaging'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'li.msg-s-message-list__event' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.msg-s-message-list-content > li' }
+    ]
+  },
+  threadMessage: {
+    description: 'Message in an open thread',
+    scope: 'threadEvent',
+    pages: ['messaging'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.msg-s-event-listitem' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '[data-event-urn]' }
+    ]
+  },
+  profileMessageButton: {
+    description: 'Message button on a profile',
+    pages: ['profile'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'main button[aria-label^="Message"]' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'main a[href*="/messaging/compose"]' },
+      { type: SELECTOR_STRATEGIES.ARIA, role: 'button', label: 'Message' },
+      { type: SELECTOR_STRATEGIES.TEXT, selector: '.pvs-profile-actions button', text: 'Message' }
+    ]
+  },
+  messageComposer: {
+    description: 'Text box of the message composer',
+    pages: ['messaging'],
+    optional: true,
+    strategies: [
+      {
+        type: SELECTOR_STRATEGIES.CSS,
+        selector: '.msg-form__contenteditable[contenteditable="true"]'
+      },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.msg-form [role="textbox"][contenteditable]' },
+      { type: SELECTOR_STRATEGIES.ARIA, role: 'textbox', label: 'Write a message' }
+    ]
+  },
+  messageSendButton: {
+    description: 'Send button of the message composer',
+    pages: ['messaging'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'button.msg-form__send-button' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.msg-form button[type="submit"]' },
+      { type: SELECTOR_STRATEGIES.TEXT, selector: '.msg-form button', text: 'Send' }
+    ]
+  },
+  connectionCard: {
+    description: 'Connection card on the Connections page',
+    pages: ['connections'],
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'li.mn-connection-card' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '.scaffold-finite-scroll__content li' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: '[data-view-name="connections-list"] li' }
+    ]
+  },
+  connectionCardLink: {
+    description: 'Profile link in a connection card',
+    scope: 'connectionCard',
+    pages: ['connections'],
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'a.mn-connection-card__link[href*="/in/"]' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'a[href*="/in/"]' }
+    ]
+  },
+  connectionCardTime: {
+    description: 'When a connection was made',
+    scope: 'connectionCard',
+    pages: ['connections'],
+    optional: true,
+    strategies: [
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'time.time-badge' },
+      { type: SELECTOR_STRATEGIES.CSS, selector: 'time' },
+      { type: SELECTOR_STRATEGIES.TEXT, selector: 'span', text: 'Connected ' }
+    ]
+  }
+};
+
+/**
+ * Find the first element for a registry entry
+ * @param {string} key - Entry name in SELECTORS
+ * @param {Object} options - Lookup options
+ * @param {Element|Document} options.root - Element to search in
+ * @param {Function} options.filter - Only accept elements passing this check
+ * @returns {Element|null} Matching element
+ */
+export function querySelector(key, options = {}) {
+  return resolveSelector(key, { ...options, first: true }).elements[0] || null;
+}
+
+/**
+ * Find all elements for a registry entry, from the first strategy that matches
+ * @param {string} key - Entry name in SELECTORS
+ * @param {Object} options - Same options as querySelector
+ * @returns {Element[]} Matching elements
+ */
+export function querySelectorAll(key, options = {}) {
+  return resolveSelector(key, options).elements;
+}
+
+/**
+ * Try each strategy of a registry entry in order
+ * @param {string} key - Entry name in SELECTORS
+ * @param {Object} options - Same options as querySelector
+ * @param {boolean} options.first - Only take the first CSS match of each strategy
+ * @returns {Object} Matched elements and the index of the strategy that found them
+ */
+export function resolveSelector(key, options = {}) {
+  const entry = SELECTORS[key];
+
+  if (!entry) {
+    throw new Error(`Unknown selector: ${key}`);
+  }
+
+  const root = options.root || document;
+
+  for (let index = 0; index < entry.strategies.length; index++) {
+    let elements;
+    try {
+      elements = findByStrategy(root, entry.strategies[index], options.first);
+    } catch (error) {
+      // Unsupported selectors or partial DOMs count as no match
+      continue;
+    }
+
+    if (options.filter) {
+      elements = elements.filter(options.filter);
+    }
+
+    if (elements.length > 0) {
+      return { elements, strategyIndex: index };
+    }
+  }
+
+  return { elements: [], strategyIndex: -1 };
+}
+
+/**
+ * Wait for a registry entry to match, for content LinkedIn renders after load
+ * @param {string} key - Entry name in SELECTORS
+ * @param {Object} options - Same options as querySelector
+ * @param {number} options.timeout - Milliseconds to wait
+ * @returns {Promise<Element|null>} First match, or null if nothing matched in time
+ */
+export function waitForSelector(key, options = {}) {
+  const { timeout = 5000, ...lookup } = options;
+
+  return new Promise(resolve => {
+    const element = querySelector(key, lookup);
+    if (element) {
+      resolve(element);
+      return;
+    }
+
+    const observer = new MutationObserver(() => {
+      const match = querySelector(key, lookup);
+      if (match) {
+        finish(match);
+      }
+    });
+    const timer = setTimeout(() => finish(null), timeout);
+
+    function finish(result) {
+      observer.disconnect();
+      clearTimeout(timer);
+      resolve(result);
+    }
+
+    observer.observe(document.body, { childList: true, subtree: true });
+  });
+}
+
+/**
+ * Check which registry entries match on the current page
+ * @param {string} pageType - Page type from detectLinkedInPageType
+ * @returns {Object} Self-test report with one result per checked entry
+ */
+export function runSelectorSelfTest(pageType) {
+  const results = Object.entries(SELECTORS)
+    .filter(([, entry]) => !entry.pages || entry.pages.includes(pageType))
+    .map(([key, entry]) => testSelector(key, entry));
+
+  return {
+    version: SELECTOR_REGISTRY_VERSION,
+    pageType,
+    url: window.location.href,
+    checkedAt: Date.now(),
+    results,
+    broken: results.filter(result => result.status === SELECTOR_HEALTH.BROKEN).map(r => r.key)
+  };
+}
+
+// Helper Functions
+
+function testSelector(key, entry) {
+  const result = {
+    key,
+    description: entry.description,
+    status: entry.optional ? SELECTOR_HEALTH.ABSENT : SELECTOR_HEALTH.BROKEN,
+    strategy: null,
+    count: 0
+  };
+
+  // Scoped entries are checked inside every match of their scope
+  const roots = entry.scope ? querySelectorAll(entry.scope) : [document];
+
+  if (roots.length === 0) {
+    result.error = `No ${entry.scope} to look in`;
+    return result;
+  }
+
+  let strategyIndex = -1;
+  roots.forEach(root => {
+    const match = resolveSelector(key, { root });
+    if (match.elements.length > 0) {
+      result.count += match.elements.length;
+      if (strategyIndex === -1 || match.strategyIndex < strategyIndex) {
+        strategyIndex = match.strategyIndex;
+      }
+    }
+  });
+
+  if (strategyIndex === -1) {
+    return result;
+  }
+
+  result.status = strategyIndex === 0 ? SELECTOR_HEALTH.OK : SELECTOR_HEALTH.FALLBACK;
+  result.strategy = { index: strategyIndex, ...entry.strategies[strategyIndex] };
+  return result;
+}
+
+function findByStrategy(root, strategy, first = false) {
+  if (strategy.type === SELECTOR_STRATEGIES.CSS) {
+    if (first) {
+      const element = root.querySelector(strategy.selector);
+      return element ? [element] : [];
+    }
+    return Array.from(root.querySelectorAll(strategy.selector));
+  }
+
+  if (strategy.type === SELECTOR_STRATEGIES.ARIA) {
+    const texts = getStrategyTexts(strategy, strategy.label);
+    return Array.from(root.querySelectorAll(getRoleSelector(strategy.role))).filter(element =>
+      texts.some(text => includesText(getAccessibleName(element), text))
+    );
+  }
+
+  if (strategy.type === SELECTOR_STRATEGIES.TEXT) {
+    const texts = getStrategyTexts(strategy, strategy.text);
+    return Array.from(root.querySelectorAll(strategy.selector)).filter(element =>
+      texts.some(text => includesText(element.textContent, text))
+    );
+  }
+
+  throw new Error(`Unknown selector strategy: ${strategy.type}`);
+}
+
+function getStrategyTexts(strategy, text) {
+  return strategy.uiLabel ? getUiLabels(strategy.uiLabel) : [text];
+}
+
+function getRoleSelector(role) {
+  const implicit = {
+    button: 'button, input[type="button"], input[type="submit"]',
+    link: 'a[href]',
+    textbox: 'textarea, input:not([type]), input[type="text"]'
+  };
+
+  return [`[role="${role}"]`, implicit[role]].filter(Boolean).join(', ');
+}
+
+function getAccessibleName(element) {
+  const label = element.getAttribute('aria-label');
+  if (label) {
+    return label;
+  }
+
+  const labelledBy = element.getAttribute('aria-labelledby');
+  if (labelledBy) {
+    return labelledBy
+      .split(/\s+/)
+      .map(id => element.ownerDocument.getElementById(id)?.textContent || '')
+      .join(' ');
+  }
+
+  return element.textContent || '';
+}
+
+function includesText(value, text) {
+  return (value || '').replace(/\s+/g, ' ').toLowerCase().includes(text.toLowerCase());
+}
@@ -0,0 +1,229 @@
+// Storage Schema Migrations
+// Versioned upgrades for persisted extension data
+
+import { getStorageData, setStorageData, removeStorageData, STORAGE_KEYS } from './storage.js';
+
+/**
+ * Maximum number of entries kept in the migration log
+ */
+const MIGRATION_LOG_LIMIT = 50;
+
+/**
+ * Ordered list of schema migrations.
+ * Each migration upgrades the stored value of one or more keys; `up` maps a
+ * storage key to a transform that receives the current value and returns the
+ * upgraded one. Transforms must be pure so dry runs can reuse them.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Backfill id and date on legacy analytics entries',
+    up: {
+      [STORAGE_KEYS.ANALYTICS]: analytics => {
+        if (!Array.isArray(analytics)) {
+          return [];
+        }
+
+        return analytics.map((entry, index) => ({
+          ...entry,
+          id: entry.id || `evt_${entry.timestamp || 0}_${index}`,
+          date: entry.date || new Date(entry.timestamp || 0).toISOString().split('T')[0]
+        }));
+      }
+    }
+  }
+];
+
+/**
+ * Latest schema version known to this build
+ */
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS.reduce(
+  (latest, migration) => Math.max(latest, migration.version),
+  0
+);
+
+/**
+ * Get stored schema version
+ * @returns {Promise<number>} Schema version (0 when never migrated)
+ */
+export async function getSchemaVersion() {
+  try {
+    const result = await getStorageData(STORAGE_KEYS.SCHEMA_VERSION);
+    const stored = result[STORAGE_KEYS.SCHEMA_VERSION];
+    return stored && typeof stored.version === 'number' ? stored.version : 0;
+  } catch (error) {
+    console.error('Error getting schema version:', error);
+    return 0;
+  }
+}
+
+/**
+ * Record the current schema version without running migrations.
+ * Used on fresh installs where there is no legacy data to upgrade.
+ * @param {number} version - Version to record
+ * @returns {Promise<void>}
+ */
+export async function markSchemaCurrent(version = CURRENT_SCHEMA_VERSION) {
+  await setStorageData({
+    [STORAGE_KEYS.SCHEMA_VERSION]: { version, updatedAt: Date.now() }
+  });
+}
+
+/**
+ * Run pending migrations in version order
+ * @param {Object} options - Runner options
+ * @param {boolean} options.dryRun - Compute the upgrade without writing it
+ * @param {Array} options.migrations - Migration list (defaults to MIGRATIONS)
+ * @param {number} options.targetVersion - Stop after this version
+ * @returns {Promise<Object>} Migration result
+ */
+export async function runMigrations(options = {}) {
+  const {
+    dryRun = false,
+    migrations = MIGRATIONS,
+    targetVersion = Math.max(0, ...migrations.map(m => m.version))
+  } = options;
+
+  const fromVersion = await getSchemaVersion();
+  const pending = migrations
+    .filter(m => m.version > fromVersion && m.version <= targetVersion)
+    .sort((a, b) => a.version - b.version);
+
+  const result = {
+    success: true,
+    dryRun,
+    fromVersion,
+    toVersion: fromVersion,
+    applied: [],
+    changes: {},
+    failedVersion: null,
+    error: null
+  };
+
+  if (pending.length === 0) {
+    return result;
+  }
+
+  // Snapshot every key a pending migration touches so a failure can be rolled back
+  const touchedKeys = [
+    ...new Set(pending.flatMap(m => Object.keys(m.up || {}))),
+    STORAGE_KEYS.SCHEMA_VERSION
+  ];
+  const snapshot = await getStorageData(touchedKeys);
+  const working = { ...snapshot };
+  let written = false;
+  let current = null;
+
+  try {
+    for (const migration of pending) {
+      current = migration;
+      const updates = {};
+
+      for (const [key, transform] of Object.entries(migration.up || {})) {
+        updates[key] = await transform(cloneValue(working[key]), working);
+      }
+
+      Object.assign(working, updates);
+      Object.keys(updates).forEach(key => {
+        result.changes[key] = updates[key];
+      });
+
+      if (!dryRun) {
+        written = true;
+        await setStorageData({
+          ...updates,
+          [STORAGE_KEYS.SCHEMA_VERSION]: { version: migration.version, updatedAt: Date.now() }
+        });
+      }
+
+      result.applied.push({
+        version: migration.version,
+        description: migration.description,
+        keys: Object.keys(updates)
+      });
+      result.toVersion = migration.version;
+    }
+  } catch (error) {
+    console.error('Error running storage migrations:', error);
+    result.success = false;
+    result.error = error.message;
+    result.failedVersion = current ? current.version : null;
+    result.toVersion = fromVersion;
+
+    if (written) {
+      await rollbackMigration(snapshot, touchedKeys);
+    }
+  }
+
+  if (!dryRun) {
+    await appendMigrationLog(result);
+  }
+
+  return result;
+}
+
+/**
+ * Get migration log entries, newest last
+ * @returns {Promise<Array>} Migration log
+ */
+export async function getMigrationLog() {
+  try {
+    const result = await getStorageData(STORAGE_KEYS.MIGRATION_LOG);
+    return result[STORAGE_KEYS.MIGRATION_LOG] || [];
+  } catch (error) {
+    console.error('Error getting migration log:', error);
+    return [];
+  }
+}
+
+// Helper Functions
+
+async function rollbackMigration(snapshot, touchedKeys) {
+  try {
+    const restore = {};
+    const missing = [];
+
+    touchedKeys.forEach(key => {
+      if (snapshot[key] === undefined) {
+        missing.push(key);
+      } else {
+        restore[key] = snapshot[key];
+      }
+    });
+
+    await setStorageData(restore);
+    if (missing.length > 0) {
+      await removeStorageData(missing);
+    }
+  } catch (error) {
+    console.error('Error rolling back storage migration:', error);
+  }
+}
+
+async function appendMigrationLog(result) {
+  try {
+    const log = await getMigrationLog();
+
+    log.push({
+      timestamp: Date.now(),
+      success: result.success,
+      fromVersion: result.fromVersion,
+      toVersion: result.toVersion,
+      applied: result.success ? result.applied.map(m => m.version) : [],
+      failedVersion: result.failedVersion,
+      error: result.error
+    });
+
+    if (log.length > MIGRATION_LOG_LIMIT) {
+      log.splice(0, log.length - MIGRATION_LOG_LIMIT);
+    }
+
+    await setStorageData({ [STORAGE_KEYS.MIGRATION_LOG]: log });
+  } catch (error) {
+    console.error('Error writing migration log:', error);
+  }
+}
+
+function cloneValue(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
@@ -1,5 +1,17 @@
 // Storage utility functions for Chrome Extension
 // import browser from 'webextension-polyfill';
+import {
+  isIndexedStoreAvailable,
+  isIndexedKey,
+  readStore,
+  replaceStore,
+  appendRecords,
+  trimStore,
+  clearStore,
+  queryRecords,
+  INDEXED_STORES
+} from './indexed-db-store.js';
+import { sendToBackground, createMessage, MESSAGE_TYPES } from './messaging.js';
 
 /**
  * Storage keys used throughout the extension
@@ -22,11 +34,22 @@ export const STORAGE_KEYS = {
   REPORTS: 'reports',
   CONVERSATIONS: 'conversations',
   FOLLOWUP_SEQUENCES: 'followup_sequences',
-  RESPONSE_TEMPLATES: 'response_templates'
+  RESPONSE_TEMPLATES: 'response_templates',
+  SCHEMA_VERSION: 'schema_version',
+  MIGRATION_LOG: 'migration_log',
+  ENCRYPTION_VAULT: 'encryption_vault',
+  SCHEDULED_JOBS: 'scheduled_jobs',
+  SEARCH_CRAWLS: 'search_crawls',
+  INBOX_STATE: 'inbox_state',
+  SANDBOX_STATE: 'sandbox_state',
+  DRY_RUN_REPORTS: 'dry_run_reports',
+  BLACKLIST: 'blacklist'
 };
 
 /**
  * Get data from Chrome storage
+ * Large keys (analytics, connection database, conversations) are served from
+ * IndexedDB when the current context can reach it.
  * @param {string|string[]|null} keys - Storage keys to retrieve
  * @param {string} area - Storage area ('local' or 'sync')
  * @returns {Promise<Object>} Retrieved data
@@ -34,7 +57,20 @@ export const STORAGE_KEYS = {
 export async function getStorageData(keys = null, area = 'local') {
   try {
     const storage = area === 'sync' ? chrome.storage.sync : chrome.storage.local;
-    const result = await storage.get(keys);
+    const backend = getIndexedBackend(area, keys);
+
+    if (!backend) {
+      const result = await storage.get(keys);
+      return result;
+    }
+
+    const { indexedKeys, plainKeys } = splitKeys(keys);
+    const result = plainKeys === null || plainKeys.length > 0 ? await storage.get(plainKeys) : {};
+
+    if (indexedKeys.length > 0) {
+      Object.assign(result, await readIndexedData(indexedKeys, backend));
+    }
+
     return result;
   } catch (error) {
     console.error('Error getting storage data:', error);
@@ -51,7 +87,34 @@ export async function getStorageData(keys = null, area = 'local') {
 export async function setStorageData(data, area = 'local') {
   try {
     const storage = area === 'sync' ? chrome.storage.sync : chrome.storage.local;
-    await storage.set(data);
+    const backend = getIndexedBackend(area, Object.keys(data));
+
+    if (!backend) {
+      await storage.set(data);
+      return;
+    }
+
+    const indexedData = {};
+    const plainData = {};
+    Object.entries(data).forEach(([key, value]) => {
+      if (isIndexedKey(key)) {
+        indexedData[key] = value;
+      } else {
+        plainData[key] = value;
+      }
+    });
+
+    if (Object.keys(plainData).length > 0) {
+      await storage.set(plainData);
+    }
+
+    if (backend === 'proxy') {
+      await sendToBackground(createMessage(MESSAGE_TYPES.STORAGE_SET, { data: indexedData }));
+    } else {
+      for (const [key, value] of Object.entries(indexedData)) {
+        await replaceStore(key, value);
+      }
+    }
   } catch (error) {
     console.error('Error setting storage data:', error);
     throw error;
@@ -67,7 +130,20 @@ export async function setStorageData(data, area = 'local') {
 export async function removeStorageData(keys, area = 'local') {
   try {
     const storage = area === 'sync' ? chrome.storage.sync : chrome.storage.local;
-    await storage.remove(keys);
+    const backend = getIndexedBackend(area, keys);
+
+    if (!backend) {
+      await storage.remove(keys);
+      return;
+    }
+
+    const { indexedKeys, plainKeys } = splitKeys(keys);
+
+    if (plainKeys.length > 0) {
+      await storage.remove(plainKeys);
+    }
+
+    await removeIndexedData(indexedKeys, backend);
   } catch (error) {
     console.error('Error removing storage data:', error);
     throw error;
@@ -83,12 +159,195 @@ export async function clearStorageData(area = 'local') {
   try {
     const storage = area === 'sync' ? chrome.storage.sync : chrome.storage.local;
     await storage.clear();
+
+    const backend = getIndexedBackend(area, null);
+    if (backend) {
+      await removeIndexedData(Object.keys(INDEXED_STORES), backend);
+    }
   } catch (error) {
     console.error('Error clearing storage data:', error);
     throw error;
   }
 }
 
+/**
+ * Query records of a large key by index without loading the whole dataset
+ * Falls back to filtering the stored array where IndexedDB is unavailable.
+ * @param {string} key - Storage key (analytics, connection_database, conversations)
+ * @param {Object} query - Query options (index, only, lower, upper, limit, direction)
+ * @returns {Promise<Array>} Matching records
+ */
+export async function queryStorageRecords(key, query = {}) {
+  try {
+    if (getIndexedBackend('local', key) === 'indexeddb') {
+      return await queryRecords(key, query);
+    }
+
+    const result = await getStorageData(key);
+    return filterRecords(key, result[key], query);
+  } catch (error) {
+    console.error('Error querying storage records:', error);
+    throw error;
+  }
+}
+
+/**
+ * Append records to an array-shaped large key
+ * Appends never overwrite concurrent writers: IndexedDB adds records one by one,
+ * content scripts hand the append to the service worker, and the
+ * chrome.storage fallback goes through updateStorage.
+ * @param {string} key - Storage key (analytics, connection_database)
+ * @param {Array} records - Records to append
+ * @param {Object} options - Append options
+ * @param {number} options.maxRecords - Keep only the most recent records
+ * @returns {Promise<void>}
+ */
+export async function appendStorageRecords(key, records, options = {}) {
+  try {
+    const backend = getIndexedBackend('local', key);
+
+    if (backend === 'indexeddb') {
+      await appendRecords(key, records);
+      if (options.maxRecords) {
+        await trimStore(key, options.maxRecords);
+      }
+      return;
+    }
+
+    if (backend === 'proxy') {
+      await sendToBackground(
+        createMessage(MESSAGE_TYPES.STORAGE_APPEND, { key, records, options })
+      );
+      return;
+    }
+
+    await updateStorage(key, existing => {
+      const updated = [...(existing || []), ...records];
+      if (options.maxRecords && updated.length > options.maxRecords) {
+        updated.splice(0, updated.length - options.maxRecords);
+      }
+      return updated;
+    });
+  } catch (error) {
+    console.error('Error appending storage records:', error);
+    throw error;
+  }
+}
+
+/**
+ * Atomically read, modify and write a single storage key.
+ * Updates to the same key are queued within this context and, where the Web
+ * Locks API is available, serialized with every other extension page and the
+ * service worker, so concurrent read-modify-write cycles cannot drop data.
+ * Content scripts do not share the service worker's lock, so for the record
+ * stores they send only the records the mutator changed and the service
+ * worker applies them under its lock (see applyStorageRecordChanges).
+ * @param {string} key - Storage key to update
+ * @param {Function} mutator - Receives the current value, returns the new value
+ *   (or undefined to leave the value untouched); may be async
+ * @param {string} area - Storage area ('local' or 'sync')
+ * @returns {Promise<*>} The stored value after the update
+ */
+export function updateStorage(key, mutator, area = 'local') {
+  const lockName = `storage:${area}:${key}`;
+  const previous = pendingUpdates.get(lockName) || Promise.resolve();
+
+  const update = previous
+    .catch(() => {})
+    .then(() =>
+      withStorageLock(lockName, async () => {
+        const result = await getStorageData(key, area);
+        const updated = await mutator(result[key]);
+
+        if (updated === undefined) {
+          return result[key];
+        }
+
+        if (getIndexedBackend(area, key) === 'proxy') {
+          const response = await sendToBackground(
+            createMessage(MESSAGE_TYPES.STORAGE_UPDATE_RECORDS, {
+              key,
+              ...diffRecords(key, result[key], updated)
+            })
+          );
+          return response.data;
+        }
+
+        await setStorageData({ [key]: updated }, area);
+        return updated;
+      })
+    );
+
+  pendingUpdates.set(lockName, update);
+  const cleanup = () => {
+    if (pendingUpdates.get(lockName) === update) {
+      pendingUpdates.delete(lockName);
+    }
+  };
+  update.then(cleanup, cleanup);
+
+  return update;
+}
+
+/**
+ * Apply record-level changes to a record store under its storage lock
+ * Records are matched by `id`, so records other writers changed meanwhile are
+ * kept. This is how content scripts' updateStorage calls reach the store.
+ * @param {string} key - Storage key (connection_database, conversations)
+ * @param {Object} changes - Changes to apply
+ * @param {Array} changes.put - Added or changed records, replacing those with the same id
+ * @param {Array} changes.remove - Ids of records to remove
+ * @returns {Promise<Array|Object>} The stored value after the update
+ */
+export function applyStorageRecordChanges(key, { put = [], remove = [] }) {
+  const removed = new Set(remove);
+
+  return updateStorage(key, existing => {
+    if (INDEXED_STORES[key].shape === 'map') {
+      const updated = { ...(existing || {}) };
+      removed.forEach(id => delete updated[id]);
+      put.forEach(record => {
+        updated[record.id] = record;
+      });
+      return updated;
+    }
+
+    const changed = new Map(put.map(record => [record.id, record]));
+    const updated = (existing || [])
+      .filter(record => !removed.has(record.id))
+      .map(record => {
+        const next = changed.get(record.id) || record;
+        changed.delete(record.id);
+        return next;
+      });
+    return [...updated, ...changed.values()];
+  });
+}
+
+/**
+ * Move large keys written by older versions from chrome.storage.local into IndexedDB
+ * @returns {Promise<string[]>} Keys that were moved
+ */
+export async function moveLegacyDataToIndexedStore() {
+  if (!isIndexedStoreAvailable()) {
+    return [];
+  }
+
+  const keys = Object.keys(INDEXED_STORES);
+  const legacy = await chrome.storage.local.get(keys);
+  const moved = keys.filter(key => legacy[key] !== undefined);
+
+  for (const key of moved) {
+    await replaceStore(key, legacy[key]);
+  }
+
+  if (moved.length > 0) {
+    await chrome.storage.local.remove(moved);
+  }
+
+  return moved;
+}
+
 /**
  * Get settings with default values
  * @returns {Promise<Object>} Settings object
@@ -106,7 +365,15 @@ export async function getSettings() {
       end: '17:00',
       timezone: 'auto'
     },
-    weekendsEnabled: false
+    weekendsEnabled: false,
+    sandboxMode: false,
+    // Template ID, or template text with {{variables}}, for invitation notes
+    connectionNoteTemplate: null,
+    // Hold each invitation in the in-page approval panel until the user approves it
+    approvalMode: false,
+    // Minutes between inbox scans that have to open a LinkedIn tab; while one
+    // is open in the background, the scan runs in it every 15 minutes instead
+    inboxScanIntervalMinutes: 6 * 60
   };
 
   try {
@@ -163,23 +430,170 @@ export async function getAnalytics(days = null) {
  */
 export async function logAnalytics(eventData) {
   try {
-    const analytics = await getAnalytics();
     const newEntry = {
       ...eventData,
       timestamp: Date.now(),
       id: Date.now().toString()
     };
 
-    analytics.push(newEntry);
-
     // Keep only last 1000 entries to prevent storage bloat
-    if (analytics.length > 1000) {
-      analytics.splice(0, analytics.length - 1000);
-    }
-
-    await setStorageData({ [STORAGE_KEYS.ANALYTICS]: analytics });
+    await appendStorageRecords(STORAGE_KEYS.ANALYTICS, [newEntry], { maxRecords: 1000 });
   } catch (error) {
     console.error('Error logging analytics:', error);
     throw error;
   }
 }
+
+// Helper Functions
+
+// Tail of the update queue for each storage key in this context
+const pendingUpdates = new Map();
+
+function withStorageLock(name, task) {
+  if (typeof navigator !== 'undefined' && navigator.locks && navigator.locks.request) {
+    return navigator.locks.request(name, task);
+  }
+  return task();
+}
+
+/**
+ * Decide where large keys live for this call
+ * @returns {string|null} 'indexeddb', 'proxy' (content script via service worker) or null
+ */
+function getIndexedBackend(area, keys) {
+  if (area !== 'local') {
+    return null;
+  }
+
+  if (keys !== null && !toKeyList(keys).some(isIndexedKey)) {
+    return null;
+  }
+
+  if (isIndexedStoreAvailable()) {
+    return 'indexeddb';
+  }
+
+  return isContentScriptContext() ? 'proxy' : null;
+}
+
+function isContentScriptContext() {
+  return (
+    typeof chrome !== 'undefined' &&
+    !!chrome.runtime?.id &&
+    typeof globalThis.location !== 'undefined' &&
+    globalThis.location.protocol !== 'chrome-extension:'
+  );
+}
+
+// Records the mutator added, changed or removed, matched by id; stores
+// without record ids (analytics) can only be appended to from content scripts
+function diffRecords(key, previous, updated) {
+  const config = INDEXED_STORES[key];
+  if (!config.keyPath && !config.indexes.id) {
+    throw new Error(`Records of ${key} have no id; use appendStorageRecords instead`);
+  }
+
+  const before = new Map(
+    Object.values(previous || {}).map(record => [record.id, JSON.stringify(record)])
+  );
+  const records = Object.values(updated || {});
+  const ids = new Set(records.map(record => record.id));
+
+  return {
+    put: records.filter(record => before.get(record.id) !== JSON.stringify(record)),
+    remove: [...before.keys()].filter(id => !ids.has(id))
+  };
+}
+
+function toKeyList(keys) {
+  if (typeof keys === 'string') {
+    return [keys];
+  }
+  if (Array.isArray(keys)) {
+    return keys;
+  }
+  return keys ? Object.keys(keys) : [];
+}
+
+function splitKeys(keys) {
+  if (keys === null) {
+    return { indexedKeys: Object.keys(INDEXED_STORES), plainKeys: null };
+  }
+
+  const list = toKeyList(keys);
+  return {
+    indexedKeys: list.filter(isIndexedKey),
+    plainKeys: list.filter(key => !isIndexedKey(key))
+  };
+}
+
+async function readIndexedData(keys, backend) {
+  if (backend === 'proxy') {
+    const response = await sendToBackground(createMessage(MESSAGE_TYPES.STORAGE_GET, { keys }));
+    return response.data || {};
+  }
+
+  const result = {};
+  for (const key of keys) {
+    result[key] = await readStore(key);
+  }
+  return result;
+}
+
+async function removeIndexedData(keys, backend) {
+  if (keys.length === 0) {
+    return;
+  }
+
+  if (backend === 'proxy') {
+    await sendToBackground(createMessage(MESSAGE_TYPES.STORAGE_REMOVE, { keys }));
+    return;
+  }
+
+  for (const key of keys) {
+    await clearStore(key);
+  }
+}
+
+function filterRecords(key, value, query) {
+  const config = INDEXED_STORES[key];
+  if (!config) {
+    throw new Error(`Key ${key} does not support record queries`);
+  }
+
+  const { index, only, lower, upper, limit = Infinity, direction = 'next' } = query;
+  let records = Array.isArray(value) ? [...value] : Object.values(value || {});
+
+  if (index) {
+    const path = config.indexes[index];
+    if (!path) {
+      throw new Error(`Unknown index "${index}" for store ${key}`);
+    }
+
+    records = records
+      .map(record => ({ record, indexValue: getValueAtPath(record, path) }))
+      .filter(({ indexValue }) => {
+        if (indexValue === undefined || indexValue === null) {
+          return false;
+        }
+        if (only !== undefined) {
+          return indexValue === only;
+        }
+        const aboveLower = lower === undefined || indexValue >= lower;
+        const belowUpper = upper === undefined || indexValue <= upper;
+        return aboveLower && belowUpper;
+      })
+      .sort((a, b) => (a.indexValue < b.indexValue ? -1 : a.indexValue > b.indexValue ? 1 : 0))
+      .map(({ record }) => record);
+  }
+
+  if (direction === 'prev') {
+    records.reverse();
+  }
+
+  return records.slice(0, limit);
+}
+
+function getValueAtPath(record, path) {
+  return path.split('.').reduce((value, part) => (value ? value[part] : undefined), record);
+}
@@ -0,0 +1,105 @@
+// LinkedIn UI Labels
+// Button and dialog texts in each UI language LinkedIn is used in here, so
+// lookups by visible text keep working outside the English interface
+
+export const DEFAULT_UI_LANGUAGE = 'en';
+
+/**
+ * Labels by key and language. Matching is case-insensitive and by substring,
+ * so each entry lists the shortest text that identifies the control
+ * (e.g. "Envoyer" also matches "Envoyer l'invitation").
+ */
+export const UI_LABELS = {
+  connect: {
+    en: ['Connect'],
+    de: ['Vernetzen'],
+    fr: ['Se connecter'],
+    es: ['Conectar']
+  },
+  addNote: {
+    en: ['Add a note'],
+    de: ['Nachricht hinzufügen'],
+    fr: ['Ajouter une note'],
+    es: ['Añadir una nota']
+  },
+  sendInvitation: {
+    en: ['Send'],
+    de: ['Senden'],
+    fr: ['Envoyer'],
+    es: ['Enviar']
+  },
+  pending: {
+    en: ['Pending', 'Invitation sent'],
+    de: ['Ausstehend', 'Einladung gesendet'],
+    fr: ['En attente', 'Invitation envoyée'],
+    es: ['Pendiente', 'Invitación enviada']
+  },
+  message: {
+    en: ['Message'],
+    de: ['Nachricht'],
+    fr: ['Message'],
+    es: ['Mensaje']
+  },
+  following: {
+    en: ['Following', 'Unfollow'],
+    de: ['Gefolgt', 'Nicht mehr folgen'],
+    fr: ['Abonné', 'Se désabonner'],
+    es: ['Siguiendo', 'Dejar de seguir']
+  }
+};
+
+export const SUPPORTED_UI_LANGUAGES = Object.keys(UI_LABELS.connect);
+
+/**
+ * Detect the language of the LinkedIn interface from the page's `lang`
+ * attribute, then LinkedIn's `lang` cookie (e.g. `v=2&lang=de-de`)
+ * @returns {string} Supported language code, English when unknown
+ */
+export function detectUiLanguage() {
+  const candidates = [document.documentElement?.lang, getLanguageCookie()];
+
+  for (const candidate of candidates) {
+    const language = (candidate || '').slice(0, 2).toLowerCase();
+    if (SUPPORTED_UI_LANGUAGES.includes(language)) {
+      return language;
+    }
+  }
+
+  return DEFAULT_UI_LANGUAGE;
+}
+
+/**
+ * Get the texts of a label in a UI language
+ * @param {string} key - Entry name in UI_LABELS
+ * @param {string} language - Language code, defaults to the page's
+ * @returns {string[]} Texts in that language, then the English ones, which
+ *   LinkedIn still shows for strings it has not translated
+ */
+export function getUiLabels(key, language = detectUiLanguage()) {
+  const labels = UI_LABELS[key];
+
+  if (!labels) {
+    throw new Error(`Unknown UI label: ${key}`);
+  }
+
+  return [...new Set([...(labels[language] || []), ...labels[DEFAULT_UI_LANGUAGE]])];
+}
+
+/**
+ * Check whether a text contains a label in the page's UI language
+ * @param {string} text - Button text, aria-label or other visible text
+ * @param {string} key - Entry name in UI_LABELS
+ * @param {string} language - Language code, defaults to the page's
+ * @returns {boolean} True if any of the label's texts occurs in the text
+ */
+export function matchesUiLabel(text, key, language = detectUiLanguage()) {
+  const normalized = (text || '').replace(/\s+/g, ' ').toLowerCase();
+  return getUiLabels(key, language).some(label => normalized.includes(label.toLowerCase()));
+}
+
+// Helper Functions
+
+function getLanguageCookie() {
+  const match = (document.cookie || '').match(/(?:^|;\s*)lang="?v=\d+&lang=([a-z]{2})/i);
+  return match ? match[1] : null;
+}
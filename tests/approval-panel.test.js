@@ -0,0 +1,156 @@
+// Tests for the Approval Panel - Reviewing Candidates Before Sending, Shortcuts and the Blacklist
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { createApprovalPanel, APPROVAL_DECISIONS } from '../src/content/approval-panel.js';
+import {
+  getBlacklist,
+  addToBlacklist,
+  removeFromBlacklist,
+  filterBlacklisted
+} from '../src/utils/blacklist.js';
+import { createChromeExtensionMock } from '../src/test/chrome-mock.js';
+
+const JANE = {
+  name: 'Jane Doe',
+  title: 'CTO at Acme',
+  profileUrl: 'https://www.linkedin.com/in/jane-doe/'
+};
+const BEN = {
+  name: 'Ben Meyer',
+  title: 'Designer',
+  profileUrl: 'https://www.linkedin.com/in/ben-meyer/'
+};
+const OLGA = {
+  name: '<b>Olga</b>',
+  title: 'PM',
+  profileUrl: 'https://www.linkedin.com/in/olga-novak/'
+};
+
+function press(key, options = {}, target = document.body) {
+  target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, ...options }));
+}
+
+function clickAction(index, action) {
+  document.querySelector(`[data-index="${index}"] [data-approval-action="${action}"]`).click();
+}
+
+describe('Approval Panel', () => {
+  let panel;
+
+  beforeEach(() => {
+    global.chrome = createChromeExtensionMock();
+    document.body.innerHTML = '';
+    panel = createApprovalPanel();
+    panel.enqueue([
+      { profile: JANE, note: 'Hi Jane' },
+      { profile: BEN, note: 'Hi Ben' },
+      { profile: OLGA, note: null }
+    ]);
+  });
+
+  afterEach(() => {
+    panel.close();
+  });
+
+  test('should list candidates with their notes as text', () => {
+    const items = document.querySelectorAll('#linkedin-automation-approval [data-index]');
+
+    expect(items).toHaveLength(3);
+    expect(items[0].querySelector('.approval-note').textContent).toBe('Hi Jane');
+    expect(items[2].querySelector('.approval-name').textContent).toBe('<b>Olga</b>');
+    expect(items[2].querySelector('.approval-note').textContent).toBe('No note');
+  });
+
+  test('should decide with keyboard shortcuts, moving to the next candidate', async () => {
+    press('a');
+    press('s');
+    press('b');
+
+    expect(await panel.waitForDecision(JANE)).toEqual({
+      decision: APPROVAL_DECISIONS.APPROVE,
+      note: 'Hi Jane'
+    });
+    expect((await panel.waitForDecision(BEN)).decision).toBe(APPROVAL_DECISIONS.SKIP);
+    expect((await panel.waitForDecision(OLGA)).decision).toBe(APPROVAL_DECISIONS.BLACKLIST);
+  });
+
+  test('should accept decisions out of order', async () => {
+    press('j');
+    press('a');
+    clickAction(0, 'skip');
+
+    expect((await panel.waitForDecision(BEN)).decision).toBe(APPROVAL_DECISIONS.APPROVE);
+    expect((await panel.waitForDecision(JANE)).decision).toBe(APPROVAL_DECISIONS.SKIP);
+  });
+
+  test('should send the note as edited', async () => {
+    press('e');
+    const field = document.querySelector('[data-index="0"] textarea');
+
+    expect(field.value).toBe('Hi Jane');
+    field.value = 'Hi Jane, loved your talk';
+
+    // Shortcuts type into the note while it is edited
+    press('s', {}, field);
+    press('Enter', { ctrlKey: true }, field);
+
+    expect(document.querySelector('[data-index="0"] .approval-note').textContent).toBe(
+      'Hi Jane, loved your talk'
+    );
+
+    press('a');
+
+    expect(await panel.waitForDecision(JANE)).toEqual({
+      decision: APPROVAL_DECISIONS.APPROVE,
+      note: 'Hi Jane, loved your talk'
+    });
+  });
+
+  test('should show how sending went', () => {
+    clickAction(0, 'approve');
+    panel.markResult(JANE, { success: false, error: 'Connect button not found' });
+
+    expect(document.querySelector('[data-index="0"] .approval-status').textContent).toBe(
+      'Approved · Failed: Connect button not found'
+    );
+  });
+
+  test('should skip candidates still waiting when closed', async () => {
+    press('a');
+    panel.close();
+
+    expect((await panel.waitForDecision(JANE)).decision).toBe(APPROVAL_DECISIONS.APPROVE);
+    expect((await panel.waitForDecision(BEN)).decision).toBe(APPROVAL_DECISIONS.SKIP);
+    expect(document.getElementById('linkedin-automation-approval')).toBeNull();
+  });
+});
+
+describe('Blacklist', () => {
+  beforeEach(() => {
+    global.chrome = createChromeExtensionMock();
+  });
+
+  test('should keep blacklisted profiles out', async () => {
+    await addToBlacklist(JANE, 'Competitor');
+    await addToBlacklist({
+      name: 'Lead',
+      profileUrl: 'https://www.linkedin.com/sales/lead/ACw1,NAME?x=1'
+    });
+
+    expect(await getBlacklist()).toEqual({
+      'jane-doe': expect.objectContaining({ name: 'Jane Doe', reason: 'Competitor' }),
+      'https://www.linkedin.com/sales/lead/ACw1,NAME': expect.objectContaining({ name: 'Lead' })
+    });
+    expect(
+      await filterBlacklisted([
+        { ...JANE, profileUrl: 'https://www.linkedin.com/in/Jane-Doe/?miniProfile=1' },
+        BEN,
+        { profileUrl: 'https://www.linkedin.com/sales/lead/ACw1,NAME' }
+      ])
+    ).toEqual([BEN]);
+
+    await removeFromBlacklist(JANE.profileUrl);
+
+    expect(await filterBlacklisted([JANE, BEN])).toEqual([JANE, BEN]);
+  });
+});
@@ -0,0 +1,206 @@
+// Tests for Backup and Restore - Encrypted Archives, Restore Preview and Merge
+
+import { webcrypto } from 'crypto';
+import { describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+import {
+  createBackup,
+  serializeBackup,
+  parseBackup,
+  previewRestore,
+  restoreBackup,
+  BACKUP_KEYS
+} from '../src/utils/backup-restore.js';
+import { CURRENT_SCHEMA_VERSION } from '../src/utils/storage-migrations.js';
+import { createChromeExtensionMock } from '../src/test/chrome-mock.js';
+
+describe('Backup and Restore', () => {
+  let storage;
+
+  beforeAll(() => {
+    // jsdom only provides getRandomValues; use Node's Web Crypto for AES-GCM/PBKDF2
+    Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+  });
+
+  beforeEach(async () => {
+    global.chrome = createChromeExtensionMock();
+    storage = global.chrome.storage.local;
+
+    await storage.set({
+      settings: { safeModeEnabled: true, dailyLimit: 20 },
+      connection_database: [
+        { id: 'conn_1', profileId: 'p1', status: 'pending' },
+        { id: 'conn_2', profileId: 'p2', status: 'accepted' }
+      ],
+      conversations: { conv_1: { id: 'conv_1', profileId: 'p2', status: 'active' } },
+      schema_version: { version: CURRENT_SCHEMA_VERSION }
+    });
+  });
+
+  describe('Creating Backups', () => {
+    test('should include every data key but not installation bookkeeping', () => {
+      expect(BACKUP_KEYS).toContain('connection_database');
+      expect(BACKUP_KEYS).toContain('conversations');
+      expect(BACKUP_KEYS).not.toContain('schema_version');
+      expect(BACKUP_KEYS).not.toContain('migration_log');
+    });
+
+    test('should create a versioned plain archive', async () => {
+      const result = await createBackup();
+
+      expect(result.success).toBe(true);
+      expect(result.archive).toMatchObject({
+        format: 'linkedin-extension-backup',
+        version: 1,
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        encrypted: false,
+        summary: { settings: 2, connection_database: 2, conversations: 1 }
+      });
+      expect(result.archive.data.connection_database).toHaveLength(2);
+    });
+
+    test('should encrypt the archive when a passphrase is given', async () => {
+      const result = await createBackup({ passphrase: 'correct horse' });
+      const text = serializeBackup(result.archive);
+
+      expect(result.archive.encrypted).toBe(true);
+      expect(result.archive.data).toBeUndefined();
+      expect(result.archive.payload.algorithm).toBe('AES-GCM');
+      expect(text).not.toContain('conn_1');
+    });
+
+    test('should reject unknown keys', async () => {
+      const result = await createBackup({ keys: ['not_a_key'] });
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe('Validating Archives', () => {
+    test('should reject files that are not backups', () => {
+      expect(() => parseBackup('not json')).toThrow('not valid JSON');
+      expect(() => parseBackup({ format: 'other' })).toThrow('not an extension backup');
+    });
+
+    test('should reject archives from a newer schema', () => {
+      const archive = {
+        format: 'linkedin-extension-backup',
+        version: 1,
+        schemaVersion: CURRENT_SCHEMA_VERSION + 1,
+        encrypted: false,
+        data: {}
+      };
+
+      expect(() => parseBackup(archive)).toThrow('newer version');
+    });
+  });
+
+  describe('Restore Preview', () => {
+    test('should describe overwritten and new keys without writing', async () => {
+      const { archive } = await createBackup();
+      archive.data.connection_database = [{ id: 'conn_3', profileId: 'p3' }];
+      archive.data.campaigns = [{ id: 'camp_1', name: 'Q1' }];
+
+      const { preview } = await previewRestore(archive, { mode: 'overwrite' });
+      const byKey = Object.fromEntries(preview.keys.map(change => [change.key, change]));
+
+      expect(byKey.connection_database.action).toBe('overwrite');
+      expect(byKey.campaigns).toMatchObject({ action: 'create', added: 1 });
+      expect(byKey.settings.action).toBe('unchanged');
+
+      const { connection_database: connections } = await storage.get('connection_database');
+      expect(connections).toHaveLength(2);
+    });
+
+    test('should count added and updated records in merge mode', async () => {
+      const { archive } = await createBackup();
+      archive.data.connection_database = [
+        { id: 'conn_2', profileId: 'p2', status: 'withdrawn' },
+        { id: 'conn_3', profileId: 'p3', status: 'pending' }
+      ];
+
+      const { preview } = await previewRestore(archive, { mode: 'merge' });
+      const change = preview.keys.find(c => c.key === 'connection_database');
+
+      expect(change).toMatchObject({ action: 'merge', added: 1, updated: 1 });
+    });
+
+    test('should require the passphrase for encrypted archives', async () => {
+      const { archive } = await createBackup({ passphrase: 'correct horse' });
+
+      expect((await previewRestore(archive)).error).toContain('passphrase is required');
+      expect((await previewRestore(archive, { passphrase: 'wrong' })).error).toContain(
+        'wrong passphrase'
+      );
+    });
+  });
+
+  describe('Restoring', () => {
+    test('should round-trip an encrypted backup', async () => {
+      const { archive } = await createBackup({ passphrase: 'correct horse' });
+      await storage.clear();
+
+      const result = await restoreBackup(serializeBackup(archive), { passphrase: 'correct horse' });
+
+      expect(result.success).toBe(true);
+      const restored = await storage.get(['settings', 'connection_database', 'conversations']);
+      expect(restored.settings.dailyLimit).toBe(20);
+      expect(restored.connection_database).toHaveLength(2);
+      expect(restored.conversations.conv_1.status).toBe('active');
+    });
+
+    test('should replace current data in overwrite mode', async () => {
+      const { archive } = await createBackup();
+      archive.data.connection_database = [{ id: 'conn_3', profileId: 'p3' }];
+
+      await restoreBackup(archive, { mode: 'overwrite' });
+
+      const { connection_database: connections } = await storage.get('connection_database');
+      expect(connections.map(c => c.id)).toEqual(['conn_3']);
+    });
+
+    test('should union records by id in merge mode', async () => {
+      const { archive } = await createBackup();
+      archive.data.connection_database = [
+        { id: 'conn_2', profileId: 'p2', status: 'withdrawn' },
+        { id: 'conn_3', profileId: 'p3', status: 'pending' }
+      ];
+      archive.data.settings = { dailyLimit: 10 };
+
+      await restoreBackup(archive, { mode: 'merge' });
+
+      const { connection_database: connections, settings } = await storage.get([
+        'connection_database',
+        'settings'
+      ]);
+      expect(connections.map(c => c.id)).toEqual(['conn_1', 'conn_2', 'conn_3']);
+      expect(connections.find(c => c.id === 'conn_2').status).toBe('withdrawn');
+      expect(settings).toEqual({ safeModeEnabled: true, dailyLimit: 10 });
+    });
+
+    test('should restore only the selected keys', async () => {
+      const { archive } = await createBackup();
+      await storage.clear();
+
+      const result = await restoreBackup(archive, { keys: ['settings'] });
+
+      expect(result.restored).toEqual(['settings']);
+      expect((await storage.get('connection_database')).connection_database).toBeUndefined();
+    });
+
+    test('should upgrade archives from an older schema before writing', async () => {
+      const archive = {
+        format: 'linkedin-extension-backup',
+        version: 1,
+        schemaVersion: 0,
+        createdAt: Date.now(),
+        encrypted: false,
+        data: { analytics: [{ type: 'connection_sent', timestamp: Date.UTC(2024, 0, 15, 12) }] }
+      };
+
+      await restoreBackup(archive);
+
+      const { analytics } = await storage.get('analytics');
+      expect(analytics[0].id).toBeDefined();
+      expect(analytics[0].date).toBe('2024-01-15');
+    });
+  });
+});
@@ -0,0 +1,219 @@
+// Tests for the CRM Sidebar - Profile Lookup, Rendering and Inline Actions
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { createCrmSidebar } from '../src/content/crm-sidebar.js';
+import { getProfileCrm } from '../src/utils/profile-crm.js';
+import {
+  createConnectionRecord,
+  getConnectionById,
+  scheduleFollowUp,
+  FOLLOWUP_TYPES
+} from '../src/utils/connection-management.js';
+import { setStorageData, STORAGE_KEYS } from '../src/utils/storage.js';
+import { createMessageRouter } from '../src/background/message-router.js';
+import { registerMessageHandlers } from '../src/background/message-handlers.js';
+import { createChromeExtensionMock } from '../src/test/chrome-mock.js';
+
+const PROFILE_URL = 'https://www.linkedin.com/in/maria-lopez/';
+const DAY = 24 * 60 * 60 * 1000;
+
+const contentScript = { url: PROFILE_URL, tab: { id: 7, url: PROFILE_URL } };
+
+function flushPromises() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+async function submitForm(sidebar, action) {
+  const form = sidebar.element.querySelector(`form[data-crm-action="${action}"]`);
+  form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+  for (let i = 0; i < 5; i++) {
+    await flushPromises();
+  }
+}
+
+describe('CRM Sidebar', () => {
+  let record;
+
+  beforeEach(async () => {
+    global.chrome = createChromeExtensionMock();
+    document.body.innerHTML = '';
+
+    // Content script messages are answered by the background handlers
+    const router = registerMessageHandlers(createMessageRouter());
+    global.chrome.runtime.sendMessage = (message, callback) => {
+      router.route(message, contentScript).then(callback);
+    };
+
+    await setStorageData({
+      [STORAGE_KEYS.CAMPAIGNS]: [{ id: 'campaign_1', name: 'Growth leaders', status: 'active' }]
+    });
+
+    await createConnectionRecord({
+      profileId: 'maria-lopez',
+      profileUrl: PROFILE_URL,
+      name: 'Maria Lopez',
+      sentAt: Date.now() - 30 * DAY,
+      status: 'expired'
+    });
+    record = await createConnectionRecord({
+      profileId: 'maria-lopez',
+      profileUrl: 'https://www.linkedin.com/in/maria-lopez/?miniProfileUrn=abc',
+      name: 'Maria Lopez',
+      status: 'accepted',
+      tags: ['growth'],
+      notes: 'Met at a meetup',
+      messageUsed: 'Hi Maria, great talk!',
+      campaignId: 'campaign_1'
+    });
+    await createConnectionRecord({
+      profileId: 'jonas-weber',
+      profileUrl: 'https://www.linkedin.com/in/jonas-weber/',
+      name: 'Jonas Weber'
+    });
+  });
+
+  describe('Profile Lookup', () => {
+    test('should gather invitations, campaigns, follow-ups and the conversation', async () => {
+      await scheduleFollowUp(record.id, {
+        type: FOLLOWUP_TYPES.MEETING_REQUEST,
+        scheduledFor: Date.now() + 2 * DAY,
+        message: 'Coffee next week?'
+      });
+      await setStorageData({
+        [STORAGE_KEYS.CONVERSATIONS]: {
+          conv_maria: {
+            id: 'conv_maria',
+            profileId: 'maria-lopez',
+            profileUrl: PROFILE_URL,
+            status: 'active',
+            sentiment: 'positive',
+            lastActivity: Date.now(),
+            messages: [
+              { type: 'sent', content: 'Hi Maria', timestamp: Date.now() - DAY },
+              { type: 'received', content: 'Happy to chat', timestamp: Date.now() }
+            ]
+          }
+        }
+      });
+
+      const crm = await getProfileCrm(PROFILE_URL);
+
+      expect(crm.connection.id).toBe(record.id);
+      expect(crm.invitations.map(invitation => invitation.status)).toEqual(['accepted', 'expired']);
+      expect(crm.campaigns).toEqual([
+        { id: 'campaign_1', name: 'Growth leaders', status: 'active' }
+      ]);
+      expect(crm.followUps).toHaveLength(1);
+      expect(crm.followUps[0]).toMatchObject({
+        connectionId: record.id,
+        type: FOLLOWUP_TYPES.MEETING_REQUEST
+      });
+      expect(crm.conversation).toMatchObject({
+        id: 'conv_maria',
+        messageCount: 2,
+        lastMessage: { type: 'received', content: 'Happy to chat' }
+      });
+    });
+
+    test('should reject URLs that are not profiles', async () => {
+      await expect(getProfileCrm('https://www.linkedin.com/feed/')).rejects.toThrow(
+        'Not a profile URL'
+      );
+    });
+  });
+
+  describe('Rendering', () => {
+    test('should show status, tags, notes, invitations and campaigns', async () => {
+      const sidebar = createCrmSidebar(PROFILE_URL);
+      await sidebar.ready;
+
+      const { element } = sidebar;
+      expect(element.querySelector('.crm-status').textContent).toBe('Accepted');
+      expect(element.querySelector('.crm-tags').textContent).toContain('growth');
+      expect(element.querySelector('.crm-notes').textContent).toBe('Met at a meetup');
+      expect(element.querySelectorAll('.crm-invitations li')).toHaveLength(2);
+      expect(element.querySelector('.crm-invitations').textContent).toContain(
+        'Hi Maria, great talk!'
+      );
+      expect(element.querySelector('.crm-campaigns').textContent).toContain('Growth leaders');
+      expect(element.querySelector('.crm-follow-ups').textContent).toBe('No follow-ups scheduled');
+      expect(element.querySelector('input[name="tags"]').value).toBe('growth');
+    });
+
+    test('should say when the person is not in the connection database', async () => {
+      const sidebar = createCrmSidebar('https://www.linkedin.com/in/li-wei/');
+      await sidebar.ready;
+
+      expect(sidebar.element.textContent).toContain('Not in your connection database yet.');
+      expect(sidebar.element.querySelector('form')).toBeNull();
+    });
+
+    test('should remove itself when closed', async () => {
+      const sidebar = createCrmSidebar(PROFILE_URL);
+      await sidebar.ready;
+
+      sidebar.element.querySelector('[data-crm-action="close"]').click();
+
+      expect(document.getElementById('linkedin-automation-crm')).toBeNull();
+    });
+  });
+
+  describe('Inline Actions', () => {
+    test('should add a note', async () => {
+      const sidebar = createCrmSidebar(PROFILE_URL);
+      await sidebar.ready;
+
+      sidebar.element.querySelector('textarea[name="note"]').value = 'Follow up in Q3';
+      await submitForm(sidebar, 'add-note');
+
+      expect((await getConnectionById(record.id)).notes).toMatch(
+        /^Met at a meetup\n\[.+\] Follow up in Q3$/
+      );
+      expect(sidebar.element.querySelector('.crm-notes').textContent).toContain('Follow up in Q3');
+    });
+
+    test('should update tags', async () => {
+      const sidebar = createCrmSidebar(PROFILE_URL);
+      await sidebar.ready;
+
+      sidebar.element.querySelector('input[name="tags"]').value = 'growth, speaker , ,hot lead';
+      await submitForm(sidebar, 'save-tags');
+
+      expect((await getConnectionById(record.id)).tags).toEqual(['growth', 'speaker', 'hot lead']);
+      expect(sidebar.element.querySelectorAll('.crm-tags span')).toHaveLength(3);
+    });
+
+    test('should schedule a follow-up', async () => {
+      const sidebar = createCrmSidebar(PROFILE_URL);
+      await sidebar.ready;
+
+      const form = sidebar.element.querySelector('form[data-crm-action="schedule-follow-up"]');
+      form.elements.type.value = FOLLOWUP_TYPES.THANK_YOU;
+      form.elements.scheduledFor.value = '2030-01-15T09:30';
+      form.elements.message.value = 'Thanks again!';
+      await submitForm(sidebar, 'schedule-follow-up');
+
+      const { followUp } = await getConnectionById(record.id);
+      expect(followUp.followUpHistory).toHaveLength(1);
+      expect(followUp.followUpHistory[0]).toMatchObject({
+        type: FOLLOWUP_TYPES.THANK_YOU,
+        scheduledFor: new Date('2030-01-15T09:30').getTime(),
+        message: 'Thanks again!',
+        status: 'scheduled'
+      });
+      expect(sidebar.element.querySelector('.crm-follow-ups').textContent).toContain('Thank you');
+    });
+
+    test('should not schedule a follow-up without a date', async () => {
+      const sidebar = createCrmSidebar(PROFILE_URL);
+      await sidebar.ready;
+
+      await submitForm(sidebar, 'schedule-follow-up');
+
+      expect((await getConnectionById(record.id)).followUp.followUpHistory).toHaveLength(0);
+      expect(sidebar.element.querySelector('.crm-error').textContent).toBe(
+        'Pick a date for the follow-up'
+      );
+    });
+  });
+});
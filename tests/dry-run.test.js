@@ -0,0 +1,173 @@
+// Tests for Dry Runs - Rehearsed Connection Requests, Blocking Rules and Reports
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import {
+  startDryRun,
+  recordDryRunEntry,
+  finishDryRun,
+  getDryRunReports,
+  getBlockingRules,
+  DRY_RUN_VERDICTS
+} from '../src/utils/dry-run.js';
+import { updateSafetySettings } from '../src/utils/safety-compliance.js';
+import { sendConnectionRequest } from '../src/utils/linkedin-automation.js';
+import { processSearchResults } from '../src/utils/search-integration.js';
+import { renderSandboxPage } from '../src/sandbox/mock-pages.js';
+import { getSandboxState } from '../src/sandbox/sandbox-state.js';
+import { createChromeExtensionMock } from '../src/test/chrome-mock.js';
+
+const SENT = { success: true, dryRun: true };
+
+function flushPromises() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+describe('Dry Run', () => {
+  beforeEach(async () => {
+    global.chrome = createChromeExtensionMock();
+    document.body.innerHTML = '';
+
+    // Keep the clock out of the rules under test
+    await updateSafetySettings({
+      dailyConnectionLimit: 3,
+      hourlyConnectionLimit: 2,
+      workingHours: { enabled: false, start: '09:00', end: '17:00' },
+      weekendMode: true
+    });
+  });
+
+  afterEach(() => {
+    delete document.documentElement.dataset.linkedinUrl;
+  });
+
+  describe('Reports', () => {
+    test('should record what would have happened to each profile', async () => {
+      const { id } = await startDryRun({ url: 'https://www.linkedin.com/search/results/people/' });
+
+      await recordDryRunEntry(id, {
+        name: 'Maria Lopez',
+        profileUrl: 'https://www.linkedin.com/in/maria-lopez/',
+        source: 'search',
+        note: 'Hi Maria',
+        result: SENT
+      });
+      await recordDryRunEntry(id, {
+        name: 'Jonas Weber',
+        profileUrl: 'https://www.linkedin.com/in/jonas-weber/',
+        blockedBy: [
+          { rule: 'HOURLY_LIMIT_EXCEEDED', message: 'Hourly limit of 2 connections reached' }
+        ],
+        result: SENT
+      });
+      await recordDryRunEntry(id, {
+        name: 'Li Wei',
+        result: { success: false, error: 'Connect button not found', reason: 'NO_CONNECT_BUTTON' }
+      });
+      const report = await finishDryRun(id, 'completed');
+
+      expect(report.entries.map(entry => entry.verdict)).toEqual([
+        DRY_RUN_VERDICTS.WOULD_SEND,
+        DRY_RUN_VERDICTS.BLOCKED,
+        DRY_RUN_VERDICTS.FAILED
+      ]);
+      expect(report.entries[0]).toMatchObject({ note: 'Hi Maria', source: 'search', error: null });
+      expect(report.entries[2]).toMatchObject({ reason: 'NO_CONNECT_BUTTON' });
+      expect(report.summary).toEqual({
+        total: 3,
+        wouldSend: 1,
+        blocked: 1,
+        failed: 1,
+        blockedBy: { HOURLY_LIMIT_EXCEEDED: 1 }
+      });
+      expect(report).toMatchObject({ endReason: 'completed', finishedAt: expect.any(Number) });
+      expect((await getDryRunReports())[0]).toEqual(report);
+    });
+
+    test('should keep the last 20 reports', async () => {
+      for (let i = 0; i < 21; i++) {
+        await startDryRun({ url: `https://www.linkedin.com/search/results/people/?page=${i}` });
+      }
+
+      const reports = await getDryRunReports();
+
+      expect(reports).toHaveLength(20);
+      expect(reports[0].url).toContain('page=20');
+      expect(await recordDryRunEntry('dryrun_missing', { result: SENT })).toBeNull();
+    });
+  });
+
+  describe('Blocking Rules', () => {
+    test('should count planned requests against the limits', async () => {
+      expect(await getBlockingRules(0)).toEqual([]);
+      expect(await getBlockingRules(2)).toEqual([
+        { rule: 'HOURLY_LIMIT_EXCEEDED', message: 'Hourly limit of 2 connections reached' }
+      ]);
+      expect((await getBlockingRules(3)).map(rule => rule.rule)).toEqual([
+        'DAILY_LIMIT_EXCEEDED',
+        'HOURLY_LIMIT_EXCEEDED'
+      ]);
+    });
+
+    test('should report a failed safety check', async () => {
+      await updateSafetySettings({ respectLinkedInLimits: false });
+
+      expect(await getBlockingRules(0)).toEqual([
+        { rule: 'COMPLIANCE_VIOLATION', message: 'LinkedIn limits not being respected' }
+      ]);
+    });
+  });
+
+  describe('Rehearsed Connection Requests', () => {
+    test('should fill in the invitation and close it without sending', async () => {
+      await renderSandboxPage('https://www.linkedin.com/in/aisha-khan/');
+
+      const result = await sendConnectionRequest('Hi Aisha', { dryRun: true });
+      await flushPromises();
+
+      expect(result).toMatchObject({ success: true, dryRun: true, hasCustomMessage: true });
+      expect(document.querySelector('[role="dialog"]')).toBeNull();
+      expect(document.querySelector('.pv-s-profile-actions button').textContent).toBe('Connect');
+      expect((await getSandboxState()).invitations).toEqual({});
+    });
+
+    test('should close the invitation when its note cannot be added', async () => {
+      await renderSandboxPage('https://www.linkedin.com/in/aisha-khan/');
+
+      // Keep the note field from ever appearing
+      const blockAddNote = event => {
+        if (event.target.closest('[data-sandbox-action="add-note"]')) {
+          event.stopImmediatePropagation();
+        }
+      };
+      window.addEventListener('click', blockAddNote, true);
+
+      try {
+        const result = await sendConnectionRequest('Hi Aisha', { dryRun: true });
+        await flushPromises();
+
+        expect(result).toMatchObject({ success: false, reason: 'MESSAGE_FAILED' });
+        expect(document.querySelector('[role="dialog"]')).toBeNull();
+        expect((await getSandboxState()).invitations).toEqual({});
+      } finally {
+        window.removeEventListener('click', blockAddNote, true);
+      }
+    });
+
+    test('should connect with the search result it is given', async () => {
+      await renderSandboxPage('https://www.linkedin.com/search/results/people/');
+      const [, jonas] = await processSearchResults();
+
+      const result = await sendConnectionRequest(null, { dryRun: true, root: jonas.element });
+      await flushPromises();
+
+      expect(result.success).toBe(true);
+      expect(document.querySelector('[role="dialog"]')).toBeNull();
+      expect((await getSandboxState()).invitations).toEqual({});
+
+      await sendConnectionRequest(null, { root: jonas.element });
+      await flushPromises();
+
+      expect(Object.keys((await getSandboxState()).invitations)).toEqual(['jonas-weber']);
+    });
+  });
+});
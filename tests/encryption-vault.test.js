@@ -0,0 +1,213 @@
+// Tests for Encryption Key Manager - Passphrase Vault, Lock State and Key Rotation
+
+import { webcrypto } from 'crypto';
+import { describe, test, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+import {
+  setupVault,
+  unlockVault,
+  lockVault,
+  getVaultState,
+  getVaultStatus,
+  isVaultUnlocked,
+  onVaultStateChange,
+  encryptValue,
+  decryptValue,
+  isEncryptedValue,
+  changeVaultPassphrase,
+  rotateVaultKey,
+  VaultLockedError,
+  VAULT_STATES
+} from '../src/utils/encryption.js';
+import { ChromeStorageMock, createChromeExtensionMock } from '../src/test/chrome-mock.js';
+
+describe('Encryption Key Manager', () => {
+  let storage;
+  let session;
+
+  beforeAll(() => {
+    // jsdom only provides getRandomValues; use Node's Web Crypto for AES-GCM/PBKDF2
+    Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+  });
+
+  beforeEach(async () => {
+    storage = new ChromeStorageMock();
+    session = new ChromeStorageMock();
+    global.chrome = {
+      ...createChromeExtensionMock(),
+      storage: { local: storage, sync: storage, session }
+    };
+    await lockVault();
+  });
+
+  describe('Vault Lifecycle', () => {
+    test('should report uninitialized before setup', async () => {
+      expect(await getVaultState()).toBe(VAULT_STATES.UNINITIALIZED);
+    });
+
+    test('should be unlocked after setup and locked after lockVault', async () => {
+      const status = await setupVault('correct horse');
+
+      expect(status).toMatchObject({ state: VAULT_STATES.UNLOCKED, unlocked: true, keyCount: 1 });
+      expect(status.activeKeyId).toBeDefined();
+
+      await lockVault();
+      expect(await getVaultState()).toBe(VAULT_STATES.LOCKED);
+    });
+
+    test('should refuse to set up an existing vault', async () => {
+      await setupVault('correct horse');
+      await expect(setupVault('another')).rejects.toThrow('already set up');
+    });
+
+    test('should not store the passphrase or raw keys in local storage', async () => {
+      await setupVault('correct horse');
+      const { encryption_vault: vault } = await storage.get('encryption_vault');
+
+      expect(JSON.stringify(vault)).not.toContain('correct horse');
+      expect(vault.keys[vault.activeKeyId].ciphertext).toBeDefined();
+    });
+
+    test('should unlock with the right passphrase only', async () => {
+      await setupVault('correct horse');
+      await lockVault();
+
+      await expect(unlockVault('wrong')).rejects.toThrow('Incorrect passphrase');
+      expect(await isVaultUnlocked()).toBe(false);
+
+      await unlockVault('correct horse');
+      expect(await isVaultUnlocked()).toBe(true);
+    });
+
+    test('should notify listeners on lock and unlock', async () => {
+      const listener = jest.fn();
+      const unsubscribe = onVaultStateChange(listener);
+
+      await setupVault('correct horse');
+      await lockVault();
+      unsubscribe();
+      await unlockVault('correct horse');
+
+      expect(listener.mock.calls.map(call => call[0])).toEqual([
+        VAULT_STATES.UNLOCKED,
+        VAULT_STATES.LOCKED
+      ]);
+    });
+
+    test('should share the unlocked state with other extension contexts', async () => {
+      await setupVault('correct horse');
+      const envelope = await encryptValue({ name: 'Jane Doe' });
+
+      let otherContext;
+      jest.isolateModules(() => {
+        otherContext = require('../src/utils/encryption.js');
+      });
+
+      expect(await otherContext.isVaultUnlocked()).toBe(true);
+      expect(await otherContext.decryptValue(envelope)).toEqual({ name: 'Jane Doe' });
+    });
+  });
+
+  describe('Encrypting Values', () => {
+    test('should round-trip JSON values with authenticated encryption', async () => {
+      await setupVault('correct horse');
+
+      const envelope = await encryptValue({ name: 'Jane Doe', notes: ['met at conference'] });
+
+      expect(isEncryptedValue(envelope)).toBe(true);
+      expect(JSON.stringify(envelope)).not.toContain('Jane Doe');
+      expect(await decryptValue(envelope)).toEqual({ name: 'Jane Doe', notes: ['met at conference'] });
+    });
+
+    test('should detect tampered ciphertext', async () => {
+      await setupVault('correct horse');
+      const envelope = await encryptValue('Jane Doe');
+      const bytes = Buffer.from(envelope.ciphertext, 'base64');
+      bytes[0] ^= 1;
+
+      await expect(
+        decryptValue({ ...envelope, ciphertext: bytes.toString('base64') })
+      ).rejects.toThrow('corrupted');
+    });
+
+    test('should throw VaultLockedError while locked', async () => {
+      await setupVault('correct horse');
+      const envelope = await encryptValue('Jane Doe');
+      await lockVault();
+
+      await expect(encryptValue('John')).rejects.toBeInstanceOf(VaultLockedError);
+      await expect(decryptValue(envelope)).rejects.toBeInstanceOf(VaultLockedError);
+    });
+  });
+
+  describe('Passphrase Change and Key Rotation', () => {
+    test('should change the passphrase without touching stored data', async () => {
+      await setupVault('correct horse');
+      const envelope = await encryptValue('Jane Doe');
+
+      await changeVaultPassphrase('correct horse', 'battery staple');
+      await lockVault();
+
+      await expect(unlockVault('correct horse')).rejects.toThrow('Incorrect passphrase');
+      await unlockVault('battery staple');
+      expect(await decryptValue(envelope)).toBe('Jane Doe');
+    });
+
+    test('should re-encrypt stored envelopes with the new key', async () => {
+      const { activeKeyId: oldKeyId } = await setupVault('correct horse');
+      await storage.set({
+        connection_database: [
+          { id: 'conn_1', status: 'pending', name: await encryptValue('Jane Doe') },
+          { id: 'conn_2', status: 'accepted', name: 'Plain Name' }
+        ],
+        conversations: { conv_1: { id: 'conv_1', messages: [await encryptValue('Hello')] } }
+      });
+
+      const result = await rotateVaultKey('correct horse', {
+        storageKeys: ['connection_database', 'conversations', 'settings']
+      });
+
+      expect(result).toMatchObject({
+        success: true,
+        reencrypted: 2,
+        storageKeys: ['connection_database', 'conversations']
+      });
+      expect(result.keyId).not.toBe(oldKeyId);
+
+      const status = await getVaultStatus();
+      expect(status).toMatchObject({ activeKeyId: result.keyId, keyCount: 1 });
+      expect(status.rotatedAt).toBeDefined();
+
+      const { connection_database: connections, conversations } = await storage.get([
+        'connection_database',
+        'conversations'
+      ]);
+      expect(connections[0].name.keyId).toBe(result.keyId);
+      expect(connections[1].name).toBe('Plain Name');
+      expect(await decryptValue(connections[0].name)).toBe('Jane Doe');
+      expect(await decryptValue(conversations.conv_1.messages[0])).toBe('Hello');
+    });
+
+    test('should keep data readable when rotation is interrupted', async () => {
+      await setupVault('correct horse');
+      const envelope = await encryptValue('Jane Doe');
+      await storage.set({ connection_database: [{ id: 'conn_1', name: envelope }] });
+
+      const failingSet = jest.spyOn(storage, 'set');
+      failingSet.mockImplementationOnce(ChromeStorageMock.prototype.set.bind(storage));
+      failingSet.mockRejectedValueOnce(new Error('quota exceeded'));
+
+      await expect(
+        rotateVaultKey('correct horse', { storageKeys: ['connection_database'] })
+      ).rejects.toThrow('quota exceeded');
+      failingSet.mockRestore();
+
+      await lockVault();
+      await unlockVault('correct horse');
+      expect(await decryptValue(envelope)).toBe('Jane Doe');
+      expect((await getVaultStatus()).keyCount).toBe(2);
+
+      await rotateVaultKey('correct horse', { storageKeys: ['connection_database'] });
+      expect((await getVaultStatus()).keyCount).toBe(1);
+    });
+  });
+});
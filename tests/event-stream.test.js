@@ -0,0 +1,226 @@
+// Tests for the Event Stream - Port Channel, Event Hub, Heartbeats and Reconnects
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import {
+  connectToStream,
+  STREAM_EVENTS,
+  STREAM_FRAMES,
+  STREAM_PORT_NAME
+} from '../src/utils/messaging.js';
+import { createEventHub } from '../src/background/event-hub.js';
+import { createChromeExtensionMock } from '../src/test/chrome-mock.js';
+
+const extensionPage = { id: 'test-id', url: 'chrome-extension://test-id/popup/popup.html' };
+const contentScript = {
+  id: 'test-id',
+  url: 'https://www.linkedin.com/search/results/people/',
+  tab: { id: 7, url: 'https://www.linkedin.com/search/results/people/' }
+};
+
+function createPort(name, sender) {
+  const messageListeners = [];
+  const disconnectListeners = [];
+
+  return {
+    name,
+    sender,
+    peer: null,
+    connected: true,
+    onMessage: { addListener: listener => messageListeners.push(listener) },
+    onDisconnect: { addListener: listener => disconnectListeners.push(listener) },
+    postMessage(frame) {
+      if (!this.connected) {
+        throw new Error('Attempting to use a disconnected port object');
+      }
+      this.peer.receive(JSON.parse(JSON.stringify(frame)));
+    },
+    disconnect() {
+      if (this.connected) {
+        this.connected = false;
+        this.peer.connected = false;
+        this.peer.dropped();
+      }
+    },
+    receive(frame) {
+      messageListeners.forEach(listener => listener(frame));
+    },
+    dropped() {
+      disconnectListeners.forEach(listener => listener());
+    }
+  };
+}
+
+describe('Event Stream', () => {
+  let hub;
+  let serverPorts;
+  let nextSender;
+
+  beforeEach(() => {
+    global.chrome = createChromeExtensionMock();
+    global.chrome.runtime.id = 'test-id';
+    hub = createEventHub();
+    serverPorts = [];
+    nextSender = extensionPage;
+
+    global.chrome.runtime.connect = jest.fn(({ name }) => {
+      const client = createPort(name, null);
+      const server = createPort(name, nextSender);
+      client.peer = server;
+      server.peer = client;
+      serverPorts.push(server);
+      hub.handleConnect(server);
+      return client;
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should relay published events to subscribed ports only', () => {
+    const popup = connectToStream();
+    const sent = jest.fn();
+    const queued = jest.fn();
+    popup.subscribe(STREAM_EVENTS.REQUEST_SENT, sent);
+    popup.subscribe(STREAM_EVENTS.PROFILE_QUEUED, queued);
+
+    nextSender = contentScript;
+    const content = connectToStream();
+    content.publish(STREAM_EVENTS.REQUEST_SENT, { name: 'Jane Doe' });
+    content.publish(STREAM_EVENTS.RATE_LIMIT_HIT, { message: 'Daily limit reached' });
+
+    expect(chrome.runtime.connect).toHaveBeenCalledWith({ name: STREAM_PORT_NAME });
+    expect(sent).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: STREAM_EVENTS.REQUEST_SENT,
+        data: { name: 'Jane Doe' },
+        tabId: 7
+      })
+    );
+    expect(queued).not.toHaveBeenCalled();
+  });
+
+  test('should stop delivering after unsubscribe', () => {
+    const popup = connectToStream();
+    const listener = jest.fn();
+    const unsubscribe = popup.subscribe('*', listener);
+
+    hub.publish(STREAM_EVENTS.PROFILE_QUEUED, { name: 'Jane Doe' });
+    unsubscribe();
+    hub.publish(STREAM_EVENTS.PROFILE_QUEUED, { name: 'John Doe' });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  test('should deliver events to service worker listeners', () => {
+    const listener = jest.fn();
+    hub.subscribe(STREAM_EVENTS.AUTOMATION_STOPPED, listener);
+
+    nextSender = contentScript;
+    connectToStream().publish(STREAM_EVENTS.AUTOMATION_STOPPED, { reason: 'rate_limit' });
+
+    expect(listener).toHaveBeenCalledWith(
+      expect.objectContaining({ data: { reason: 'rate_limit' }, tabId: 7 })
+    );
+  });
+
+  test('should drop unknown event types', () => {
+    const listener = jest.fn();
+    hub.subscribe('*', listener);
+
+    expect(hub.publish('made_up_event', {})).toBeNull();
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test('should refuse ports from unknown senders', () => {
+    nextSender = { id: 'other-extension', url: 'chrome-extension://other-extension/page.html' };
+
+    const channel = connectToStream();
+
+    expect(serverPorts[0].connected).toBe(false);
+    expect(hub.ports.size).toBe(0);
+    channel.disconnect();
+  });
+
+  test('should answer heartbeats', () => {
+    jest.useFakeTimers();
+    const popup = connectToStream({ heartbeatInterval: 1000, heartbeatTimeout: 2500 });
+    const received = [];
+    serverPorts[0].onMessage.addListener(frame => received.push(frame.type));
+
+    jest.advanceTimersByTime(5000);
+
+    expect(received.filter(type => type === STREAM_FRAMES.PING)).toHaveLength(5);
+    expect(popup.isConnected()).toBe(true);
+    popup.disconnect();
+  });
+
+  test('should reconnect with backoff and resubscribe after the worker goes away', () => {
+    jest.useFakeTimers();
+    const popup = connectToStream({ reconnectDelay: 1000 });
+    const listener = jest.fn();
+    popup.subscribe(STREAM_EVENTS.REQUEST_SENT, listener);
+
+    // Service worker suspended
+    serverPorts[0].disconnect();
+    hub.ports.clear();
+    expect(popup.isConnected()).toBe(false);
+
+    jest.advanceTimersByTime(999);
+    expect(chrome.runtime.connect).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(1);
+    expect(chrome.runtime.connect).toHaveBeenCalledTimes(2);
+
+    hub.publish(STREAM_EVENTS.REQUEST_SENT, { name: 'Jane Doe' });
+    expect(listener).toHaveBeenCalledTimes(1);
+    popup.disconnect();
+  });
+
+  test('should reconnect when heartbeats go unanswered', () => {
+    jest.useFakeTimers();
+    const popup = connectToStream({
+      heartbeatInterval: 1000,
+      heartbeatTimeout: 2500,
+      reconnectDelay: 500
+    });
+
+    // The worker stops responding without closing the port
+    serverPorts[0].receive = () => {};
+
+    jest.advanceTimersByTime(3000);
+    expect(serverPorts[0].connected).toBe(false);
+
+    jest.advanceTimersByTime(500);
+    expect(chrome.runtime.connect).toHaveBeenCalledTimes(2);
+    expect(popup.isConnected()).toBe(true);
+    popup.disconnect();
+  });
+
+  test('should buffer events published while disconnected', () => {
+    jest.useFakeTimers();
+    const listener = jest.fn();
+    hub.subscribe(STREAM_EVENTS.REQUEST_SENT, listener);
+
+    nextSender = contentScript;
+    const content = connectToStream({ reconnectDelay: 1000 });
+    serverPorts[0].disconnect();
+
+    content.publish(STREAM_EVENTS.REQUEST_SENT, { name: 'Jane Doe' });
+    expect(listener).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1000);
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ data: { name: 'Jane Doe' } }));
+    content.disconnect();
+  });
+
+  test('should not reconnect after an explicit disconnect', () => {
+    jest.useFakeTimers();
+    const popup = connectToStream({ reconnectDelay: 1000 });
+
+    popup.disconnect();
+    jest.advanceTimersByTime(60000);
+
+    expect(chrome.runtime.connect).toHaveBeenCalledTimes(1);
+    expect(hub.ports.size).toBe(0);
+  });
+});
@@ -0,0 +1,225 @@
+// Tests for Field-level Encryption - PII in Connection Records and Conversations
+
+import { webcrypto } from 'crypto';
+import { describe, test, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+import { setupVault, lockVault, unlockVault, isEncryptedValue } from '../src/utils/encryption.js';
+import {
+  encryptRecordFields,
+  decryptRecordFields,
+  getRecordProfileSlug,
+  areRecordFieldsSealed
+} from '../src/utils/field-encryption.js';
+import {
+  createConnectionRecord,
+  getConnectionRecords,
+  addConnectionNote,
+  updateConnectionStatus,
+  CONNECTION_STATUS
+} from '../src/utils/connection-management.js';
+import { ResponseTrackingSystem } from '../src/utils/response-tracking.js';
+import { ChromeStorageMock, createChromeExtensionMock } from '../src/test/chrome-mock.js';
+
+describe('Field-level Encryption', () => {
+  let storage;
+
+  beforeAll(() => {
+    // jsdom only provides getRandomValues; use Node's Web Crypto for AES-GCM/PBKDF2
+    Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+  });
+
+  beforeEach(async () => {
+    storage = new ChromeStorageMock();
+    global.chrome = {
+      ...createChromeExtensionMock(),
+      storage: { local: storage, sync: storage, session: new ChromeStorageMock() }
+    };
+    await lockVault();
+  });
+
+  async function storedConnections() {
+    return (await storage.get('connection_database')).connection_database;
+  }
+
+  describe('Record Fields', () => {
+    test('should leave records untouched until the vault is set up', async () => {
+      const records = [{ id: 'conn_1', name: 'Jane Doe', status: 'pending' }];
+      expect(await encryptRecordFields('connection_database', records)).toBe(records);
+    });
+
+    test('should encrypt nested and array paths but keep status and timestamps', async () => {
+      await setupVault('correct horse');
+
+      const encrypted = await encryptRecordFields('conversations', {
+        conv_1: {
+          id: 'conv_1',
+          profileName: 'Jane Doe',
+          status: 'active',
+          lastActivity: 123,
+          notes: '',
+          messages: [{ id: 'msg_1', type: 'sent', content: 'Hi Jane', timestamp: 100 }]
+        }
+      });
+
+      const conversation = encrypted.conv_1;
+      expect(isEncryptedValue(conversation.profileName)).toBe(true);
+      expect(isEncryptedValue(conversation.messages[0].content)).toBe(true);
+      expect(conversation.notes).toBe('');
+      expect(conversation.status).toBe('active');
+      expect(conversation.lastActivity).toBe(123);
+      expect(conversation.messages[0].timestamp).toBe(100);
+
+      expect((await decryptRecordFields(encrypted)).conv_1.messages[0].content).toBe('Hi Jane');
+    });
+
+    test('should honour fields configured in settings', async () => {
+      await storage.set({
+        settings: { fieldEncryption: { fields: { connection_database: ['notes'] } } }
+      });
+      await setupVault('correct horse');
+
+      const [record] = await encryptRecordFields('connection_database', [
+        { id: 'conn_1', name: 'Jane Doe', notes: 'Met at conference' }
+      ]);
+
+      expect(record.name).toBe('Jane Doe');
+      expect(isEncryptedValue(record.notes)).toBe(true);
+    });
+
+    test('should not encrypt when disabled in settings', async () => {
+      await storage.set({ settings: { fieldEncryption: { enabled: false } } });
+      await setupVault('correct horse');
+
+      const [record] = await encryptRecordFields('connection_database', [
+        { id: 'conn_1', name: 'Jane Doe' }
+      ]);
+
+      expect(record.name).toBe('Jane Doe');
+    });
+  });
+
+  describe('Connection Database', () => {
+    const jane = {
+      profileId: 'jane-doe',
+      profileUrl: 'https://www.linkedin.com/in/jane-doe/',
+      name: 'Jane Doe',
+      title: 'Engineer',
+      location: 'Berlin',
+      notes: 'Met at conference'
+    };
+
+    test('should store PII encrypted and return it decrypted when unlocked', async () => {
+      await setupVault('correct horse');
+      const created = await createConnectionRecord(jane);
+
+      expect(created.name).toBe('Jane Doe');
+
+      const [stored] = await storedConnections();
+      expect(JSON.stringify(stored)).not.toContain('Jane');
+      expect(JSON.stringify(stored)).not.toContain('Berlin');
+      expect(stored.profileId).toBe('jane-doe');
+      expect(stored.status).toBe(CONNECTION_STATUS.PENDING);
+      expect(stored.title).toBe('Engineer');
+
+      const { connections } = await getConnectionRecords({ search: 'berlin' });
+      expect(connections).toHaveLength(1);
+      expect(connections[0]).toMatchObject({
+        name: 'Jane Doe',
+        firstName: 'Jane',
+        notes: 'Met at conference'
+      });
+    });
+
+    test('should keep non-sensitive fields queryable while locked', async () => {
+      await setupVault('correct horse');
+      const created = await createConnectionRecord(jane);
+      await lockVault();
+
+      await updateConnectionStatus(created.id, CONNECTION_STATUS.ACCEPTED);
+      const { connections } = await getConnectionRecords({
+        filters: { status: CONNECTION_STATUS.ACCEPTED },
+        search: 'engineer',
+        sortBy: 'name'
+      });
+
+      expect(connections).toHaveLength(1);
+      expect(isEncryptedValue(connections[0].name)).toBe(true);
+    });
+
+    test('should keep the profile slug readable to match records while locked', async () => {
+      await setupVault('correct horse');
+      await createConnectionRecord({ ...jane, profileId: 'conn-42' });
+      await lockVault();
+
+      const [stored] = await storedConnections();
+      expect(isEncryptedValue(stored.profileUrl)).toBe(true);
+      expect(stored.profileSlug).toBe('jane-doe');
+
+      const { connections } = await getConnectionRecords();
+      expect(await areRecordFieldsSealed()).toBe(true);
+      expect(getRecordProfileSlug(connections[0])).toBe('jane-doe');
+      expect(getRecordProfileSlug({ profileUrl: stored.profileUrl })).toBeNull();
+    });
+
+    test('should append notes to encrypted notes only when unlocked', async () => {
+      await setupVault('correct horse');
+      const created = await createConnectionRecord(jane);
+      await lockVault();
+
+      expect(await addConnectionNote(created.id, 'Follow up in May')).toBe(false);
+
+      await unlockVault('correct horse');
+      expect(await addConnectionNote(created.id, 'Follow up in May')).toBe(true);
+
+      const { connections } = await getConnectionRecords();
+      expect(connections[0].notes).toContain('Met at conference');
+      expect(connections[0].notes).toContain('Follow up in May');
+      expect(isEncryptedValue((await storedConnections())[0].notes)).toBe(true);
+    });
+
+    test('should encrypt records written while locked on the next unlocked write', async () => {
+      await setupVault('correct horse');
+      await lockVault();
+      const first = await createConnectionRecord(jane);
+
+      expect((await storedConnections())[0].name).toBe('Jane Doe');
+
+      await unlockVault('correct horse');
+      await updateConnectionStatus(first.id, CONNECTION_STATUS.ACCEPTED);
+
+      expect(isEncryptedValue((await storedConnections())[0].name)).toBe(true);
+    });
+  });
+
+  describe('Conversations', () => {
+    beforeEach(() => {
+      jest
+        .spyOn(ResponseTrackingSystem.prototype, 'startResponseDetector')
+        .mockImplementation(() => {});
+      jest.spyOn(ResponseTrackingSystem.prototype, 'scheduleResponseCheck').mockResolvedValue();
+    });
+
+    test('should store message content encrypted and decrypt it in getConversations', async () => {
+      await setupVault('correct horse');
+      const tracker = new ResponseTrackingSystem();
+
+      await tracker.trackSentMessage({
+        profileId: 'jane-doe',
+        profileName: 'Jane Doe',
+        content: 'Hi Jane, great talk!'
+      });
+
+      const { conversations: stored } = await storage.get('conversations');
+      expect(JSON.stringify(stored)).not.toContain('great talk');
+      expect(stored['conv_jane-doe'].status).toBe('active');
+
+      await lockVault();
+      const reloaded = new ResponseTrackingSystem();
+      await reloaded.loadConversations();
+      await unlockVault('correct horse');
+
+      const { conversations } = await reloaded.getConversations();
+      expect(conversations[0].profileName).toBe('Jane Doe');
+      expect(conversations[0].messages[0].content).toBe('Hi Jane, great talk!');
+    });
+  });
+});
@@ -0,0 +1,305 @@
+// Tests for the Inbox Scanner - Messaging List, Threads and Response Detection
+
+import { webcrypto } from 'crypto';
+import { describe, test, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import {
+  parseInboxList,
+  parseThread,
+  parseMessageTime,
+  getInboxState
+} from '../src/utils/inbox-scanner.js';
+import { ResponseTrackingSystem } from '../src/utils/response-tracking.js';
+import { setupVault, lockVault, unlockVault, VaultLockedError } from '../src/utils/encryption.js';
+import { ChromeStorageMock, createChromeExtensionMock } from '../src/test/chrome-mock.js';
+
+// Saturday, June 15 2024, 12:00 local time
+const NOW = new Date(2024, 5, 15, 12).getTime();
+
+function loadFixture(name) {
+  document.body.innerHTML = fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+function createInbox(threads, details) {
+  return {
+    listThreads: jest.fn(async () => threads),
+    readThread: jest.fn(async thread => details[thread.threadId])
+  };
+}
+
+function inboundMessage(id, content, timestamp) {
+  return { id, inbound: true, senderName: 'Jane Doe', content, timestamp };
+}
+
+describe('Inbox Scanner', () => {
+  beforeEach(() => {
+    global.chrome = createChromeExtensionMock();
+    document.body.innerHTML = '';
+  });
+
+  describe('Parsing', () => {
+    test('should list conversations with their unread state', () => {
+      loadFixture('linkedin-inbox.html');
+
+      const threads = parseInboxList();
+
+      expect(threads).toEqual([
+        expect.objectContaining({
+          threadId: '2-jane-thread',
+          name: 'Jane Doe',
+          timeLabel: '10:42 AM',
+          unread: true,
+          signature: '10:42 AM|Jane: Sure, happy to chat next week'
+        }),
+        expect.objectContaining({ threadId: '2-mark-thread', name: 'Mark Lee', unread: false })
+      ]);
+      expect(threads[0].threadUrl).toContain('/messaging/thread/2-jane-thread/');
+    });
+
+    test('should read the participant and messages of an open thread', () => {
+      loadFixture('linkedin-thread.html');
+      window.history.pushState({}, '', '/messaging/thread/2-jane-thread/');
+
+      const thread = parseThread(document, NOW);
+
+      expect(thread.threadId).toBe('2-jane-thread');
+      expect(thread.participant).toEqual({
+        name: 'Jane Doe',
+        profileUrl: 'https://www.linkedin.com/in/jane-doe/',
+        profileSlug: 'jane-doe'
+      });
+      expect(thread.messages).toEqual([
+        expect.objectContaining({
+          id: 'urn:li:event:1',
+          inbound: false,
+          senderName: 'Alex Sender'
+        }),
+        expect.objectContaining({ id: 'urn:li:event:2', inbound: true, content: 'Thanks Alex!' }),
+        // Follow-up messages inherit the sender and time of the group above them
+        expect.objectContaining({ id: 'urn:li:event:3', inbound: true, senderName: 'Jane Doe' })
+      ]);
+      expect(thread.messages[0].timestamp).toBe(new Date(2024, 5, 14, 16, 15).getTime());
+      expect(thread.messages[2].timestamp).toBe(new Date(2024, 5, 15, 10, 40).getTime());
+    });
+
+    test('should resolve day headings relative to now', () => {
+      expect(parseMessageTime('Today', '9:05 AM', NOW)).toBe(new Date(2024, 5, 15, 9, 5).getTime());
+      expect(parseMessageTime('Monday', '12:30 PM', NOW)).toBe(
+        new Date(2024, 5, 10, 12, 30).getTime()
+      );
+      expect(parseMessageTime('Saturday', '8:00 AM', NOW)).toBe(
+        new Date(2024, 5, 8, 8, 0).getTime()
+      );
+      // Dates without a year that would lie ahead belong to last year
+      expect(parseMessageTime('Dec 3', '14:10', NOW)).toBe(new Date(2023, 11, 3, 14, 10).getTime());
+      expect(parseMessageTime('Mar 3, 2022', null, NOW)).toBe(new Date(2022, 2, 3).getTime());
+      expect(parseMessageTime('Someday', '10:00 AM', NOW)).toBe(NOW);
+    });
+  });
+
+  describe('Response Detection', () => {
+    let tracker;
+
+    beforeEach(async () => {
+      jest
+        .spyOn(ResponseTrackingSystem.prototype, 'startResponseDetector')
+        .mockImplementation(() => {});
+      jest.spyOn(ResponseTrackingSystem.prototype, 'scheduleResponseCheck').mockResolvedValue();
+
+      tracker = new ResponseTrackingSystem();
+      await tracker.trackSentMessage({
+        profileId: 'jane-doe',
+        profileName: 'Jane Doe',
+        profileUrl: 'https://www.linkedin.com/in/jane-doe/',
+        content: 'Hi Jane, great talk at the meetup!'
+      });
+    });
+
+    test('should feed new inbound messages to detectResponse once', async () => {
+      const later = Date.now() + 60 * 1000;
+      const thread = { threadId: 'jane', name: 'Jane Doe', unread: true, signature: 'a' };
+      const details = {
+        jane: {
+          participant: { name: 'Jane Doe', profileSlug: 'jane-doe' },
+          messages: [inboundMessage('m1', 'Sure, happy to chat next week', later)]
+        }
+      };
+
+      const first = await tracker.scanForNewResponses(createInbox([thread], details));
+
+      expect(first).toMatchObject({ listed: 1, opened: 1 });
+      expect(first.responses).toHaveLength(1);
+      expect(first.responses[0].response).toMatchObject({
+        content: 'Sure, happy to chat next week',
+        timestamp: later,
+        read: false
+      });
+
+      // Same thread, still unread and unchanged: not opened again
+      const unchanged = createInbox([thread], details);
+      expect((await tracker.scanForNewResponses(unchanged)).opened).toBe(0);
+      expect(unchanged.readThread).not.toHaveBeenCalled();
+
+      // A new message changes the signature; only the new message is processed
+      details.jane.messages.push(inboundMessage('m2', 'Does Tuesday work?', later + 1000));
+      const changed = await tracker.scanForNewResponses(
+        createInbox([{ ...thread, signature: 'b' }], details)
+      );
+
+      expect(changed.responses.map(r => r.response.content)).toEqual(['Does Tuesday work?']);
+      const received = tracker.conversations
+        .get('conv_jane-doe')
+        .messages.filter(message => message.type === 'received');
+      expect(received).toHaveLength(2);
+
+      const state = await getInboxState();
+      expect(state.jane).toMatchObject({
+        conversationId: 'conv_jane-doe',
+        profileSlug: 'jane-doe',
+        processedMessageIds: ['m1', 'm2'],
+        lastMessageAt: later + 1000
+      });
+    });
+
+    test('should skip threads that do not belong to a tracked conversation', async () => {
+      const later = Date.now() + 60 * 1000;
+      const inbox = createInbox(
+        [
+          { threadId: 'stranger', name: 'Mark Lee', unread: true, signature: 'a' },
+          { threadId: 'namesake', name: 'Jane Doe', unread: true, signature: 'a' }
+        ],
+        {
+          namesake: {
+            participant: { name: 'Jane Doe', profileSlug: 'jane-doe-42' },
+            messages: [inboundMessage('x1', 'Who is this?', later)]
+          }
+        }
+      );
+
+      const result = await tracker.scanForNewResponses(inbox);
+
+      expect(result).toMatchObject({ listed: 2, opened: 1, responses: [] });
+      expect(inbox.readThread).toHaveBeenCalledTimes(1);
+      expect((await getInboxState()).namesake.conversationId).toBeNull();
+    });
+
+    test('should match threads of namesakes by profile', async () => {
+      await tracker.trackSentMessage({
+        profileId: 'jane-doe-42',
+        profileName: 'Jane Doe',
+        profileUrl: 'https://www.linkedin.com/in/jane-doe-42/',
+        content: 'Hi Jane, loved your article!'
+      });
+      const inbox = createInbox(
+        [{ threadId: 'namesake', name: 'Jane Doe', unread: true, signature: 'a' }],
+        {
+          namesake: {
+            participant: { name: 'Jane Doe', profileSlug: 'jane-doe-42' },
+            messages: [inboundMessage('x1', 'Thanks, glad you liked it', Date.now() + 1000)]
+          }
+        }
+      );
+
+      const result = await tracker.scanForNewResponses(inbox);
+
+      expect(result.responses).toHaveLength(1);
+      expect(result.responses[0].response.content).toBe('Thanks, glad you liked it');
+      expect((await getInboxState()).namesake.conversationId).toBe('conv_jane-doe-42');
+    });
+
+    test('should look threads up by the profile they were read with', async () => {
+      const thread = { threadId: 'namesake', name: 'Jane Doe', unread: true, signature: 'a' };
+      const details = {
+        namesake: {
+          participant: { name: 'Jane Doe', profileSlug: 'jane-doe-42' },
+          messages: [inboundMessage('x1', 'Who is this?', Date.now() - 1000)]
+        }
+      };
+
+      await tracker.scanForNewResponses(createInbox([thread], details));
+
+      // Another Jane Doe's thread is not opened again for the tracked one
+      const untracked = createInbox([{ ...thread, signature: 'b' }], details);
+      expect((await tracker.scanForNewResponses(untracked)).opened).toBe(0);
+      expect(untracked.readThread).not.toHaveBeenCalled();
+
+      await tracker.trackSentMessage({
+        profileId: 'jane-doe-42',
+        profileName: 'Jane Doe',
+        profileUrl: 'https://www.linkedin.com/in/jane-doe-42/',
+        content: 'Hi Jane, sorry for the mix-up!'
+      });
+      details.namesake.messages.push(inboundMessage('x2', 'No worries', Date.now() + 2000));
+
+      const tracked = await tracker.scanForNewResponses(
+        createInbox([{ ...thread, signature: 'c' }], details)
+      );
+
+      expect(tracked.responses.map(r => r.response.content)).toEqual(['No worries']);
+      expect((await getInboxState()).namesake.conversationId).toBe('conv_jane-doe-42');
+    });
+
+    test('should ignore messages older than the conversation', async () => {
+      const inbox = createInbox(
+        [{ threadId: 'jane', name: 'Jane Doe', unread: false, signature: 'a' }],
+        {
+          jane: {
+            participant: { name: 'Jane Doe', profileSlug: 'jane-doe' },
+            messages: [
+              inboundMessage('old', 'Hello from last year', NOW - 365 * 24 * 60 * 60 * 1000)
+            ]
+          }
+        }
+      );
+
+      const result = await tracker.scanForNewResponses(inbox);
+
+      expect(result.responses).toEqual([]);
+      expect((await getInboxState()).jane.processedMessageIds).toEqual(['old']);
+    });
+
+    describe('Locked Vault', () => {
+      beforeAll(() => {
+        // jsdom only provides getRandomValues; use Node's Web Crypto for AES-GCM/PBKDF2
+        Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+      });
+
+      beforeEach(async () => {
+        global.chrome.storage.session = new ChromeStorageMock();
+        await setupVault('correct horse');
+        // Stored again, now with the name and profile URL encrypted
+        await tracker.saveConversations();
+        await lockVault();
+
+        tracker = new ResponseTrackingSystem();
+        await tracker.loadConversations();
+      });
+
+      test('should not scan while conversations are sealed', async () => {
+        const inbox = createInbox([], {});
+
+        await expect(tracker.scanForNewResponses(inbox)).rejects.toThrow(VaultLockedError);
+        expect(inbox.listThreads).not.toHaveBeenCalled();
+      });
+
+      test('should match conversations loaded while locked once unlocked', async () => {
+        const later = Date.now() + 60 * 1000;
+        await unlockVault('correct horse');
+
+        const result = await tracker.scanForNewResponses(
+          createInbox([{ threadId: 'jane', name: 'Jane Doe', unread: true, signature: 'a' }], {
+            jane: {
+              participant: { name: 'Jane Doe', profileSlug: 'jane-doe' },
+              messages: [inboundMessage('m1', 'Sure, happy to chat', later)]
+            }
+          })
+        );
+
+        expect(result).toMatchObject({ listed: 1, opened: 1 });
+        expect(result.responses).toHaveLength(1);
+        expect(tracker.conversations.get('conv_jane-doe').profileName).toBe('Jane Doe');
+      });
+    });
+  });
+});
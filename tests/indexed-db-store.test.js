@@ -0,0 +1,206 @@
+// Tests for IndexedDB Store - Per-record Storage, Indexes and Storage API Routing
+
+import 'fake-indexeddb/auto';
+import { serialize, deserialize } from 'v8';
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import {
+  readStore,
+  replaceStore,
+  appendRecords,
+  clearStore,
+  countRecords,
+  queryRecords,
+  closeDatabase
+} from '../src/utils/indexed-db-store.js';
+import {
+  getStorageData,
+  setStorageData,
+  removeStorageData,
+  queryStorageRecords,
+  appendStorageRecords,
+  moveLegacyDataToIndexedStore
+} from '../src/utils/storage.js';
+import { createChromeExtensionMock } from '../src/test/chrome-mock.js';
+
+// Route large keys to IndexedDB as an extension page would
+jest.mock('../src/utils/indexed-db-store.js', () => ({
+  ...jest.requireActual('../src/utils/indexed-db-store.js'),
+  isIndexedStoreAvailable: () => true
+}));
+
+// jsdom does not expose structuredClone, which fake-indexeddb relies on
+if (typeof global.structuredClone === 'undefined') {
+  global.structuredClone = value => deserialize(serialize(value));
+}
+
+const day = 24 * 60 * 60 * 1000;
+
+function createConnection(id, overrides = {}) {
+  return {
+    id,
+    profileId: `profile_${id}`,
+    status: 'pending',
+    connectionRequest: { sentAt: Date.now(), campaignId: null },
+    ...overrides
+  };
+}
+
+describe('IndexedDB Store', () => {
+  beforeEach(async () => {
+    global.chrome = createChromeExtensionMock();
+    await clearStore('analytics');
+    await clearStore('connection_database');
+    await clearStore('conversations');
+  });
+
+  afterEach(async () => {
+    await closeDatabase();
+  });
+
+  describe('Store Operations', () => {
+    test('should keep insertion order for array stores', async () => {
+      const events = [
+        { type: 'connection_sent', timestamp: 3 },
+        { type: 'connection_sent', timestamp: 1 },
+        { type: 'connection_accepted', timestamp: 2 }
+      ];
+
+      await replaceStore('analytics', events);
+
+      expect(await readStore('analytics')).toEqual(events);
+    });
+
+    test('should return map stores keyed by id', async () => {
+      await replaceStore('conversations', {
+        conv_a: { id: 'conv_a', profileId: 'a', lastActivity: 1 },
+        conv_b: { id: 'conv_b', profileId: 'b', lastActivity: 2 }
+      });
+
+      const conversations = await readStore('conversations');
+      expect(Object.keys(conversations).sort()).toEqual(['conv_a', 'conv_b']);
+      expect(conversations.conv_b.profileId).toBe('b');
+    });
+
+    test('should replace previous contents', async () => {
+      await replaceStore('analytics', [{ type: 'a', timestamp: 1 }]);
+      await replaceStore('analytics', [{ type: 'b', timestamp: 2 }]);
+
+      expect(await readStore('analytics')).toEqual([{ type: 'b', timestamp: 2 }]);
+    });
+
+    test('should append records without rewriting the store', async () => {
+      await replaceStore('analytics', [{ type: 'a', timestamp: 1 }]);
+      await appendRecords('analytics', [{ type: 'b', timestamp: 2 }]);
+
+      expect(await countRecords('analytics')).toBe(2);
+    });
+
+    test('should reject keys without a configured store', async () => {
+      await expect(readStore('settings')).rejects.toThrow('No IndexedDB store configured');
+    });
+  });
+
+  describe('Index Queries', () => {
+    beforeEach(async () => {
+      const now = Date.now();
+      await replaceStore('analytics', [
+        { type: 'connection_sent', timestamp: now - 3 * day, campaignId: 'c1', profileId: 'p1' },
+        { type: 'connection_sent', timestamp: now - 2 * day, campaignId: 'c2', profileId: 'p2' },
+        { type: 'connection_sent', timestamp: now - day, campaignId: 'c1', profileId: 'p3' }
+      ]);
+      await replaceStore('connection_database', [
+        createConnection('conn_1', { status: 'accepted' }),
+        createConnection('conn_2'),
+        createConnection('conn_3', { connectionRequest: { sentAt: now, campaignId: 'c1' } })
+      ]);
+    });
+
+    test('should query by timestamp range', async () => {
+      const recent = await queryRecords('analytics', {
+        index: 'timestamp',
+        lower: Date.now() - 2.5 * day
+      });
+
+      expect(recent.map(e => e.profileId)).toEqual(['p2', 'p3']);
+    });
+
+    test('should query by campaign, status and nested key paths', async () => {
+      expect(await queryRecords('analytics', { index: 'campaignId', only: 'c1' })).toHaveLength(2);
+      expect(await queryRecords('connection_database', { index: 'status', only: 'pending' })).toHaveLength(2);
+
+      const byCampaign = await queryRecords('connection_database', { index: 'campaignId', only: 'c1' });
+      expect(byCampaign.map(c => c.id)).toEqual(['conn_3']);
+    });
+
+    test('should support descending order and limits', async () => {
+      const latest = await queryRecords('analytics', { index: 'timestamp', direction: 'prev', limit: 1 });
+      expect(latest[0].profileId).toBe('p3');
+    });
+
+    test('should reject unknown indexes', async () => {
+      await expect(queryRecords('analytics', { index: 'nope' })).rejects.toThrow('Unknown index');
+    });
+  });
+
+  describe('Storage API Routing', () => {
+    test('should route large keys to IndexedDB and small keys to chrome.storage', async () => {
+      await setStorageData({
+        settings: { analyticsEnabled: true },
+        analytics: [{ type: 'connection_sent', timestamp: 1 }]
+      });
+
+      expect(await global.chrome.storage.local.get('settings')).toEqual({
+        settings: { analyticsEnabled: true }
+      });
+      expect((await global.chrome.storage.local.get('analytics')).analytics).toBeUndefined();
+      expect(await readStore('analytics')).toHaveLength(1);
+
+      const result = await getStorageData(['settings', 'analytics']);
+      expect(result.settings.analyticsEnabled).toBe(true);
+      expect(result.analytics).toEqual([{ type: 'connection_sent', timestamp: 1 }]);
+    });
+
+    test('should remove large keys from IndexedDB', async () => {
+      await setStorageData({ connection_database: [createConnection('conn_1')] });
+      await removeStorageData('connection_database');
+
+      const result = await getStorageData('connection_database');
+      expect(result.connection_database).toEqual([]);
+    });
+
+    test('should query and append through the storage API', async () => {
+      await appendStorageRecords('analytics', [
+        { type: 'connection_sent', timestamp: 1, profileId: 'p1' },
+        { type: 'connection_sent', timestamp: 2, profileId: 'p2' }
+      ]);
+
+      const records = await queryStorageRecords('analytics', { index: 'profileId', only: 'p2' });
+      expect(records).toHaveLength(1);
+    });
+
+    test('should trim the oldest records beyond maxRecords', async () => {
+      await appendStorageRecords(
+        'analytics',
+        Array.from({ length: 5 }, (_, i) => ({ type: 'connection_sent', timestamp: i })),
+        { maxRecords: 3 }
+      );
+
+      const analytics = await readStore('analytics');
+      expect(analytics.map(e => e.timestamp)).toEqual([2, 3, 4]);
+    });
+
+    test('should move legacy data out of chrome.storage.local', async () => {
+      await global.chrome.storage.local.set({
+        analytics: [{ type: 'connection_sent', timestamp: 1 }],
+        settings: { analyticsEnabled: true }
+      });
+
+      const moved = await moveLegacyDataToIndexedStore();
+
+      expect(moved).toEqual(['analytics']);
+      expect(await readStore('analytics')).toHaveLength(1);
+      expect((await global.chrome.storage.local.get('analytics')).analytics).toBeUndefined();
+      expect((await global.chrome.storage.local.get('settings')).settings).toBeDefined();
+    });
+  });
+});
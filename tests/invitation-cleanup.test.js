@@ -0,0 +1,141 @@
+// Tests for the Invitation Cleanup - Stale Invitation Policy, Withdrawal and Rate Limits
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import {
+  selectStaleInvitations,
+  withdrawInvitations,
+  recordWithdrawals,
+  DEFAULT_CLEANUP_POLICY
+} from '../src/utils/invitation-cleanup.js';
+import { parseNetworkCards, NETWORK_PAGES } from '../src/utils/invitation-sync.js';
+import {
+  createConnectionRecord,
+  getConnectionById,
+  CONNECTION_STATUS
+} from '../src/utils/connection-management.js';
+import { createRateLimitTracker, updateSafetySettings } from '../src/utils/safety-compliance.js';
+import { createChromeExtensionMock } from '../src/test/chrome-mock.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 5, 15, 12);
+
+function card(profileSlug, ageDays) {
+  return { name: profileSlug, profileSlug, time: NOW - ageDays * DAY };
+}
+
+function createPending(profileSlug, tags = []) {
+  return createConnectionRecord({
+    profileId: profileSlug,
+    profileUrl: `https://www.linkedin.com/in/${profileSlug}/`,
+    name: profileSlug,
+    tags
+  });
+}
+
+// Mimic LinkedIn: Withdraw opens a confirmation dialog, confirming removes the card
+function loadSentInvitationsPage() {
+  document.body.innerHTML = fs.readFileSync(
+    path.join(__dirname, 'fixtures', 'linkedin-sent-invitations.html'),
+    'utf8'
+  );
+
+  document.querySelectorAll('li.invitation-card button').forEach(button => {
+    button.addEventListener('click', () => {
+      const dialog = document.createElement('div');
+      dialog.setAttribute('role', 'alertdialog');
+      dialog.innerHTML = '<button class="artdeco-button--primary">Withdraw</button>';
+      dialog.querySelector('button').addEventListener('click', () => {
+        dialog.remove();
+        button.closest('li').remove();
+      });
+      document.body.appendChild(dialog);
+    });
+  });
+}
+
+describe('Invitation Cleanup', () => {
+  beforeEach(() => {
+    global.chrome = createChromeExtensionMock();
+    document.body.innerHTML = '';
+  });
+
+  describe('Policy', () => {
+    test('should pick invitations older than the threshold, oldest first', async () => {
+      const scan = {
+        cards: [card('new-hire', 3), card('old-friend', 40), card('older-friend', 90)],
+        complete: true
+      };
+
+      const { stale, kept } = await selectStaleInvitations(scan, DEFAULT_CLEANUP_POLICY, NOW);
+
+      expect(stale.map(i => i.profileSlug)).toEqual(['older-friend', 'old-friend']);
+      expect(kept).toEqual([]);
+    });
+
+    test('should keep invitations tagged with a keep tag', async () => {
+      const vip = await createPending('big-client', ['VIP']);
+      const other = await createPending('cold-lead', ['prospect']);
+      const scan = { cards: [card('big-client', 60), card('cold-lead', 60)] };
+
+      const { stale, kept } = await selectStaleInvitations(scan, DEFAULT_CLEANUP_POLICY, NOW);
+
+      expect(kept).toEqual([expect.objectContaining({ connectionId: vip.id })]);
+      expect(stale).toEqual([expect.objectContaining({ connectionId: other.id })]);
+    });
+
+    test('should leave invitations of unknown age alone', async () => {
+      const scan = { cards: [{ profileSlug: 'no-date', time: null }] };
+
+      const { stale } = await selectStaleInvitations(scan, DEFAULT_CLEANUP_POLICY, NOW);
+
+      expect(stale).toEqual([]);
+    });
+  });
+
+  describe('Withdrawing', () => {
+    test('should withdraw invitations through the confirmation dialog', async () => {
+      loadSentInvitationsPage();
+
+      const result = await withdrawInvitations(['olga-novak', 'nobody']);
+
+      expect(result.withdrawn).toEqual(['olga-novak']);
+      expect(result.failed).toEqual([
+        { profileSlug: 'nobody', error: 'No sent invitation to nobody on this page' }
+      ]);
+      const remaining = parseNetworkCards(NETWORK_PAGES.SENT_INVITATIONS, document, NOW);
+      expect(remaining.map(c => c.profileSlug)).toEqual(['ben-meyer']);
+    });
+
+    test('should mark records withdrawn and count withdrawals against the limits', async () => {
+      await updateSafetySettings({
+        hourlyWithdrawalLimit: 2,
+        workingHours: { enabled: false },
+        weekendMode: true
+      });
+      const record = await createPending('olga-novak');
+      const invitations = [
+        { ...card('olga-novak', 30), connectionId: record.id },
+        { ...card('manual-invite', 30), connectionId: null }
+      ];
+      const tracker = createRateLimitTracker();
+
+      expect(await tracker.checkWithdrawalLimit()).toMatchObject({
+        allowed: true,
+        remainingHourly: 2
+      });
+
+      await recordWithdrawals(['olga-novak', 'manual-invite'], invitations);
+
+      expect((await getConnectionById(record.id)).status).toBe(CONNECTION_STATUS.WITHDRAWN);
+      expect(await tracker.checkWithdrawalLimit()).toMatchObject({
+        allowed: false,
+        reason: 'HOURLY_LIMIT_EXCEEDED',
+        message: 'Hourly limit of 2 withdrawals reached'
+      });
+      // Connection requests keep their own budget
+      expect((await tracker.checkRateLimit()).allowed).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+// Tests for the Invitation Sync - Sent Invitations and Connections Reconciled with Pending Records
+
+import { webcrypto } from 'crypto';
+import { describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import {
+  parseNetworkCards,
+  parseNetworkTime,
+  reconcileInvitations,
+  NETWORK_PAGES
+} from '../src/utils/invitation-sync.js';
+import {
+  createConnectionRecord,
+  getConnectionById,
+  CONNECTION_STATUS
+} from '../src/utils/connection-management.js';
+import { getStorageData, updateStorage } from '../src/utils/storage.js';
+import { setupVault, lockVault } from '../src/utils/encryption.js';
+import { ChromeStorageMock, createChromeExtensionMock } from '../src/test/chrome-mock.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 5, 15, 12);
+
+function scanFixture(name, page, complete = false) {
+  document.body.innerHTML = fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+  return { pageType: page.pageType, cards: parseNetworkCards(page, document, NOW), complete };
+}
+
+function createPending(slug, sentAt) {
+  return createConnectionRecord({
+    profileId: slug,
+    profileUrl: `https://www.linkedin.com/in/${slug}/`,
+    name: slug,
+    sentAt
+  });
+}
+
+describe('Invitation Sync', () => {
+  beforeEach(() => {
+    global.chrome = createChromeExtensionMock();
+    document.body.innerHTML = '';
+  });
+
+  describe('Page Parsing', () => {
+    test('should read sent invitation cards', () => {
+      const scan = scanFixture('linkedin-sent-invitations.html', NETWORK_PAGES.SENT_INVITATIONS);
+
+      expect(scan.cards).toEqual([
+        {
+          name: 'Ben Meyer',
+          profileUrl: 'https://www.linkedin.com/in/ben-meyer/',
+          profileSlug: 'ben-meyer',
+          timeLabel: 'Sent 2 days ago',
+          time: NOW - 2 * DAY
+        },
+        {
+          name: 'Olga Novak',
+          profileUrl: 'https://www.linkedin.com/in/olga-novak/',
+          profileSlug: 'olga-novak',
+          timeLabel: 'Sent 1 week ago',
+          time: NOW - 7 * DAY
+        }
+      ]);
+    });
+
+    test('should read connection cards with their connection time', () => {
+      const scan = scanFixture('linkedin-connections.html', NETWORK_PAGES.CONNECTIONS);
+
+      expect(scan.cards.map(card => [card.name, card.time])).toEqual([
+        ['Anna Schmidt', NOW - DAY],
+        ['Zoe White', NOW - 14 * DAY]
+      ]);
+    });
+
+    test('should parse relative and absolute time labels', () => {
+      expect(parseNetworkTime('Sent today', NOW)).toBe(NOW);
+      expect(parseNetworkTime('Connected yesterday', NOW)).toBe(NOW - DAY);
+      expect(parseNetworkTime('Sent a month ago', NOW)).toBe(NOW - 30 * DAY);
+      expect(parseNetworkTime('Connected on March 3, 2024', NOW)).toBe(
+        new Date(2024, 2, 3).getTime() + DAY - 1
+      );
+      expect(parseNetworkTime('Withdraw', NOW)).toBeNull();
+    });
+  });
+
+  describe('Reconciliation', () => {
+    let scans;
+
+    beforeEach(() => {
+      scans = {
+        sentInvitations: scanFixture(
+          'linkedin-sent-invitations.html',
+          NETWORK_PAGES.SENT_INVITATIONS,
+          true
+        ),
+        connections: scanFixture('linkedin-connections.html', NETWORK_PAGES.CONNECTIONS)
+      };
+    });
+
+    test('should accept invitations listed as connections at the time shown', async () => {
+      const anna = await createPending('anna-schmidt', NOW - 3 * DAY);
+
+      const summary = await reconcileInvitations(scans, NOW);
+
+      expect(summary).toMatchObject({ checked: 1, accepted: 1 });
+      const record = await getConnectionById(anna.id);
+      expect(record.status).toBe(CONNECTION_STATUS.ACCEPTED);
+      expect(record.response).toMatchObject({ respondedAt: NOW - DAY, responseTime: 2 * DAY });
+
+      const { analytics } = await getStorageData('analytics');
+      expect(analytics.find(event => event.type === 'connection_accepted')).toMatchObject({
+        connectionId: anna.id,
+        timestamp: NOW - DAY,
+        date: '2024-06-14'
+      });
+    });
+
+    test('should keep invitations still listed as sent pending', async () => {
+      const ben = await createPending('ben-meyer', NOW - 2 * DAY);
+
+      expect(await reconcileInvitations(scans, NOW)).toMatchObject({ accepted: 0, withdrawn: 0 });
+      expect((await getConnectionById(ben.id)).status).toBe(CONNECTION_STATUS.PENDING);
+    });
+
+    test('should withdraw or expire invitations missing from both lists', async () => {
+      const cat = await createPending('cat-lee', NOW - 5 * DAY);
+      const dan = await createPending('dan-ross', NOW - 200 * DAY);
+      scans.connections.complete = true;
+
+      const summary = await reconcileInvitations(scans, NOW);
+
+      expect(summary).toMatchObject({ withdrawn: 1, expired: 1 });
+      expect((await getConnectionById(cat.id)).status).toBe(CONNECTION_STATUS.WITHDRAWN);
+      expect((await getConnectionById(dan.id)).status).toBe(CONNECTION_STATUS.EXPIRED);
+    });
+
+    test('should leave invitations older than the scanned connections pending', async () => {
+      // Could have been accepted before the oldest connection on the page
+      const eve = await createPending('eve-park', NOW - 30 * DAY);
+
+      await reconcileInvitations(scans, NOW);
+
+      expect((await getConnectionById(eve.id)).status).toBe(CONNECTION_STATUS.PENDING);
+    });
+
+    test('should not trust a sent list that did not render', async () => {
+      const cat = await createPending('cat-lee', NOW - 5 * DAY);
+      scans.sentInvitations = { ...scans.sentInvitations, cards: null };
+
+      await reconcileInvitations(scans, NOW);
+
+      expect((await getConnectionById(cat.id)).status).toBe(CONNECTION_STATUS.PENDING);
+    });
+
+    describe('Locked Vault', () => {
+      beforeAll(() => {
+        // jsdom only provides getRandomValues; use Node's Web Crypto for AES-GCM/PBKDF2
+        Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+      });
+
+      beforeEach(async () => {
+        global.chrome.storage.session = new ChromeStorageMock();
+        await setupVault('correct horse');
+      });
+
+      test('should match records by their stored profile slug', async () => {
+        const anna = await createPending('anna-schmidt', NOW - 3 * DAY);
+        await lockVault();
+
+        const summary = await reconcileInvitations(scans, NOW);
+
+        expect(summary).toMatchObject({ checked: 1, accepted: 1, sealed: 0 });
+        expect((await getConnectionById(anna.id)).status).toBe(CONNECTION_STATUS.ACCEPTED);
+      });
+
+      test('should skip and count records without a readable profile', async () => {
+        const anna = await createPending('anna-schmidt', NOW - 3 * DAY);
+        const cat = await createPending('cat-lee', NOW - 5 * DAY);
+        scans.connections.complete = true;
+
+        // Encrypted before profile slugs were kept
+        await updateStorage('connection_database', records =>
+          records.map(record => ({ ...record, profileSlug: undefined }))
+        );
+        await lockVault();
+
+        const summary = await reconcileInvitations(scans, NOW);
+
+        expect(summary).toMatchObject({ checked: 2, accepted: 0, withdrawn: 0, sealed: 2 });
+        expect((await getConnectionById(anna.id)).status).toBe(CONNECTION_STATUS.PENDING);
+        expect((await getConnectionById(cat.id)).status).toBe(CONNECTION_STATUS.PENDING);
+      });
+    });
+  });
+});
@@ -0,0 +1,326 @@
+// Tests for the Job Scheduler - Persisted Jobs, Alarms and Catch-up of Missed Runs
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import {
+  scheduleJob,
+  ensureJob,
+  cancelJob,
+  getJob,
+  getJobs,
+  JOB_TYPES,
+  JOB_STATUS
+} from '../src/utils/job-scheduler.js';
+import { createJobRunner } from '../src/background/job-runner.js';
+import { registerJobHandlers } from '../src/background/job-handlers.js';
+import { saveCampaign, getCampaigns, CAMPAIGN_STATUS } from '../src/utils/campaign-management.js';
+import { ResponseTrackingSystem } from '../src/utils/response-tracking.js';
+import { createResponse, MESSAGE_TYPES } from '../src/utils/messaging.js';
+import { createChromeExtensionMock } from '../src/test/chrome-mock.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Job Scheduler', () => {
+  beforeEach(() => {
+    global.chrome = createChromeExtensionMock();
+    global.chrome.storage.onChanged = { addListener: jest.fn() };
+  });
+
+  describe('Persisted Jobs', () => {
+    test('should persist scheduled jobs in run order', async () => {
+      await scheduleJob({
+        id: 'later',
+        type: JOB_TYPES.RESPONSE_SCAN,
+        runAt: Date.now() + 2 * HOUR
+      });
+      await scheduleJob({ id: 'sooner', type: JOB_TYPES.RESPONSE_SCAN, runAt: Date.now() + HOUR });
+
+      const jobs = await getJobs();
+
+      expect(jobs.map(job => job.id)).toEqual(['sooner', 'later']);
+      expect(jobs[0].status).toBe(JOB_STATUS.SCHEDULED);
+    });
+
+    test('should reject unknown job types and missing run times', async () => {
+      await expect(scheduleJob({ id: 'job', type: 'unknown', runAt: Date.now() })).rejects.toThrow(
+        'Unknown job type'
+      );
+      await expect(scheduleJob({ id: 'job', type: JOB_TYPES.FOLLOWUP })).rejects.toThrow(
+        'runAt are required'
+      );
+    });
+
+    test('should keep the next run of an existing recurring job', async () => {
+      const first = await ensureJob({
+        id: 'scan',
+        type: JOB_TYPES.RESPONSE_SCAN,
+        runAt: Date.now() + HOUR,
+        intervalMinutes: 5
+      });
+      const second = await ensureJob({
+        id: 'scan',
+        type: JOB_TYPES.RESPONSE_SCAN,
+        runAt: Date.now() + 2 * HOUR,
+        intervalMinutes: 5
+      });
+
+      expect(second.runAt).toBe(first.runAt);
+    });
+
+    test('should cancel only scheduled jobs', async () => {
+      await scheduleJob({ id: 'job', type: JOB_TYPES.FOLLOWUP, runAt: Date.now() + HOUR });
+
+      expect(await cancelJob('job')).toBe(true);
+      expect(await cancelJob('job')).toBe(false);
+      expect((await getJob('job')).status).toBe(JOB_STATUS.CANCELLED);
+    });
+  });
+
+  describe('Job Runner', () => {
+    let runner;
+    let handler;
+
+    beforeEach(() => {
+      runner = createJobRunner();
+      handler = jest.fn().mockResolvedValue(null);
+      runner.register(JOB_TYPES.RESPONSE_SCAN, handler);
+    });
+
+    test('should keep one alarm per scheduled job', async () => {
+      const runAt = Date.now() + HOUR;
+      await scheduleJob({ id: 'kept', type: JOB_TYPES.RESPONSE_SCAN, runAt });
+      await scheduleJob({ id: 'dropped', type: JOB_TYPES.RESPONSE_SCAN, runAt });
+      await runner.syncAlarms();
+
+      await cancelJob('dropped');
+      await runner.syncAlarms();
+
+      expect(await chrome.alarms.getAll()).toEqual([{ name: 'job:kept', scheduledTime: runAt }]);
+    });
+
+    test('should run a job when its alarm fires', async () => {
+      await scheduleJob({
+        id: 'once',
+        type: JOB_TYPES.RESPONSE_SCAN,
+        runAt: Date.now() + 1000,
+        payload: { source: 'test' }
+      });
+      await runner.start();
+
+      chrome.alarms.fire('job:once');
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(handler).toHaveBeenCalledWith(
+        { source: 'test' },
+        expect.objectContaining({ id: 'once' })
+      );
+      const job = await getJob('once');
+      expect(job.status).toBe(JOB_STATUS.COMPLETED);
+      expect(job.runCount).toBe(1);
+    });
+
+    test('should catch up on runs missed while the browser was closed', async () => {
+      await scheduleJob({
+        id: 'missed',
+        type: JOB_TYPES.RESPONSE_SCAN,
+        runAt: Date.now() - 3 * HOUR
+      });
+      await scheduleJob({
+        id: 'upcoming',
+        type: JOB_TYPES.RESPONSE_SCAN,
+        runAt: Date.now() + HOUR
+      });
+
+      const results = await runner.start();
+
+      expect(results).toEqual([{ jobId: 'missed', status: 'completed', nextRunAt: null }]);
+      expect((await getJob('missed')).lastRunCaughtUp).toBe(true);
+      expect((await getJob('upcoming')).runCount).toBe(0);
+      expect(chrome.alarms.onAlarm.addListener).toHaveBeenCalled();
+    });
+
+    test('should reschedule recurring jobs after each run', async () => {
+      await scheduleJob({
+        id: 'scan',
+        type: JOB_TYPES.RESPONSE_SCAN,
+        runAt: Date.now(),
+        intervalMinutes: 5
+      });
+
+      await runner.runJob('scan');
+
+      const job = await getJob('scan');
+      expect(job.status).toBe(JOB_STATUS.SCHEDULED);
+      expect(job.runAt).toBeGreaterThan(Date.now() + 4 * 60 * 1000);
+      expect(await chrome.alarms.get('job:scan')).toEqual({
+        name: 'job:scan',
+        scheduledTime: job.runAt
+      });
+    });
+
+    test('should skip alarms left over from an earlier schedule', async () => {
+      await scheduleJob({ id: 'moved', type: JOB_TYPES.RESPONSE_SCAN, runAt: Date.now() + HOUR });
+
+      const result = await runner.runJob('moved');
+
+      expect(result.reason).toBe('not_due');
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    test('should retry failed jobs with backoff and then give up', async () => {
+      handler.mockRejectedValue(new Error('LinkedIn unavailable'));
+      await scheduleJob({ id: 'flaky', type: JOB_TYPES.RESPONSE_SCAN, runAt: Date.now() });
+
+      const first = await runner.runJob('flaky');
+      expect(first.willRetry).toBe(true);
+      expect((await getJob('flaky')).runAt).toBeGreaterThan(Date.now());
+
+      await runner.runJob('flaky', { force: true });
+      const last = await runner.runJob('flaky', { force: true });
+
+      expect(last.willRetry).toBe(false);
+      expect(await getJob('flaky')).toMatchObject({
+        status: JOB_STATUS.FAILED,
+        attempts: 3,
+        lastError: 'LinkedIn unavailable'
+      });
+    });
+
+    test('should not run the same job twice at once', async () => {
+      let release;
+      handler.mockReturnValue(new Promise(resolve => (release = resolve)));
+      await scheduleJob({ id: 'slow', type: JOB_TYPES.RESPONSE_SCAN, runAt: Date.now() });
+
+      const first = runner.runJob('slow');
+      const second = await runner.runJob('slow');
+      await new Promise(resolve => setTimeout(resolve, 0));
+      release();
+
+      expect(second.reason).toBe('already_running');
+      expect((await first).status).toBe('completed');
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Scheduled Work', () => {
+    let runner;
+
+    beforeEach(() => {
+      runner = registerJobHandlers(createJobRunner());
+    });
+
+    test('should start scheduled campaigns at their start time', async () => {
+      const startDateTime = new Date(Date.now() + HOUR).toISOString();
+      const campaign = await saveCampaign({
+        name: 'Spring outreach',
+        status: CAMPAIGN_STATUS.SCHEDULED,
+        schedule: { type: 'later', startDateTime }
+      });
+
+      const job = await getJob(`campaign_start_${campaign.id}`);
+      expect(job).toMatchObject({
+        type: JOB_TYPES.CAMPAIGN_START,
+        runAt: Date.parse(startDateTime)
+      });
+
+      await runner.runJob(job.id, { force: true });
+
+      const [started] = await getCampaigns();
+      expect(started.status).toBe(CAMPAIGN_STATUS.ACTIVE);
+      expect((await getJob(job.id)).status).toBe(JOB_STATUS.COMPLETED);
+    });
+
+    test('should schedule and cancel follow-up jobs', async () => {
+      const tracker = new ResponseTrackingSystem();
+      await tracker.init();
+      const conversationId = await tracker.trackSentMessage({
+        profileId: 'jane',
+        profileName: 'Jane Doe',
+        content: 'Hi Jane'
+      });
+
+      const followup = await tracker.scheduleFollowup({
+        conversationId,
+        type: 'reminder',
+        content: 'Just following up',
+        scheduledFor: Date.now() + 24 * HOUR
+      });
+
+      expect(await getJob(`followup_${followup.id}`)).toMatchObject({
+        type: JOB_TYPES.FOLLOWUP,
+        runAt: followup.scheduledFor,
+        payload: { followupId: followup.id }
+      });
+      expect((await getJob('response_scan')).intervalMinutes).toBe(15);
+
+      await tracker.cancelPendingFollowups(conversationId);
+      expect((await getJob(`followup_${followup.id}`)).status).toBe(JOB_STATUS.CANCELLED);
+    });
+
+    describe('Inbox Scans', () => {
+      beforeEach(async () => {
+        const tracker = new ResponseTrackingSystem();
+        await tracker.init();
+        await tracker.trackSentMessage({
+          profileId: 'jane',
+          profileName: 'Jane Doe',
+          content: 'Hi'
+        });
+
+        // Tabs finish loading right after they are opened or navigated
+        const listeners = new Set();
+        const load = id => {
+          setTimeout(() => listeners.forEach(listener => listener(id, { status: 'complete' })), 0);
+          return { id };
+        };
+        chrome.tabs.onUpdated = {
+          addListener: listener => listeners.add(listener),
+          removeListener: listener => listeners.delete(listener)
+        };
+        chrome.tabs.create = jest.fn(async () => load(99));
+        chrome.tabs.update = jest.fn(async tabId => load(tabId));
+        chrome.tabs.remove = jest.fn(async () => {});
+        chrome.tabs.sendMessage = jest.fn((tabId, message, callback) => {
+          const data =
+            message.type === MESSAGE_TYPES.GET_PAGE_INFO ? { isAutomationActive: false } : [];
+          setTimeout(() => callback(createResponse(true, data)), 0);
+        });
+      });
+
+      test('should scan in an open LinkedIn tab and open one only once per interval', async () => {
+        await runner.runJob('response_scan', { force: true });
+        await runner.runJob('response_scan', { force: true });
+
+        expect(chrome.tabs.create).toHaveBeenCalledTimes(1);
+        expect(chrome.tabs.remove).toHaveBeenCalledWith(99);
+
+        const feed = chrome.tabs.createTab('https://www.linkedin.com/feed/', false);
+        await runner.runJob('response_scan', { force: true });
+
+        expect(chrome.tabs.create).toHaveBeenCalledTimes(1);
+        expect(chrome.tabs.update.mock.calls).toEqual([
+          [feed.id, { url: 'https://www.linkedin.com/messaging/' }],
+          [feed.id, { url: 'https://www.linkedin.com/feed/' }]
+        ]);
+        expect(await getJob('response_scan')).toMatchObject({
+          status: JOB_STATUS.SCHEDULED,
+          runCount: 3,
+          lastError: null
+        });
+      });
+
+      test('should leave LinkedIn tabs that run automation alone', async () => {
+        chrome.tabs.createTab('https://www.linkedin.com/search/results/people/', false);
+        chrome.tabs.sendMessage.mockImplementation((tabId, message, callback) => {
+          const data =
+            message.type === MESSAGE_TYPES.GET_PAGE_INFO ? { isAutomationActive: true } : [];
+          setTimeout(() => callback(createResponse(true, data)), 0);
+        });
+
+        await runner.runJob('response_scan', { force: true });
+
+        expect(chrome.tabs.create).toHaveBeenCalledTimes(1);
+        expect(chrome.tabs.update).not.toHaveBeenCalled();
+      });
+    });
+  });
+});
@@ -0,0 +1,284 @@
+// Tests for Background Message Router - Handlers, Payload Validation and Sender Checks
+
+import { webcrypto } from 'crypto';
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { createMessageRouter, getSenderContext } from '../src/background/message-router.js';
+import { registerMessageHandlers } from '../src/background/message-handlers.js';
+import {
+  createMessage,
+  validateMessage,
+  MESSAGE_TYPES,
+  MESSAGE_SCHEMAS,
+  ERROR_CODES
+} from '../src/utils/messaging.js';
+import { lockVault } from '../src/utils/encryption.js';
+import { ChromeStorageMock, createChromeExtensionMock } from '../src/test/chrome-mock.js';
+
+const extensionPage = { id: 'test-id', url: 'chrome-extension://test-id/popup/popup.html' };
+const contentScript = {
+  id: 'test-id',
+  url: 'https://www.linkedin.com/search/results/people/',
+  tab: { id: 7, url: 'https://www.linkedin.com/search/results/people/' }
+};
+
+describe('Message Router', () => {
+  let router;
+
+  beforeEach(() => {
+    global.chrome = createChromeExtensionMock();
+    global.chrome.runtime.id = 'test-id';
+    router = registerMessageHandlers(createMessageRouter());
+  });
+
+  describe('Registration', () => {
+    test('should register a handler and a schema for every message type', () => {
+      Object.values(MESSAGE_TYPES).forEach(type => {
+        expect(router.has(type)).toBe(true);
+        expect(Object.prototype.hasOwnProperty.call(MESSAGE_SCHEMAS, type)).toBe(true);
+      });
+    });
+
+    test('should refuse duplicate handlers', () => {
+      expect(() => router.register(MESSAGE_TYPES.GET_SETTINGS, () => {})).toThrow(
+        'already registered'
+      );
+    });
+  });
+
+  describe('Sender Checks', () => {
+    test('should classify extension pages and LinkedIn content scripts', () => {
+      expect(getSenderContext(extensionPage)).toBe('extension');
+      expect(getSenderContext(contentScript)).toBe('content');
+    });
+
+    test('should reject other extensions and non-LinkedIn pages', async () => {
+      expect(getSenderContext({ ...extensionPage, id: 'other-extension' })).toBeNull();
+      expect(
+        getSenderContext({
+          id: 'test-id',
+          tab: { id: 1 },
+          url: 'https://linkedin.com.evil.example/'
+        })
+      ).toBeNull();
+
+      const response = await router.route(createMessage(MESSAGE_TYPES.GET_SETTINGS), {
+        id: 'other-extension'
+      });
+      expect(response).toMatchObject({
+        success: false,
+        errorCode: ERROR_CODES.UNAUTHORIZED_SENDER
+      });
+    });
+
+    test('should keep extension-only messages away from content scripts', async () => {
+      const response = await router.route(
+        createMessage(MESSAGE_TYPES.UPDATE_SETTINGS, { safeModeEnabled: false }),
+        contentScript
+      );
+
+      expect(response.success).toBe(false);
+      expect(response.errorCode).toBe(ERROR_CODES.UNAUTHORIZED_SENDER);
+    });
+
+    test('should treat the sandbox page as a content script', async () => {
+      const sandboxPage = {
+        id: 'test-id',
+        url: 'chrome-extension://test-id/sandbox/index.html?path=%2Ffeed%2F',
+        tab: { id: 9, url: 'chrome-extension://test-id/sandbox/index.html?path=%2Ffeed%2F' }
+      };
+
+      expect(getSenderContext(sandboxPage)).toBe('content');
+
+      const response = await router.route(
+        createMessage(MESSAGE_TYPES.UNLOCK_VAULT, { passphrase: 'correct horse' }),
+        sandboxPage
+      );
+      expect(response.errorCode).toBe(ERROR_CODES.UNAUTHORIZED_SENDER);
+    });
+
+    test('should proxy storage of the record stores only', async () => {
+      const requests = [
+        createMessage(MESSAGE_TYPES.STORAGE_GET, { keys: ['conversations', 'encryption_vault'] }),
+        createMessage(MESSAGE_TYPES.STORAGE_SET, {
+          data: { settings: { safeModeEnabled: false } }
+        }),
+        createMessage(MESSAGE_TYPES.STORAGE_REMOVE, { keys: ['blacklist'] }),
+        createMessage(MESSAGE_TYPES.STORAGE_APPEND, { key: 'settings', records: [{}] })
+      ];
+
+      for (const message of requests) {
+        expect(await router.route(message, contentScript)).toMatchObject({
+          success: false,
+          error: expect.stringContaining('Not a record store')
+        });
+      }
+      expect(await chrome.storage.local.get('settings')).toEqual({});
+    });
+  });
+
+  describe('Validation and Errors', () => {
+    test('should reject unknown message types', async () => {
+      const response = await router.route({ type: 'NOT_A_MESSAGE' }, extensionPage);
+      expect(response.errorCode).toBe(ERROR_CODES.UNKNOWN_MESSAGE_TYPE);
+    });
+
+    test('should reject payloads that do not match the schema', async () => {
+      const message = createMessage(MESSAGE_TYPES.UPDATE_CONNECTION_STATUS, {
+        connectionId: 42,
+        status: 'maybe',
+        extra: true
+      });
+
+      const response = await router.route(message, extensionPage);
+
+      expect(response).toMatchObject({
+        success: false,
+        errorCode: ERROR_CODES.INVALID_PAYLOAD,
+        messageId: message.id
+      });
+      expect(response.errorDetails).toEqual([
+        'connectionId must be of type string',
+        'status must be one of: pending, accepted, declined, withdrawn, expired, blocked',
+        'Unexpected field: extra'
+      ]);
+    });
+
+    test('should report missing required fields', () => {
+      expect(validateMessage(createMessage(MESSAGE_TYPES.DELETE_TEMPLATE, {})).errors).toEqual([
+        'templateId is required'
+      ]);
+    });
+
+    test('should return handler failures as structured errors', async () => {
+      const response = await router.route(
+        createMessage(MESSAGE_TYPES.START_CAMPAIGN, { campaignId: 'missing' }),
+        extensionPage
+      );
+
+      expect(response).toMatchObject({
+        success: false,
+        errorCode: ERROR_CODES.HANDLER_ERROR,
+        error: 'Campaign with ID missing not found'
+      });
+    });
+  });
+
+  describe('Handlers', () => {
+    test('should return settings with defaults', async () => {
+      const response = await router.route(createMessage(MESSAGE_TYPES.GET_SETTINGS), contentScript);
+
+      expect(response.success).toBe(true);
+      expect(response.data.connectionRequestsPerDay).toBe(20);
+    });
+
+    test('should save and start campaigns', async () => {
+      const saved = await router.route(
+        createMessage(MESSAGE_TYPES.SAVE_CAMPAIGN, { campaign: { name: 'Q1 outreach' } }),
+        extensionPage
+      );
+      const campaignId = saved.data.id;
+
+      const started = await router.route(
+        createMessage(MESSAGE_TYPES.START_CAMPAIGN, { campaignId }),
+        extensionPage
+      );
+
+      expect(started.data).toMatchObject({ id: campaignId, status: 'active' });
+      const { data: campaigns } = await router.route(
+        createMessage(MESSAGE_TYPES.GET_CAMPAIGNS),
+        extensionPage
+      );
+      expect(campaigns).toHaveLength(1);
+    });
+
+    test('should queue profiles once and claim them for processing', async () => {
+      const add = profiles =>
+        router.route(createMessage(MESSAGE_TYPES.ADD_TO_QUEUE, { profiles }), contentScript);
+
+      await add([{ profileId: 'jane' }, { profileId: 'john' }]);
+      const second = await add([{ profileId: 'jane' }, { profileId: 'ada' }]);
+      expect(second.data.skipped).toBe(1);
+
+      const claimed = await router.route(
+        createMessage(MESSAGE_TYPES.PROCESS_QUEUE, { limit: 2 }),
+        contentScript
+      );
+      expect(claimed.data.map(entry => entry.profileId)).toEqual(['jane', 'john']);
+
+      const { data: queue } = await router.route(
+        createMessage(MESSAGE_TYPES.GET_CONNECTION_QUEUE),
+        contentScript
+      );
+      expect(queue.map(entry => entry.status)).toEqual(['processing', 'processing', 'queued']);
+    });
+
+    test('should forward automation commands to the LinkedIn tab', async () => {
+      global.chrome.tabs.createTab('https://www.linkedin.com/search/results/people/');
+      global.chrome.tabs.sendMessage = jest.fn((tabId, message, callback) =>
+        callback({ success: true, data: { pageType: 'people-search' } })
+      );
+
+      const response = await router.route(
+        createMessage(MESSAGE_TYPES.GET_PAGE_INFO),
+        extensionPage
+      );
+
+      expect(response.data).toEqual({ pageType: 'people-search' });
+      expect(global.chrome.tabs.sendMessage.mock.calls[0][1].type).toBe(
+        MESSAGE_TYPES.GET_PAGE_INFO
+      );
+    });
+
+    test('should report when no LinkedIn tab is open', async () => {
+      const response = await router.route(
+        createMessage(MESSAGE_TYPES.START_AUTOMATION),
+        extensionPage
+      );
+
+      expect(response.errorCode).toBe(ERROR_CODES.NO_LINKEDIN_TAB);
+    });
+
+    test('should set up, lock and unlock the vault from extension pages only', async () => {
+      // jsdom only provides getRandomValues; use Node's Web Crypto for AES-GCM/PBKDF2
+      Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+      global.chrome.storage.session = new ChromeStorageMock();
+      const send = (type, data, sender = extensionPage) =>
+        router.route(createMessage(type, data), sender);
+
+      const setup = await send(MESSAGE_TYPES.SETUP_VAULT, { passphrase: 'correct horse' });
+      expect(setup.data).toMatchObject({ state: 'unlocked', keyCount: 1 });
+
+      expect((await send(MESSAGE_TYPES.LOCK_VAULT)).data.state).toBe('locked');
+      expect(
+        await send(MESSAGE_TYPES.UNLOCK_VAULT, { passphrase: 'correct horse' }, contentScript)
+      ).toMatchObject({ success: false, errorCode: ERROR_CODES.UNAUTHORIZED_SENDER });
+      expect(await send(MESSAGE_TYPES.UNLOCK_VAULT, { passphrase: 'wrong' })).toMatchObject({
+        success: false,
+        error: 'Incorrect passphrase'
+      });
+
+      await send(MESSAGE_TYPES.UNLOCK_VAULT, { passphrase: 'correct horse' });
+      expect((await send(MESSAGE_TYPES.GET_VAULT_STATUS)).data).toMatchObject({
+        state: 'unlocked',
+        activeKeyId: setup.data.activeKeyId
+      });
+
+      await lockVault();
+    });
+  });
+
+  describe('Listener', () => {
+    test('should answer chrome.runtime messages asynchronously', async () => {
+      router.listen();
+      const listener = global.chrome.runtime.onMessage.addListener.mock.calls[0][0];
+      const sendResponse = jest.fn();
+
+      expect(
+        listener(createMessage(MESSAGE_TYPES.GET_TEMPLATES), extensionPage, sendResponse)
+      ).toBe(true);
+
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(sendResponse).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+  });
+});
@@ -0,0 +1,210 @@
+// Tests for the Message Sender - Composer Typing, Send Verification and Follow-up Retries
+
+import { webcrypto } from 'crypto';
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import { sendDirectMessage, SEND_FAILURES } from '../src/utils/message-sender.js';
+import { ResponseTrackingSystem, FOLLOWUP_STATUS } from '../src/utils/response-tracking.js';
+import { updateThreadState } from '../src/utils/inbox-scanner.js';
+import { setupVault, lockVault, unlockVault } from '../src/utils/encryption.js';
+import { ChromeStorageMock, createChromeExtensionMock } from '../src/test/chrome-mock.js';
+
+const noDelay = () => 0;
+
+// Mimic LinkedIn: typing enables Send, and sending appends the message to the thread
+function loadThreadPage({ deliver = true } = {}) {
+  document.body.innerHTML = fs.readFileSync(
+    path.join(__dirname, 'fixtures', 'linkedin-thread.html'),
+    'utf8'
+  );
+  window.history.pushState({}, '', '/messaging/thread/2-jane-thread/');
+
+  const composer = document.querySelector('.msg-form__contenteditable');
+  const sendButton = document.querySelector('.msg-form__send-button');
+  const typed = [];
+
+  composer.addEventListener('input', event => {
+    typed.push(event.data);
+    sendButton.disabled = !composer.textContent.trim();
+  });
+  sendButton.addEventListener('click', event => {
+    event.preventDefault();
+    if (deliver) {
+      const item = document.createElement('li');
+      item.className = 'msg-s-message-list__event';
+      item.innerHTML =
+        '<div class="msg-s-event-listitem"><p class="msg-s-event-listitem__body"></p></div>';
+      item.querySelector('p').textContent = composer.textContent;
+      document.querySelector('.msg-s-message-list-content').appendChild(item);
+    }
+    composer.innerHTML = '';
+  });
+
+  return { typed };
+}
+
+describe('Message Sender', () => {
+  beforeEach(() => {
+    global.chrome = createChromeExtensionMock();
+    document.body.innerHTML = '';
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('Sending', () => {
+    test('should type the message, send it and find it in the thread', async () => {
+      const { typed } = loadThreadPage();
+
+      const result = await sendDirectMessage('Any news, Jane?', { keystrokeDelay: noDelay });
+
+      expect(result).toMatchObject({ success: true });
+      expect(typed.join('')).toBe('Any news, Jane?');
+      const bodies = [...document.querySelectorAll('.msg-s-event-listitem__body')];
+      expect(bodies.map(body => body.textContent).pop()).toBe('Any news, Jane?');
+    });
+
+    test('should not retry a message that may have been sent', async () => {
+      jest.useFakeTimers();
+      loadThreadPage({ deliver: false });
+
+      const sending = sendDirectMessage('Any news?', { keystrokeDelay: noDelay });
+      await jest.advanceTimersByTimeAsync(15000);
+
+      expect(await sending).toEqual({
+        success: false,
+        error: 'The message did not appear in the thread',
+        reason: SEND_FAILURES.SEND_UNVERIFIED,
+        retryable: false
+      });
+    });
+
+    test('should fail on profiles without a Message button', async () => {
+      window.history.pushState({}, '', '/in/jane-doe/');
+      document.body.innerHTML = '<main><h1>Jane Doe</h1><button>Follow</button></main>';
+
+      const result = await sendDirectMessage('Hello', { keystrokeDelay: noDelay });
+
+      expect(result).toMatchObject({
+        success: false,
+        reason: SEND_FAILURES.NO_MESSAGE_BUTTON,
+        retryable: false
+      });
+    });
+  });
+
+  describe('Follow-ups', () => {
+    let tracker;
+    let followup;
+
+    beforeEach(async () => {
+      jest
+        .spyOn(ResponseTrackingSystem.prototype, 'startResponseDetector')
+        .mockImplementation(() => {});
+      jest.spyOn(ResponseTrackingSystem.prototype, 'scheduleResponseCheck').mockResolvedValue();
+      jest.spyOn(ResponseTrackingSystem.prototype, 'scheduleFollowupExecution').mockResolvedValue();
+
+      tracker = new ResponseTrackingSystem();
+      const conversationId = await tracker.trackSentMessage({
+        profileId: 'jane-doe',
+        profileName: 'Jane Doe',
+        profileUrl: 'https://www.linkedin.com/in/jane-doe/',
+        content: 'Hi Jane!'
+      });
+      followup = await tracker.scheduleFollowup({
+        conversationId,
+        type: 'gentle_reminder',
+        content: 'Hi {{firstName}}, any thoughts on my last message?',
+        scheduledFor: Date.now()
+      });
+    });
+
+    test('should send the rendered follow-up in the matched thread', async () => {
+      await updateThreadState('2-jane-thread', { conversationId: 'conv_jane-doe' });
+      const messenger = { sendMessage: jest.fn(async () => ({ success: true })) };
+
+      const result = await tracker.executeFollowup(followup.id, messenger);
+
+      expect(messenger.sendMessage).toHaveBeenCalledWith({
+        url: 'https://www.linkedin.com/messaging/thread/2-jane-thread/',
+        content: 'Hi Jane, any thoughts on my last message?'
+      });
+      expect(result.status).toBe('sent');
+      expect(result.message.content).toBe('Hi Jane, any thoughts on my last message?');
+      expect(followup.status).toBe(FOLLOWUP_STATUS.SENT);
+    });
+
+    test('should keep the follow-up scheduled while retryable sends fail', async () => {
+      const messenger = {
+        sendMessage: jest.fn(async () => ({
+          success: false,
+          error: 'The message composer did not open',
+          reason: SEND_FAILURES.NO_COMPOSER,
+          retryable: true
+        }))
+      };
+
+      expect((await tracker.executeFollowup(followup.id, messenger)).status).toBe('retry');
+      expect(messenger.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ url: 'https://www.linkedin.com/in/jane-doe/' })
+      );
+      expect(followup.status).toBe(FOLLOWUP_STATUS.SCHEDULED);
+
+      expect((await tracker.executeFollowup(followup.id, messenger)).status).toBe('retry');
+      expect(await tracker.executeFollowup(followup.id, messenger)).toMatchObject({
+        status: 'failed',
+        reason: SEND_FAILURES.NO_COMPOSER
+      });
+      expect(followup).toMatchObject({ status: FOLLOWUP_STATUS.FAILED, attempts: 3 });
+    });
+
+    test('should wait for a locked vault without sending', async () => {
+      // jsdom only provides getRandomValues; use Node's Web Crypto for AES-GCM/PBKDF2
+      Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+      global.chrome.storage.session = new ChromeStorageMock();
+      await setupVault('correct horse');
+      await tracker.saveConversations();
+      await lockVault();
+
+      const reloaded = new ResponseTrackingSystem();
+      await reloaded.loadConversations();
+      const messenger = { sendMessage: jest.fn(async () => ({ success: true })) };
+
+      expect(await reloaded.executeFollowup(followup.id, messenger)).toMatchObject({
+        status: 'retry',
+        reason: 'VAULT_LOCKED'
+      });
+      expect(messenger.sendMessage).not.toHaveBeenCalled();
+      const waiting = reloaded.findConversationByFollowupId(followup.id).followups[0];
+      expect(waiting.status).toBe(FOLLOWUP_STATUS.SCHEDULED);
+      expect(waiting.attempts).toBeUndefined();
+
+      await unlockVault('correct horse');
+
+      expect((await reloaded.executeFollowup(followup.id, messenger)).status).toBe('sent');
+      expect(messenger.sendMessage).toHaveBeenCalledWith({
+        url: 'https://www.linkedin.com/in/jane-doe/',
+        content: 'Hi Jane, any thoughts on my last message?'
+      });
+      await lockVault();
+    });
+
+    test('should fail at once when the message may have gone out', async () => {
+      const messenger = {
+        sendMessage: async () => ({
+          success: false,
+          error: 'The message did not appear in the thread',
+          reason: SEND_FAILURES.SEND_UNVERIFIED,
+          retryable: false
+        })
+      };
+
+      const result = await tracker.executeFollowup(followup.id, messenger);
+
+      expect(result.status).toBe('failed');
+      expect(followup.status).toBe(FOLLOWUP_STATUS.FAILED);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+// Tests for Messaging Requests - Timeouts, Retries, Injection and Correlation IDs
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import {
+  sendToBackground,
+  sendToContentScript,
+  createMessage,
+  createResponse,
+  formatMessageTag,
+  MESSAGE_TYPES,
+  ERROR_CODES
+} from '../src/utils/messaging.js';
+import { createChromeExtensionMock } from '../src/test/chrome-mock.js';
+
+const NO_RECEIVER_MESSAGE = 'Could not establish connection. Receiving end does not exist.';
+
+// Reply through the callback the way Chrome does, with lastError set during the call
+function reply(callback, response, lastErrorMessage = null) {
+  setTimeout(() => {
+    chrome.runtime.lastError = lastErrorMessage ? { message: lastErrorMessage } : undefined;
+    callback(response);
+    chrome.runtime.lastError = undefined;
+  }, 0);
+}
+
+describe('Messaging Requests', () => {
+  beforeEach(() => {
+    global.chrome = createChromeExtensionMock();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  describe('sendToBackground', () => {
+    test('should resolve with the response', async () => {
+      chrome.runtime.sendMessage = jest.fn((message, callback) =>
+        reply(callback, createResponse(true, { ok: true }, null, message.id))
+      );
+      const message = createMessage(MESSAGE_TYPES.GET_SETTINGS);
+
+      const response = await sendToBackground(message);
+
+      expect(response).toMatchObject({ success: true, data: { ok: true }, messageId: message.id });
+    });
+
+    test('should reject with the error code and correlation ID of failed responses', async () => {
+      chrome.runtime.sendMessage = jest.fn((message, callback) =>
+        reply(
+          callback,
+          createResponse(false, null, { code: ERROR_CODES.INVALID_PAYLOAD, message: 'Bad' })
+        )
+      );
+      const message = createMessage(MESSAGE_TYPES.GET_SETTINGS);
+
+      await expect(sendToBackground(message)).rejects.toMatchObject({
+        message: 'Bad',
+        code: ERROR_CODES.INVALID_PAYLOAD,
+        messageId: message.id
+      });
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test('should time out when no response arrives', async () => {
+      chrome.runtime.sendMessage = jest.fn();
+
+      await expect(
+        sendToBackground(createMessage(MESSAGE_TYPES.GET_SETTINGS), { timeout: 20 })
+      ).rejects.toMatchObject({
+        code: ERROR_CODES.TIMEOUT,
+        message: 'GET_SETTINGS timed out after 20ms'
+      });
+    });
+
+    test('should retry when there is no receiver', async () => {
+      let calls = 0;
+      chrome.runtime.sendMessage = jest.fn((message, callback) => {
+        calls++;
+        if (calls < 3) {
+          reply(callback, undefined, NO_RECEIVER_MESSAGE);
+        } else {
+          reply(callback, createResponse(true, 'ready'));
+        }
+      });
+
+      const response = await sendToBackground(createMessage(MESSAGE_TYPES.GET_SETTINGS), {
+        retryDelay: 1
+      });
+
+      expect(response.data).toBe('ready');
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledTimes(3);
+    });
+
+    test('should resend with the same correlation ID and give up after the retries', async () => {
+      chrome.runtime.sendMessage = jest.fn((message, callback) =>
+        reply(callback, undefined, NO_RECEIVER_MESSAGE)
+      );
+      const message = createMessage(MESSAGE_TYPES.GET_SETTINGS);
+
+      await expect(sendToBackground(message, { retries: 1, retryDelay: 1 })).rejects.toMatchObject({
+        code: ERROR_CODES.NO_RECEIVER
+      });
+      expect(chrome.runtime.sendMessage.mock.calls.map(([sent]) => sent.id)).toEqual([
+        message.id,
+        message.id
+      ]);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining(message.id));
+    });
+  });
+
+  describe('sendToContentScript', () => {
+    beforeEach(() => {
+      chrome.runtime.getManifest = jest.fn(() => ({
+        content_scripts: [{ js: ['content/linkedin-content.js'] }]
+      }));
+    });
+
+    test('should inject the content script when the tab has none', async () => {
+      let injected = false;
+      chrome.scripting.executeScript = jest.fn(async () => {
+        injected = true;
+        return [{ result: null }];
+      });
+      chrome.tabs.sendMessage = jest.fn((tabId, message, callback) =>
+        injected
+          ? reply(callback, createResponse(true, { pageType: 'people-search' }))
+          : reply(callback, undefined, NO_RECEIVER_MESSAGE)
+      );
+
+      const response = await sendToContentScript(4, createMessage(MESSAGE_TYPES.GET_PAGE_INFO));
+
+      expect(chrome.scripting.executeScript).toHaveBeenCalledWith({
+        target: { tabId: 4 },
+        files: ['content/linkedin-content.js']
+      });
+      expect(response.data).toEqual({ pageType: 'people-search' });
+    });
+
+    test('should not inject when disabled', async () => {
+      chrome.tabs.sendMessage = jest.fn((tabId, message, callback) =>
+        reply(callback, undefined, NO_RECEIVER_MESSAGE)
+      );
+
+      await expect(
+        sendToContentScript(4, createMessage(MESSAGE_TYPES.GET_PAGE_INFO), {
+          inject: false,
+          retries: 0
+        })
+      ).rejects.toMatchObject({ code: ERROR_CODES.NO_RECEIVER });
+      expect(chrome.scripting.executeScript).not.toHaveBeenCalled();
+    });
+
+    test('should not retry errors from the content script handler', async () => {
+      chrome.tabs.sendMessage = jest.fn((tabId, message, callback) =>
+        reply(callback, { success: false, error: 'Connect button not found' })
+      );
+
+      await expect(
+        sendToContentScript(4, createMessage(MESSAGE_TYPES.SEND_CONNECTION_REQUEST))
+      ).rejects.toThrow('Connect button not found');
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledTimes(1);
+      expect(chrome.scripting.executeScript).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('formatMessageTag', () => {
+    test('should tag messages with type and correlation ID', () => {
+      const message = createMessage(MESSAGE_TYPES.GET_SETTINGS, null, 'msg_1');
+
+      expect(formatMessageTag(message)).toBe('[GET_SETTINGS msg_1]');
+      expect(formatMessageTag({ type: 'GET_SETTINGS' })).toBe('[GET_SETTINGS]');
+    });
+  });
+});
@@ -0,0 +1,96 @@
+// Tests for the Navigation Observer - History Hooks, Re-renders and the Sandbox
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { observeNavigation } from '../src/utils/navigation-observer.js';
+
+function flushMutations() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+describe('Navigation Observer', () => {
+  let observer;
+  let onChange;
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/search/results/people/?keywords=growth');
+    document.body.innerHTML = '<main></main>';
+    onChange = jest.fn();
+  });
+
+  afterEach(() => {
+    observer.disconnect();
+    delete document.documentElement.dataset.linkedinUrl;
+  });
+
+  test('should report history navigation with the previous URL', () => {
+    observer = observeNavigation(onChange);
+
+    window.history.pushState(null, '', '/in/maria-lopez/');
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange).toHaveBeenCalledWith({
+      url: 'http://localhost/in/maria-lopez/',
+      previousUrl: 'http://localhost/search/results/people/?keywords=growth'
+    });
+  });
+
+  test('should report a change only once however it is noticed', async () => {
+    observer = observeNavigation(onChange);
+
+    window.history.pushState(null, '', '/in/maria-lopez/');
+    document.body.appendChild(document.createElement('section'));
+    window.dispatchEvent(new PopStateEvent('popstate'));
+    await flushMutations();
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+  });
+
+  test('should check the URL when the page re-renders', async () => {
+    let url = 'https://www.linkedin.com/feed/';
+    observer = observeNavigation(onChange, { getUrl: () => url });
+
+    // Navigation made by the page itself is invisible to the history hooks
+    url = 'https://www.linkedin.com/mynetwork/invitation-manager/sent/';
+    document.querySelector('main').textContent = 'Sent invitations';
+    await flushMutations();
+
+    expect(onChange).toHaveBeenCalledWith({
+      url: 'https://www.linkedin.com/mynetwork/invitation-manager/sent/',
+      previousUrl: 'https://www.linkedin.com/feed/'
+    });
+  });
+
+  test('should ignore re-renders that keep the URL', async () => {
+    observer = observeNavigation(onChange);
+
+    document.body.appendChild(document.createElement('section'));
+    window.history.replaceState(null, '', '/search/results/people/?keywords=growth');
+    await flushMutations();
+
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  test('should follow pages of the sandbox mock site', async () => {
+    document.documentElement.dataset.linkedinUrl = 'https://www.linkedin.com/feed/';
+    observer = observeNavigation(onChange);
+
+    document.documentElement.dataset.linkedinUrl = 'https://www.linkedin.com/in/jonas-weber/';
+    await flushMutations();
+
+    expect(onChange).toHaveBeenCalledWith({
+      url: 'https://www.linkedin.com/in/jonas-weber/',
+      previousUrl: 'https://www.linkedin.com/feed/'
+    });
+  });
+
+  test('should stop reporting once disconnected', async () => {
+    observer = observeNavigation(onChange);
+    observer.disconnect();
+
+    window.history.pushState(null, '', '/in/maria-lopez/');
+    document.body.appendChild(document.createElement('section'));
+    await flushMutations();
+
+    expect(onChange).not.toHaveBeenCalled();
+  });
+});
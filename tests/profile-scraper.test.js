@@ -0,0 +1,183 @@
+// Tests for the Profile Scraper - Saved Profile Pages into the Normalized Profile Shape
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import {
+  scrapeProfilePage,
+  parseMutualConnections,
+  normalizeDuration
+} from '../src/utils/profile-scraper.js';
+import { extractProfileMetadata } from '../src/utils/advanced-template-engine.js';
+
+function loadFixture(name) {
+  document.body.innerHTML = fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+describe('Profile Scraper', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  describe('Full Profile', () => {
+    let profile;
+
+    beforeEach(() => {
+      loadFixture('linkedin-profile.html');
+      profile = scrapeProfilePage();
+    });
+
+    test('should read the top card', () => {
+      expect(profile).toMatchObject({
+        name: 'Jane Smith',
+        headline: 'Senior Software Engineer at Tech Corp',
+        location: 'San Francisco Bay Area',
+        connections: '500+',
+        mutualConnections: 8
+      });
+      expect(profile.about).toBe(
+        'I build developer tools and lead the platform team. Always happy to talk about distributed systems.'
+      );
+    });
+
+    test('should split grouped positions into one entry per role', () => {
+      expect(profile.experience).toEqual([
+        {
+          title: 'Senior Software Engineer',
+          company: 'Tech Corp',
+          employmentType: 'Full-time',
+          dateRange: 'Jan 2022 - Present',
+          duration: '2 years 4 months',
+          location: 'San Francisco, California, United States',
+          description: 'Leading the build platform team.'
+        },
+        {
+          title: 'Software Engineer',
+          company: 'Tech Corp',
+          employmentType: 'Full-time',
+          dateRange: 'Feb 2020 - Dec 2021',
+          duration: '1 year 11 months',
+          location: 'San Francisco, California, United States',
+          description: null
+        },
+        {
+          title: 'Software Developer',
+          company: 'StartupXYZ',
+          employmentType: 'Full-time',
+          dateRange: 'Jun 2017 - Jan 2020',
+          duration: '2 years 8 months',
+          location: 'Palo Alto, California',
+          description: null
+        }
+      ]);
+    });
+
+    test('should read education, skills and languages', () => {
+      expect(profile.education).toEqual([
+        {
+          school: 'Stanford University',
+          degree: 'MS',
+          field: 'Computer Science',
+          dateRange: '2015 - 2017'
+        },
+        { school: 'UC Davis', degree: 'BS', field: 'Mathematics', dateRange: '2011 - 2015' }
+      ]);
+      expect(profile.skills).toEqual(['JavaScript', 'Distributed Systems', 'Node.js']);
+      expect(profile.languages).toEqual([
+        { name: 'English', proficiency: 'Native or bilingual proficiency' },
+        { name: 'German', proficiency: 'Professional working proficiency' }
+      ]);
+    });
+
+    test('should read recent activity', () => {
+      expect(profile.recentActivity).toEqual([
+        {
+          action: 'posted',
+          postedAgo: '2w',
+          text: 'We just open-sourced our internal build cache. Feedback welcome!'
+        },
+        {
+          action: 'reposted',
+          postedAgo: '1mo',
+          text: 'Hiring senior backend engineers in Berlin and remote.'
+        }
+      ]);
+    });
+
+    test('should feed extractProfileMetadata', async () => {
+      const metadata = await extractProfileMetadata(profile);
+
+      expect(metadata.professional).toEqual({
+        currentTitle: 'Senior Software Engineer',
+        currentCompany: 'Tech Corp',
+        industry: 'Technology',
+        experienceYears: 5
+      });
+      expect(metadata.social.connectionCount).toBe(500);
+      expect(metadata.targeting.seniority).toBe('Senior');
+      expect(metadata.targeting.personalizationFactors).toEqual(
+        expect.arrayContaining(['mutual_connections', 'notable_education'])
+      );
+    });
+  });
+
+  describe('Sparse Profile', () => {
+    test('should find sections by heading and leave missing sections empty', () => {
+      loadFixture('linkedin-profile-sparse.html');
+
+      const profile = scrapeProfilePage();
+
+      expect(profile).toMatchObject({
+        name: 'John Doe',
+        headline: 'Product Manager',
+        location: 'Berlin, Germany',
+        about: null,
+        connections: '87',
+        mutualConnections: 1,
+        education: [],
+        skills: [],
+        languages: [],
+        recentActivity: []
+      });
+      expect(profile.experience).toEqual([
+        {
+          title: 'Product Manager',
+          company: 'Google',
+          employmentType: null,
+          dateRange: 'Mar 2023 - Present',
+          duration: '11 months',
+          location: null,
+          description: null
+        }
+      ]);
+    });
+
+    test('should return an empty profile on other pages', () => {
+      document.body.innerHTML = '<main><h2>Feed</h2></main>';
+
+      expect(scrapeProfilePage()).toMatchObject({
+        name: null,
+        headline: null,
+        connections: null,
+        mutualConnections: 0,
+        experience: []
+      });
+    });
+  });
+
+  describe('Parsing Helpers', () => {
+    test('should count named and other mutual connections', () => {
+      expect(parseMutualConnections('Anna Schmidt is a mutual connection')).toBe(1);
+      expect(parseMutualConnections('Anna Schmidt and Ben Meyer are mutual connections')).toBe(2);
+      expect(parseMutualConnections('Anna Schmidt and 1 other mutual connection')).toBe(2);
+      expect(parseMutualConnections('1,204 mutual connections')).toBe(1204);
+      expect(parseMutualConnections('Followed by Anna Schmidt')).toBe(0);
+    });
+
+    test('should spell out abbreviated durations', () => {
+      expect(normalizeDuration('1 yr 1 mo')).toBe('1 year 1 month');
+      expect(normalizeDuration('10 yrs')).toBe('10 years');
+      expect(normalizeDuration(undefined)).toBeNull();
+    });
+  });
+});
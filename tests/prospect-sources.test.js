@@ -0,0 +1,113 @@
+// Tests for Prospect Sources - Company People, Group Members and Post Engagement
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import {
+  collectProspects,
+  getProspectSources,
+  PROSPECT_SOURCES
+} from '../src/utils/prospect-sources.js';
+import { addToQueue, getConnectionQueue } from '../src/utils/connection-queue.js';
+import { detectLinkedInPageType } from '../src/utils/linkedin.js';
+import { createChromeExtensionMock } from '../src/test/chrome-mock.js';
+
+function loadPage(fixture, pathname) {
+  window.history.pushState({}, '', pathname);
+  document.body.innerHTML = fs.readFileSync(path.join(__dirname, 'fixtures', fixture), 'utf8');
+}
+
+describe('Prospect Sources', () => {
+  beforeEach(() => {
+    global.chrome = createChromeExtensionMock();
+    document.body.innerHTML = '';
+  });
+
+  test('should detect the pages prospects can be collected from', () => {
+    window.history.pushState({}, '', '/company/acme-corp/people/?keywords=marketing');
+    expect(detectLinkedInPageType()).toBe('company-people');
+    expect(getProspectSources()).toEqual([PROSPECT_SOURCES.COMPANY_PEOPLE]);
+
+    window.history.pushState({}, '', '/groups/4242/members/');
+    expect(getProspectSources()).toEqual([PROSPECT_SOURCES.GROUP_MEMBERS]);
+
+    window.history.pushState({}, '', '/events/7090000000000000000/');
+    expect(getProspectSources()).toEqual([PROSPECT_SOURCES.EVENT_ATTENDEES]);
+
+    window.history.pushState({}, '', '/feed/update/urn:li:activity:7100000000000000000/');
+    expect(getProspectSources()).toEqual([
+      PROSPECT_SOURCES.POST_REACTIONS,
+      PROSPECT_SOURCES.POST_COMMENTS
+    ]);
+
+    window.history.pushState({}, '', '/in/jane-doe/');
+    expect(getProspectSources()).toEqual([]);
+  });
+
+  test('should normalize the People tab of a company page', async () => {
+    loadPage('linkedin-company-people.html', '/company/acme-corp/people/?keywords=marketing');
+
+    const { sources, sourceUrl, profiles } = await collectProspects();
+
+    expect(sources).toEqual([PROSPECT_SOURCES.COMPANY_PEOPLE]);
+    expect(sourceUrl).toBe('http://localhost/company/acme-corp/people/');
+    // Out-of-network members have no profile link
+    expect(profiles).toEqual([
+      {
+        profileId: 'ana-lopez',
+        profileUrl: 'https://www.linkedin.com/in/ana-lopez/',
+        name: 'Ana Lopez',
+        title: 'Head of Marketing at Acme Corp',
+        canConnect: true,
+        source: PROSPECT_SOURCES.COMPANY_PEOPLE,
+        sourceUrl
+      },
+      expect.objectContaining({ profileId: 'ben-okafor', canConnect: false })
+    ]);
+  });
+
+  test('should read group members and skip existing connections', async () => {
+    loadPage('linkedin-group-members.html', '/groups/4242/members/');
+
+    const { profiles } = await collectProspects(PROSPECT_SOURCES.GROUP_MEMBERS);
+
+    expect(profiles.map(({ name, title, canConnect }) => ({ name, title, canConnect }))).toEqual([
+      { name: 'Chen Wei', title: 'Growth Lead at Globex', canConnect: true },
+      { name: 'Dana Kim', title: 'CMO at Initech', canConnect: false }
+    ]);
+  });
+
+  test('should list each person engaging with a post once', async () => {
+    loadPage('linkedin-post.html', '/feed/update/urn:li:activity:7100000000000000000/');
+
+    const { profiles } = await collectProspects();
+
+    // Companies reacting are not prospects, and Chen Wei both reacted and commented
+    expect(profiles.map(({ profileId, source }) => ({ profileId, source }))).toEqual([
+      { profileId: 'chen-wei', source: PROSPECT_SOURCES.POST_REACTIONS },
+      { profileId: 'eva-novak', source: PROSPECT_SOURCES.POST_COMMENTS }
+    ]);
+  });
+
+  test('should keep the source on queued prospects', async () => {
+    loadPage('linkedin-post.html', '/feed/update/urn:li:activity:7100000000000000000/');
+    const { profiles } = await collectProspects(PROSPECT_SOURCES.POST_COMMENTS);
+
+    await addToQueue(profiles);
+
+    expect(await getConnectionQueue()).toEqual([
+      expect.objectContaining({
+        profileId: 'chen-wei',
+        source: PROSPECT_SOURCES.POST_COMMENTS,
+        sourceUrl: 'http://localhost/feed/update/urn:li:activity:7100000000000000000/'
+      }),
+      expect.objectContaining({ profileId: 'eva-novak', source: PROSPECT_SOURCES.POST_COMMENTS })
+    ]);
+  });
+
+  test('should reject unknown sources', async () => {
+    await expect(collectProspects('podcast-listeners')).rejects.toThrow(
+      'Unknown prospect source: podcast-listeners'
+    );
+  });
+});
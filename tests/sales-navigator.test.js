@@ -0,0 +1,201 @@
+// Tests for Sales Navigator Support - Page Detection, Lead Extraction and Lead Actions
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import {
+  isSalesNavigatorPage,
+  getSalesLeadId,
+  sendSalesConnectionRequest,
+  saveSalesLead,
+  SALES_NAVIGATOR_SOURCE
+} from '../src/utils/sales-navigator.js';
+import { processSearchResults } from '../src/utils/search-integration.js';
+import { detectLinkedInPageType } from '../src/utils/linkedin.js';
+import { buildLinkedInSearchUrl } from '../src/utils/saved-search-profiles.js';
+import { createChromeExtensionMock } from '../src/test/chrome-mock.js';
+
+function loadPage(fixture, pathname) {
+  window.history.pushState({}, '', pathname);
+  document.body.innerHTML = fs.readFileSync(path.join(__dirname, 'fixtures', fixture), 'utf8');
+}
+
+function openDropdown(items) {
+  const dropdown = document.createElement('div');
+  dropdown.className = 'artdeco-dropdown__content artdeco-dropdown__content--is-open';
+  dropdown.innerHTML = `<ul>${items.map(item => `<li><button>${item}</button></li>`).join('')}</ul>`;
+  document.body.appendChild(dropdown);
+  return dropdown;
+}
+
+// Mimic Sales Navigator: the overflow menu offers Connect to leads not yet
+// connected, which opens the invitation dialog
+function mockLeadActions(sent) {
+  document.querySelectorAll('button[aria-label^="See more actions"]').forEach(button => {
+    const connected = button.getAttribute('aria-label').includes('Tom Becker');
+
+    button.addEventListener('click', () => {
+      const dropdown = openDropdown(
+        connected ? ['Message', 'View profile'] : ['Message', 'Connect']
+      );
+      const connect = [...dropdown.querySelectorAll('button')].find(
+        b => b.textContent === 'Connect'
+      );
+
+      connect?.addEventListener('click', () => {
+        dropdown.remove();
+        const dialog = document.createElement('div');
+        dialog.setAttribute('role', 'dialog');
+        dialog.innerHTML =
+          '<textarea id="connect-cta-form__invitation"></textarea>' +
+          '<button class="connect-cta-form__send">Send Invitation</button>';
+        dialog.querySelector('button').addEventListener('click', () => {
+          sent.push(dialog.querySelector('textarea').value);
+          dialog.remove();
+        });
+        document.body.appendChild(dialog);
+      });
+    });
+  });
+}
+
+describe('Sales Navigator', () => {
+  beforeEach(() => {
+    global.chrome = createChromeExtensionMock();
+    document.body.innerHTML = '';
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('Pages', () => {
+    test('should detect Sales Navigator search results and lead lists', () => {
+      window.history.pushState({}, '', '/sales/search/people?query=(keywords%3Acto)');
+      expect(detectLinkedInPageType()).toBe('sales-search');
+      expect(isSalesNavigatorPage()).toBe(true);
+
+      window.history.pushState({}, '', '/sales/lists/people/7012345?sortCriteria=CREATED_TIME');
+      expect(detectLinkedInPageType()).toBe('sales-lead-list');
+
+      window.history.pushState({}, '', '/search/results/people/?keywords=cto');
+      expect(isSalesNavigatorPage()).toBe(false);
+    });
+
+    test('should read the lead ID from lead URLs', () => {
+      expect(getSalesLeadId('/sales/lead/ACwAAB111,NAME_SEARCH,aB1c?_ntb=xyz')).toBe('ACwAAB111');
+      expect(getSalesLeadId('https://www.linkedin.com/in/jane-doe/')).toBeNull();
+    });
+
+    test('should let saved searches point at a Sales Navigator URL', () => {
+      const salesNavigatorUrl = 'https://www.linkedin.com/sales/lists/people/7012345';
+
+      expect(buildLinkedInSearchUrl({ salesNavigatorUrl, criteria: {} })).toBe(salesNavigatorUrl);
+    });
+  });
+
+  describe('Leads', () => {
+    test('should map search results into the people search profile shape', async () => {
+      loadPage('sales-navigator-search.html', '/sales/search/people?query=(keywords%3Asales)');
+
+      const profiles = await processSearchResults();
+
+      // 1st-degree leads are already connected
+      expect(profiles).toHaveLength(1);
+      expect(profiles[0]).toMatchObject({
+        name: 'Maria Garcia',
+        title: 'VP of Sales',
+        company: 'Acme Corp',
+        location: 'Madrid, Spain',
+        profileUrl: 'https://www.linkedin.com/sales/lead/ACwAAB111',
+        salesLeadId: 'ACwAAB111',
+        degree: 2,
+        saved: false,
+        canConnect: true,
+        source: SALES_NAVIGATOR_SOURCE,
+        index: 0
+      });
+      expect(profiles[0].element).toBeInstanceOf(HTMLElement);
+    });
+
+    test('should read lead list rows as saved leads', async () => {
+      loadPage('sales-navigator-lead-list.html', '/sales/lists/people/7012345');
+
+      const profiles = await processSearchResults();
+
+      expect(profiles).toEqual([
+        expect.objectContaining({
+          name: 'Priya Shah',
+          title: 'CTO',
+          company: 'Initech',
+          location: 'London, United Kingdom',
+          degree: 3,
+          saved: true
+        })
+      ]);
+    });
+  });
+
+  describe('Actions', () => {
+    test('should connect with a note through the overflow menu', async () => {
+      loadPage('sales-navigator-search.html', '/sales/search/people');
+      const sent = [];
+      mockLeadActions(sent);
+      const [lead] = await processSearchResults();
+
+      const result = await sendSalesConnectionRequest(lead, 'Hi Maria, great to meet you');
+
+      expect(result).toMatchObject({
+        success: true,
+        hasCustomMessage: true,
+        profileUrl: 'https://www.linkedin.com/sales/lead/ACwAAB111'
+      });
+      expect(sent).toEqual(['Hi Maria, great to meet you']);
+    });
+
+    test('should report leads the menu offers no Connect for', async () => {
+      jest.useFakeTimers();
+      loadPage('sales-navigator-search.html', '/sales/search/people');
+      mockLeadActions([]);
+
+      const sending = sendSalesConnectionRequest({
+        profileUrl: 'https://www.linkedin.com/sales/lead/ACwAAB222'
+      });
+      await jest.advanceTimersByTimeAsync(5000);
+
+      expect(await sending).toMatchObject({ success: false, reason: 'ALREADY_CONNECTED' });
+    });
+
+    test('should save a lead to a named lead list', async () => {
+      loadPage('sales-navigator-search.html', '/sales/search/people');
+      const saveButton = document.querySelector('button[aria-label="Save Maria Garcia"]');
+      saveButton.addEventListener('click', () => {
+        const dropdown = openDropdown(['Q3 Targets', 'Partners']);
+        dropdown.querySelectorAll('button').forEach(option => {
+          option.addEventListener('click', () => {
+            saveButton.textContent = 'Saved';
+            dropdown.remove();
+          });
+        });
+      });
+
+      const result = await saveSalesLead(
+        { profileUrl: 'https://www.linkedin.com/sales/lead/ACwAAB111' },
+        'q3 targets'
+      );
+
+      expect(result).toMatchObject({ success: true, alreadySaved: false });
+      expect(saveButton.textContent).toBe('Saved');
+    });
+
+    test('should not save leads twice', async () => {
+      loadPage('sales-navigator-search.html', '/sales/search/people');
+
+      const result = await saveSalesLead({
+        profileUrl: 'https://www.linkedin.com/sales/lead/ACwAAB222,NAME_SEARCH,dE2f'
+      });
+
+      expect(result).toMatchObject({ success: true, alreadySaved: true });
+    });
+  });
+});
@@ -0,0 +1,58 @@
+// Tests for the Sandbox Page - the Content Script Running in an Extension Page
+
+import { describe, test, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import { createMessage, MESSAGE_TYPES } from '../src/utils/messaging.js';
+import { createChromeExtensionMock } from '../src/test/chrome-mock.js';
+
+const popup = { id: 'test-id', url: 'http://localhost/popup/popup.html' };
+
+function flushPromises() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+describe('Sandbox Page', () => {
+  let listener;
+
+  beforeAll(async () => {
+    global.chrome = createChromeExtensionMock();
+    global.chrome.runtime.id = 'test-id';
+
+    // jsdom cannot load extension URLs; serve the extension from its own origin
+    chrome.runtime.getURL = jest.fn(path => `http://localhost/${path}`);
+    window.history.replaceState(null, '', '/sandbox/index.html?path=%2Ffeed%2F');
+
+    await import('../src/sandbox/sandbox-page.js');
+    while (chrome.runtime.onMessage.addListener.mock.calls.length === 0) {
+      await flushPromises();
+    }
+    [listener] = chrome.runtime.onMessage.addListener.mock.calls[0];
+  });
+
+  // Empty the document while it still exists: the content script's navigation
+  // observer watches it and would otherwise run while jsdom is torn down
+  afterAll(async () => {
+    document.replaceChildren();
+    await flushPromises();
+  });
+
+  test('should leave messages for the service worker unanswered', () => {
+    const sendResponse = jest.fn();
+
+    expect(listener(createMessage(MESSAGE_TYPES.GET_SETTINGS), popup, sendResponse)).toBe(false);
+    expect(sendResponse).not.toHaveBeenCalled();
+  });
+
+  test('should answer messages the content script handles', async () => {
+    const sendResponse = jest.fn();
+
+    expect(listener(createMessage(MESSAGE_TYPES.GET_PAGE_INFO), popup, sendResponse)).toBe(true);
+    await flushPromises();
+
+    expect(sendResponse).toHaveBeenCalledWith(
+      expect.objectContaining({
+        success: true,
+        data: expect.objectContaining({ url: 'https://www.linkedin.com/feed/', pageType: 'feed' })
+      })
+    );
+  });
+});
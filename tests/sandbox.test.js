@@ -0,0 +1,214 @@
+// Tests for Sandbox Mode - URL Mapping, the Mock LinkedIn Site and Simulated Responses
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import {
+  toSandboxUrl,
+  fromSandboxUrl,
+  isSandboxUrl,
+  resolveLinkedInUrl
+} from '../src/utils/sandbox.js';
+import { renderSandboxPage } from '../src/sandbox/mock-pages.js';
+import {
+  getSandboxState,
+  getSandboxNetwork,
+  recordInvitation,
+  SANDBOX_STATUS
+} from '../src/sandbox/sandbox-state.js';
+import { detectLinkedInPageType, getLinkedInUrl, getProfileSlug } from '../src/utils/linkedin.js';
+import { processSearchResults } from '../src/utils/search-integration.js';
+import { sendConnectionRequest } from '../src/utils/linkedin-automation.js';
+import { parseNetworkCards, NETWORK_PAGES } from '../src/utils/invitation-sync.js';
+import { parseInboxList, parseThread } from '../src/utils/inbox-scanner.js';
+import { updateSettings } from '../src/utils/storage.js';
+import { createChromeExtensionMock } from '../src/test/chrome-mock.js';
+
+const MINUTE = 60 * 1000;
+const NOW = new Date(2024, 5, 15, 12).getTime();
+
+function flushPromises() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+describe('Sandbox', () => {
+  beforeEach(() => {
+    global.chrome = createChromeExtensionMock();
+    document.body.innerHTML = '';
+  });
+
+  afterEach(() => {
+    delete document.documentElement.dataset.linkedinUrl;
+  });
+
+  describe('URL Mapping', () => {
+    test('should map LinkedIn URLs to sandbox pages and back', () => {
+      const url = toSandboxUrl('https://www.linkedin.com/search/results/people/?keywords=growth');
+
+      expect(url).toBe(
+        'chrome-extension://test-id/sandbox/index.html?path=%2Fsearch%2Fresults%2Fpeople%2F%3Fkeywords%3Dgrowth'
+      );
+      expect(isSandboxUrl(url)).toBe(true);
+      expect(isSandboxUrl('https://www.linkedin.com/feed/')).toBe(false);
+      expect(fromSandboxUrl(url)).toBe(
+        'https://www.linkedin.com/search/results/people/?keywords=growth'
+      );
+      expect(fromSandboxUrl('chrome-extension://test-id/sandbox/index.html')).toBe(
+        'https://www.linkedin.com/feed/'
+      );
+    });
+
+    test('should only open sandbox pages while sandbox mode is on', async () => {
+      const url = 'https://www.linkedin.com/in/maria-lopez/';
+
+      expect(await resolveLinkedInUrl(url)).toBe(url);
+
+      await updateSettings({ sandboxMode: true });
+      expect(await resolveLinkedInUrl(url)).toBe(toSandboxUrl(url));
+    });
+
+    test('should make sandbox pages stand for their LinkedIn URL', async () => {
+      await renderSandboxPage('https://www.linkedin.com/in/maria-lopez/', NOW);
+
+      expect(getLinkedInUrl()).toBe('https://www.linkedin.com/in/maria-lopez/');
+      expect(detectLinkedInPageType()).toBe('profile');
+    });
+  });
+
+  describe('Simulated Responses', () => {
+    test('should accept and reply on schedule', () => {
+      const state = {
+        invitations: { 'maria-lopez': { sentAt: NOW, note: 'Hi Maria' } },
+        messages: {},
+        readAt: {}
+      };
+      const find = (network, slug) => network.find(person => person.slug === slug);
+
+      expect(find(getSandboxNetwork(state, NOW), 'maria-lopez').status).toBe(
+        SANDBOX_STATUS.PENDING
+      );
+      expect(find(getSandboxNetwork(state, NOW), 'emma-johansson').status).toBe(
+        SANDBOX_STATUS.CONNECTED
+      );
+
+      const accepted = find(getSandboxNetwork(state, NOW + 2 * MINUTE), 'maria-lopez');
+      expect(accepted).toMatchObject({
+        status: SANDBOX_STATUS.CONNECTED,
+        connectedAt: NOW + MINUTE
+      });
+      expect(accepted.thread.messages).toEqual([
+        { inbound: false, content: 'Hi Maria', sentAt: NOW }
+      ]);
+
+      const replied = find(getSandboxNetwork(state, NOW + 3 * MINUTE), 'maria-lopez');
+      expect(replied.thread).toMatchObject({ id: 'sandbox-maria-lopez', unread: true });
+      expect(replied.thread.messages[1]).toMatchObject({ inbound: true, sentAt: NOW + 3 * MINUTE });
+    });
+  });
+
+  describe('Mock Pages', () => {
+    test('should list connectable people on the search page', async () => {
+      await renderSandboxPage('https://www.linkedin.com/search/results/people/', NOW);
+
+      const profiles = await processSearchResults();
+
+      expect(profiles.map(profile => getProfileSlug(profile.profileUrl))).toEqual([
+        'maria-lopez',
+        'jonas-weber',
+        'aisha-khan',
+        'li-wei'
+      ]);
+      expect(profiles[0]).toMatchObject({
+        name: 'Maria Lopez',
+        title: 'Head of Growth at Northwind Traders',
+        canConnect: true
+      });
+      expect(document.querySelector('[aria-label="Next"]').disabled).toBe(false);
+    });
+
+    test('should filter search results by keywords', async () => {
+      await renderSandboxPage(
+        'https://www.linkedin.com/search/results/people/?keywords=engineering',
+        NOW
+      );
+
+      const profiles = await processSearchResults();
+
+      expect(profiles.map(profile => getProfileSlug(profile.profileUrl))).toEqual([
+        'li-wei',
+        'daniel-okoro'
+      ]);
+      expect(document.querySelector('[aria-label="Next"]').disabled).toBe(true);
+    });
+
+    test('should record a connection request sent from a profile', async () => {
+      await renderSandboxPage('https://www.linkedin.com/in/aisha-khan/', NOW);
+
+      const result = await sendConnectionRequest('Hi Aisha, great to meet you');
+      await flushPromises();
+
+      expect(result).toMatchObject({
+        success: true,
+        hasCustomMessage: true,
+        profileUrl: 'https://www.linkedin.com/in/aisha-khan/'
+      });
+      expect((await getSandboxState()).invitations['aisha-khan']).toMatchObject({
+        note: 'Hi Aisha, great to meet you'
+      });
+      expect(document.querySelector('.pv-s-profile-actions button').textContent).toBe('Pending');
+    });
+
+    test('should show accepted invitations on the connections page', async () => {
+      await recordInvitation('jonas-weber', null, NOW);
+      await recordInvitation('li-wei', null, NOW);
+
+      await renderSandboxPage(
+        'https://www.linkedin.com/mynetwork/invite-connect/connections/',
+        NOW + 5 * MINUTE
+      );
+      const connections = parseNetworkCards(NETWORK_PAGES.CONNECTIONS, document, NOW + 5 * MINUTE);
+
+      expect(connections.map(card => card.profileSlug)).toEqual(['jonas-weber', 'emma-johansson']);
+      expect(connections[0].timeLabel).toBe('Connected 3 minutes ago');
+
+      await renderSandboxPage(
+        'https://www.linkedin.com/mynetwork/invitation-manager/sent/',
+        NOW + 5 * MINUTE
+      );
+      const sent = parseNetworkCards(NETWORK_PAGES.SENT_INVITATIONS, document, NOW + 5 * MINUTE);
+
+      expect(sent).toEqual([
+        expect.objectContaining({ profileSlug: 'li-wei', timeLabel: 'Sent 5 minutes ago' })
+      ]);
+    });
+
+    test('should deliver replies to the inbox', async () => {
+      await recordInvitation('maria-lopez', 'Hi Maria', NOW);
+
+      await renderSandboxPage('https://www.linkedin.com/messaging/', NOW + 5 * MINUTE);
+      const [thread] = parseInboxList();
+
+      expect(thread).toMatchObject({
+        threadId: 'sandbox-maria-lopez',
+        name: 'Maria Lopez',
+        unread: true
+      });
+
+      await renderSandboxPage(
+        'https://www.linkedin.com/messaging/thread/sandbox-maria-lopez/',
+        NOW + 5 * MINUTE
+      );
+      const conversation = parseThread(document, NOW + 5 * MINUTE);
+
+      expect(conversation.threadId).toBe('sandbox-maria-lopez');
+      expect(conversation.participant.profileSlug).toBe('maria-lopez');
+      expect(conversation.messages).toEqual([
+        expect.objectContaining({ inbound: false, content: 'Hi Maria', timestamp: NOW }),
+        expect.objectContaining({
+          inbound: true,
+          content: 'Thanks for connecting! Happy to compare notes on growth.',
+          timestamp: NOW + 3 * MINUTE
+        })
+      ]);
+      expect((await getSandboxState()).readAt['maria-lopez']).toBe(NOW + 5 * MINUTE);
+    });
+  });
+});
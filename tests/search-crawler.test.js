@@ -0,0 +1,140 @@
+// Tests for the Search Crawler - Persisted Cursor, Deduplication, Caps and Resuming
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import {
+  startSearchCrawl,
+  pauseSearchCrawl,
+  resumeSearchCrawl,
+  getSearchCrawl,
+  findCrawlForPage,
+  getPendingProfiles,
+  recordProcessedProfile,
+  advanceSearchCrawl,
+  buildPageUrl,
+  CRAWL_STATUS,
+  CRAWL_END_REASONS
+} from '../src/utils/search-crawler.js';
+import { createSearchProfile } from '../src/utils/saved-search-profiles.js';
+import { createChromeExtensionMock } from '../src/test/chrome-mock.js';
+
+function profilesFor(...slugs) {
+  return slugs.map(slug => ({
+    name: slug,
+    profileUrl: `https://www.linkedin.com/in/${slug}/?miniProfileUrn=urn%3Ali%3A${slug}`
+  }));
+}
+
+// Process every pending profile of a page, optionally stopping after `limit`
+async function processPage(crawlId, profiles, limit = Infinity) {
+  const crawl = await getSearchCrawl(crawlId);
+  const pending = getPendingProfiles(crawl, profiles).slice(0, limit);
+
+  for (const profile of pending) {
+    await recordProcessedProfile(crawlId, profile);
+  }
+
+  return pending.map(profile => profile.name);
+}
+
+describe('Search Crawler', () => {
+  let searchProfile;
+
+  beforeEach(async () => {
+    global.chrome = createChromeExtensionMock();
+    searchProfile = await createSearchProfile({
+      name: 'Engineers',
+      criteria: { keywords: 'engineer' }
+    });
+  });
+
+  test('should start at the first page of the saved search', async () => {
+    const crawl = await startSearchCrawl(searchProfile.id, { maxPages: 3 });
+
+    expect(crawl).toMatchObject({
+      id: searchProfile.id,
+      page: 1,
+      pageUrl: 'https://www.linkedin.com/search/results/people/?keywords=engineer',
+      status: CRAWL_STATUS.RUNNING,
+      maxPages: 3,
+      maxProfiles: 100
+    });
+    await expect(startSearchCrawl('missing')).rejects.toThrow('not found');
+  });
+
+  test('should walk pages and skip profiles already seen on earlier pages', async () => {
+    await startSearchCrawl(searchProfile.id);
+
+    expect(await processPage(searchProfile.id, profilesFor('ann', 'ben'))).toEqual(['ann', 'ben']);
+    const crawl = await advanceSearchCrawl(searchProfile.id, { hasNextPage: true });
+
+    expect(crawl.page).toBe(2);
+    expect(crawl.pageUrl).toContain('page=2');
+    expect(await processPage(searchProfile.id, profilesFor('ben', 'cat'))).toEqual(['cat']);
+  });
+
+  test('should resume mid-page after the last processed profile', async () => {
+    await startSearchCrawl(searchProfile.id);
+    await advanceSearchCrawl(searchProfile.id, { hasNextPage: true });
+    const page = profilesFor('ann', 'ben', 'cat', 'dan');
+
+    await processPage(searchProfile.id, page, 2);
+
+    // The tab reloads; the cursor still points at page 2, just after ben
+    const crawl = await findCrawlForPage(
+      'https://www.linkedin.com/search/results/people/?page=2&keywords=engineer'
+    );
+    expect(crawl).toMatchObject({ page: 2, lastProcessedProfile: 'ben' });
+    expect(getPendingProfiles(crawl, page).map(p => p.name)).toEqual(['cat', 'dan']);
+    expect(await findCrawlForPage(buildPageUrl(crawl.searchUrl, 1))).toBeNull();
+  });
+
+  test('should stop at the profile cap', async () => {
+    await startSearchCrawl(searchProfile.id, { maxProfiles: 3 });
+
+    await processPage(searchProfile.id, profilesFor('ann', 'ben'));
+    await advanceSearchCrawl(searchProfile.id, { hasNextPage: true });
+    const processed = await processPage(searchProfile.id, profilesFor('cat', 'dan', 'eve'));
+
+    expect(processed).toEqual(['cat']);
+    expect(await getSearchCrawl(searchProfile.id)).toMatchObject({
+      status: CRAWL_STATUS.COMPLETED,
+      endReason: CRAWL_END_REASONS.PROFILE_CAP
+    });
+  });
+
+  test('should stop at the page cap and on the last page', async () => {
+    await startSearchCrawl(searchProfile.id, { maxPages: 2 });
+
+    await advanceSearchCrawl(searchProfile.id, { hasNextPage: true });
+    const capped = await advanceSearchCrawl(searchProfile.id, { hasNextPage: true });
+
+    expect(capped).toMatchObject({
+      status: CRAWL_STATUS.COMPLETED,
+      endReason: CRAWL_END_REASONS.PAGE_CAP,
+      pagesVisited: 2,
+      page: 2
+    });
+
+    await startSearchCrawl(searchProfile.id);
+    const lastPage = await advanceSearchCrawl(searchProfile.id, { hasNextPage: false });
+    expect(lastPage.endReason).toBe(CRAWL_END_REASONS.NO_MORE_PAGES);
+  });
+
+  test('should pause and resume without losing the cursor', async () => {
+    await startSearchCrawl(searchProfile.id);
+    await processPage(searchProfile.id, profilesFor('ann'));
+    await advanceSearchCrawl(searchProfile.id, { hasNextPage: true });
+
+    const paused = await pauseSearchCrawl(searchProfile.id);
+
+    expect(paused.status).toBe(CRAWL_STATUS.PAUSED);
+    expect(await findCrawlForPage(paused.pageUrl)).toBeNull();
+    expect(await advanceSearchCrawl(searchProfile.id, { hasNextPage: true })).toBeNull();
+    expect(await pauseSearchCrawl(searchProfile.id)).toBeNull();
+
+    const resumed = await resumeSearchCrawl(searchProfile.id);
+
+    expect(resumed).toMatchObject({ status: CRAWL_STATUS.RUNNING, page: 2 });
+    expect(resumed.processedProfiles).toEqual(['ann']);
+  });
+});
@@ -0,0 +1,176 @@
+// Tests for the Selector Registry - Fallback Strategies and Self-Test Diagnostics
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import {
+  querySelector,
+  querySelectorAll,
+  resolveSelector,
+  runSelectorSelfTest,
+  SELECTOR_HEALTH,
+  SELECTOR_REGISTRY_VERSION
+} from '../src/utils/selector-registry.js';
+import {
+  findConnectButton,
+  extractProfileFromSearchResult
+} from '../src/utils/linkedin-automation.js';
+import { getSearchResults } from '../src/utils/linkedin.js';
+
+const CURRENT_SEARCH_PAGE = `
+  <ul>
+    <li data-control-name="search_srp_result">
+      <span class="entity-result__title-text"><a href="/in/janedoe/">Jane Doe</a></span>
+      <div class="entity-result__primary-subtitle">Engineering Manager</div>
+      <div class="entity-result__secondary-subtitle">Berlin</div>
+      <button aria-label="Invite Jane Doe to connect">Connect</button>
+    </li>
+    <li data-control-name="search_srp_result">
+      <span class="entity-result__title-text"><a href="/in/johnroe/">John Roe</a></span>
+      <button aria-label="Message John Roe">Message</button>
+    </li>
+  </ul>
+`;
+
+// Markup after a redesign: no data-control-name, no aria-label on Connect
+const REDESIGNED_SEARCH_PAGE = `
+  <ul>
+    <li class="reusable-search__result-container">
+      <div class="entity-result__title-line"><a href="/in/janedoe/">Jane Doe</a></div>
+      <button><span>Connect</span></button>
+    </li>
+  </ul>
+`;
+
+describe('Selector Registry', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  describe('Fallback Strategies', () => {
+    test('should use the first strategy that matches', () => {
+      document.body.innerHTML = CURRENT_SEARCH_PAGE;
+
+      const match = resolveSelector('searchResult');
+
+      expect(match.strategyIndex).toBe(0);
+      expect(match.elements).toHaveLength(2);
+    });
+
+    test('should fall back to later CSS strategies', () => {
+      document.body.innerHTML = REDESIGNED_SEARCH_PAGE;
+
+      const match = resolveSelector('searchResult');
+
+      expect(match.strategyIndex).toBe(1);
+      expect(querySelector('searchResultName', { root: match.elements[0] }).textContent).toBe(
+        'Jane Doe'
+      );
+    });
+
+    test('should match buttons by ARIA role and accessible name', () => {
+      document.body.innerHTML = `
+        <span id="connect-label">Connect with Jane</span>
+        <div role="button" aria-labelledby="connect-label"></div>
+      `;
+
+      expect(resolveSelector('connectButton').strategyIndex).toBe(2);
+      expect(querySelector('connectButton').getAttribute('role')).toBe('button');
+    });
+
+    test('should match by visible text when nothing else does', () => {
+      document.body.innerHTML = `
+        <div class="pv-s-profile-actions"><span role="none"><button>Connect</button></span></div>
+      `;
+      // Hide the button from the ARIA strategy to exercise the text strategy
+      document.querySelector('button').setAttribute('aria-label', 'More');
+
+      expect(resolveSelector('connectButton').strategyIndex).toBe(3);
+    });
+
+    test('should skip elements rejected by the filter', () => {
+      document.body.innerHTML = `
+        <button aria-label="Connections">Connections</button>
+        <button data-control-name="connect">Connect</button>
+      `;
+
+      const button = querySelector('connectButton', {
+        filter: element => element.textContent === 'Connect'
+      });
+
+      expect(button.dataset.controlName).toBe('connect');
+    });
+
+    test('should return nothing when no strategy matches', () => {
+      expect(querySelector('connectButton')).toBeNull();
+      expect(querySelectorAll('searchResult')).toEqual([]);
+    });
+
+    test('should reject unknown selector names', () => {
+      expect(() => querySelector('madeUp')).toThrow('Unknown selector: madeUp');
+    });
+  });
+
+  describe('Automation Lookups', () => {
+    test('should extract search results through the registry', () => {
+      document.body.innerHTML = REDESIGNED_SEARCH_PAGE;
+
+      const [result] = getSearchResults();
+
+      expect(result).toMatchObject({ name: 'Jane Doe', canConnect: true });
+      expect(result.profileUrl).toContain('/in/janedoe/');
+    });
+
+    test('should find the Connect button of a search result by its text', () => {
+      document.body.innerHTML = REDESIGNED_SEARCH_PAGE;
+
+      const profile = extractProfileFromSearchResult(document.querySelector('li'));
+
+      expect(profile.canConnect).toBe(true);
+    });
+
+    test('should ignore Connect labels on other buttons', () => {
+      document.body.innerHTML = '<button aria-label="Connect on other platforms">Share</button>';
+
+      expect(findConnectButton()).toBeNull();
+    });
+  });
+
+  describe('Self-Test', () => {
+    test('should report healthy selectors on the current markup', () => {
+      document.body.innerHTML = CURRENT_SEARCH_PAGE;
+
+      const report = runSelectorSelfTest('people-search');
+
+      expect(report.version).toBe(SELECTOR_REGISTRY_VERSION);
+      expect(report.broken).toEqual([]);
+      expect(report.results.find(r => r.key === 'searchResultName')).toMatchObject({
+        status: SELECTOR_HEALTH.OK,
+        count: 2
+      });
+      expect(report.results.some(r => r.key === 'connectButton')).toBe(false);
+    });
+
+    test('should flag selectors that only match through fallbacks', () => {
+      document.body.innerHTML = REDESIGNED_SEARCH_PAGE;
+
+      const results = runSelectorSelfTest('people-search').results;
+
+      expect(results.find(r => r.key === 'searchResult').status).toBe(SELECTOR_HEALTH.FALLBACK);
+      expect(results.find(r => r.key === 'searchResultConnectButton')).toMatchObject({
+        status: SELECTOR_HEALTH.FALLBACK,
+        strategy: { index: 1, type: 'aria', role: 'button' }
+      });
+      expect(results.find(r => r.key === 'searchResultTitle').status).toBe(SELECTOR_HEALTH.ABSENT);
+    });
+
+    test('should report broken selectors', () => {
+      document.body.innerHTML = '<ul><li class="search-card">Jane Doe</li></ul>';
+
+      const report = runSelectorSelfTest('people-search');
+
+      expect(report.broken).toEqual(['searchResult', 'searchResultName']);
+      expect(report.results.find(r => r.key === 'searchResultName').error).toBe(
+        'No searchResult to look in'
+      );
+    });
+  });
+});
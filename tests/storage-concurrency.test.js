@@ -0,0 +1,234 @@
+// Tests for Serialized Storage Writes - No Lost Updates Under Concurrent Writers
+
+import 'fake-indexeddb/auto';
+import { serialize, deserialize } from 'v8';
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { updateStorage, logAnalytics, getStorageData } from '../src/utils/storage.js';
+import { trackEvent } from '../src/utils/analytics.js';
+import { createConnectionRecord, addConnectionNote } from '../src/utils/connection-management.js';
+import { ChromeStorageMock, createChromeExtensionMock } from '../src/test/chrome-mock.js';
+
+// jsdom does not expose structuredClone, which fake-indexeddb relies on
+if (typeof global.structuredClone === 'undefined') {
+  global.structuredClone = value => deserialize(serialize(value));
+}
+
+/**
+ * Storage mock with random latency so unsynchronized read-modify-write cycles interleave
+ */
+class SlowStorageMock extends ChromeStorageMock {
+  async get(keys) {
+    await randomDelay();
+    return super.get(keys);
+  }
+
+  async set(items) {
+    await randomDelay();
+    return super.set(JSON.parse(JSON.stringify(items)));
+  }
+}
+
+function randomDelay() {
+  return new Promise(resolve => setTimeout(resolve, Math.random() * 3));
+}
+
+/**
+ * Minimal Web Locks implementation shared by several simulated extension contexts
+ */
+function createLockManager() {
+  const tails = new Map();
+
+  return {
+    request(name, task) {
+      const previous = tails.get(name) || Promise.resolve();
+      const run = previous.catch(() => {}).then(() => task());
+      tails.set(name, run);
+      return run;
+    }
+  };
+}
+
+describe('Serialized Storage Writes', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = new SlowStorageMock();
+    global.chrome = { ...createChromeExtensionMock(), storage: { local: storage, sync: storage } };
+  });
+
+  afterEach(() => {
+    delete global.navigator.locks;
+  });
+
+  test('should apply every concurrent update to the same key', async () => {
+    await Promise.all(
+      Array.from({ length: 50 }, () => updateStorage('counter', value => (value || 0) + 1))
+    );
+
+    expect((await storage.get('counter')).counter).toBe(50);
+  });
+
+  test('should resolve with the stored value', async () => {
+    const value = await updateStorage('settings', current => ({ ...current, safeModeEnabled: true }));
+    expect(value).toEqual({ safeModeEnabled: true });
+  });
+
+  test('should leave the value untouched when the mutator returns undefined', async () => {
+    await storage.set({ settings: { analyticsEnabled: true } });
+
+    const value = await updateStorage('settings', () => undefined);
+
+    expect(value).toEqual({ analyticsEnabled: true });
+  });
+
+  test('should keep processing the queue after a failed mutation', async () => {
+    const failing = updateStorage('counter', () => {
+      throw new Error('mutation failed');
+    });
+    const succeeding = updateStorage('counter', value => (value || 0) + 1);
+
+    await expect(failing).rejects.toThrow('mutation failed');
+    await expect(succeeding).resolves.toBe(1);
+  });
+
+  test('should not lose analytics events from concurrent loggers', async () => {
+    await Promise.all([
+      ...Array.from({ length: 40 }, (_, i) => logAnalytics({ type: 'profile_viewed', index: i })),
+      ...Array.from({ length: 40 }, (_, i) => trackEvent('connection_sent', { index: i }))
+    ]);
+
+    const { analytics } = await getStorageData('analytics');
+    expect(analytics).toHaveLength(80);
+    expect(analytics.filter(e => e.type === 'profile_viewed')).toHaveLength(40);
+    expect(analytics.filter(e => e.type === 'connection_sent')).toHaveLength(40);
+  });
+
+  test('should cap analytics at the most recent 1000 events', async () => {
+    await storage.set({
+      analytics: Array.from({ length: 1000 }, (_, i) => ({ type: 'old', timestamp: i }))
+    });
+
+    await Promise.all(Array.from({ length: 5 }, () => logAnalytics({ type: 'new' })));
+
+    const { analytics } = await storage.get('analytics');
+    expect(analytics).toHaveLength(1000);
+    expect(analytics.filter(e => e.type === 'new')).toHaveLength(5);
+  });
+
+  test('should not lose connection records or notes from concurrent writers', async () => {
+    const created = await Promise.all(
+      Array.from({ length: 20 }, (_, i) =>
+        createConnectionRecord({ profileId: `p${i}`, name: `Person ${i}` })
+      )
+    );
+
+    await Promise.all(created.map(c => addConnectionNote(c.id, `Note for ${c.profileId}`)));
+
+    const { connection_database: connections } = await storage.get('connection_database');
+    expect(connections).toHaveLength(20);
+    expect(connections.every(c => c.notes.includes(`Note for ${c.profileId}`))).toBe(true);
+  });
+
+  test('should serialize writers across extension contexts sharing a lock manager', async () => {
+    global.navigator.locks = createLockManager();
+
+    let contextA;
+    let contextB;
+    jest.isolateModules(() => {
+      contextA = require('../src/utils/storage.js');
+    });
+    jest.isolateModules(() => {
+      contextB = require('../src/utils/storage.js');
+    });
+
+    expect(contextA.updateStorage).not.toBe(contextB.updateStorage);
+
+    await Promise.all(
+      Array.from({ length: 30 }, (_, i) =>
+        (i % 2 ? contextA : contextB).updateStorage('connection_queue', queue => [
+          ...(queue || []),
+          `profile_${i}`
+        ])
+      )
+    );
+
+    const { connection_queue: queue } = await storage.get('connection_queue');
+    expect(queue).toHaveLength(30);
+  });
+
+  describe('Content Script Record Updates', () => {
+    const contentScript = {
+      id: 'test-id',
+      url: 'https://www.linkedin.com/mynetwork/invitation-manager/sent/',
+      tab: { id: 7, url: 'https://www.linkedin.com/mynetwork/invitation-manager/sent/' }
+    };
+    let worker;
+
+    beforeEach(() => {
+      // A service worker with its own IndexedDB-backed storage module
+      jest.isolateModules(() => {
+        jest.doMock('../src/utils/indexed-db-store.js', () => ({
+          ...jest.requireActual('../src/utils/indexed-db-store.js'),
+          isIndexedStoreAvailable: () => true
+        }));
+        const { createMessageRouter } = require('../src/background/message-router.js');
+        const { registerMessageHandlers } = require('../src/background/message-handlers.js');
+        worker = {
+          storage: require('../src/utils/storage.js'),
+          router: registerMessageHandlers(createMessageRouter())
+        };
+      });
+      jest.dontMock('../src/utils/indexed-db-store.js');
+
+      global.chrome.runtime.id = 'test-id';
+      global.chrome.runtime.sendMessage = (message, callback) => {
+        worker.router.route(message, contentScript).then(callback);
+      };
+    });
+
+    afterEach(async () => {
+      await worker.storage.clearStorageData();
+    });
+
+    test('should keep records the service worker changed during the update', async () => {
+      await worker.storage.setStorageData({
+        connection_database: [
+          { id: 'conn_a', status: 'pending' },
+          { id: 'conn_b', status: 'pending' },
+          { id: 'conn_c', status: 'pending' }
+        ]
+      });
+
+      const stored = await updateStorage('connection_database', async connections => {
+        await worker.storage.updateStorage('connection_database', records =>
+          records.map(record =>
+            record.id === 'conn_b' ? { ...record, status: 'accepted' } : record
+          )
+        );
+
+        return [
+          ...connections
+            .filter(record => record.id !== 'conn_c')
+            .map(record => (record.id === 'conn_a' ? { ...record, status: 'withdrawn' } : record)),
+          { id: 'conn_d', status: 'pending' }
+        ];
+      });
+
+      const expected = [
+        { id: 'conn_a', status: 'withdrawn' },
+        { id: 'conn_b', status: 'accepted' },
+        { id: 'conn_d', status: 'pending' }
+      ];
+      expect(stored).toEqual(expected);
+      expect(
+        (await worker.storage.getStorageData('connection_database')).connection_database
+      ).toEqual(expected);
+    });
+
+    test('should leave stores without record ids to appends', async () => {
+      await expect(updateStorage('analytics', events => events || [])).rejects.toThrow(
+        'use appendStorageRecords'
+      );
+    });
+  });
+});
@@ -0,0 +1,137 @@
+// Tests for Storage Schema Migrations - Versioning, Dry Run and Rollback
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import {
+  runMigrations,
+  getSchemaVersion,
+  markSchemaCurrent,
+  getMigrationLog,
+  CURRENT_SCHEMA_VERSION
+} from '../src/utils/storage-migrations.js';
+import { createChromeExtensionMock } from '../src/test/chrome-mock.js';
+
+describe('Storage Migrations', () => {
+  let storage;
+
+  const testMigrations = [
+    {
+      version: 1,
+      description: 'Rename campaign title to name',
+      up: {
+        campaigns: campaigns => (campaigns || []).map(({ title, ...rest }) => ({ ...rest, name: title }))
+      }
+    },
+    {
+      version: 2,
+      description: 'Add status to campaigns',
+      up: {
+        campaigns: campaigns => campaigns.map(c => ({ ...c, status: c.status || 'draft' }))
+      }
+    }
+  ];
+
+  beforeEach(() => {
+    global.chrome = createChromeExtensionMock();
+    storage = global.chrome.storage.local;
+  });
+
+  test('should report version 0 when no schema version is stored', async () => {
+    expect(await getSchemaVersion()).toBe(0);
+  });
+
+  test('should mark fresh installs as current', async () => {
+    await markSchemaCurrent();
+    expect(await getSchemaVersion()).toBe(CURRENT_SCHEMA_VERSION);
+  });
+
+  test('should apply pending migrations in version order', async () => {
+    await storage.set({ campaigns: [{ id: 'c1', title: 'Q1 outreach' }] });
+
+    const result = await runMigrations({ migrations: [testMigrations[1], testMigrations[0]] });
+
+    expect(result.success).toBe(true);
+    expect(result.fromVersion).toBe(0);
+    expect(result.toVersion).toBe(2);
+    expect(result.applied.map(m => m.version)).toEqual([1, 2]);
+
+    const { campaigns } = await storage.get('campaigns');
+    expect(campaigns).toEqual([{ id: 'c1', name: 'Q1 outreach', status: 'draft' }]);
+    expect(await getSchemaVersion()).toBe(2);
+  });
+
+  test('should skip migrations at or below the stored version', async () => {
+    await storage.set({
+      schema_version: { version: 1 },
+      campaigns: [{ id: 'c1', name: 'Already renamed' }]
+    });
+
+    const result = await runMigrations({ migrations: testMigrations });
+
+    expect(result.applied.map(m => m.version)).toEqual([2]);
+    const { campaigns } = await storage.get('campaigns');
+    expect(campaigns[0]).toEqual({ id: 'c1', name: 'Already renamed', status: 'draft' });
+  });
+
+  test('should not write anything during a dry run', async () => {
+    const original = [{ id: 'c1', title: 'Q1 outreach' }];
+    await storage.set({ campaigns: original });
+
+    const result = await runMigrations({ migrations: testMigrations, dryRun: true });
+
+    expect(result.dryRun).toBe(true);
+    expect(result.toVersion).toBe(2);
+    expect(result.changes.campaigns[0].name).toBe('Q1 outreach');
+
+    const { campaigns } = await storage.get('campaigns');
+    expect(campaigns).toEqual(original);
+    expect(await getSchemaVersion()).toBe(0);
+    expect(await getMigrationLog()).toEqual([]);
+  });
+
+  test('should roll back earlier steps when a later migration fails', async () => {
+    const original = [{ id: 'c1', title: 'Q1 outreach' }];
+    await storage.set({ campaigns: original });
+
+    const failing = {
+      version: 2,
+      description: 'Broken migration',
+      up: {
+        campaigns: () => {
+          throw new Error('boom');
+        }
+      }
+    };
+
+    const result = await runMigrations({ migrations: [testMigrations[0], failing] });
+
+    expect(result.success).toBe(false);
+    expect(result.failedVersion).toBe(2);
+    expect(result.error).toBe('boom');
+    expect(result.toVersion).toBe(0);
+
+    const { campaigns } = await storage.get('campaigns');
+    expect(campaigns).toEqual(original);
+    expect(await getSchemaVersion()).toBe(0);
+  });
+
+  test('should record each run in the migration log', async () => {
+    await storage.set({ campaigns: [] });
+
+    await runMigrations({ migrations: testMigrations });
+    const log = await getMigrationLog();
+
+    expect(log).toHaveLength(1);
+    expect(log[0]).toMatchObject({ success: true, fromVersion: 0, toVersion: 2, applied: [1, 2] });
+  });
+
+  test('should backfill id and date on legacy analytics entries', async () => {
+    const timestamp = Date.UTC(2024, 0, 15, 12);
+    await storage.set({ analytics: [{ type: 'connection_sent', timestamp }] });
+
+    await runMigrations();
+
+    const { analytics } = await storage.get('analytics');
+    expect(analytics[0].id).toBeDefined();
+    expect(analytics[0].date).toBe('2024-01-15');
+  });
+});
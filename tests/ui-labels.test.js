@@ -0,0 +1,141 @@
+// Tests for Localized UI Labels - Language Detection and Connecting in German, French and Spanish
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import {
+  detectUiLanguage,
+  getUiLabels,
+  matchesUiLabel,
+  DEFAULT_UI_LANGUAGE
+} from '../src/utils/ui-labels.js';
+import {
+  sendConnectionRequest,
+  findConnectButton,
+  isConnectButtonClickable
+} from '../src/utils/linkedin-automation.js';
+
+const LOCALES = [
+  {
+    language: 'de',
+    connect: 'Vernetzen',
+    connectLabel: 'Laden Sie Jane Doe ein, sich mit Ihnen zu vernetzen',
+    addNote: 'Nachricht hinzufügen',
+    sendWithoutNote: 'Ohne Nachricht senden',
+    send: 'Senden',
+    pending: 'Ausstehend'
+  },
+  {
+    language: 'fr',
+    connect: 'Se connecter',
+    connectLabel: 'Inviter Jane Doe à rejoindre votre réseau',
+    addNote: 'Ajouter une note',
+    sendWithoutNote: 'Envoyer sans note',
+    send: 'Envoyer',
+    pending: 'En attente'
+  },
+  {
+    language: 'es',
+    connect: 'Conectar',
+    connectLabel: 'Invita a Jane Doe a conectar',
+    addNote: 'Añadir una nota',
+    sendWithoutNote: 'Enviar sin nota',
+    send: 'Enviar',
+    pending: 'Pendiente'
+  }
+];
+
+// Mimic LinkedIn's invitation dialog: Connect opens it, "Add a note" swaps in
+// the note field, and sending records the note
+function loadProfilePage(locale, sent) {
+  document.documentElement.lang = locale.language;
+  document.body.innerHTML = `
+    <main>
+      <h1>Jane Doe</h1>
+      <div class="pv-s-profile-actions">
+        <button class="artdeco-button" aria-label="${locale.connectLabel}">${locale.connect}</button>
+      </div>
+    </main>
+  `;
+
+  document.querySelector('.pv-s-profile-actions button').addEventListener('click', () => {
+    const dialog = document.createElement('div');
+    dialog.setAttribute('role', 'dialog');
+    dialog.innerHTML = `
+      <button class="artdeco-button artdeco-button--secondary">${locale.addNote}</button>
+      <button class="artdeco-button artdeco-button--primary">${locale.sendWithoutNote}</button>
+    `;
+    dialog.querySelector('button').addEventListener('click', () => {
+      dialog.innerHTML = `
+        <textarea name="message"></textarea>
+        <button class="artdeco-button artdeco-button--primary">${locale.send}</button>
+      `;
+      dialog.querySelector('button').addEventListener('click', () => {
+        sent.push(dialog.querySelector('textarea').value);
+        dialog.remove();
+      });
+    });
+    document.body.appendChild(dialog);
+  });
+}
+
+describe('UI Labels', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  afterEach(() => {
+    document.documentElement.lang = '';
+    document.cookie = 'lang=; expires=Thu, 01 Jan 1970 00:00:00 GMT';
+  });
+
+  describe('Language Detection', () => {
+    test('should read the UI language from the page', () => {
+      document.documentElement.lang = 'de-DE';
+      expect(detectUiLanguage()).toBe('de');
+    });
+
+    test("should fall back to LinkedIn's language cookie", () => {
+      document.cookie = 'lang="v=2&lang=fr-fr"';
+      expect(detectUiLanguage()).toBe('fr');
+    });
+
+    test('should treat unsupported languages as English', () => {
+      document.documentElement.lang = 'ja';
+      expect(detectUiLanguage()).toBe(DEFAULT_UI_LANGUAGE);
+    });
+
+    test('should keep English labels for untranslated strings', () => {
+      expect(getUiLabels('connect', 'es')).toEqual(['Conectar', 'Connect']);
+      expect(matchesUiLabel('Invitación enviada', 'pending', 'es')).toBe(true);
+      expect(matchesUiLabel('Invitación enviada', 'pending', 'en')).toBe(false);
+    });
+
+    test('should reject unknown labels', () => {
+      expect(() => getUiLabels('madeUp')).toThrow('Unknown UI label: madeUp');
+    });
+  });
+
+  describe.each(LOCALES)('LinkedIn in $language', locale => {
+    test('should send a connection request with a note', async () => {
+      const sent = [];
+      loadProfilePage(locale, sent);
+
+      const result = await sendConnectionRequest('Hi Jane, great to meet you');
+
+      expect(result).toMatchObject({ success: true, hasCustomMessage: true });
+      expect(sent).toEqual(['Hi Jane, great to meet you']);
+    });
+
+    test('should not connect while an invitation is pending', () => {
+      loadProfilePage({ ...locale, connect: locale.pending, connectLabel: locale.pending }, []);
+
+      expect(isConnectButtonClickable(document.querySelector('button'))).toBe(false);
+    });
+
+    test('should find the Connect button by its localized text', () => {
+      loadProfilePage(locale, []);
+      document.querySelector('button').removeAttribute('aria-label');
+
+      expect(findConnectButton().textContent).toBe(locale.connect);
+    });
+  });
+});
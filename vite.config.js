@@ -6,6 +6,7 @@ export default defineConfig({
     rollupOptions: {
       input: {
         'popup/popup': resolve(__dirname, 'src/popup/popup.html'),
+        'sandbox/index': resolve(__dirname, 'src/sandbox/index.html'),
         'background/service-worker': resolve(__dirname, 'src/background/service-worker.js'),
         'content/linkedin-automation': resolve(__dirname, 'src/content/linkedin-automation.js'),
         'styles/tailwind': resolve(__dirname, 'src/styles/tailwind.css')